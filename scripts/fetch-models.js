@@ -0,0 +1,81 @@
+/**
+ * FILE PATH: frontend/scripts/fetch-models.js
+ *
+ * Populates public/models with every ML asset the app needs so it can be
+ * served from our own origin, then writes manifest.json with SHA-256 hashes
+ * used by src/utils/modelRegistry.js for integrity checks.
+ *
+ * Usage: npm run models:fetch
+ * Run it on a machine with internet access and deploy public/models with the build.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const OUTPUT_DIR = path.join(__dirname, '..', 'public', 'models');
+const MEDIAPIPE_WASM_DIR = path.join(__dirname, '..', 'node_modules', '@mediapipe', 'tasks-vision', 'wasm');
+
+const MEDIAPIPE_MODELS = {
+  'mediapipe/blaze_face_short_range.tflite':
+    'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite',
+  'mediapipe/face_landmarker.task':
+    'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
+  'mediapipe/pose_landmarker_lite.task':
+    'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task'
+};
+
+const COCO_SSD_DIR = 'coco-ssd/ssdlite_mobilenet_v2';
+const COCO_SSD_URL = 'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2';
+
+const download = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url} (HTTP ${response.status})`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+};
+
+const writeAsset = (relativePath, buffer, manifest) => {
+  const target = path.join(OUTPUT_DIR, relativePath);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  fs.writeFileSync(target, buffer);
+  manifest.files[relativePath] = crypto.createHash('sha256').update(buffer).digest('hex');
+  console.log(`✅ ${relativePath} (${(buffer.length / 1024).toFixed(0)} KB)`);
+};
+
+const main = async () => {
+  const manifest = { version: null, generatedAt: new Date().toISOString(), files: {} };
+
+  // WASM runtime comes from the installed package so it always matches the JS API
+  for (const file of fs.readdirSync(MEDIAPIPE_WASM_DIR)) {
+    writeAsset(`mediapipe/wasm/${file}`, fs.readFileSync(path.join(MEDIAPIPE_WASM_DIR, file)), manifest);
+  }
+
+  for (const [relativePath, url] of Object.entries(MEDIAPIPE_MODELS)) {
+    writeAsset(relativePath, await download(url), manifest);
+  }
+
+  const modelJson = await download(`${COCO_SSD_URL}/model.json`);
+  writeAsset(`${COCO_SSD_DIR}/model.json`, modelJson, manifest);
+  for (const group of JSON.parse(modelJson.toString()).weightsManifest) {
+    for (const shard of group.paths) {
+      writeAsset(`${COCO_SSD_DIR}/${shard}`, await download(`${COCO_SSD_URL}/${shard}`), manifest);
+    }
+  }
+
+  // Version changes whenever any file changes, which invalidates browser caches
+  manifest.version = crypto
+    .createHash('sha256')
+    .update(JSON.stringify(manifest.files))
+    .digest('hex')
+    .slice(0, 12);
+
+  fs.writeFileSync(path.join(OUTPUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  console.log(`📦 Wrote manifest.json (version ${manifest.version})`);
+};
+
+main().catch((error) => {
+  console.error('❌ Failed to fetch models:', error.message);
+  process.exit(1);
+});
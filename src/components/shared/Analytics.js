@@ -20,7 +20,9 @@ import {
   TrendingUp, Clock, BookOpen, Target, Zap, 
   AlertCircle, Download, ArrowLeft 
 } from 'lucide-react';
-import { analyticsAPI } from '../../services/api';
+import { analyticsAPI, sessionsAPI } from '../../services/api';
+import { averageSessionEngagement } from '../../utils/engagementScoring';
+import { getSessionEngagementWeights } from '../../utils/monitoringPolicy';
 
 ChartJS.register(
   CategoryScale, LinearScale, PointElement, LineElement,
@@ -36,8 +38,24 @@ const toInputDate = (date) => {
   return `${year}-${month}-${day}`;
 };
 
+// Whether a session started inside the selected period (last N days, or a custom range)
+const isInPeriod = (session, query) => {
+  const startedAt = new Date(session.start_time);
+  if (query.period === 'custom') {
+    const end = new Date(query.endDate);
+    end.setHours(23, 59, 59, 999);
+    return startedAt >= new Date(query.startDate) && startedAt <= end;
+  }
+  return startedAt >= Date.now() - Number(query.period) * 24 * 60 * 60 * 1000;
+};
+
+// Trend points are per UTC day
+const toDayKey = (date) => {
+  const d = new Date(date);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString().slice(0, 10);
+};
 
-const Analytics = ({ onBack }) => {
+const Analytics = ({ onBack, rooms = [] }) => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -80,18 +98,32 @@ const Analytics = ({ onBack }) => {
         : { period: activeQuery.period };
 
       const [
-        overviewRes, trendsRes, patternsRes, engagementRes, healthRes, productivityRes
+        overviewRes, trendsRes, patternsRes, engagementRes, healthRes, productivityRes, sessionsRes
       ] = await Promise.all([
         analyticsAPI.getOverallAnalytics(params),
         analyticsAPI.getTrends(params),
         analyticsAPI.getStudyPatterns(params),
         analyticsAPI.getEngagementAnalysis(params),
         analyticsAPI.getHealthReport(params),
-        analyticsAPI.getProductivityScore({ period: '7' }) // Productivity score is kept to last 7 days for consistency
+        analyticsAPI.getProductivityScore({ period: '7' }), // Productivity score is kept to last 7 days for consistency
+        sessionsAPI.getRecent().catch(err => {
+          console.error('Error fetching sessions for engagement:', err);
+          return { data: [] };
+        })
       ]);
 
-      setOverview(overviewRes.data);
-      setTrends(trendsRes.data?.data);
+      // Engagement comes from the shared scoring engine, same as the teacher's reports
+      const sessions = (Array.isArray(sessionsRes.data) ? sessionsRes.data : [])
+        .filter(session => isInPeriod(session, activeQuery));
+      const scoreSessions = (list) =>
+        averageSessionEngagement(list, session => getSessionEngagementWeights(session, rooms));
+
+      setOverview({ ...overviewRes.data, avgEngagement: scoreSessions(sessions) ?? 0 });
+      setTrends(trendsRes.data?.data?.map(point => {
+        const day = toDayKey(point.date);
+        const daySessions = day ? sessions.filter(session => toDayKey(session.start_time) === day) : [];
+        return daySessions.length > 0 ? { ...point, avg_engagement: scoreSessions(daySessions) } : point;
+      }));
       setStudyPatterns(patternsRes.data?.data);
       setEngagementAnalysis(engagementRes.data?.data);
       setHealthReport(healthRes.data?.data);
@@ -1,8 +1,77 @@
 // frontend/src/components/shared/Notifications.js
 import React, { useState, useEffect } from 'react';
-import { X, Bell, AlertCircle, CheckCircle, Info, Clock } from 'lucide-react';
+import { X, Bell, AlertCircle, CheckCircle, Info, Clock, MessageSquare } from 'lucide-react';
 
-const Notifications = ({ notifications = [], onClose, onMarkAsRead, onClearAll }) => {
+const SEVERITY_STYLES = {
+  high: 'bg-red-100 text-red-700',
+  medium: 'bg-orange-100 text-orange-700',
+  low: 'bg-yellow-100 text-yellow-800'
+};
+
+// Severity pill for student alerts
+export const SeverityBadge = ({ severity }) => (
+  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${SEVERITY_STYLES[severity] || 'bg-gray-100 text-gray-700'}`}>
+    {severity}
+  </span>
+);
+
+// Teacher's note on an alert, editable in place
+export const AlertNoteEditor = ({ note = '', onSave }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(note);
+
+  if (!isEditing) {
+    return (
+      <div className="text-xs mt-1" onClick={(e) => e.stopPropagation()}>
+        {note && <p className="text-gray-700 italic">“{note}”</p>}
+        <button
+          onClick={() => {
+            setDraft(note);
+            setIsEditing(true);
+          }}
+          className="inline-flex items-center gap-1 text-blue-600 hover:text-blue-700"
+        >
+          <MessageSquare className="w-3 h-3" />
+          {note ? 'Edit note' : 'Add note'}
+        </button>
+      </div>
+    );
+  }
+
+  const save = () => {
+    onSave(draft.trim());
+    setIsEditing(false);
+  };
+
+  return (
+    <div className="flex gap-2 mt-1" onClick={(e) => e.stopPropagation()}>
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') save();
+          if (e.key === 'Escape') setIsEditing(false);
+        }}
+        placeholder="e.g. Spoke to student, phone put away"
+        autoFocus
+        className="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-300 rounded focus:border-blue-500 focus:outline-none"
+      />
+      <button onClick={save} className="px-2 py-1 text-xs bg-blue-600 text-white rounded hover:bg-blue-700">
+        Save
+      </button>
+    </div>
+  );
+};
+
+const Notifications = ({
+  notifications = [],
+  onClose,
+  onMarkAsRead,
+  onClearAll,
+  onAnnotate,
+  clearAllLabel = 'Clear All Notifications'
+}) => {
   const [filter, setFilter] = useState('all');
   const [isOpen, setIsOpen] = useState(false);
 
@@ -11,6 +80,8 @@ const Notifications = ({ notifications = [], onClose, onMarkAsRead, onClearAll }
       case 'absence':
       case 'distraction':
       case 'poor_posture':
+      case 'low_engagement':
+      case 'fatigue':
         return <AlertCircle className="w-5 h-5 text-red-500" />;
       case 'target_reminder':
         return <Clock className="w-5 h-5 text-orange-500" />;
@@ -19,6 +90,8 @@ const Notifications = ({ notifications = [], onClose, onMarkAsRead, onClearAll }
         return <Info className="w-5 h-5 text-blue-500" />;
       case 'session_complete':
         return <CheckCircle className="w-5 h-5 text-green-500" />;
+      case 'question_answered':
+        return <MessageSquare className="w-5 h-5 text-blue-500" />;
       default:
         return <Bell className="w-5 h-5 text-gray-500" />;
     }
@@ -127,14 +200,23 @@ const Notifications = ({ notifications = [], onClose, onMarkAsRead, onClearAll }
                         <p className={`text-sm ${!notification.read ? 'font-semibold' : 'font-normal'} text-gray-900`}>
                           {notification.message}
                         </p>
-                        <p className="text-xs text-gray-500 mt-1">
-                          {formatTime(notification.timestamp || notification.created_at)}
-                        </p>
+                        <div className="flex items-center gap-2 mt-1">
+                          {notification.severity && <SeverityBadge severity={notification.severity} />}
+                          <p className="text-xs text-gray-500">
+                            {formatTime(notification.timestamp || notification.created_at)}
+                          </p>
+                        </div>
                         {notification.roomTitle && (
                           <p className="text-xs text-blue-600 mt-1">
                             📚 {notification.roomTitle}
                           </p>
                         )}
+                        {onAnnotate && (
+                          <AlertNoteEditor
+                            note={notification.note}
+                            onSave={(note) => onAnnotate(notification._id, note)}
+                          />
+                        )}
                       </div>
                       {!notification.read && (
                         <div className="flex-shrink-0">
@@ -158,7 +240,7 @@ const Notifications = ({ notifications = [], onClose, onMarkAsRead, onClearAll }
                 }}
                 className="w-full text-sm text-blue-600 hover:text-blue-700 font-medium py-2"
               >
-                Clear All Notifications
+                {clearAllLabel}
               </button>
             </div>
           )}
@@ -20,8 +20,17 @@ import {
   X,
   ChevronDown,
   ChevronUp,
-  MoreVertical
+  MoreVertical,
+  Award,
+  Send
 } from 'lucide-react';
+import {
+  ANNOTATION_VISIBILITY,
+  DEFAULT_VISIBILITY,
+  getVisibility,
+  isOwnAnnotation,
+  isEndorsedReply
+} from '../../utils/sharedAnnotations';
 
 const AnnotationPanel = ({
   annotations = [],
@@ -30,6 +39,10 @@ const AnnotationPanel = ({
   onAnnotationDelete,
   onAnnotationResolve,
   onAnnotationShare,
+  onAnnotationCreate,
+  onAnnotationReply,
+  onReplyEndorse,
+  viewer = {},
   currentPage
 }) => {
   const [searchTerm, setSearchTerm] = useState('');
@@ -40,6 +53,11 @@ const AnnotationPanel = ({
   const [editContent, setEditContent] = useState('');
   const [editTags, setEditTags] = useState('');
   const [expandedAnnotation, setExpandedAnnotation] = useState(null);
+  const [showComposer, setShowComposer] = useState(false);
+  const [draft, setDraft] = useState({ type: 'note', priority: 'medium', visibility: DEFAULT_VISIBILITY, content: '', tags: '' });
+  const [replyDrafts, setReplyDrafts] = useState({});
+
+  const isTeacher = viewer.role === 'teacher';
 
   const annotationTypes = [
     { value: 'all', label: 'All Types', icon: StickyNote, color: 'text-gray-600' },
@@ -161,6 +179,38 @@ const AnnotationPanel = ({
     setEditTags('');
   };
 
+  const submitDraft = async () => {
+    if (!draft.content.trim() || !onAnnotationCreate) return;
+    const created = await onAnnotationCreate({
+      type: draft.type,
+      priority: draft.priority,
+      visibility: draft.visibility,
+      content: draft.content.trim(),
+      tags: draft.tags.split(',').map(t => t.trim()).filter(Boolean),
+      page_number: currentPage
+    });
+    if (created !== null && created !== false) {
+      setDraft(prev => ({ ...prev, content: '', tags: '' }));
+      setShowComposer(false);
+    }
+  };
+
+  const submitReply = async (annotationId) => {
+    const content = (replyDrafts[annotationId] || '').trim();
+    if (!content || !onAnnotationReply) return;
+    const saved = await onAnnotationReply(annotationId, content);
+    if (saved !== null && saved !== false) {
+      setReplyDrafts(prev => ({ ...prev, [annotationId]: '' }));
+    }
+  };
+
+  // Endorsed answer first, then oldest first
+  const sortReplies = (annotation) => [...(annotation.replies || [])].sort((a, b) => {
+    if (isEndorsedReply(annotation, a)) return -1;
+    if (isEndorsedReply(annotation, b)) return 1;
+    return new Date(a.created_at) - new Date(b.created_at);
+  });
+
   return (
     <div className="h-full flex flex-col bg-white">
       {/* Header */}
@@ -170,8 +220,74 @@ const AnnotationPanel = ({
             <StickyNote className="h-5 w-5 mr-2 text-purple-600" />
             Annotations ({filteredAnnotations.length})
           </h3>
+          {onAnnotationCreate && (
+            <button
+              onClick={() => setShowComposer(!showComposer)}
+              className="p-1.5 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+              title={showComposer ? 'Close' : `Add annotation to page ${currentPage}`}
+            >
+              {showComposer ? <X className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+            </button>
+          )}
         </div>
 
+        {/* New annotation */}
+        {showComposer && (
+          <div className="bg-white rounded-lg p-3 mb-4 space-y-2 border border-purple-200">
+            <div className="grid grid-cols-3 gap-2">
+              <select
+                value={draft.type}
+                onChange={(e) => setDraft(prev => ({ ...prev, type: e.target.value }))}
+                className="px-2 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500"
+              >
+                {annotationTypes.filter(t => t.value !== 'all').map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <select
+                value={draft.priority}
+                onChange={(e) => setDraft(prev => ({ ...prev, priority: e.target.value }))}
+                className="px-2 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500"
+              >
+                {priorities.filter(p => p.value !== 'all').map(p => (
+                  <option key={p.value} value={p.value}>{p.label}</option>
+                ))}
+              </select>
+              <select
+                value={draft.visibility}
+                onChange={(e) => setDraft(prev => ({ ...prev, visibility: e.target.value }))}
+                className="px-2 py-1.5 border border-gray-300 rounded-lg text-xs focus:ring-2 focus:ring-purple-500"
+                title={ANNOTATION_VISIBILITY[draft.visibility].description}
+              >
+                {Object.entries(ANNOTATION_VISIBILITY).map(([value, option]) => (
+                  <option key={value} value={value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+            <textarea
+              value={draft.content}
+              onChange={(e) => setDraft(prev => ({ ...prev, content: e.target.value }))}
+              placeholder={draft.type === 'question' ? 'What would you like to ask?' : 'Write your annotation...'}
+              className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500"
+              rows="3"
+            />
+            <input
+              type="text"
+              placeholder="Tags (comma separated)"
+              value={draft.tags}
+              onChange={(e) => setDraft(prev => ({ ...prev, tags: e.target.value }))}
+              className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-purple-500"
+            />
+            <button
+              onClick={submitDraft}
+              disabled={!draft.content.trim()}
+              className="w-full px-3 py-1.5 bg-purple-600 text-white rounded text-xs font-medium hover:bg-purple-700 disabled:opacity-50"
+            >
+              Add to page {currentPage}
+            </button>
+          </div>
+        )}
+
         {/* Stats Quick View */}
         <div className="grid grid-cols-3 gap-2 mb-4">
           <div className="bg-white rounded-lg p-2 text-center">
@@ -261,6 +377,10 @@ const AnnotationPanel = ({
               const Icon = getTypeIcon(annotation.type);
               const isEditing = editingId === annotation._id;
               const isExpanded = expandedAnnotation === annotation._id;
+              const isOwn = isOwnAnnotation(annotation, viewer);
+              const visibility = getVisibility(annotation);
+              const replies = sortReplies(annotation);
+              const canReply = onAnnotationReply && visibility !== 'private';
 
               return (
                 <div
@@ -290,10 +410,14 @@ const AnnotationPanel = ({
                               Resolved
                             </span>
                           )}
+                          <span className={`px-2 py-0.5 rounded text-xs font-medium ${ANNOTATION_VISIBILITY[visibility].className}`}>
+                            {ANNOTATION_VISIBILITY[visibility].label}
+                          </span>
                         </div>
                         <div className="text-xs text-gray-500 flex items-center">
                           <Calendar className="h-3 w-3 mr-1" />
                           {formatDate(annotation.created_at)}
+                          {!isOwn && annotation.author_name && ` • ${annotation.author_name}`}
                         </div>
                       </div>
                     </div>
@@ -329,7 +453,7 @@ const AnnotationPanel = ({
                   ) : (
                     <div
                       className="text-sm text-gray-800 mb-3 cursor-pointer"
-                      onClick={() => onAnnotationClick(annotation)}
+                      onClick={() => onAnnotationClick?.(annotation)}
                     >
                       {isExpanded ? annotation.content : (
                         annotation.content.length > 150
@@ -365,6 +489,76 @@ const AnnotationPanel = ({
                     </div>
                   )}
 
+                  {/* Replies */}
+                  {(replies.length > 0 || canReply) && !isEditing && (
+                    <div className="mb-3">
+                      {replies.length > 0 && !isExpanded && (
+                        <button
+                          onClick={() => setExpandedAnnotation(annotation._id)}
+                          className="text-xs text-purple-600 hover:text-purple-800 font-medium"
+                        >
+                          {replies.length} {replies.length === 1 ? 'reply' : 'replies'}
+                          {annotation.endorsed_reply_id && ' • answered'}
+                        </button>
+                      )}
+                      {isExpanded && (
+                        <div className="space-y-2 pl-3 border-l-2 border-gray-200">
+                          {replies.map(reply => {
+                            const endorsed = isEndorsedReply(annotation, reply);
+                            return (
+                              <div
+                                key={reply._id}
+                                className={`text-xs rounded p-2 ${endorsed ? 'bg-green-50 border border-green-200' : 'bg-gray-50'}`}
+                              >
+                                <div className="flex items-center justify-between mb-1">
+                                  <span className="font-medium text-gray-700">
+                                    {reply.author_name || 'Someone'}
+                                    {reply.author_role === 'teacher' && ' (Teacher)'}
+                                  </span>
+                                  {endorsed ? (
+                                    <span className="flex items-center text-green-700 font-semibold">
+                                      <Award className="h-3 w-3 mr-1" />
+                                      Endorsed answer
+                                    </span>
+                                  ) : isTeacher && onReplyEndorse && annotation.type === 'question' && (
+                                    <button
+                                      onClick={() => onReplyEndorse(annotation._id, reply._id)}
+                                      className="flex items-center text-gray-500 hover:text-green-700"
+                                      title="Mark as the answer"
+                                    >
+                                      <Award className="h-3 w-3 mr-1" />
+                                      Endorse
+                                    </button>
+                                  )}
+                                </div>
+                                <p className="text-gray-800 whitespace-pre-line">{reply.content}</p>
+                              </div>
+                            );
+                          })}
+                          {canReply && (
+                            <div className="flex items-center gap-2">
+                              <input
+                                type="text"
+                                value={replyDrafts[annotation._id] || ''}
+                                onChange={(e) => setReplyDrafts(prev => ({ ...prev, [annotation._id]: e.target.value }))}
+                                onKeyDown={(e) => e.key === 'Enter' && submitReply(annotation._id)}
+                                placeholder={annotation.type === 'question' ? 'Answer...' : 'Reply...'}
+                                className="flex-1 px-2 py-1 border border-gray-300 rounded text-xs focus:ring-2 focus:ring-purple-500"
+                              />
+                              <button
+                                onClick={() => submitReply(annotation._id)}
+                                className="p-1 text-purple-600 hover:bg-purple-50 rounded"
+                                title="Send reply"
+                              >
+                                <Send className="h-3 w-3" />
+                              </button>
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
                   {/* Actions */}
                   <div className="flex items-center justify-between pt-3 border-t border-gray-100">
                     {isEditing ? (
@@ -385,7 +579,7 @@ const AnnotationPanel = ({
                     ) : (
                       <>
                         <div className="flex items-center space-x-2">
-                          {!annotation.is_resolved && (
+                          {!annotation.is_resolved && (isOwn || isTeacher) && (
                             <button
                               onClick={() => onAnnotationResolve(annotation._id)}
                               className="p-1 hover:bg-green-50 rounded transition-colors"
@@ -394,36 +588,43 @@ const AnnotationPanel = ({
                               <CheckCircle className="h-4 w-4 text-green-600" />
                             </button>
                           )}
-                          <button
-                            onClick={() => startEdit(annotation)}
-                            className="p-1 hover:bg-gray-100 rounded transition-colors"
-                            title="Edit"
-                          >
-                            <Edit className="h-4 w-4 text-gray-600" />
-                          </button>
-                          {annotation.is_shared ? (
-                            <Share2 className="h-4 w-4 text-blue-600" title="Shared" />
-                          ) : (
+                          {isOwn && (
                             <button
-                              onClick={() => onAnnotationShare(annotation._id)}
-                              className="p-1 hover:bg-blue-50 rounded transition-colors"
-                              title="Share with teacher"
+                              onClick={() => startEdit(annotation)}
+                              className="p-1 hover:bg-gray-100 rounded transition-colors"
+                              title="Edit"
                             >
-                              <Share2 className="h-4 w-4 text-gray-600" />
+                              <Edit className="h-4 w-4 text-gray-600" />
                             </button>
                           )}
+                          {isOwn && onAnnotationShare && (
+                            <label className="flex items-center text-xs text-gray-600" title="Who can see this">
+                              <Share2 className={`h-4 w-4 mr-1 ${visibility === 'private' ? 'text-gray-600' : 'text-blue-600'}`} />
+                              <select
+                                value={visibility}
+                                onChange={(e) => onAnnotationShare(annotation._id, e.target.value)}
+                                className="border-none bg-transparent text-xs focus:ring-0 p-0 pr-5"
+                              >
+                                {Object.entries(ANNOTATION_VISIBILITY).map(([value, option]) => (
+                                  <option key={value} value={value}>{option.label}</option>
+                                ))}
+                              </select>
+                            </label>
+                          )}
                         </div>
-                        <button
-                          onClick={() => {
-                            if (window.confirm('Delete this annotation?')) {
-                              onAnnotationDelete(annotation._id);
-                            }
-                          }}
-                          className="p-1 hover:bg-red-50 rounded transition-colors"
-                          title="Delete"
-                        >
-                          <Trash2 className="h-4 w-4 text-red-600" />
-                        </button>
+                        {isOwn && (
+                          <button
+                            onClick={() => {
+                              if (window.confirm('Delete this annotation?')) {
+                                onAnnotationDelete(annotation._id);
+                              }
+                            }}
+                            className="p-1 hover:bg-red-50 rounded transition-colors"
+                            title="Delete"
+                          >
+                            <Trash2 className="h-4 w-4 text-red-600" />
+                          </button>
+                        )}
                       </>
                     )}
                   </div>
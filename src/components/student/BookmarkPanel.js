@@ -3,7 +3,7 @@ import axios from 'axios';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
-const BookmarkPanel = ({ sessionId, materialId, currentPage, onPageChange, isOpen, onClose }) => {
+const BookmarkPanel = ({ sessionId, materialId, currentPage, onPageChange, onBookmarksChange, isOpen, onClose }) => {
   const [bookmarks, setBookmarks] = useState([]);
   const [loading, setLoading] = useState(false);
   const [newBookmarkName, setNewBookmarkName] = useState('');
@@ -11,12 +11,17 @@ const BookmarkPanel = ({ sessionId, materialId, currentPage, onPageChange, isOpe
   const [filter, setFilter] = useState('all'); // all, recent, important
   const [sortBy, setSortBy] = useState('page'); // page, date, name
 
+  // Loaded while closed too, so the viewer can mark bookmarked pages; refreshed on every open
   useEffect(() => {
-    if (isOpen && sessionId) {
+    if (sessionId) {
       fetchBookmarks();
     }
   }, [isOpen, sessionId]);
 
+  useEffect(() => {
+    if (onBookmarksChange) onBookmarksChange(bookmarks);
+  }, [bookmarks, onBookmarksChange]);
+
   const fetchBookmarks = async () => {
     try {
       setLoading(true);
@@ -0,0 +1,173 @@
+// FILE PATH: frontend/src/components/student/CalibrationWizard.js
+// Short pre-session wizard that records where this student looks when reading
+// the screen, so attention tracking works with side-mounted cameras and glasses
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Crosshair, CheckCircle, X, Loader, RefreshCw } from 'lucide-react';
+import {
+  CALIBRATION_STEPS,
+  toCalibrationSample,
+  buildCalibrationProfile
+} from '../../utils/calibration';
+
+const SETTLE_MS = 1000;    // Give the eyes time to reach the target before sampling
+const SAMPLE_MS = 2000;
+const MIN_SAMPLES_PER_STEP = 5;
+
+const CalibrationWizard = ({ faceMeshData, onComplete, onSkip }) => {
+  const [phase, setPhase] = useState('intro'); // intro, settling, sampling, done, failed
+  const [stepIndex, setStepIndex] = useState(0);
+  const [profile, setProfile] = useState(null);
+  const [failureMessage, setFailureMessage] = useState('');
+
+  const samplesRef = useRef({});
+  const timerRef = useRef(null);
+
+  const step = CALIBRATION_STEPS[stepIndex];
+
+  // Record a sample every time the face mesh produces a new result while sampling
+  useEffect(() => {
+    if (phase !== 'sampling') return;
+    const sample = toCalibrationSample(faceMeshData);
+    if (!sample) return;
+
+    samplesRef.current[step.id] = [...(samplesRef.current[step.id] || []), sample];
+  }, [faceMeshData, phase, step]);
+
+  // Drive the settle -> sample -> next step sequence
+  useEffect(() => {
+    if (phase === 'settling') {
+      timerRef.current = setTimeout(() => setPhase('sampling'), SETTLE_MS);
+    } else if (phase === 'sampling') {
+      timerRef.current = setTimeout(() => {
+        const recorded = samplesRef.current[step.id]?.length || 0;
+        // Looking away often loses the face entirely; the profile copes without those samples
+        if (step.onScreen && recorded < MIN_SAMPLES_PER_STEP) {
+          setFailureMessage("We couldn't see your face clearly. Make sure your face is well lit and centered in the camera.");
+          setPhase('failed');
+          return;
+        }
+
+        if (stepIndex < CALIBRATION_STEPS.length - 1) {
+          setStepIndex(stepIndex + 1);
+          setPhase('settling');
+        } else {
+          try {
+            setProfile(buildCalibrationProfile(samplesRef.current));
+            setPhase('done');
+          } catch (error) {
+            setFailureMessage(error.message);
+            setPhase('failed');
+          }
+        }
+      }, SAMPLE_MS);
+    }
+
+    return () => clearTimeout(timerRef.current);
+  }, [phase, stepIndex, step]);
+
+  const startCalibration = () => {
+    samplesRef.current = {};
+    setStepIndex(0);
+    setProfile(null);
+    setFailureMessage('');
+    setPhase('settling');
+  };
+
+  const isRunning = phase === 'settling' || phase === 'sampling';
+  const cameraReady = !!toCalibrationSample(faceMeshData);
+
+  return (
+    <div className="fixed inset-0 z-50 bg-gray-900/95 text-white">
+      {/* Target dot */}
+      {isRunning && step.target && (
+        <div
+          className="absolute -translate-x-1/2 -translate-y-1/2"
+          style={{ left: `${step.target.x}%`, top: `${step.target.y}%` }}
+        >
+          <div className={`h-6 w-6 rounded-full bg-blue-500 ${phase === 'sampling' ? 'ring-8 ring-blue-500/30' : 'animate-pulse'}`} />
+        </div>
+      )}
+
+      <div className="absolute inset-0 flex items-center justify-center pointer-events-none">
+        <div className="max-w-md text-center px-6 pointer-events-auto">
+          {phase === 'intro' && (
+            <>
+              <Crosshair className="h-12 w-12 mx-auto mb-4 text-blue-400" />
+              <h2 className="text-2xl font-bold mb-2">Calibrate attention tracking</h2>
+              <p className="text-gray-300 mb-6">
+                Takes about 20 seconds. Sit how you normally study, then follow the dot with your eyes.
+                This helps us tell when you're reading versus looking away, even with glasses or a side camera.
+              </p>
+              <div className="flex justify-center space-x-3">
+                <button
+                  onClick={startCalibration}
+                  disabled={!cameraReady}
+                  className="bg-blue-600 hover:bg-blue-700 disabled:bg-gray-600 px-6 py-2 rounded-lg font-medium flex items-center"
+                >
+                  {cameraReady ? 'Start' : (
+                    <>
+                      <Loader className="h-4 w-4 mr-2 animate-spin" />
+                      Waiting for camera...
+                    </>
+                  )}
+                </button>
+                <button onClick={onSkip} className="px-6 py-2 rounded-lg text-gray-300 hover:bg-gray-800">
+                  Skip
+                </button>
+              </div>
+            </>
+          )}
+
+          {isRunning && (
+            <>
+              <p className="text-sm text-gray-400 mb-2">Step {stepIndex + 1} of {CALIBRATION_STEPS.length}</p>
+              <p className="text-xl font-semibold">{step.label}</p>
+              <p className="text-sm text-gray-400 mt-2">
+                {phase === 'sampling' ? 'Hold still...' : 'Get ready'}
+              </p>
+            </>
+          )}
+
+          {phase === 'done' && (
+            <>
+              <CheckCircle className="h-12 w-12 mx-auto mb-4 text-green-400" />
+              <h2 className="text-2xl font-bold mb-2">All set!</h2>
+              <p className="text-gray-300 mb-6">
+                Attention tracking is now tuned to your setup. You can recalibrate any time from the camera settings.
+              </p>
+              <button
+                onClick={() => onComplete(profile)}
+                className="bg-green-600 hover:bg-green-700 px-6 py-2 rounded-lg font-medium"
+              >
+                Start studying
+              </button>
+            </>
+          )}
+
+          {phase === 'failed' && (
+            <>
+              <X className="h-12 w-12 mx-auto mb-4 text-red-400" />
+              <h2 className="text-2xl font-bold mb-2">Calibration failed</h2>
+              <p className="text-gray-300 mb-6">{failureMessage}</p>
+              <div className="flex justify-center space-x-3">
+                <button
+                  onClick={startCalibration}
+                  className="bg-blue-600 hover:bg-blue-700 px-6 py-2 rounded-lg font-medium flex items-center"
+                >
+                  <RefreshCw className="h-4 w-4 mr-2" />
+                  Try again
+                </button>
+                <button onClick={onSkip} className="px-6 py-2 rounded-lg text-gray-300 hover:bg-gray-800">
+                  Skip
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CalibrationWizard;
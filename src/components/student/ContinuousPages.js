@@ -0,0 +1,132 @@
+// frontend/src/components/student/ContinuousPages.js
+import React, { useState, useEffect, useRef } from 'react';
+
+const BUFFER_PAGES = 2;                        // Pages kept rendered above and below the visible ones
+const FALLBACK_PAGE_SIZE = { width: 612, height: 792 }; // US Letter in PDF points, until page 1 is measured
+const VISIBILITY_THRESHOLDS = Array.from({ length: 21 }, (_, i) => i / 20);
+const SETTLE_MS = 300;                          // Pages flicked past quicker than this don't become current
+
+/**
+ * Every page of the document stacked vertically, for continuous scrolling.
+ * Each page gets a slot sized like the page, but only the visible pages plus
+ * BUFFER_PAGES either side are rendered. The current page is the one taking
+ * up most of the viewport once scrolling settles on it, so pages skimmed past
+ * don't count as visits; setting `currentPage` from outside scrolls to it.
+ * Must be placed inside react-pdf's <Document>.
+ *
+ * @param {Object} pdf - pdf.js document proxy
+ * @param {Object} scrollRootRef - Ref to the scrolling container
+ * @param {Function} onCurrentPageChange - Called with the page as the reader scrolls
+ * @param {Function} renderPage - (page, { onLoadSuccess }) => the page and its overlays
+ * @param {string} pageClassName - Background (and canvas filters) of the reading theme
+ */
+const ContinuousPages = ({
+  pdf,
+  numPages,
+  scale,
+  currentPage,
+  scrollRootRef,
+  onCurrentPageChange,
+  renderPage,
+  pageClassName = 'bg-white'
+}) => {
+  const [defaultSize, setDefaultSize] = useState(null);
+  const [sizes, setSizes] = useState({}); // page -> size at scale 1, once rendered
+  const [visibleRange, setVisibleRange] = useState([currentPage, currentPage]);
+
+  const slotRefs = useRef({});
+  const visibleHeightsRef = useRef({});
+  const reportedPageRef = useRef(currentPage);
+  const settleTimerRef = useRef(null);
+
+  useEffect(() => {
+    if (!pdf) return;
+    let cancelled = false;
+    pdf.getPage(1)
+      .then(page => {
+        const viewport = page.getViewport({ scale: 1 });
+        if (!cancelled) setDefaultSize({ width: viewport.width, height: viewport.height });
+      })
+      .catch(error => console.error('❌ Could not measure the first page:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf]);
+
+  // Track how much of each page is on screen
+  useEffect(() => {
+    const visibleHeights = visibleHeightsRef.current;
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        const page = Number(entry.target.dataset.page);
+        if (entry.isIntersecting) visibleHeights[page] = entry.intersectionRect.height;
+        else delete visibleHeights[page];
+      });
+
+      const visible = Object.keys(visibleHeights).map(Number);
+      if (visible.length === 0) return;
+      setVisibleRange([Math.min(...visible), Math.max(...visible)]);
+
+      const mostVisible = visible.reduce((best, page) => (visibleHeights[page] > visibleHeights[best] ? page : best));
+      clearTimeout(settleTimerRef.current);
+      if (mostVisible === reportedPageRef.current) return;
+      settleTimerRef.current = setTimeout(() => {
+        reportedPageRef.current = mostVisible;
+        onCurrentPageChange(mostVisible);
+      }, SETTLE_MS);
+    }, { root: scrollRootRef.current, threshold: VISIBILITY_THRESHOLDS });
+
+    Object.values(slotRefs.current).forEach(slot => slot && observer.observe(slot));
+    return () => {
+      observer.disconnect();
+      clearTimeout(settleTimerRef.current);
+      Object.keys(visibleHeights).forEach(page => delete visibleHeights[page]);
+    };
+  }, [numPages, scrollRootRef, onCurrentPageChange]);
+
+  // Page changed from outside (buttons, outline, search, presenter): jump there
+  useEffect(() => {
+    if (currentPage === reportedPageRef.current) return;
+    clearTimeout(settleTimerRef.current);
+    reportedPageRef.current = currentPage;
+    slotRefs.current[currentPage]?.scrollIntoView({ block: 'start' });
+  }, [currentPage]);
+
+  // Slot heights change with the zoom and once the real page size is known; stay on the same page
+  useEffect(() => {
+    slotRefs.current[reportedPageRef.current]?.scrollIntoView({ block: 'start' });
+  }, [scale, defaultSize]);
+
+  const recordSize = (page, loadedPage) => {
+    setSizes(prev => (prev[page]
+      ? prev
+      : { ...prev, [page]: { width: loadedPage.originalWidth, height: loadedPage.originalHeight } }));
+  };
+
+  const [firstVisible, lastVisible] = visibleRange;
+
+  return (
+    <div className="space-y-4">
+      {Array.from({ length: numPages }, (_, index) => index + 1).map(page => {
+        const size = sizes[page] || defaultSize || FALLBACK_PAGE_SIZE;
+        const isRendered = page >= firstVisible - BUFFER_PAGES && page <= lastVisible + BUFFER_PAGES;
+
+        return (
+          <div
+            key={page}
+            ref={slot => {
+              slotRefs.current[page] = slot;
+            }}
+            data-page={page}
+            className={`relative shadow-2xl ${pageClassName}`}
+            style={{ minHeight: size.height * scale }}
+          >
+            {isRendered && renderPage(page, { onLoadSuccess: (loadedPage) => recordSize(page, loadedPage) })}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ContinuousPages;
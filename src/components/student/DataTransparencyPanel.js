@@ -0,0 +1,112 @@
+// FILE PATH: frontend/src/components/student/DataTransparencyPanel.js
+// Shows the student exactly what monitoring data leaves their device for the
+// current session, and what stays local
+
+import React, { useState } from 'react';
+import { Shield, ShieldCheck, ChevronDown, ChevronUp, Upload, HardDrive } from 'lucide-react';
+import useInteractionQueue from '../../hooks/useInteractionQueue';
+import { getRecentInteractions } from '../../services/interactionQueue';
+import { DATA_SHARING_POLICY } from '../../utils/privacyMode';
+
+const MAX_VALUE_LENGTH = 80;
+
+// Keep long values (snapshots, long text) readable in the payload preview
+const formatPayload = (data) => JSON.stringify(data, (key, value) => (
+  typeof value === 'string' && value.length > MAX_VALUE_LENGTH
+    ? `${value.slice(0, MAX_VALUE_LENGTH)}… (${value.length} chars)`
+    : value
+), 2);
+
+const DataTransparencyPanel = ({ sessionId, privacyMode = false }) => {
+  const [expanded, setExpanded] = useState(false);
+  const [openRecord, setOpenRecord] = useState(null);
+  const queueStatus = useInteractionQueue(); // Re-renders whenever something is queued or sent
+
+  const policy = privacyMode ? DATA_SHARING_POLICY.privacy : DATA_SHARING_POLICY.standard;
+  const recent = getRecentInteractions(sessionId);
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between"
+      >
+        <h3 className="text-xl font-bold text-gray-800 flex items-center">
+          {privacyMode
+            ? <ShieldCheck className="h-6 w-6 mr-2 text-green-600" />
+            : <Shield className="h-6 w-6 mr-2 text-blue-600" />}
+          Your Data
+        </h3>
+        <div className="flex items-center space-x-2">
+          <span className={`px-3 py-1 rounded-lg text-xs font-semibold ${
+            privacyMode ? 'bg-green-100 text-green-800' : 'bg-blue-100 text-blue-800'
+          }`}>
+            {privacyMode ? 'Privacy mode' : 'Standard'}
+          </span>
+          {expanded ? <ChevronUp className="h-5 w-5 text-gray-500" /> : <ChevronDown className="h-5 w-5 text-gray-500" />}
+        </div>
+      </button>
+
+      {expanded && (
+        <>
+          <div>
+            <p className="text-sm font-semibold text-gray-700 flex items-center mb-2">
+              <Upload className="h-4 w-4 mr-2" /> Sent to your teacher
+            </p>
+            <ul className="text-sm text-gray-600 list-disc pl-6 space-y-1">
+              {policy.sent.map(item => <li key={item}>{item}</li>)}
+            </ul>
+          </div>
+
+          <div>
+            <p className="text-sm font-semibold text-gray-700 flex items-center mb-2">
+              <HardDrive className="h-4 w-4 mr-2" /> Never leaves this device
+            </p>
+            <ul className="text-sm text-gray-600 list-disc pl-6 space-y-1">
+              {policy.local.map(item => <li key={item}>{item}</li>)}
+            </ul>
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm font-semibold text-gray-700">Recently sent</p>
+              <span className="text-xs text-gray-500">
+                {queueStatus.pending > 0 ? `${queueStatus.pending} waiting to upload` : 'All uploaded'}
+              </span>
+            </div>
+
+            {recent.length === 0 ? (
+              <p className="text-sm text-gray-500">Nothing has been sent yet this session.</p>
+            ) : (
+              <div className="space-y-1 max-h-64 overflow-y-auto">
+                {recent.map(record => (
+                  <div key={record.client_id} className="border border-gray-200 rounded-lg">
+                    <button
+                      onClick={() => setOpenRecord(openRecord === record.client_id ? null : record.client_id)}
+                      className="w-full flex items-center justify-between px-3 py-2 text-sm hover:bg-gray-50"
+                    >
+                      <span className="font-mono text-gray-800">{record.type}</span>
+                      <span className="text-xs text-gray-500">{new Date(record.timestamp).toLocaleTimeString()}</span>
+                    </button>
+                    {openRecord === record.client_id && (
+                      <pre className="px-3 py-2 bg-gray-50 text-xs text-gray-700 overflow-x-auto whitespace-pre-wrap break-all">
+                        {formatPayload({
+                          client_id: record.client_id,
+                          type: record.type,
+                          timestamp: record.timestamp,
+                          data: record.data
+                        })}
+                      </pre>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DataTransparencyPanel;
@@ -12,8 +12,9 @@ import {
   TrendingUp,
   XCircle
 } from 'lucide-react';
+import { DEFAULT_MONITORING_THRESHOLDS } from '../../utils/monitoringPolicy';
 
-const HealthMonitor = ({ metrics, duration, onBreakRequest }) => {
+const HealthMonitor = ({ metrics, duration, onBreakRequest, thresholds = DEFAULT_MONITORING_THRESHOLDS }) => {
   const [healthScore, setHealthScore] = useState(100);
   const [alerts, setAlerts] = useState([]);
   const [breakReminder, setBreakReminder] = useState(null);
@@ -67,18 +68,21 @@ const HealthMonitor = ({ metrics, duration, onBreakRequest }) => {
   const calculateEyeStrain = (blinkRate, duration) => {
     const durationMinutes = duration / 60;
     
-    // Low blink rate = higher strain
-    if (blinkRate < 10 && durationMinutes > 15) return 'high';
-    if (blinkRate < 12 && durationMinutes > 30) return 'high';
-    if (blinkRate < 14) return 'medium';
+    // Low blink rate = higher strain (thresholds come from the room's monitoring policy)
+    if (blinkRate < thresholds.minBlinkRate && durationMinutes > 15) return 'high';
+    if (blinkRate < thresholds.minBlinkRate + 2 && durationMinutes > 30) return 'high';
+    if (blinkRate < thresholds.minBlinkRate + 4) return 'medium';
+    // Very frequent blinking points to irritated or tired eyes
+    if (blinkRate > thresholds.maxBlinkRate) return 'medium';
     return 'low';
   };
 
   const calculateFatigue = (metrics) => {
-    const { yawnCount = 0, headDrops = 0, microSleeps = 0 } = metrics;
+    const { yawnCount = 0, headDrops = 0, microSleeps = 0, perclos = 0 } = metrics;
     
-    if (microSleeps > 0 || yawnCount > 5) return 'high';
-    if (yawnCount > 2 || headDrops > 3) return 'medium';
+    // PERCLOS >= 15% is the usual drowsiness cut-off, >= 8% early fatigue
+    if (microSleeps > 0 || yawnCount > 5 || perclos >= 0.15) return 'high';
+    if (yawnCount > 2 || headDrops > 3 || perclos >= 0.08) return 'medium';
     return 'low';
   };
 
@@ -136,7 +140,7 @@ const HealthMonitor = ({ metrics, duration, onBreakRequest }) => {
     const recentPosture = metrics.postureScores?.slice(-5);
     const avgRecentPosture = recentPosture?.reduce((a, b) => a + b, 0) / 
                             (recentPosture?.length || 1);
-    if (avgRecentPosture < 50) {
+    if (avgRecentPosture < thresholds.minPostureScore) {
       newAlerts.push({
         id: 'posture',
         type: 'warning',
@@ -241,6 +245,13 @@ const HealthMonitor = ({ metrics, duration, onBreakRequest }) => {
              fatigueLevel === 'medium' ? 'Getting tired' :
              'Very tired'}
           </div>
+          <div className="text-xs text-gray-500 mt-2 space-y-0.5">
+            <div>Eyes closed: {Math.round((metrics?.perclos || 0) * 100)}% (PERCLOS)</div>
+            <div>{metrics?.yawnCount || 0} yawns · {metrics?.headDrops || 0} head drops</div>
+            {metrics?.microSleeps > 0 && (
+              <div className="text-red-600 font-medium">{metrics.microSleeps} micro-sleeps</div>
+            )}
+          </div>
         </div>
 
         {/* Posture Quality */}
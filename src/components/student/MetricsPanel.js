@@ -57,6 +57,7 @@ const MetricsPanel = ({
     backAngle = 0,
     hasPhone = false,
     engagementScore = 0,
+    engagementBreakdown = [],
     attentionRate = 0,
     blinkRate = 0,
     faceCount = 0
@@ -305,6 +306,22 @@ const MetricsPanel = ({
           value={engagementScore}
           color={getStatusColor(engagementScore) === 'success' ? '#10b981' : getStatusColor(engagementScore) === 'warning' ? '#f59e0b' : '#ef4444'}
         />
+        {engagementBreakdown.length > 0 && (
+          <div className="engagement-breakdown">
+            {engagementBreakdown.map(item => (
+              <div key={item.factor} className="breakdown-row" title={`${item.value}% × ${Math.round(item.weight * 100)}% weight`}>
+                <span className="breakdown-label">{item.label}</span>
+                <div className="breakdown-bar">
+                  <div
+                    className="breakdown-fill"
+                    style={{ width: `${item.value}%`, opacity: 0.4 + item.weight }}
+                  />
+                </div>
+                <span className="breakdown-value">+{Math.round(item.contribution)}</span>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Main Metrics Display */}
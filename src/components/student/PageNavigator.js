@@ -0,0 +1,230 @@
+// frontend/src/components/student/PageNavigator.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Thumbnail } from 'react-pdf';
+import { LayoutGrid, ListTree, X, ChevronRight, ChevronDown, Highlighter, StickyNote, Bookmark, Check } from 'lucide-react';
+import { resolveOutline, findCurrentOutlineItem } from '../../utils/pageNavigation';
+
+const THUMBNAIL_WIDTH = 120;
+const THUMBNAIL_PLACEHOLDER_HEIGHT = 160; // Roughly a portrait page until the real one renders
+
+// Renders its page only once it scrolls near the sidebar's viewport
+const PageThumbnail = ({ pdf, page, isCurrent, visited, markers, rootRef, onSelect }) => {
+  const [isNearView, setIsNearView] = useState(false);
+  const itemRef = useRef(null);
+
+  useEffect(() => {
+    if (isNearView || !itemRef.current) return;
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting) setIsNearView(true);
+    }, { root: rootRef.current, rootMargin: '300px 0px' });
+    observer.observe(itemRef.current);
+    return () => observer.disconnect();
+  }, [isNearView, rootRef]);
+
+  useEffect(() => {
+    if (isCurrent) itemRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [isCurrent]);
+
+  return (
+    <div ref={itemRef} className="flex flex-col items-center">
+      {/* Once rendered, the thumbnail itself is a link and handles the click */}
+      <div
+        onClick={isNearView ? undefined : () => onSelect(page)}
+        className={`relative rounded overflow-hidden border-2 cursor-pointer transition-all ${
+          isCurrent ? 'border-blue-500 ring-2 ring-blue-400' : 'border-transparent hover:border-gray-500'
+        } ${visited || isCurrent ? '' : 'opacity-60'}`}
+        style={{ width: THUMBNAIL_WIDTH }}
+        title={`Page ${page}${visited ? '' : ' (not read yet)'}`}
+      >
+        {isNearView ? (
+          <Thumbnail
+            pdf={pdf}
+            pageNumber={page}
+            width={THUMBNAIL_WIDTH}
+            onItemClick={() => onSelect(page)}
+            loading={<div className="bg-gray-700" style={{ height: THUMBNAIL_PLACEHOLDER_HEIGHT }} />}
+          />
+        ) : (
+          <div className="bg-gray-700" style={{ height: THUMBNAIL_PLACEHOLDER_HEIGHT }} />
+        )}
+
+        {/* What the student has on this page */}
+        {markers && (
+          <div className="absolute top-1 right-1 flex flex-col gap-1">
+            {markers.bookmarks > 0 && (
+              <span className="p-0.5 bg-pink-600 rounded" title={`${markers.bookmarks} bookmark(s)`}>
+                <Bookmark className="h-3 w-3 text-white" fill="currentColor" />
+              </span>
+            )}
+            {markers.highlights > 0 && (
+              <span className="p-0.5 bg-yellow-400 rounded" title={`${markers.highlights} highlight(s)`}>
+                <Highlighter className="h-3 w-3 text-gray-900" />
+              </span>
+            )}
+            {markers.annotations > 0 && (
+              <span className="p-0.5 bg-purple-600 rounded" title={`${markers.annotations} annotation(s)`}>
+                <StickyNote className="h-3 w-3 text-white" />
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+
+      <span className={`mt-1 text-xs flex items-center ${isCurrent ? 'text-blue-300 font-semibold' : 'text-gray-400'}`}>
+        {visited ? (
+          <Check className="h-3 w-3 mr-1 text-green-400" />
+        ) : (
+          <span className="inline-block h-2 w-2 mr-1 rounded-full border border-gray-500" />
+        )}
+        {page}
+      </span>
+    </div>
+  );
+};
+
+const OutlineItems = ({ items, depth, currentId, collapsed, onToggle, onSelect }) => (
+  <ul>
+    {items.map(item => (
+      <li key={item.id}>
+        <div
+          className={`flex items-center rounded pr-2 py-1 text-sm ${
+            item.id === currentId ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-700'
+          }`}
+          style={{ paddingLeft: 4 + depth * 12 }}
+        >
+          {item.items.length > 0 ? (
+            <button onClick={() => onToggle(item.id)} className="p-0.5 flex-shrink-0">
+              {collapsed.has(item.id) ? <ChevronRight className="h-3 w-3" /> : <ChevronDown className="h-3 w-3" />}
+            </button>
+          ) : (
+            <span className="w-4 flex-shrink-0" />
+          )}
+          <button
+            onClick={() => item.page && onSelect(item.page)}
+            disabled={!item.page}
+            className="flex-1 min-w-0 flex items-center justify-between text-left disabled:cursor-default"
+          >
+            <span className="truncate">{item.title}</span>
+            {item.page && <span className="ml-2 text-xs opacity-70 flex-shrink-0">{item.page}</span>}
+          </button>
+        </div>
+        {item.items.length > 0 && !collapsed.has(item.id) && (
+          <OutlineItems
+            items={item.items}
+            depth={depth + 1}
+            currentId={currentId}
+            collapsed={collapsed}
+            onToggle={onToggle}
+            onSelect={onSelect}
+          />
+        )}
+      </li>
+    ))}
+  </ul>
+);
+
+/**
+ * Collapsible sidebar with page thumbnails and the PDF's outline
+ *
+ * @param {Object} pdf - pdf.js document proxy
+ * @param {Object} markers - buildPageMarkers result
+ * @param {Object} pageVisits - { [page]: visits } tracked by the viewer
+ */
+const PageNavigator = ({ pdf, numPages, currentPage, markers = {}, pageVisits = {}, onPageSelect, onClose }) => {
+  const [tab, setTab] = useState('pages'); // 'pages' | 'outline'
+  const [outline, setOutline] = useState(null);
+  const [collapsed, setCollapsed] = useState(new Set());
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    if (!pdf) return;
+    let cancelled = false;
+    resolveOutline(pdf)
+      .then(items => !cancelled && setOutline(items))
+      .catch(error => {
+        console.error('❌ Error loading PDF outline:', error);
+        if (!cancelled) setOutline([]);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pdf]);
+
+  const toggleItem = (id) => {
+    setCollapsed(prev => {
+      const next = new Set(prev);
+      next.has(id) ? next.delete(id) : next.add(id);
+      return next;
+    });
+  };
+
+  const visitedCount = Object.keys(pageVisits).length;
+
+  return (
+    <div className="w-48 flex-shrink-0 bg-gray-900 border-r border-gray-700 flex flex-col text-white">
+      {/* Tabs */}
+      <div className="flex items-center border-b border-gray-700">
+        <button
+          onClick={() => setTab('pages')}
+          className={`flex-1 flex items-center justify-center py-2 text-sm ${tab === 'pages' ? 'bg-gray-800 text-white' : 'text-gray-400 hover:text-white'}`}
+          title="Page thumbnails"
+        >
+          <LayoutGrid className="h-4 w-4 mr-1" />
+          Pages
+        </button>
+        <button
+          onClick={() => setTab('outline')}
+          className={`flex-1 flex items-center justify-center py-2 text-sm ${tab === 'outline' ? 'bg-gray-800 text-white' : 'text-gray-400 hover:text-white'}`}
+          title="Table of contents"
+        >
+          <ListTree className="h-4 w-4 mr-1" />
+          Outline
+        </button>
+        <button onClick={onClose} className="px-2 text-gray-400 hover:text-white" title="Hide sidebar">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+
+      {tab === 'pages' ? (
+        <>
+          <p className="px-3 py-2 text-xs text-gray-400 border-b border-gray-800">
+            {visitedCount} of {numPages || '...'} pages read
+          </p>
+          <div ref={listRef} className="flex-1 overflow-y-auto py-3 space-y-3">
+            {pdf && Array.from({ length: numPages || 0 }, (_, index) => index + 1).map(page => (
+              <PageThumbnail
+                key={page}
+                pdf={pdf}
+                page={page}
+                isCurrent={page === currentPage}
+                visited={!!pageVisits[page]}
+                markers={markers[page]}
+                rootRef={listRef}
+                onSelect={onPageSelect}
+              />
+            ))}
+          </div>
+        </>
+      ) : (
+        <div className="flex-1 overflow-y-auto p-2">
+          {outline === null ? (
+            <p className="text-sm text-gray-400 p-2">Loading outline...</p>
+          ) : outline.length === 0 ? (
+            <p className="text-sm text-gray-400 p-2">This PDF has no table of contents.</p>
+          ) : (
+            <OutlineItems
+              items={outline}
+              depth={0}
+              currentId={findCurrentOutlineItem(outline, currentPage)}
+              collapsed={collapsed}
+              onToggle={toggleItem}
+              onSelect={onPageSelect}
+            />
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PageNavigator;
@@ -0,0 +1,132 @@
+// frontend/src/components/student/QuestionPanel.js
+import React, { useState } from 'react';
+import { HelpCircle, ArrowBigUp, MapPin, CheckCircle, Plus, Trash2, CornerDownRight } from 'lucide-react';
+import { getAskerLabel } from '../../utils/roomQuestions';
+
+const QuestionPanel = ({
+  questions = [],
+  currentPage,
+  onQuestionClick,
+  onUpvote,
+  onAsk,
+  onDelete
+}) => {
+  const [filter, setFilter] = useState('all'); // 'all' | 'page' | 'mine'
+
+  const visibleQuestions = questions.filter(question => {
+    if (filter === 'page') return question.page === currentPage;
+    if (filter === 'mine') return question.is_mine;
+    return true;
+  });
+
+  const openCount = questions.filter(question => !question.answer).length;
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200 bg-gradient-to-r from-blue-50 to-indigo-50">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-bold text-gray-800 flex items-center">
+            <HelpCircle className="h-5 w-5 mr-2 text-blue-600" />
+            Q&A ({openCount} open)
+          </h3>
+          <button
+            onClick={onAsk}
+            className="p-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+            title={`Ask about page ${currentPage}`}
+          >
+            <Plus className="h-4 w-4" />
+          </button>
+        </div>
+        <div className="flex gap-2 text-xs">
+          {[['all', 'All'], ['page', 'This page'], ['mine', 'Mine']].map(([value, label]) => (
+            <button
+              key={value}
+              onClick={() => setFilter(value)}
+              className={`px-3 py-1 rounded-full transition ${
+                filter === value ? 'bg-blue-100 text-blue-700' : 'text-gray-600 hover:bg-gray-100'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Questions */}
+      <div className="flex-1 overflow-y-auto">
+        {visibleQuestions.length === 0 ? (
+          <div className="flex flex-col items-center justify-center h-full text-center p-6">
+            <HelpCircle className="h-16 w-16 text-gray-300 mb-4" />
+            <p className="text-gray-600 font-medium mb-2">No questions yet</p>
+            <p className="text-sm text-gray-500">Select text in the PDF with "Ask" on to ask about it</p>
+          </div>
+        ) : (
+          <div className="p-4 space-y-3">
+            {visibleQuestions.map(question => (
+              <div
+                key={question._id}
+                className={`rounded-lg p-3 border-2 transition-all ${
+                  question.page === currentPage ? 'border-blue-300 bg-blue-50' : 'border-gray-200 bg-white'
+                }`}
+              >
+                <div className="flex items-start gap-3">
+                  <button
+                    onClick={() => onUpvote(question)}
+                    disabled={question.is_mine}
+                    className={`flex flex-col items-center text-xs font-semibold rounded px-1 ${
+                      question.upvoted_by_me ? 'text-blue-600' : 'text-gray-500 hover:text-blue-600'
+                    } disabled:opacity-50 disabled:cursor-default`}
+                    title={question.is_mine ? 'Your question' : question.upvoted_by_me ? 'Remove upvote' : 'I have this question too'}
+                  >
+                    <ArrowBigUp className="h-5 w-5" fill={question.upvoted_by_me ? 'currentColor' : 'none'} />
+                    {question.upvotes || 0}
+                  </button>
+
+                  <div className="flex-1 min-w-0 cursor-pointer" onClick={() => onQuestionClick(question)}>
+                    <div className="flex items-center flex-wrap gap-2 text-xs text-gray-500 mb-1">
+                      <span className="flex items-center"><MapPin className="h-3 w-3 mr-1" />Page {question.page}</span>
+                      <span>{getAskerLabel(question)}</span>
+                      {question.answer && (
+                        <span className="px-2 py-0.5 bg-green-100 text-green-700 rounded flex items-center font-medium">
+                          <CheckCircle className="h-3 w-3 mr-1" />
+                          Answered
+                        </span>
+                      )}
+                    </div>
+                    {question.text && (
+                      <p className="text-xs text-gray-500 italic border-l-2 border-blue-300 pl-2 mb-1 line-clamp-2">
+                        “{question.text}”
+                      </p>
+                    )}
+                    <p className="text-sm text-gray-800">{question.question}</p>
+                    {question.answer && (
+                      <p className="text-sm text-green-800 bg-green-50 rounded p-2 mt-2 flex">
+                        <CornerDownRight className="h-4 w-4 mr-1 flex-shrink-0" />
+                        {question.answer}
+                      </p>
+                    )}
+                  </div>
+
+                  {question.is_mine && !question.answer && onDelete && (
+                    <button
+                      onClick={() => {
+                        if (window.confirm('Delete this question?')) onDelete(question._id);
+                      }}
+                      className="p-1 hover:bg-red-50 rounded transition-colors"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-4 w-4 text-red-600" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuestionPanel;
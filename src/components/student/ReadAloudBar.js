@@ -0,0 +1,111 @@
+// frontend/src/components/student/ReadAloudBar.js
+import React from 'react';
+import { Volume2, Play, Pause, SkipBack, SkipForward, X } from 'lucide-react';
+import { READ_ALOUD_RATES } from '../../utils/readAloud';
+
+/**
+ * Playback controls for reading the PDF aloud, shown above the viewer's bottom bar
+ *
+ * @param {Object} readAloud - useReadAloud result
+ * @param {Function} onClose - Stops reading and hides the bar
+ */
+const ReadAloudBar = ({ readAloud, onClose }) => {
+  const {
+    supported,
+    status,
+    isPlaying,
+    page,
+    sentence,
+    sentenceCount,
+    notice,
+    voices,
+    voiceURI,
+    rate
+  } = readAloud;
+
+  if (!supported) {
+    return (
+      <div className="bg-gray-900 text-gray-300 px-4 py-2 flex items-center justify-between text-sm border-t border-gray-700">
+        <span className="flex items-center">
+          <Volume2 className="h-4 w-4 mr-2 text-gray-500" />
+          Read aloud isn't available in this browser.
+        </span>
+        <button onClick={onClose} className="p-1 hover:bg-gray-700 rounded" title="Close">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-gray-900 text-white px-4 py-2 flex items-center justify-between text-sm border-t border-gray-700">
+      <div className="flex items-center space-x-2">
+        <Volume2 className="h-4 w-4 text-sky-300" />
+        <span className="font-medium mr-2">Read aloud</span>
+        <button
+          onClick={readAloud.previousSentence}
+          disabled={status === 'idle'}
+          className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          title="Previous sentence"
+        >
+          <SkipBack className="h-4 w-4" />
+        </button>
+        <button
+          onClick={isPlaying ? readAloud.pause : readAloud.play}
+          className="p-2 bg-sky-600 hover:bg-sky-700 rounded-lg transition-colors"
+          title={isPlaying ? 'Pause' : status === 'paused' ? 'Resume' : 'Read this page aloud'}
+        >
+          {isPlaying ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+        </button>
+        <button
+          onClick={readAloud.nextSentence}
+          disabled={status === 'idle'}
+          className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          title="Next sentence"
+        >
+          <SkipForward className="h-4 w-4" />
+        </button>
+        <span className="text-gray-400 pl-2">
+          {notice || (status !== 'idle' && sentenceCount > 0
+            ? `Page ${page} · sentence ${sentence + 1} of ${sentenceCount}`
+            : 'Reads from the top of this page and turns pages for you')}
+        </span>
+      </div>
+
+      <div className="flex items-center space-x-3">
+        <label className="flex items-center text-gray-300">
+          Speed
+          <select
+            value={rate}
+            onChange={(e) => readAloud.setRate(parseFloat(e.target.value))}
+            className="ml-2 bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white focus:border-sky-500 focus:outline-none"
+          >
+            {READ_ALOUD_RATES.map(option => (
+              <option key={option} value={option}>{option}×</option>
+            ))}
+          </select>
+        </label>
+        <label className="flex items-center text-gray-300">
+          Voice
+          <select
+            value={voiceURI || ''}
+            onChange={(e) => readAloud.setVoice(e.target.value)}
+            className="ml-2 max-w-[14rem] bg-gray-700 border border-gray-600 rounded px-2 py-1 text-white focus:border-sky-500 focus:outline-none"
+          >
+            <option value="">Browser default</option>
+            {voices.map(voice => (
+              <option key={voice.voiceURI} value={voice.voiceURI}>
+                {voice.name} ({voice.lang})
+              </option>
+            ))}
+          </select>
+        </label>
+        <button onClick={onClose} className="p-1 hover:bg-gray-700 rounded transition-colors" title="Stop and close">
+          <X className="h-4 w-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReadAloudBar;
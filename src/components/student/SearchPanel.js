@@ -0,0 +1,167 @@
+// frontend/src/components/student/SearchPanel.js
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, ChevronUp, ChevronDown, X, CaseSensitive, WholeWord, RefreshCw } from 'lucide-react';
+
+const SearchPanel = ({
+  query = '',
+  options = {},
+  results = [],
+  activeIndex = -1,
+  searching = false,
+  onSearch,
+  onNext,
+  onPrevious,
+  onResultClick,
+  onClose
+}) => {
+  const [draft, setDraft] = useState(query);
+  const inputRef = useRef(null);
+  const activeRef = useRef(null);
+
+  useEffect(() => {
+    inputRef.current?.focus();
+  }, []);
+
+  // Keep the current result visible while stepping through them
+  useEffect(() => {
+    activeRef.current?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const toggleOption = (name) => {
+    const nextOptions = { ...options, [name]: !options[name] };
+    onSearch(draft, nextOptions);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') onClose();
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    // Enter on an unchanged query steps through the results like a browser's find bar
+    if (draft === query && results.length > 0) {
+      e.shiftKey ? onPrevious() : onNext();
+    } else {
+      onSearch(draft, options);
+    }
+  };
+
+  const pageCount = new Set(results.map(result => result.page)).size;
+
+  return (
+    <div className="h-full flex flex-col bg-white">
+      {/* Header */}
+      <div className="p-4 border-b border-gray-200 bg-gradient-to-r from-blue-50 to-indigo-50 space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-bold text-gray-800 flex items-center">
+            <Search className="h-5 w-5 mr-2 text-blue-600" />
+            Search
+          </h3>
+          <button onClick={onClose} className="p-1 hover:bg-white rounded transition-colors" title="Close search">
+            <X className="h-4 w-4 text-gray-600" />
+          </button>
+        </div>
+
+        <div className="relative">
+          <input
+            ref={inputRef}
+            type="text"
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search this document..."
+            className="w-full pl-3 pr-9 py-2 border-2 border-gray-300 rounded-lg text-sm focus:border-blue-500 focus:outline-none"
+          />
+          <button
+            onClick={() => onSearch(draft, options)}
+            className="absolute right-2 top-1/2 -translate-y-1/2 text-gray-500 hover:text-blue-600"
+            title="Search"
+          >
+            {searching ? <RefreshCw className="h-4 w-4 animate-spin" /> : <Search className="h-4 w-4" />}
+          </button>
+        </div>
+
+        <div className="flex items-center justify-between">
+          <div className="flex gap-1">
+            <button
+              onClick={() => toggleOption('matchCase')}
+              className={`p-1.5 rounded border transition-colors ${
+                options.matchCase ? 'bg-blue-100 border-blue-300 text-blue-700' : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+              }`}
+              title="Match case"
+            >
+              <CaseSensitive className="h-4 w-4" />
+            </button>
+            <button
+              onClick={() => toggleOption('wholeWord')}
+              className={`p-1.5 rounded border transition-colors ${
+                options.wholeWord ? 'bg-blue-100 border-blue-300 text-blue-700' : 'border-gray-300 text-gray-600 hover:bg-gray-100'
+              }`}
+              title="Whole words only"
+            >
+              <WholeWord className="h-4 w-4" />
+            </button>
+          </div>
+
+          <div className="flex items-center gap-1 text-sm text-gray-600">
+            <span className="mr-1">
+              {results.length > 0 ? `${activeIndex + 1} of ${results.length}` : query && !searching ? 'No results' : ''}
+            </span>
+            <button
+              onClick={onPrevious}
+              disabled={results.length === 0}
+              className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              title="Previous result (Shift+Enter)"
+            >
+              <ChevronUp className="h-4 w-4" />
+            </button>
+            <button
+              onClick={onNext}
+              disabled={results.length === 0}
+              className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              title="Next result (Enter)"
+            >
+              <ChevronDown className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 overflow-y-auto">
+        {results.length === 0 ? (
+          <div className="flex flex-col items-center justify-center h-full text-center p-6">
+            <Search className="h-16 w-16 text-gray-300 mb-4" />
+            <p className="text-gray-600 font-medium mb-2">
+              {query && !searching ? `No matches for "${query}"` : 'Find words in this PDF'}
+            </p>
+            <p className="text-sm text-gray-500">Press Enter to search, then Enter again for the next match</p>
+          </div>
+        ) : (
+          <div className="p-2">
+            <p className="text-xs text-gray-500 px-2 py-1">
+              {results.length} {results.length === 1 ? 'match' : 'matches'} on {pageCount} {pageCount === 1 ? 'page' : 'pages'}
+            </p>
+            {results.map((result, index) => (
+              <button
+                key={result.id}
+                ref={index === activeIndex ? activeRef : null}
+                onClick={() => onResultClick(index)}
+                className={`w-full text-left rounded-lg px-3 py-2 text-sm transition-colors ${
+                  index === activeIndex ? 'bg-blue-50 ring-1 ring-blue-300' : 'hover:bg-gray-50'
+                }`}
+              >
+                <span className="block text-xs font-semibold text-gray-500 mb-0.5">Page {result.page}</span>
+                <span className="text-gray-700 break-words">
+                  {result.snippet.before}
+                  <mark className="bg-yellow-200 text-gray-900 rounded-sm">{result.snippet.match}</mark>
+                  {result.snippet.after}
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -1,7 +1,7 @@
 // FILE PATH: frontend/src/components/student/StudentDashboard.js
 // ✅ COMPLETE VERSION: Teacher names + PDF status badges + All previous fixes
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { 
   BookOpen, Plus, Calendar, Clock, Users, TrendingUp,
@@ -12,10 +12,17 @@ import {
 import StudyPlan from './StudyPlan';
 import StudentPDFViewer from './StudentPDFViewer';
 import WebcamMonitor from './WebcamMonitor';
+import DataTransparencyPanel from './DataTransparencyPanel';
 import MetricsPanel from './MetricsPanel';
+import HealthMonitor from './HealthMonitor';
 import Analytics from '../shared/Analytics';
 import Notifications from '../shared/Notifications';
+import useNotifications from '../../hooks/useNotifications';
 import { authAPI, roomsAPI, routinesAPI, interactionsAPI, sessionsAPI } from '../../services/api';
+import { isPrivacyModeRoom } from '../../utils/privacyMode';
+import { isProctoredRoom } from '../../utils/proctoring';
+import { getRoomMonitoringPolicy, getSessionEngagementWeights } from '../../utils/monitoringPolicy';
+import { averageSessionEngagement } from '../../utils/engagementScoring';
 
 const StudentDashboard = () => {
   const navigate = useNavigate();
@@ -35,15 +42,22 @@ const StudentDashboard = () => {
   const [filterSubject, setFilterSubject] = useState('all');
   const [expandedRoutine, setExpandedRoutine] = useState(null);
   const [uploadingPDF, setUploadingPDF] = useState({});
+  const { notifications, markAsRead, markAllAsRead } = useNotifications({ listen: true });
   
   const [stats, setStats] = useState({
     totalHours: 0,
     thisWeek: 0,
-    avgEngagement: 0,
     completedSessions: 0,
     streak: 0,
     rank: 0
   });
+  const [recentSessions, setRecentSessions] = useState([]);
+
+  // Scored by the shared engine with each session's room weights, like the teacher's reports
+  const avgEngagement = useMemo(
+    () => averageSessionEngagement(recentSessions, session => getSessionEngagementWeights(session, rooms)) ?? 0,
+    [recentSessions, rooms]
+  );
 
   const [currentMetrics, setCurrentMetrics] = useState({
     faceDetected: false,
@@ -58,6 +72,33 @@ const StudentDashboard = () => {
     distractionCount: 0
   });
 
+  // Rolling health history for HealthMonitor (last ~60 updates)
+  const [healthMetrics, setHealthMetrics] = useState({
+    blinkRates: [],
+    postureScores: [],
+    yawnCount: 0,
+    headDrops: 0,
+    microSleeps: 0,
+    perclos: 0
+  });
+  const [sessionDuration, setSessionDuration] = useState(0);
+  const [readingPosition, setReadingPosition] = useState(null);
+  const [focusMode, setFocusMode] = useState(false); // Reported by StudentPDFViewer
+
+  // Coarse session clock for HealthMonitor - it only needs minute-level precision
+  useEffect(() => {
+    if (!activeSession) {
+      setSessionDuration(0);
+      return;
+    }
+
+    const startedAt = new Date(activeSession.session?.startTime || activeSession.session?.createdAt || Date.now()).getTime();
+    const tick = () => setSessionDuration(Math.max(0, Math.floor((Date.now() - startedAt) / 1000)));
+    tick();
+    const interval = setInterval(tick, 30000);
+    return () => clearInterval(interval);
+  }, [activeSession]);
+
   useEffect(() => {
     checkActiveSession();
     fetchUserData();
@@ -259,19 +300,25 @@ const StudentDashboard = () => {
       
       const totalHours = parseFloat(analytics.totalHours) || 0;
       const thisWeek = parseFloat(analytics.thisWeek) || 0;
-      const avgEngagement = parseFloat(analytics.avgEngagement) || 0;
       
       setStats({
         totalHours: totalHours.toFixed(1),
         thisWeek: thisWeek.toFixed(1),
-        avgEngagement: avgEngagement.toFixed(0),
         completedSessions: parseInt(analytics.completedSessions) || 0,
         streak: parseInt(analytics.streak) || 0,
         rank: parseInt(analytics.rank) || 0
       });
     } catch (error) {
       console.error('Error fetching stats:', error);
-      setStats({ totalHours: '0.0', thisWeek: '0.0', avgEngagement: '0', completedSessions: 0, streak: 0, rank: 0 });
+      setStats({ totalHours: '0.0', thisWeek: '0.0', completedSessions: 0, streak: 0, rank: 0 });
+    }
+
+    try {
+      const response = await sessionsAPI.getRecent();
+      setRecentSessions(Array.isArray(response.data) ? response.data : []);
+    } catch (error) {
+      console.error('Error fetching recent sessions:', error);
+      setRecentSessions([]);
     }
   };
 
@@ -431,11 +478,21 @@ const StudentDashboard = () => {
     }
     
     setActiveSession(null);
+    setReadingPosition(null);
+    setFocusMode(false);
     setResumableSession(null);
   };
 
   const handleMetricsUpdate = (newMetrics) => {
     setCurrentMetrics(prev => ({ ...prev, ...newMetrics }));
+    setHealthMetrics(prev => ({
+      blinkRates: [...prev.blinkRates, newMetrics.blinkRate].filter(rate => rate !== undefined).slice(-60),
+      postureScores: [...prev.postureScores, Math.round(newMetrics.postureScore || 0)].slice(-60),
+      yawnCount: newMetrics.yawnCount ?? prev.yawnCount,
+      headDrops: newMetrics.headDrops ?? prev.headDrops,
+      microSleeps: newMetrics.microSleeps ?? prev.microSleeps,
+      perclos: newMetrics.perclos ?? prev.perclos
+    }));
   };
 
   const handleLogout = () => {
@@ -468,15 +525,39 @@ const StudentDashboard = () => {
   }
 
   if (activeSession) {
+    // Focus mode moves the monitoring sidebar off screen (still running, so the camera keeps
+    // working); proctored rooms keep it, since its fullscreen warnings can't be paused
+    const hideSidebar = focusMode && !(activeSession.type === 'room' && isProctoredRoom(activeSession.room));
     return (
       <div className="min-h-screen bg-gray-900">
         <div className="flex h-screen">
           <div className="flex-1">
-            <StudentPDFViewer session={activeSession} onEndSession={handleEndSession} />
+            <StudentPDFViewer
+              session={activeSession}
+              userId={user?._id}
+              onEndSession={handleEndSession}
+              onPageChange={setReadingPosition}
+              onFocusModeChange={setFocusMode}
+            />
           </div>
-          <div className="w-96 bg-gray-800 p-4 space-y-4 overflow-y-auto">
-            <WebcamMonitor session={activeSession} sessionId={activeSession.session._id} onMetricsUpdate={handleMetricsUpdate} />
+          <div className={`w-96 bg-gray-800 p-4 space-y-4 overflow-y-auto ${hideSidebar ? 'fixed top-0 left-full h-screen' : ''}`}>
+            <WebcamMonitor
+              session={activeSession}
+              sessionId={activeSession.session._id}
+              userId={user?._id}
+              readingPosition={readingPosition}
+              onMetricsUpdate={handleMetricsUpdate}
+            />
             <MetricsPanel sessionId={activeSession.session._id} metrics={currentMetrics} />
+            <HealthMonitor
+              metrics={healthMetrics}
+              duration={sessionDuration}
+              thresholds={getRoomMonitoringPolicy(activeSession.type === 'room' ? activeSession.room : null).thresholds}
+            />
+            <DataTransparencyPanel
+              sessionId={activeSession.session._id}
+              privacyMode={activeSession.type === 'room' && isPrivacyModeRoom(activeSession.room)}
+            />
           </div>
         </div>
       </div>
@@ -498,7 +579,7 @@ const StudentDashboard = () => {
             <h1 className="text-3xl font-bold text-gray-800">My Analytics</h1>
             <div className="w-32"></div>
           </div>
-          <Analytics type="student" />
+          <Analytics type="student" rooms={rooms} />
         </div>
       </div>
     );
@@ -518,7 +599,19 @@ const StudentDashboard = () => {
             </div>
           </div>
           <div className="flex items-center space-x-4">
-            <Notifications />
+            <Notifications
+              notifications={notifications.map(notification => ({
+                _id: notification.id,
+                type: notification.type,
+                message: notification.message,
+                timestamp: notification.timestamp,
+                roomTitle: notification.roomTitle,
+                read: notification.read
+              }))}
+              onMarkAsRead={markAsRead}
+              onClearAll={markAllAsRead}
+              clearAllLabel="Mark All as Read"
+            />
             <button className="p-2 hover:bg-gray-100 rounded-full transition-colors">
               <Settings className="h-5 w-5 text-gray-600" />
             </button>
@@ -603,7 +696,7 @@ const StudentDashboard = () => {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm text-gray-600 mb-1">Avg Engagement</p>
-                <p className="text-3xl font-bold text-gray-800">{stats.avgEngagement}%</p>
+                <p className="text-3xl font-bold text-gray-800">{avgEngagement}%</p>
               </div>
               <TrendingUp className="h-12 w-12 text-purple-500 opacity-80" />
             </div>
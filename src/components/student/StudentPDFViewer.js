@@ -17,17 +17,71 @@ import {
   Share2,
   AlertCircle,
   Trash2,
-  CheckCircle
+  CheckCircle,
+  Cloud,
+  CloudOff,
+  RefreshCw,
+  Presentation,
+  StickyNote,
+  HelpCircle,
+  Search,
+  PanelLeft,
+  Bookmark,
+  File as FileIcon,
+  GalleryVertical,
+  Volume2,
+  Sun,
+  Sunset,
+  Moon,
+  Focus,
+  Minimize2
 } from 'lucide-react';
 import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
 import 'react-pdf/dist/esm/Page/TextLayer.css';
 
 import { sessionsAPI, interactionsAPI } from '../../services/api';
+import { enqueueInteraction, flushQueue, removeQueuedInteraction, subscribeToDeliveries } from '../../services/interactionQueue';
+import useInteractionQueue from '../../hooks/useInteractionQueue';
+import useSharedAnnotations from '../../hooks/useSharedAnnotations';
+import useRoomQuestions from '../../hooks/useRoomQuestions';
+import usePdfSearch from '../../hooks/usePdfSearch';
+import useReadAloud from '../../hooks/useReadAloud';
+import useFocusParagraph from '../../hooks/useFocusParagraph';
+import { SOCKET_EVENTS } from '../../services/socket';
+import { subscribeToNotifications, addNotification, markNotificationRead } from '../../services/notificationStore';
+import NotificationBanner from '../shared/NotificationBanner';
+import AnnotationPanel from './AnnotationPanel';
+import QuestionPanel from './QuestionPanel';
+import SearchPanel from './SearchPanel';
+import PageNavigator from './PageNavigator';
+import BookmarkPanel from './BookmarkPanel';
+import ContinuousPages from './ContinuousPages';
+import ReadAloudBar from './ReadAloudBar';
+import { EmotionChart } from '../shared/Charts';
+import { buildEmotionTimeline, summarizeEmotionTimeline } from '../../utils/expressionClassifier';
+import { scoreSessionInteractions } from '../../utils/engagementScoring';
+import { getRoomEngagementWeights } from '../../utils/monitoringPolicy';
+import { PRESENTER_TIMEOUT_MS } from '../../utils/presenterSync';
+import { MAX_QUESTION_LENGTH, buildAnsweredNotification } from '../../utils/roomQuestions';
+import { buildPageMarkers } from '../../utils/pageNavigation';
+import { VIEW_MODES, READER_THEMES, getReaderPreferences, saveReaderPreferences } from '../../utils/readerPreferences';
+import { getThemeStyles, getNextTheme } from '../../utils/readerThemes';
 
 pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
 
-const StudentPDFViewer = ({ session, onEndSession }) => {
+// Position style for a box given in % of the page
+const toPercentBox = ({ top, left, width, height }) => ({
+  top: `${top}%`,
+  left: `${left}%`,
+  width: `${width}%`,
+  height: `${height}%`
+});
+
+const THEME_ICONS = { [READER_THEMES.LIGHT]: Sun, [READER_THEMES.SEPIA]: Sunset, [READER_THEMES.DARK]: Moon };
+
+const StudentPDFViewer = ({ session, userId, onEndSession, onPageChange, onFocusModeChange }) => {
   const [numPages, setNumPages] = useState(null);
+  const [pdfDocument, setPdfDocument] = useState(null);
   const [pageNumber, setPageNumber] = useState(1);
   const [scale, setScale] = useState(1.2);
   const [pdfUrl, setPdfUrl] = useState('');
@@ -45,13 +99,84 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
   });
   const [showSummary, setShowSummary] = useState(false);
   const [aiInsights, setAiInsights] = useState('');
+  const [emotionTimeline, setEmotionTimeline] = useState([]);
+  const [sessionEngagement, setSessionEngagement] = useState(null);
+  const [nudges, setNudges] = useState([]); // Teacher nudges waiting for a response, oldest first
+  const [presenter, setPresenter] = useState(null); // Teacher's presenter state while presenting
+  const [following, setFollowing] = useState(true);
+  const [pointer, setPointer] = useState(null);
+  const [roomSocket, setRoomSocket] = useState(null); // Same as socketRef, as state so hooks can subscribe
+  const [sidePanel, setSidePanel] = useState(null); // null | 'search' | 'annotations' | 'questions'
+  const [askMode, setAskMode] = useState(false); // Selections open the question composer instead of highlighting
+  const [questionDraft, setQuestionDraft] = useState(null); // { page, text, rects, question, anonymous }
+  const [notifications, setNotifications] = useState([]);
+  const [showNavigator, setShowNavigator] = useState(false); // Thumbnails / outline sidebar
+  const [showBookmarks, setShowBookmarks] = useState(false);
+  const [bookmarks, setBookmarks] = useState([]); // Reported by BookmarkPanel
+  const [viewMode, setViewMode] = useState(() => getReaderPreferences().viewMode);
+  const [showReadAloud, setShowReadAloud] = useState(false);
+  const [theme, setTheme] = useState(() => getReaderPreferences().theme);
+  const [focusMode, setFocusMode] = useState(false); // Chrome hidden, all but the current paragraph dimmed
   const [duration, setDuration] = useState(0);
 
   const socketRef = useRef(null);
   const pageStartTimeRef = useRef(new Date());
+  const viewedPageRef = useRef(null); // Page the student is on, so a page change logs the page they left
   const timerRef = useRef(null);
   const viewerRef = useRef(null);
   const sessionEndedRef = useRef(false); // ✅ Track if session already ended
+  const presenterTimeoutRef = useRef(null);
+  const pendingMatchScrollRef = useRef(null); // Search match to scroll to once its page has rendered
+  const listeningRef = useRef(null); // { startedAt, page, rate } while read aloud is playing
+  const modeTimeRef = useRef({ themes: {}, focusMode: 0 }); // Seconds spent in each reading mode
+  const modeSegmentRef = useRef(null); // { theme, focusMode, startedAt } of the current stretch
+  const queueStatus = useInteractionQueue();
+  const roomAnnotations = useSharedAnnotations(session?.type === 'room' ? session?.room?._id : null, {
+    viewer: { userId, sessionId: session?.sessionId, role: 'student' },
+    socket: roomSocket
+  });
+  const pdfSearch = usePdfSearch(pdfDocument);
+  const readAloud = useReadAloud({
+    pdf: pdfDocument,
+    page: pageNumber,
+    onPageEnd: (page) => goToPage(page),
+    containerRef: viewerRef
+  });
+  const isListeningRef = useRef(false);
+  isListeningRef.current = readAloud.isPlaying;
+  const focusParagraph = useFocusParagraph({
+    pdf: pdfDocument,
+    enabled: focusMode,
+    page: pageNumber,
+    onPageChange: (page) => goToPage(page),
+    containerRef: viewerRef
+  });
+  const roomQuestions = useRoomQuestions(session?.type === 'room' ? session?.room?._id : null, {
+    socket: roomSocket
+  });
+
+  // Latest callback without re-running the page-change effect on every parent render
+  const onPageChangeRef = useRef(onPageChange);
+  onPageChangeRef.current = onPageChange;
+  const onFocusModeChangeRef = useRef(onFocusModeChange);
+  onFocusModeChangeRef.current = onFocusModeChange;
+
+  // Tell the teacher the nudge was seen and log the response for the report
+  const respondToNudge = useCallback((nudge, response) => {
+    const respondedAt = new Date().toISOString();
+    socketRef.current?.emit(SOCKET_EVENTS.RESPOND_TO_NUDGE, {
+      roomId: session?.room?._id,
+      sessionId: session?.sessionId,
+      nudgeId: nudge.id,
+      response,
+      respondedAt
+    });
+    if (session?.sessionId) {
+      enqueueInteraction(session.sessionId, 'nudge_response', { nudgeId: nudge.id, response, respondedAt })
+        .catch(err => console.error('Failed to queue nudge response:', err));
+    }
+    setNudges(prev => prev.filter(n => n.id !== nudge.id));
+  }, [session?.room?._id, session?.sessionId]);
 
   // ✅ CORRECTED: New loadPDF function that uses documentPath from session
   const loadPDF = useCallback(() => {
@@ -121,7 +246,8 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
   }, [session]);
 
   // Robust loadHighlights: supports backend returning array, response.data array, or array wrapped differently
-  const loadHighlights = useCallback(async () => {
+  // With `deliveredIds`, highlights made offline that are still queued stay alongside the reloaded ones
+  const loadHighlights = useCallback(async (deliveredIds = null) => {
     if (!session?.sessionId) return;
 
     try {
@@ -163,8 +289,11 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         rects: interaction.data?.rects || interaction.rects || []
       }));
 
-      setHighlights(loadedHighlights);
-      setSessionData(prev => ({ ...prev, highlights: loadedHighlights }));
+      const stillQueued = (list) => (deliveredIds
+        ? list.filter(h => h.pending && !deliveredIds.has(h.id))
+        : []);
+      setHighlights(prev => [...loadedHighlights, ...stillQueued(prev)]);
+      setSessionData(prev => ({ ...prev, highlights: [...loadedHighlights, ...stillQueued(prev.highlights)] }));
       console.log(`✅ Loaded ${loadedHighlights.length} highlights`);
     } catch (error) {
       console.error('❌ Error loading highlights:', error);
@@ -175,14 +304,23 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
   }, [session?.sessionId]);
 
   // Helper to send interaction and normalize response
+  // Highlights go straight to the API (we need the server id for deletion) and
+  // fall back to the outbox when offline; everything else is queued.
   const sendInteraction = useCallback(async (type, data = {}) => {
     if (!session?.sessionId) return null;
+
+    const payload = {
+      ...data,
+      page: data.page || pageNumber,
+      scale: data.scale || scale
+    };
+
+    if (type !== 'highlight') {
+      return enqueueInteraction(session.sessionId, type, payload);
+    }
+
     try {
-      const result = await interactionsAPI.saveInteraction(session.sessionId, type, {
-        ...data,
-        page: data.page || pageNumber,
-        scale: data.scale || scale
-      });
+      const result = await interactionsAPI.saveInteraction(session.sessionId, type, payload);
 
       // Normalize possible return shapes
       if (!result) return null;
@@ -194,8 +332,15 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
 
       return result;
     } catch (error) {
-      console.error(`❌ Error saving ${type} interaction:`, error);
-      return null;
+      if (error.response) {
+        console.error(`❌ Error saving ${type} interaction:`, error);
+        return null;
+      }
+
+      // Network failure - keep the highlight locally and let the outbox deliver it
+      console.warn(`📦 Offline, queued ${type} interaction for later sync.`);
+      const queued = await enqueueInteraction(session.sessionId, type, payload);
+      return queued ? { id: queued.client_id, pending: true } : null;
     }
   }, [session?.sessionId, pageNumber, scale]);
 
@@ -228,6 +373,42 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         sessionId: session.sessionId,
         roomId: session.room?._id
       });
+
+      socketRef.current.on(SOCKET_EVENTS.NUDGE, (nudge) => {
+        if (!nudge?.id) return;
+        console.log('👋 Nudge from teacher:', nudge.message);
+        // The teacher's side logs the nudge itself; only the response is logged here
+        setNudges(prev => (prev.some(n => n.id === nudge.id) ? prev : [...prev, nudge]));
+      });
+
+      // Presenter mode: the teacher re-sends its state every few seconds, so
+      // silence means the presentation is over
+      socketRef.current.on(SOCKET_EVENTS.PRESENTER_STATE, (state) => {
+        clearTimeout(presenterTimeoutRef.current);
+        if (!state?.active) {
+          setPresenter(null);
+          setPointer(null);
+          setFollowing(true);
+          return;
+        }
+        setPresenter(state);
+        presenterTimeoutRef.current = setTimeout(() => {
+          setPresenter(null);
+          setPointer(null);
+        }, PRESENTER_TIMEOUT_MS);
+      });
+
+      socketRef.current.on(SOCKET_EVENTS.PRESENTER_POINTER, ({ page, x, y } = {}) => {
+        setPointer(x === null || x === undefined ? null : { page, x, y });
+      });
+
+      // The dashboard may hear the same answer on the shared socket; the store keeps one copy
+      socketRef.current.on(SOCKET_EVENTS.QUESTION_ANSWERED, (payload) => {
+        const question = payload?.question || payload;
+        if (question?._id) addNotification(buildAnsweredNotification(question, session.room));
+      });
+
+      setRoomSocket(socketRef.current);
     }
 
     return () => {
@@ -238,7 +419,9 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
       if (socketRef.current) {
         socketRef.current.disconnect();
         socketRef.current = null;
+        setRoomSocket(null);
       }
+      clearTimeout(presenterTimeoutRef.current);
       if (timerRef.current) {
         clearInterval(timerRef.current);
         timerRef.current = null;
@@ -252,15 +435,34 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [session?.sessionId, session?.type, loadPDF, loadHighlights]);
 
+  // Highlights made offline carry their client_id until the outbox delivers them;
+  // reload so they pick up the server id that deleting them needs
+  useEffect(() => {
+    if (!session?.sessionId) return;
+    return subscribeToDeliveries((sessionId, records) => {
+      if (sessionId !== session.sessionId) return;
+      const delivered = records.filter(r => r.type === 'highlight').map(r => r.client_id);
+      if (delivered.length > 0) loadHighlights(new Set(delivered));
+    });
+  }, [session?.sessionId, loadHighlights]);
+
   useEffect(() => {
     if (!numPages) return;
 
+    // Also runs when only the zoom changes (sendInteraction depends on it)
+    const leftPage = viewedPageRef.current;
+    if (leftPage === pageNumber) return;
+    viewedPageRef.current = pageNumber;
+
     const timeOnPage = Math.floor((new Date() - pageStartTimeRef.current) / 1000);
 
-    sendInteraction('page_change', {
-      prevPage: pageNumber,
-      duration: timeOnPage,
-    });
+    // `prevPage` is the page just left, and `duration` the time spent on it
+    if (leftPage !== null) {
+      sendInteraction('page_change', {
+        prevPage: leftPage,
+        duration: timeOnPage,
+      });
+    }
 
     setSessionData(prev => ({
       ...prev,
@@ -268,15 +470,54 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         ...prev.pageVisits,
         [pageNumber]: (prev.pageVisits[pageNumber] || 0) + 1
       },
-      totalTimeOnPage: {
+      totalTimeOnPage: leftPage === null ? prev.totalTimeOnPage : {
         ...prev.totalTimeOnPage,
-        [pageNumber]: (prev.totalTimeOnPage[pageNumber] || 0) + timeOnPage
+        [leftPage]: (prev.totalTimeOnPage[leftPage] || 0) + timeOnPage
       }
     }));
 
     pageStartTimeRef.current = new Date();
+    onPageChangeRef.current?.({
+      page: pageNumber,
+      pageStartedAt: pageStartTimeRef.current.getTime(),
+      listening: isListeningRef.current
+    });
   }, [pageNumber, numPages, sendInteraction]);
 
+  // Follow mode: mirror the presenter's page and zoom
+  useEffect(() => {
+    if (!presenter || !following) return;
+    if (presenter.page) setPageNumber(Math.max(1, Math.min(presenter.page, numPages || presenter.page)));
+    if (presenter.scale) setScale(presenter.scale);
+  }, [presenter, following, numPages]);
+
+  // Let the teacher see who is on which page while presenting
+  const isPresenting = !!presenter;
+  useEffect(() => {
+    if (!isPresenting) return;
+    socketRef.current?.emit(SOCKET_EVENTS.FOLLOW_STATUS, {
+      roomId: session?.room?._id,
+      sessionId: session?.sessionId,
+      page: pageNumber,
+      following
+    });
+  }, [isPresenting, pageNumber, following, session?.room?._id, session?.sessionId]);
+
+  useEffect(() => subscribeToNotifications(setNotifications), []);
+
+  // Ctrl/Cmd+F opens the document search instead of the browser's
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'f') {
+        e.preventDefault();
+        setFocusMode(false);
+        setSidePanel('search');
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
   useEffect(() => {
     const handleScroll = () => {
       if (!viewerRef.current) return;
@@ -302,55 +543,77 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
     }
   }, [sendInteraction]);
 
-  const onDocumentLoadSuccess = ({ numPages }) => {
-    setNumPages(numPages);
+  const onDocumentLoadSuccess = (pdf) => {
+    setNumPages(pdf.numPages);
+    setPdfDocument(pdf);
     setPdfError('');
-    console.log('✅ PDF loaded successfully:', numPages, 'pages');
+    console.log('✅ PDF loaded successfully:', pdf.numPages, 'pages');
+  };
+
+  // Current text selection as { text, rects, page } with rects in percentages of the page, or null
+  const getSelectionAnchor = (selection) => {
+    if (!selection || selection.rangeCount === 0) return null;
+    const text = selection.toString().trim();
+    if (!text) return null;
+
+    // Get bounding rectangles for the selected text
+    const range = selection.getRangeAt(0);
+    const rects = Array.from(range.getClientRects());
+
+    // Find the page the selection starts on (any rendered page in continuous mode)
+    const startElement = range.startContainer.nodeType === Node.ELEMENT_NODE
+      ? range.startContainer
+      : range.startContainer.parentElement;
+    let pageElement = startElement?.closest('.react-pdf__Page') || null;
+    if (!pageElement && viewerRef.current) {
+      pageElement =
+        viewerRef.current.querySelector(`.react-pdf__Page[data-page-number="${pageNumber}"]`) ||
+        viewerRef.current.querySelector('.react-pdf__Page');
+    }
+
+    if (!pageElement || rects.length === 0) {
+      console.warn('Could not get selection position');
+      return null;
+    }
+
+    const pageRect = pageElement.getBoundingClientRect();
+
+    // Convert screen coordinates to PDF page coordinates (percentage-based)
+    return {
+      text,
+      page: Number(pageElement.dataset.pageNumber) || pageNumber,
+      rects: rects.map(rect => ({
+        left: ((rect.left - pageRect.left) / pageRect.width) * 100,
+        top: ((rect.top - pageRect.top) / pageRect.height) * 100,
+        width: (rect.width / pageRect.width) * 100,
+        height: (rect.height / pageRect.height) * 100
+      }))
+    };
   };
 
   // ENHANCED: Save highlight with position coordinates (robust)
   const handleTextSelection = async () => {
     try {
       const selection = window.getSelection();
-      if (!selection || selection.rangeCount === 0) return;
-      const text = selection.toString().trim();
+      const anchor = getSelectionAnchor(selection);
+      if (!anchor) return;
 
-      if (!text) return;
+      const { text, rects: highlightRects, page } = anchor;
       setSelectedText(text);
 
-      // Get bounding rectangles for the selected text
-      const range = selection.getRangeAt(0);
-      const rects = Array.from(range.getClientRects());
-
-      // Find the page element that corresponds to current pageNumber
-      let pageElement = null;
-      if (viewerRef.current) {
-        pageElement =
-          viewerRef.current.querySelector(`.react-pdf__Page[data-page-number="${pageNumber}"]`) ||
-          viewerRef.current.querySelector('.react-pdf__Page');
-      }
-
-      if (!pageElement || rects.length === 0) {
-        console.warn('Could not get selection position');
+      // Ask mode: the selection becomes the question's anchor instead of a highlight
+      if (askMode) {
+        setQuestionDraft({ page, text, rects: highlightRects, question: '', anonymous: true });
+        setTimeout(() => selection.removeAllRanges(), 100);
         return;
       }
 
-      const pageRect = pageElement.getBoundingClientRect();
-
-      // Convert screen coordinates to PDF page coordinates (percentage-based)
-      const highlightRects = rects.map(rect => ({
-        left: ((rect.left - pageRect.left) / pageRect.width) * 100,
-        top: ((rect.top - pageRect.top) / pageRect.height) * 100,
-        width: (rect.width / pageRect.width) * 100,
-        height: (rect.height / pageRect.height) * 100
-      }));
-
       // Save to backend with position data
       const savedInteraction = await sendInteraction('highlight', {
         text,
         rects: highlightRects,
         color: '#FFEB3B',
-        page: pageNumber
+        page
       });
 
       let created = null;
@@ -368,10 +631,11 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         const newHighlight = {
           id: created._id || created.id,
           text,
-          page: pageNumber,
+          page,
           timestamp: created.timestamp || created.createdAt || Date.now(),
           color: created.data?.color || created.color || '#FFEB3B',
-          rects: created.data?.rects || highlightRects
+          rects: created.data?.rects || highlightRects,
+          pending: !!created.pending
         };
 
         setHighlights(prev => [...prev, newHighlight]);
@@ -393,7 +657,13 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
   const deleteHighlight = async (highlightId) => {
     try {
       if (!highlightId) return;
-      await interactionsAPI.deleteInteraction(highlightId);
+
+      // Highlights created offline only exist in the outbox until they sync
+      const highlight = highlights.find(h => h.id === highlightId);
+      const removedFromQueue = highlight?.pending && await removeQueuedInteraction(highlightId);
+      if (!removedFromQueue) {
+        await interactionsAPI.deleteInteraction(highlightId);
+      }
 
       setHighlights(prev => prev.filter(h => h.id !== highlightId));
       setSessionData(prev => ({
@@ -408,14 +678,348 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
     }
   };
 
+  // Navigating by hand while the teacher presents breaks away from follow mode
+  const breakAway = () => {
+    if (presenter && following) setFollowing(false);
+  };
+
+  // Continuous mode only reports pages the reader scrolled to (wheel, scrollbar, keys), never
+  // jumps made from here, so landing anywhere but the presenter's page is the reader's own doing
+  const followStateRef = useRef({ presenter, following });
+  followStateRef.current = { presenter, following };
+  const handleScrolledToPage = useCallback((page) => {
+    const { presenter: currentPresenter, following: isFollowing } = followStateRef.current;
+    if (currentPresenter && isFollowing && page !== currentPresenter.page) setFollowing(false);
+    setPageNumber(page);
+  }, []);
+
   const changePage = (offset) => {
+    breakAway();
     setPageNumber(prevPageNumber => {
       const newPage = prevPageNumber + offset;
       return Math.max(1, Math.min(newPage, numPages || prevPageNumber));
     });
   };
 
+  const goToPage = (page) => {
+    breakAway();
+    setPageNumber(Math.max(1, Math.min(page, numPages || page)));
+  };
+
+  // ---------- Shared annotations (room sessions) ----------
+  const createAnnotation = async (data) => {
+    const created = await roomAnnotations.create(data);
+    if (!created) {
+      alert('Failed to save annotation. Please try again.');
+      return null;
+    }
+    sendInteraction('annotation', {
+      annotationId: created._id,
+      annotationType: data.type,
+      page: data.page_number,
+      visibility: data.visibility
+    });
+    return created;
+  };
+
+  const updateAnnotation = async (annotationId, changes) => {
+    const saved = await roomAnnotations.update(annotationId, changes);
+    if (!saved) alert('Failed to update annotation. Please try again.');
+    return saved;
+  };
+
+  const deleteAnnotation = async (annotationId) => {
+    const removed = await roomAnnotations.remove(annotationId);
+    if (!removed) alert('Failed to delete annotation. Please try again.');
+  };
+
+  const replyToAnnotation = async (annotationId, content) => {
+    const saved = await roomAnnotations.reply(annotationId, content);
+    if (!saved) alert('Failed to send reply. Please try again.');
+    return saved;
+  };
+
+  // ---------- Document search ----------
+  // Logged so teachers can see which terms students look for
+  const runSearch = async (query, options) => {
+    const results = await pdfSearch.search(query, options);
+    // Superseded searches are logged by the search that replaced them
+    if (!results || !query.trim()) return;
+    sendInteraction('search', {
+      query: query.trim(),
+      matchCase: !!options.matchCase,
+      wholeWord: !!options.wholeWord,
+      resultCount: results.length
+    });
+  };
+
+  const activeSearchResult = pdfSearch.activeResult;
+  useEffect(() => {
+    if (!activeSearchResult) return;
+    pendingMatchScrollRef.current = activeSearchResult.id;
+    goToPage(activeSearchResult.page);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activeSearchResult]);
+
+  // Bring the current match into view once the text layer has painted it, only
+  // once per match so pages re-rendering while scrolling don't pull the view back
+  const scrollToActiveMatch = () => {
+    const match = viewerRef.current?.querySelector('.pdf-search-active');
+    if (!match || pendingMatchScrollRef.current !== activeSearchResult?.id) return;
+    pendingMatchScrollRef.current = null;
+    match.scrollIntoView({ block: 'center' });
+  };
+
+  // ---------- Read aloud ----------
+  // Listening is logged per page so it counts as reading, not as time idling on a page
+  const logListening = useCallback(() => {
+    const listening = listeningRef.current;
+    if (!listening) return;
+    listeningRef.current = null;
+    const duration = Math.round((Date.now() - listening.startedAt) / 1000);
+    if (duration > 0) {
+      sendInteraction('read_aloud', { page: listening.page, duration, rate: listening.rate });
+    }
+  }, [sendInteraction]);
+
+  const isListening = readAloud.isPlaying;
+  const readAloudRate = readAloud.rate;
+  useEffect(() => {
+    if (!isListening) return;
+    listeningRef.current = { startedAt: Date.now(), page: pageNumber, rate: readAloudRate };
+    return logListening;
+  }, [isListening, readAloudRate, pageNumber, logListening]);
+
+  // The teacher's wall shows the student as listening rather than idle on the page
+  useEffect(() => {
+    if (!numPages) return;
+    onPageChangeRef.current?.({
+      page: pageNumber,
+      pageStartedAt: pageStartTimeRef.current.getTime(),
+      listening: isListening
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isListening]);
+
+  const closeReadAloud = () => {
+    readAloud.stop();
+    setShowReadAloud(false);
+  };
+
+  // ---------- Reading theme and focus mode ----------
+  // Time in each theme and in focus mode, saved with the session as the student's reading preferences
+  const closeModeSegment = useCallback(() => {
+    const segment = modeSegmentRef.current;
+    if (!segment) return;
+    modeSegmentRef.current = null;
+    const seconds = (Date.now() - segment.startedAt) / 1000;
+    const totals = modeTimeRef.current;
+    totals.themes[segment.theme] = (totals.themes[segment.theme] || 0) + seconds;
+    if (segment.focusMode) totals.focusMode += seconds;
+  }, []);
+
+  useEffect(() => {
+    modeSegmentRef.current = { theme, focusMode, startedAt: Date.now() };
+    return closeModeSegment;
+  }, [theme, focusMode, closeModeSegment]);
+
+  const logReadingModes = () => {
+    closeModeSegment();
+    const { themes, focusMode: focusSeconds } = modeTimeRef.current;
+    sendInteraction('reading_modes', {
+      themes: Object.fromEntries(Object.entries(themes).map(([name, seconds]) => [name, Math.round(seconds)])),
+      focusMode: Math.round(focusSeconds),
+      theme
+    });
+  };
+
+  const cycleTheme = () => {
+    const nextTheme = getNextTheme(theme);
+    setTheme(nextTheme);
+    saveReaderPreferences({ theme: nextTheme });
+  };
+
+  // The dashboard hides its monitoring sidebar while the student is in focus mode
+  useEffect(() => {
+    onFocusModeChangeRef.current?.(focusMode);
+  }, [focusMode]);
+
+  // Focus mode keys: arrows step through paragraphs and pages, Escape leaves
+  useEffect(() => {
+    if (!focusMode) return;
+    const handleKeyDown = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+      const actions = {
+        Escape: () => setFocusMode(false),
+        ArrowDown: focusParagraph.next,
+        ArrowUp: focusParagraph.previous,
+        ArrowRight: () => changePage(1),
+        ArrowLeft: () => changePage(-1)
+      };
+      if (!actions[e.key]) return;
+      e.preventDefault();
+      actions[e.key]();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [focusMode, focusParagraph.next, focusParagraph.previous]);
+
+  const themeStyles = getThemeStyles(theme);
+  const ThemeIcon = THEME_ICONS[theme] || Sun;
+
+  const toggleViewMode = () => {
+    const nextMode = viewMode === VIEW_MODES.CONTINUOUS ? VIEW_MODES.SINGLE : VIEW_MODES.CONTINUOUS;
+    setViewMode(nextMode);
+    saveReaderPreferences({ viewMode: nextMode });
+    sendInteraction('view_mode', { viewMode: nextMode });
+  };
+
+  // One page with everything drawn over it; the single-page view and every
+  // rendered page of the continuous view use the same layers
+  const renderPageContent = (page, pageProps = {}) => (
+    <>
+      <Page
+        pageNumber={page}
+        scale={scale}
+        renderTextLayer={true}
+        renderAnnotationLayer={true}
+        customTextRenderer={sidePanel === 'search' && pdfSearch.renderTextItem
+          ? pdfSearch.renderTextItem
+          : readAloud.renderTextItem}
+        onRenderTextLayerSuccess={() => {
+          scrollToActiveMatch();
+          readAloud.refreshHighlight();
+        }}
+        {...pageProps}
+      />
+
+      {/* Teacher's laser pointer */}
+      {presenter && following && pointer?.page === page && (
+        <div
+          className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full bg-red-500 shadow-[0_0_12px_4px_rgba(239,68,68,0.6)] pointer-events-none z-10"
+          style={{ left: `${pointer.x}%`, top: `${pointer.y}%` }}
+        />
+      )}
+
+      {/* Anchors of the room's questions on this page */}
+      {sidePanel === 'questions' && (
+        <div className="absolute top-0 left-0 w-full h-full pointer-events-none">
+          {roomQuestions.questions
+            .filter(q => q.page === page && q.rects?.length > 0)
+            .map(question => question.rects.map((rect, idx) => (
+              <div
+                key={`${question._id}-${idx}`}
+                className={`absolute border-b-2 ${question.answer ? 'border-green-500' : 'border-blue-500'}`}
+                style={{
+                  left: `${rect.left}%`,
+                  top: `${rect.top}%`,
+                  width: `${rect.width}%`,
+                  height: `${rect.height}%`
+                }}
+                title={question.question}
+              />
+            )))}
+        </div>
+      )}
+
+      {/* Highlight Overlay Layer */}
+      <div
+        className="absolute top-0 left-0 w-full h-full pointer-events-none"
+        style={{ mixBlendMode: themeStyles.highlightBlendMode }}
+      >
+        {highlights
+          .filter(h => h.page === page && h.rects && h.rects.length > 0)
+          .map((highlight) => (
+            <React.Fragment key={highlight.id}>
+              {highlight.rects.map((rect, idx) => (
+                <div
+                  key={`${highlight.id}-${idx}`}
+                  className="absolute transition-opacity hover:opacity-70 cursor-pointer pointer-events-auto"
+                  style={{
+                    left: `${rect.left}%`,
+                    top: `${rect.top}%`,
+                    width: `${rect.width}%`,
+                    height: `${rect.height}%`,
+                    backgroundColor: highlight.color,
+                    opacity: themeStyles.highlightOpacity
+                  }}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (window.confirm(`Delete this highlight?\n\n"${highlight.text}"`)) {
+                      deleteHighlight(highlight.id);
+                    }
+                  }}
+                  title={`Click to delete: ${highlight.text.substring(0, 50)}...`}
+                />
+              ))}
+            </React.Fragment>
+          ))}
+      </div>
+
+      {/* Focus mode: everything but the current paragraph is dimmed by the box's shadow */}
+      {focusParagraph.focus?.page === page && focusParagraph.paragraphs[page]?.[focusParagraph.focus.index] && (
+        <div
+          key={`focus-${page}-${focusParagraph.focus.index}`}
+          ref={focusParagraph.paragraphRef}
+          className="absolute rounded pointer-events-none z-20 transition-all duration-300"
+          style={{
+            ...toPercentBox(focusParagraph.paragraphs[page][focusParagraph.focus.index]),
+            boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.6)'
+          }}
+        />
+      )}
+    </>
+  );
+
+  // ---------- Room Q&A ----------
+  const openQuestionComposer = () => {
+    setQuestionDraft({ page: pageNumber, text: '', rects: [], question: '', anonymous: true });
+  };
+
+  const submitQuestion = async () => {
+    const question = questionDraft?.question.trim();
+    if (!question) return;
+
+    const created = await roomQuestions.ask({
+      question,
+      page: questionDraft.page,
+      text: questionDraft.text,
+      rects: questionDraft.rects,
+      anonymous: questionDraft.anonymous
+    });
+    if (!created) {
+      alert('Failed to post question. Please try again.');
+      return;
+    }
+
+    // Teachers can read session interactions, so anonymous questions aren't logged at all
+    if (!questionDraft.anonymous) {
+      sendInteraction('question', { questionId: created._id, page: questionDraft.page });
+    }
+    setQuestionDraft(null);
+    setAskMode(false);
+    setSidePanel('questions');
+  };
+
+  const toggleQuestionUpvote = async (question) => {
+    const saved = await roomQuestions.toggleUpvote(question);
+    if (!saved) alert('Failed to update vote. Please try again.');
+  };
+
+  const deleteQuestion = async (questionId) => {
+    const removed = await roomQuestions.remove(questionId);
+    if (!removed) alert('Failed to delete question. Please try again.');
+  };
+
+  const pageMarkers = buildPageMarkers({ highlights, annotations: roomAnnotations.annotations, bookmarks });
+
+  const roomId = session?.room?._id?.toString();
+  const answeredNotification = notifications.find(n =>
+    !n.read && n.type === 'question_answered' && (!n.roomId || n.roomId === roomId));
+
   const changeZoom = (delta) => {
+    breakAway();
     setScale(prevScale => {
       const next = Math.max(0.5, Math.min(prevScale + delta, 2.5));
       sendInteraction('zoom', { scale: next });
@@ -448,6 +1052,9 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
           duration: timeOnPage,
         });
       }
+      logListening();
+      readAloud.stop();
+      logReadingModes();
 
       if (timerRef.current) {
         clearInterval(timerRef.current);
@@ -458,6 +1065,9 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         socketRef.current = null;
       }
 
+      // Push out whatever is still queued before closing the session
+      await flushQueue();
+
       console.log(`Sending end session for ID: ${session?.sessionId}`);
       if (session?.sessionId) {
         try {
@@ -473,6 +1083,23 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         }
       }
 
+      if (shouldShowSummary && session?.sessionId) {
+        try {
+          const resp = await interactionsAPI.getInteractionsBySession(session.sessionId);
+          const interactions = Array.isArray(resp?.data) ? resp.data : [];
+          setEmotionTimeline(buildEmotionTimeline(interactions, sessionData.startTime));
+          setSessionEngagement(scoreSessionInteractions(
+            interactions,
+            getRoomEngagementWeights(session.type === 'room' ? session.room : null),
+            duration
+          ));
+        } catch (timelineError) {
+          console.log('Expression timeline not available:', timelineError);
+          setEmotionTimeline([]);
+          setSessionEngagement(null);
+        }
+      }
+
       if (shouldShowSummary) {
         try {
           const insightsResponse = await axios.post(
@@ -625,6 +1252,28 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
               </div>
             </div>
 
+            {sessionEngagement && (
+              <div className="bg-gray-50 rounded-xl p-6 mb-8">
+                <div className="flex items-baseline justify-between mb-4">
+                  <h3 className="text-xl font-semibold text-gray-800">Engagement</h3>
+                  <p className="text-3xl font-bold text-indigo-600">{sessionEngagement.score}%</p>
+                </div>
+                <div className="space-y-2">
+                  {sessionEngagement.breakdown.map(item => (
+                    <div key={item.factor} className="flex items-center text-sm">
+                      <span className="w-36 text-gray-600">{item.label}</span>
+                      <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden mx-3">
+                        <div className="h-full bg-indigo-500 rounded-full" style={{ width: `${item.value}%` }} />
+                      </div>
+                      <span className="w-28 text-right text-gray-500">
+                        {item.value}% × {Math.round(item.weight * 100)}%
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {aiInsights && (
               <div className="bg-gradient-to-br from-indigo-50 to-purple-50 rounded-xl p-6 mb-8">
                 <h3 className="text-xl font-semibold text-gray-800 mb-4 flex items-center">
@@ -637,6 +1286,19 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
               </div>
             )}
 
+            {emotionTimeline.length > 0 && (
+              <div className="bg-gray-50 rounded-xl p-6 mb-8">
+                <h3 className="text-xl font-semibold text-gray-800 mb-1">Focus & Mood</h3>
+                <p className="text-sm text-gray-500 mb-4">
+                  {Object.entries(summarizeEmotionTimeline(emotionTimeline))
+                    .filter(([, share]) => share > 0)
+                    .map(([state, share]) => `${state.charAt(0).toUpperCase() + state.slice(1)} ${share}%`)
+                    .join(' • ')}
+                </p>
+                <EmotionChart data={emotionTimeline} height={220} />
+              </div>
+            )}
+
             {highlights.length > 0 && (
               <div className="bg-gray-50 rounded-xl p-6 mb-8">
                 <h3 className="text-xl font-semibold text-gray-800 mb-4">
@@ -701,8 +1363,64 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
   // Main Viewer
   return (
     <div className="h-screen bg-gray-900 flex flex-col">
+      {/* Teacher nudge - stays until the student responds */}
+      {nudges.length > 0 && (
+        <NotificationBanner
+          key={nudges[0].id}
+          message={`${nudges[0].teacherName || 'Your teacher'}: ${nudges[0].message}`}
+          type="info"
+          icon="👋"
+          duration={0}
+          position="top-center"
+          action={{
+            label: nudges[0].page ? `Go to page ${nudges[0].page}` : 'Got it',
+            onClick: () => {
+              if (nudges[0].page) goToPage(nudges[0].page);
+              respondToNudge(nudges[0], 'acknowledged');
+            }
+          }}
+          onClose={() => respondToNudge(nudges[0], 'dismissed')}
+        />
+      )}
+
+      {/* Teacher answered one of the student's questions - held back in focus mode, it stays unread */}
+      {nudges.length === 0 && answeredNotification && !focusMode && (
+        <NotificationBanner
+          key={answeredNotification.id}
+          message={answeredNotification.message}
+          type="success"
+          icon="💬"
+          duration={0}
+          position="top-center"
+          action={{
+            label: 'View',
+            onClick: () => {
+              if (answeredNotification.link?.page) goToPage(answeredNotification.link.page);
+              setSidePanel('questions');
+              markNotificationRead(answeredNotification.id);
+            }
+          }}
+          onClose={() => markNotificationRead(answeredNotification.id)}
+        />
+      )}
+
+      {/* Focus mode: the only chrome left */}
+      {focusMode && (
+        <div className="fixed top-4 right-4 z-40 flex items-center gap-3 bg-gray-900 bg-opacity-80 text-gray-300 text-xs rounded-full pl-4 pr-1 py-1 opacity-40 hover:opacity-100 transition-opacity">
+          <span>Page {pageNumber} / {numPages || '...'} · ↑↓ paragraphs · ←→ pages</span>
+          <button
+            onClick={() => setFocusMode(false)}
+            className="flex items-center bg-gray-700 hover:bg-gray-600 text-white rounded-full px-3 py-1.5 transition-colors"
+            title="Leave focus mode (Esc)"
+          >
+            <Minimize2 className="h-3 w-3 mr-1" />
+            Exit focus
+          </button>
+        </div>
+      )}
+
       {/* Top Toolbar */}
-      <div className="bg-gray-800 text-white p-4 flex items-center justify-between shadow-lg">
+      <div className={`bg-gray-800 text-white p-4 flex items-center justify-between shadow-lg ${focusMode ? 'hidden' : ''}`}>
         <div className="flex items-center space-x-4">
           <h3 className="text-lg font-semibold">
             {session?.type === 'room' ? session.room?.title : session?.subject}
@@ -718,9 +1436,77 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         </div>
 
         <div className="flex items-center space-x-3">
+          {!queueStatus.online ? (
+            <span
+              className="flex items-center text-sm text-yellow-300"
+              title="You're offline. Activity is saved on this device and will sync automatically."
+            >
+              <CloudOff className="h-4 w-4 mr-1" />
+              Offline{queueStatus.pending > 0 && ` · ${queueStatus.pending} pending`}
+            </span>
+          ) : queueStatus.pending > 0 ? (
+            <button
+              onClick={() => queueStatus.flush()}
+              disabled={queueStatus.syncing}
+              className="flex items-center text-sm text-blue-300 hover:text-blue-200 disabled:cursor-default"
+              title={queueStatus.lastError ? `Last sync failed: ${queueStatus.lastError}` : 'Sync now'}
+            >
+              <RefreshCw className={`h-4 w-4 mr-1 ${queueStatus.syncing ? 'animate-spin' : ''}`} />
+              {queueStatus.syncing ? 'Syncing' : `${queueStatus.pending} pending`}
+            </button>
+          ) : (
+            <span className="flex items-center text-sm text-green-300" title="All activity saved">
+              <Cloud className="h-4 w-4 mr-1" />
+              Saved
+            </span>
+          )}
           <span className="text-sm text-gray-300">
             {highlights.length} highlights
           </span>
+          <button
+            onClick={() => setSidePanel(sidePanel === 'search' ? null : 'search')}
+            className={`flex items-center text-sm px-3 py-2 rounded-lg transition-colors ${
+              sidePanel === 'search' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+            }`}
+            title="Search this document (Ctrl+F)"
+          >
+            <Search className="h-4 w-4 mr-1" />
+            Search
+          </button>
+          {session?.type === 'room' && (
+            <>
+              <button
+                onClick={() => setSidePanel(sidePanel === 'annotations' ? null : 'annotations')}
+                className={`flex items-center text-sm px-3 py-2 rounded-lg transition-colors ${
+                  sidePanel === 'annotations' ? 'bg-purple-600 hover:bg-purple-700' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+                title="Notes and questions on this PDF"
+              >
+                <StickyNote className="h-4 w-4 mr-1" />
+                Annotations ({roomAnnotations.annotations.length})
+              </button>
+              <button
+                onClick={() => setSidePanel(sidePanel === 'questions' ? null : 'questions')}
+                className={`flex items-center text-sm px-3 py-2 rounded-lg transition-colors ${
+                  sidePanel === 'questions' ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+                }`}
+                title="Class Q&A - ask your teacher, anonymously if you like"
+              >
+                <HelpCircle className="h-4 w-4 mr-1" />
+                Q&A ({roomQuestions.questions.filter(q => !q.answer).length})
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => (showReadAloud ? closeReadAloud() : setShowReadAloud(true))}
+            className={`flex items-center text-sm px-3 py-2 rounded-lg transition-colors ${
+              showReadAloud ? 'bg-sky-600 hover:bg-sky-700' : 'bg-gray-700 hover:bg-gray-600'
+            }`}
+            title="Listen to this document"
+          >
+            <Volume2 className="h-4 w-4 mr-1" />
+            Listen
+          </button>
           <button
             onClick={() => handleEndSession(true)}
             className="bg-red-600 hover:bg-red-700 text-white px-6 py-2 rounded-lg flex items-center transition-colors"
@@ -731,89 +1517,245 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         </div>
       </div>
 
-      {/* PDF Viewer */}
-      <div
-        className="flex-1 overflow-auto bg-gray-800 p-8"
-        ref={viewerRef}
-      >
-        <div className="max-w-5xl mx-auto">
-          {pdfUrl ? (
-            <div
-              className="relative bg-white shadow-2xl"
-              onMouseUp={handleTextSelection}
-            >
-              <Document
-                file={pdfUrl}
-                onLoadSuccess={onDocumentLoadSuccess}
-                onLoadError={(error) => {
-                  console.error('PDF load error:', error);
-                  setPdfError('Failed to load PDF. The file may be corrupted or unavailable.');
-                }}
-                loading={
-                  <div className="flex items-center justify-center h-screen">
-                    <div className="text-center">
-                      <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto mb-4"></div>
-                      <p className="text-white">Loading PDF...</p>
-                    </div>
-                  </div>
-                }
-              >
-                <Page
-                  pageNumber={pageNumber}
-                  scale={scale}
-                  renderTextLayer={true}
-                  renderAnnotationLayer={true}
-                />
-              </Document>
+      {/* Presenter mode */}
+      {presenter && !focusMode && (
+        <div className={`px-4 py-2 flex items-center justify-center gap-4 text-sm text-white ${following ? 'bg-purple-700' : 'bg-gray-700'}`}>
+          <span className="flex items-center">
+            <Presentation className="h-4 w-4 mr-2" />
+            {following
+              ? `Following ${presenter.presenterName || 'your teacher'} • page ${presenter.page}`
+              : `${presenter.presenterName || 'Your teacher'} is presenting page ${presenter.page}`}
+          </span>
+          <button
+            onClick={() => setFollowing(!following)}
+            className="px-3 py-1 bg-white bg-opacity-20 hover:bg-opacity-30 rounded-lg transition-colors"
+          >
+            {following ? 'Browse on my own' : 'Follow teacher'}
+          </button>
+        </div>
+      )}
 
-              {/* Highlight Overlay Layer */}
+      <div className="flex-1 flex overflow-hidden">
+        {/* Thumbnails and outline */}
+        {showNavigator && !focusMode && (
+          <PageNavigator
+            pdf={pdfDocument}
+            numPages={numPages}
+            currentPage={pageNumber}
+            markers={pageMarkers}
+            pageVisits={sessionData.pageVisits}
+            onPageSelect={goToPage}
+            onClose={() => setShowNavigator(false)}
+          />
+        )}
+
+        {/* PDF Viewer */}
+        <div
+          className={`flex-1 overflow-auto p-8 ${themeStyles.viewerClassName}`}
+          ref={viewerRef}
+        >
+          <div className="max-w-5xl mx-auto">
+            {pdfUrl ? (
               <div
-                className="absolute top-0 left-0 w-full h-full pointer-events-none"
-                style={{ mixBlendMode: 'multiply' }}
+                className={viewMode === VIEW_MODES.CONTINUOUS ? '' : `relative shadow-2xl ${themeStyles.pageClassName}`}
+                onMouseUp={handleTextSelection}
+                onClick={focusMode ? focusParagraph.focusAtPoint : undefined}
+                onWheel={viewMode === VIEW_MODES.CONTINUOUS ? breakAway : undefined}
+                onTouchMove={viewMode === VIEW_MODES.CONTINUOUS ? breakAway : undefined}
               >
-                {highlights
-                  .filter(h => h.page === pageNumber && h.rects && h.rects.length > 0)
-                  .map((highlight) => (
-                    <React.Fragment key={highlight.id}>
-                      {highlight.rects.map((rect, idx) => (
-                        <div
-                          key={`${highlight.id}-${idx}`}
-                          className="absolute transition-opacity hover:opacity-70 cursor-pointer pointer-events-auto"
-                          style={{
-                            left: `${rect.left}%`,
-                            top: `${rect.top}%`,
-                            width: `${rect.width}%`,
-                            height: `${rect.height}%`,
-                            backgroundColor: highlight.color,
-                            opacity: 0.4
-                          }}
-                          onClick={(e) => {
-                            e.stopPropagation();
-                            if (window.confirm(`Delete this highlight?\n\n"${highlight.text}"`)) {
-                              deleteHighlight(highlight.id);
-                            }
-                          }}
-                          title={`Click to delete: ${highlight.text.substring(0, 50)}...`}
-                        />
-                      ))}
-                    </React.Fragment>
-                  ))}
+                <Document
+                  file={pdfUrl}
+                  onLoadSuccess={onDocumentLoadSuccess}
+                  onLoadError={(error) => {
+                    console.error('PDF load error:', error);
+                    setPdfError('Failed to load PDF. The file may be corrupted or unavailable.');
+                  }}
+                  loading={
+                    <div className="flex items-center justify-center h-screen">
+                      <div className="text-center">
+                        <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto mb-4"></div>
+                        <p className="text-white">Loading PDF...</p>
+                      </div>
+                    </div>
+                  }
+                >
+                  {viewMode === VIEW_MODES.CONTINUOUS && numPages ? (
+                    <ContinuousPages
+                      pdf={pdfDocument}
+                      numPages={numPages}
+                      scale={scale}
+                      currentPage={pageNumber}
+                      scrollRootRef={viewerRef}
+                      pageClassName={themeStyles.pageClassName}
+                      onCurrentPageChange={handleScrolledToPage}
+                      renderPage={renderPageContent}
+                    />
+                  ) : (
+                    renderPageContent(pageNumber)
+                  )}
+                </Document>
+              </div>
+            ) : (
+              <div className="flex items-center justify-center h-screen">
+                <div className="text-center text-white">
+                  <FileText className="h-16 w-16 mx-auto mb-4" />
+                  <p>Loading study materials...</p>
+                </div>
               </div>
+            )}
+          </div>
+        </div>
+
+        {/* Document search */}
+        {sidePanel === 'search' && !focusMode && (
+          <div className="w-80 border-l border-gray-700 flex-shrink-0">
+            <SearchPanel
+              query={pdfSearch.query}
+              options={pdfSearch.options}
+              results={pdfSearch.results}
+              activeIndex={pdfSearch.activeIndex}
+              searching={pdfSearch.searching}
+              onSearch={runSearch}
+              onNext={pdfSearch.next}
+              onPrevious={pdfSearch.previous}
+              onResultClick={pdfSearch.goTo}
+              onClose={() => setSidePanel(null)}
+            />
+          </div>
+        )}
+
+        {/* Shared annotations */}
+        {sidePanel === 'annotations' && !focusMode && (
+          <div className="w-80 border-l border-gray-700 flex-shrink-0">
+            <AnnotationPanel
+              annotations={roomAnnotations.annotations}
+              viewer={{ userId, role: 'student' }}
+              currentPage={pageNumber}
+              onAnnotationClick={(annotation) => goToPage(annotation.page_number)}
+              onAnnotationCreate={createAnnotation}
+              onAnnotationEdit={updateAnnotation}
+              onAnnotationDelete={deleteAnnotation}
+              onAnnotationResolve={(annotationId) => updateAnnotation(annotationId, { is_resolved: true })}
+              onAnnotationShare={(annotationId, visibility) =>
+                updateAnnotation(annotationId, { visibility, is_shared: visibility !== 'private' })}
+              onAnnotationReply={replyToAnnotation}
+            />
+          </div>
+        )}
+
+        {/* Room Q&A */}
+        {sidePanel === 'questions' && !focusMode && (
+          <div className="w-80 border-l border-gray-700 flex-shrink-0">
+            <QuestionPanel
+              questions={roomQuestions.questions}
+              currentPage={pageNumber}
+              onQuestionClick={(question) => goToPage(question.page)}
+              onUpvote={toggleQuestionUpvote}
+              onAsk={openQuestionComposer}
+              onDelete={deleteQuestion}
+            />
+          </div>
+        )}
+      </div>
+
+      {/* Question composer */}
+      {questionDraft && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-2xl shadow-2xl max-w-lg w-full">
+            <div className="bg-gradient-to-r from-blue-600 to-indigo-600 p-5 rounded-t-2xl flex items-center justify-between">
+              <h2 className="text-xl font-bold text-white flex items-center">
+                <HelpCircle className="h-6 w-6 mr-2" />
+                Ask about page {questionDraft.page}
+              </h2>
+              <button
+                onClick={() => setQuestionDraft(null)}
+                className="p-2 hover:bg-white hover:bg-opacity-20 rounded-lg transition-colors"
+              >
+                <X className="h-5 w-5 text-white" />
+              </button>
             </div>
-          ) : (
-            <div className="flex items-center justify-center h-screen">
-              <div className="text-center text-white">
-                <FileText className="h-16 w-16 mx-auto mb-4" />
-                <p>Loading study materials...</p>
+            <div className="p-5 space-y-4">
+              {questionDraft.text && (
+                <p className="text-sm text-gray-600 italic border-l-4 border-blue-300 pl-3 line-clamp-3">
+                  “{questionDraft.text}”
+                </p>
+              )}
+              <div>
+                <textarea
+                  value={questionDraft.question}
+                  onChange={(e) => setQuestionDraft({ ...questionDraft, question: e.target.value })}
+                  maxLength={MAX_QUESTION_LENGTH}
+                  rows={4}
+                  autoFocus
+                  placeholder="What would you like to ask?"
+                  className="w-full px-4 py-3 border-2 border-gray-300 rounded-lg focus:border-blue-500 focus:outline-none resize-none"
+                />
+                <p className="text-xs text-gray-400 text-right">
+                  {questionDraft.question.length}/{MAX_QUESTION_LENGTH}
+                </p>
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={questionDraft.anonymous}
+                  onChange={(e) => setQuestionDraft({ ...questionDraft, anonymous: e.target.checked })}
+                  className="mr-2 h-4 w-4"
+                />
+                Ask anonymously (classmates and your teacher won't see your name)
+              </label>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => setQuestionDraft(null)}
+                  className="flex-1 px-4 py-2 border-2 border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={submitQuestion}
+                  disabled={!questionDraft.question.trim()}
+                  className="flex-1 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  Post Question
+                </button>
               </div>
             </div>
-          )}
+          </div>
         </div>
-      </div>
+      )}
+
+      {showReadAloud && !focusMode && <ReadAloudBar readAloud={readAloud} onClose={closeReadAloud} />}
 
       {/* Bottom Controls */}
-      <div className="bg-gray-800 text-white p-4 flex items-center justify-between shadow-lg">
+      <div className={`bg-gray-800 text-white p-4 flex items-center justify-between shadow-lg ${focusMode ? 'hidden' : ''}`}>
         <div className="flex items-center space-x-2">
+          <button
+            onClick={() => setShowNavigator(!showNavigator)}
+            className={`p-2 rounded-lg transition-colors mr-2 ${showNavigator ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+            title={showNavigator ? 'Hide pages and outline' : 'Show pages and outline'}
+          >
+            <PanelLeft className="h-5 w-5" />
+          </button>
+          <button
+            onClick={toggleViewMode}
+            className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors"
+            title={viewMode === VIEW_MODES.CONTINUOUS ? 'Switch to single page' : 'Switch to continuous scrolling'}
+          >
+            {viewMode === VIEW_MODES.CONTINUOUS ? <FileIcon className="h-5 w-5" /> : <GalleryVertical className="h-5 w-5" />}
+          </button>
+          <button
+            onClick={cycleTheme}
+            className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors"
+            title={`${themeStyles.label} pages - switch to ${getThemeStyles(getNextTheme(theme)).label.toLowerCase()}`}
+          >
+            <ThemeIcon className="h-5 w-5" />
+          </button>
+          <button
+            onClick={() => setFocusMode(true)}
+            className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg transition-colors mr-2"
+            title="Focus mode - hide everything but the paragraph you're reading"
+          >
+            <Focus className="h-5 w-5" />
+          </button>
           <button
             onClick={() => changeZoom(-0.1)}
             disabled={scale <= 0.5}
@@ -847,6 +1789,7 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
               onChange={(e) => {
                 const page = parseInt(e.target.value);
                 if (!Number.isNaN(page) && page >= 1 && page <= (numPages || 1)) {
+                  breakAway();
                   setPageNumber(page);
                 }
               }}
@@ -867,10 +1810,29 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         </div>
 
         <div className="flex items-center space-x-3">
+          {session?.type === 'room' && (
+            <button
+              onClick={() => setAskMode(!askMode)}
+              className={`flex items-center text-sm px-3 py-2 rounded-lg transition-colors ${
+                askMode ? 'bg-blue-600 hover:bg-blue-700' : 'bg-gray-700 hover:bg-gray-600'
+              }`}
+              title="While on, selecting text asks a question about it"
+            >
+              <HelpCircle className="h-4 w-4 mr-1" />
+              Ask
+            </button>
+          )}
           <div className="flex items-center space-x-2 text-sm text-gray-300">
-            <Highlighter className="h-5 w-5 text-yellow-400" />
-            <span>Select text to highlight</span>
+            {askMode ? <HelpCircle className="h-5 w-5 text-blue-400" /> : <Highlighter className="h-5 w-5 text-yellow-400" />}
+            <span>{askMode ? 'Select text to ask about it' : 'Select text to highlight'}</span>
           </div>
+          <button
+            onClick={() => setShowBookmarks(!showBookmarks)}
+            className={`p-2 rounded-lg transition-colors ${showBookmarks ? 'bg-pink-600 hover:bg-pink-700' : 'bg-gray-700 hover:bg-gray-600'}`}
+            title="Bookmarks"
+          >
+            <Bookmark className="h-5 w-5" />
+          </button>
           <button
             onClick={downloadHighlights}
             disabled={highlights.length === 0}
@@ -882,8 +1844,21 @@ const StudentPDFViewer = ({ session, onEndSession }) => {
         </div>
       </div>
 
+      {/* Bookmarks - kept mounted so thumbnails can show bookmarked pages */}
+      {session?.sessionId && (
+        <BookmarkPanel
+          sessionId={session.sessionId}
+          materialId={session.room?._id || session.routine?._id}
+          currentPage={pageNumber}
+          onPageChange={goToPage}
+          onBookmarksChange={setBookmarks}
+          isOpen={showBookmarks && !focusMode}
+          onClose={() => setShowBookmarks(false)}
+        />
+      )}
+
       {/* Recent Highlights Sidebar */}
-      {highlights.length > 0 && (
+      {highlights.length > 0 && !focusMode && (
         <div className="fixed right-4 bottom-24 bg-gray-800 text-white rounded-lg shadow-xl p-4 max-w-xs max-h-96 overflow-y-auto">
           <h4 className="text-sm font-semibold mb-2 flex items-center sticky top-0 bg-gray-800 pb-2">
             <Highlighter className="h-4 w-4 mr-2 text-yellow-400" />
@@ -16,23 +16,51 @@ import {
   AlertTriangle,
   CheckCircle,
   User,
-  Loader
+  Loader,
+  Crosshair,
+  ShieldAlert
 } from 'lucide-react';
 import useMediaPipe from '../../hooks/useMediaPipe';
-import { interactionsAPI } from '../../services/api';
+import useProctoring from '../../hooks/useProctoring';
+import useAudioMonitor from '../../hooks/useAudioMonitor';
+import CalibrationWizard from './CalibrationWizard';
+import {
+  loadCalibrationProfile,
+  saveCalibrationProfile,
+  clearCalibrationProfile
+} from '../../utils/calibration';
+import { isProctoredRoom, getProctoringConfig } from '../../utils/proctoring';
+import { isPrivacyModeRoom, MetricsWindowAggregator } from '../../utils/privacyMode';
+import { downloadRecording } from '../../utils/landmarkReplay';
+import { getRoomMonitoringPolicy, getRoomEngagementWeights } from '../../utils/monitoringPolicy';
+import { enqueueInteraction } from '../../services/interactionQueue';
 import './WebcamMonitor.css';
 
+const MODEL_LABELS = {
+  faceMesh: 'Face mesh',
+  faceDetection: 'Face detection',
+  pose: 'Pose',
+  objectDetection: 'Objects'
+};
+
 const WebcamMonitor = ({
+  session,
   sessionId,
+  userId,
   showOverlay = true,
   showControls = true,
   autoStart = true,
   className = '',
+  readingPosition = null,
   onMetricsUpdate
 }) => {
   const [isFullscreen, setIsFullscreen] = useState(false);
   const [overlayEnabled, setOverlayEnabled] = useState(showOverlay);
   const [showSettings, setShowSettings] = useState(false);
+  const [performanceBudget, setPerformanceBudget] = useState('balanced');
+  const [calibrationProfile, setCalibrationProfile] = useState(() => loadCalibrationProfile(userId));
+  const [showCalibration, setShowCalibration] = useState(false);
+  const calibrationPromptedRef = useRef(false);
   const [overlayOptions, setOverlayOptions] = useState({
     showFaceBox: true,
     showFaceLandmarks: true,
@@ -47,8 +75,44 @@ const WebcamMonitor = ({
   
   const lastSendTimeRef = useRef(0);
   const SEND_INTERVAL_MS = 3000;
+  const [sendTick, setSendTick] = useState(0);
   const hasAutoStartedRef = useRef(false);
 
+  // Privacy mode: only coarse window averages leave the device (see utils/privacyMode)
+  const isPrivacyMode = session?.type === 'room' && isPrivacyModeRoom(session.room);
+  const aggregatorRef = useRef(null);
+  if (isPrivacyMode && !aggregatorRef.current) {
+    aggregatorRef.current = new MetricsWindowAggregator();
+  }
+
+  // Room monitoring policy: detectors, engagement weights and thresholds (see utils/monitoringPolicy)
+  const policyRoom = session?.type === 'room' ? session.room : null;
+  const monitoringPolicy = useMemo(() => getRoomMonitoringPolicy(policyRoom), [policyRoom]);
+  const engagementWeights = useMemo(() => getRoomEngagementWeights(policyRoom), [policyRoom]);
+  const { detectors, thresholds } = monitoringPolicy;
+
+  // Yawns, head drops and micro-sleeps are logged as their own interaction types
+  const handleDrowsinessEvent = useCallback((event) => {
+    if (!sessionId) return;
+    if (isPrivacyMode) {
+      aggregatorRef.current.addEvent(event.type);
+      return;
+    }
+    const { type, ...data } = event;
+    enqueueInteraction(sessionId, type, data)
+      .catch(err => console.error(`Failed to queue ${type} event:`, err));
+  }, [sessionId, isPrivacyMode]);
+
+  // Expression state changes go into the session timeline as they happen
+  const handleExpressionChange = useCallback((expression, previousState) => {
+    if (!sessionId || isPrivacyMode) return;
+    enqueueInteraction(sessionId, 'expression_change', {
+      state: expression.state,
+      previousState,
+      confidence: expression.confidence
+    }).catch(err => console.error('Failed to queue expression change:', err));
+  }, [sessionId, isPrivacyMode]);
+
   const {
     webcam,
     isProcessing,
@@ -64,16 +128,95 @@ const WebcamMonitor = ({
     stopProcessing,
     takeAnnotatedSnapshot,
     getBlinkRate,
-    getAttentionRate
+    getAttentionRate,
+    inferenceMode,
+    schedulerStats,
+    drowsiness,
+    expression,
+    isRecording,
+    startRecording,
+    stopRecording
   } = useMediaPipe({
     enableFaceDetection: true,
-    enableFaceMesh: true,
-    enablePoseEstimation: true,
-    enableObjectDetection: true,
+    enableFaceMesh: detectors.faceMesh,
+    enablePoseEstimation: detectors.pose,
+    enableObjectDetection: detectors.objects,
     processingInterval: 100,
+    performanceBudget,
+    calibrationProfile,
+    onDrowsinessEvent: handleDrowsinessEvent,
+    onExpressionChange: handleExpressionChange,
+    engagementWeights,
     autoStart
   });
 
+  const audio = useAudioMonitor({ enabled: detectors.audio && isProcessing });
+
+  // Absent once the face has been missing for the room's absence threshold
+  const [isAbsent, setIsAbsent] = useState(false);
+  useEffect(() => {
+    if (!isProcessing || metrics.faceDetected) {
+      setIsAbsent(false);
+      return;
+    }
+    const absenceTimer = setTimeout(() => setIsAbsent(true), thresholds.absenceSeconds * 1000);
+    return () => clearTimeout(absenceTimer);
+  }, [isProcessing, metrics.faceDetected, thresholds.absenceSeconds]);
+
+  // Proctored rooms log incidents (second face, absence, phone/book, tab blur, fullscreen exit)
+  const isProctored = session?.type === 'room' && isProctoredRoom(session.room);
+  const proctoringConfig = useMemo(() => ({
+    ...getProctoringConfig(session?.room),
+    // Snapshots, exact times and detection details never leave the device in privacy mode
+    ...(isPrivacyMode ? { captureSnapshots: false, privacyMode: true } : {})
+  }), [session?.room, isPrivacyMode]);
+  const {
+    incidents: proctoringIncidents,
+    activeIncidents: activeProctoringIncidents,
+    isFullscreen: isPageFullscreen,
+    requestFullscreen: requestPageFullscreen
+  } = useProctoring({
+    enabled: isProctored,
+    sessionId,
+    config: proctoringConfig,
+    isProcessing,
+    metrics,
+    objectData,
+    takeAnnotatedSnapshot
+  });
+
+  // userId usually arrives after the first render
+  useEffect(() => {
+    setCalibrationProfile(loadCalibrationProfile(userId));
+  }, [userId]);
+
+  // Offer calibration once per session for students without a profile
+  useEffect(() => {
+    if (isProcessing && userId && detectors.faceMesh && !calibrationProfile && !calibrationPromptedRef.current) {
+      calibrationPromptedRef.current = true;
+      setShowCalibration(true);
+    }
+  }, [isProcessing, userId, detectors.faceMesh, calibrationProfile]);
+
+  const handleCalibrationComplete = (profile) => {
+    saveCalibrationProfile(userId, profile);
+    setCalibrationProfile(profile);
+    setShowCalibration(false);
+    console.log('✅ Attention calibration saved');
+  };
+
+  const handleResetCalibration = () => {
+    clearCalibrationProfile(userId);
+    setCalibrationProfile(null);
+  };
+
+  const handleStopRecording = () => {
+    const recording = stopRecording();
+    if (recording && recording.frames.length > 0) {
+      downloadRecording(recording, `landmarks_${sessionId || 'session'}_${Date.now()}.json`);
+    }
+  };
+
   // Auto-start webcam
   useEffect(() => {
     if (autoStart && sessionId && !isProcessing && modelsLoaded && !hasAutoStartedRef.current) {
@@ -95,9 +238,19 @@ const WebcamMonitor = ({
       backAngle: metrics.backAngle,
       hasPhone: metrics.hasPhone,
       engagementScore: metrics.engagementScore,
+      engagementBreakdown: metrics.engagementBreakdown,
       attentionRate: getAttentionRate(),
       blinkRate: getBlinkRate(),
-      faceCount: metrics.faceCount || 0
+      faceCount: metrics.faceCount || 0,
+      perclos: drowsiness.perclos,
+      drowsinessLevel: drowsiness.level,
+      yawnCount: drowsiness.yawnCount,
+      headDrops: drowsiness.headDrops,
+      microSleeps: drowsiness.microSleeps,
+      expression: expression.state,
+      expressionConfidence: expression.confidence,
+      absent: isAbsent,
+      noiseLevel: audio.isActive ? audio.level : null
     };
     
     onMetricsUpdate(enrichedMetrics);
@@ -111,10 +264,27 @@ const WebcamMonitor = ({
     metrics?.hasPhone,
     metrics?.engagementScore,
     metrics?.faceCount,
+    drowsiness,
+    expression.state,
+    isAbsent,
+    audio.level,
     isProcessing
     // ✅ Removed: onMetricsUpdate, getAttentionRate, getBlinkRate
   ]);
 
+  // Heartbeat: metrics are sent on every interval even when nothing changed, so the
+  // teacher's sustained alerts (e.g. absent for 2 minutes) keep getting samples
+  useEffect(() => {
+    if (!sessionId || !isProcessing) return;
+    const interval = setInterval(() => setSendTick(tick => tick + 1), SEND_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [sessionId, isProcessing]);
+
+  // Page turns trigger a send too, so the live wall doesn't wait for a metric to change
+  const readingPage = readingPosition?.page;
+  const readingPageStartedAt = readingPosition?.pageStartedAt;
+  const readingListening = readingPosition?.listening;
+
   // Send Metrics to Backend
   useEffect(() => {
     if (!sessionId || !isProcessing || !metrics) return;
@@ -132,18 +302,40 @@ const WebcamMonitor = ({
         attentionRate: getAttentionRate(),
         neckAngle: metrics.neckAngle,
         backAngle: metrics.backAngle,
+        perclos: drowsiness.perclos,
+        expression: metrics.faceDetected ? expression.state : null,
+        expressionConfidence: metrics.faceDetected ? expression.confidence : 0,
+        absent: isAbsent,
+        ...(audio.isActive ? { noiseLevel: audio.level, audioType: audio.type } : {}),
+        // Where the student is in the PDF, for the teacher's live wall
+        ...(readingPage ? {
+          currentPage: readingPage,
+          pageStartedAt: readingPageStartedAt,
+          listening: !!readingListening
+        } : {}),
         objects: objectData?.objects?.map(obj => ({
           class: obj.class,
           confidence: obj.confidence
         })).filter(obj => obj.confidence > 0.6) || [],
       };
 
-      interactionsAPI.saveInteraction(sessionId, 'face_metric', metricData)
-        .then(() => {
-          lastSendTimeRef.current = now;
-        })
+      // Mark as sent right away - the outbox owns delivery and retries from here
+      lastSendTimeRef.current = now;
+
+      if (isPrivacyMode) {
+        const aggregator = aggregatorRef.current;
+        aggregator.addSample(metricData, now);
+        const summary = aggregator.flush(now);
+        if (summary) {
+          enqueueInteraction(sessionId, 'metrics_window', summary)
+            .catch(err => console.error('Failed to queue metrics window:', err));
+        }
+        return;
+      }
+
+      enqueueInteraction(sessionId, 'face_metric', metricData)
         .catch(err => {
-          console.error('Failed to send face metric to server:', err);
+          console.error('Failed to queue face metric:', err);
         });
     }
   }, [
@@ -156,9 +348,31 @@ const WebcamMonitor = ({
     metrics?.hasPhone,
     metrics?.neckAngle,
     metrics?.backAngle,
-    objectData?.objects
+    drowsiness.perclos,
+    expression.state,
+    objectData?.objects,
+    isAbsent,
+    audio.isActive,
+    audio.level,
+    isPrivacyMode,
+    readingPage,
+    readingPageStartedAt,
+    readingListening,
+    sendTick
   ]);
 
+  // Upload the last partial window when the session ends
+  useEffect(() => {
+    if (!isPrivacyMode || !sessionId) return;
+    return () => {
+      const summary = aggregatorRef.current?.flush(Date.now(), true);
+      if (summary) {
+        enqueueInteraction(sessionId, 'metrics_window', summary)
+          .catch(err => console.error('Failed to queue metrics window:', err));
+      }
+    };
+  }, [isPrivacyMode, sessionId]);
+
   // Overlay Drawing Logic
   const drawOverlay = useCallback(() => {
     if (!overlayEnabled || !canvasRef.current || !webcam.videoRef.current) {
@@ -429,6 +643,18 @@ const WebcamMonitor = ({
             </div>
           )}
 
+          {isProctored && (
+            <div
+              className={`indicator ${activeProctoringIncidents.length > 0 ? 'danger' : 'processing'}`}
+              title="This room is proctored - incidents are recorded for your teacher"
+            >
+              <ShieldAlert size={16} />
+              <span>
+                Proctored{proctoringIncidents.length > 0 ? ` • ${proctoringIncidents.length} incident${proctoringIncidents.length === 1 ? '' : 's'}` : ''}
+              </span>
+            </div>
+          )}
+
           {isProcessing && (
             <div className="indicator processing">
               <div className="pulse-dot" />
@@ -437,6 +663,15 @@ const WebcamMonitor = ({
           )}
         </div>
 
+        {isProctored && !isPageFullscreen && (
+          <div className="proctoring-banner">
+            <span>Proctored session: stay in fullscreen</span>
+            <button className="btn btn-primary" onClick={requestPageFullscreen}>
+              Enter fullscreen
+            </button>
+          </div>
+        )}
+
         {showControls && (
           <div className="webcam-controls">
             {!isProcessing ? (
@@ -465,14 +700,16 @@ const WebcamMonitor = ({
               {overlayEnabled ? <Video size={20} /> : <VideoOff size={20} />}
             </button>
 
-            <button
-              className="control-btn"
-              onClick={handleDownloadSnapshot}
-              disabled={!isProcessing}
-              title="Take Snapshot"
-            >
-              <Download size={20} />
-            </button>
+            {!isPrivacyMode && (
+              <button
+                className="control-btn"
+                onClick={handleDownloadSnapshot}
+                disabled={!isProcessing}
+                title="Take Snapshot"
+              >
+                <Download size={20} />
+              </button>
+            )}
 
             <button
               className={`control-btn ${showSettings ? 'active' : ''}`}
@@ -538,6 +775,77 @@ const WebcamMonitor = ({
               </label>
             </div>
 
+            <div className="camera-selection">
+              <h4>Performance</h4>
+              <select
+                value={performanceBudget}
+                onChange={(e) => setPerformanceBudget(e.target.value)}
+              >
+                <option value="low">Battery saver</option>
+                <option value="balanced">Balanced</option>
+                <option value="high">High accuracy</option>
+              </select>
+
+              {schedulerStats && (
+                <div className="performance-stats">
+                  {Object.entries(MODEL_LABELS).map(([key, label]) => (
+                    <div key={key} className="performance-row">
+                      <span>{label}</span>
+                      <span>
+                        {schedulerStats.models[key].fps} fps
+                        {schedulerStats.models[key].latencyMs !== null && ` · ${schedulerStats.models[key].latencyMs}ms`}
+                      </span>
+                    </div>
+                  ))}
+                  <div className="performance-row performance-note">
+                    <span>{inferenceMode === 'worker' ? 'Background thread' : 'Main thread'}</span>
+                    <span>
+                      {schedulerStats.throttledBy === 'hidden' && 'Slowed (tab hidden)'}
+                      {schedulerStats.throttledBy === 'battery' && 'Low battery'}
+                      {!schedulerStats.throttledBy && `${schedulerStats.frameCostMs}/${schedulerStats.budgetMs}ms`}
+                    </span>
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="camera-selection">
+              <h4>Attention Calibration</h4>
+              <p className="calibration-status">
+                {calibrationProfile
+                  ? `Calibrated ${new Date(calibrationProfile.createdAt).toLocaleDateString()}`
+                  : 'Using default thresholds'}
+              </p>
+              <div className="calibration-actions">
+                <button
+                  onClick={() => { setShowSettings(false); setShowCalibration(true); }}
+                  disabled={!isProcessing || !userId || !detectors.faceMesh}
+                >
+                  <Crosshair size={14} />
+                  {calibrationProfile ? 'Recalibrate' : 'Calibrate'}
+                </button>
+                {calibrationProfile && (
+                  <button onClick={handleResetCalibration}>Reset</button>
+                )}
+              </div>
+            </div>
+
+            <div className="camera-selection">
+              <h4>Diagnostics</h4>
+              <p className="calibration-status">
+                {isRecording ? 'Recording detector results…' : 'Save detector results to replay without a camera'}
+              </p>
+              <div className="calibration-actions">
+                {isRecording ? (
+                  <button onClick={handleStopRecording}>Stop & Download</button>
+                ) : (
+                  <button onClick={() => startRecording({ meta: { performanceBudget } })} disabled={!isProcessing}>
+                    Record
+                  </button>
+                )}
+              </div>
+            </div>
+
             {webcam.hasMultipleCameras && (
               <div className="camera-selection">
                 <h4>Camera</h4>
@@ -557,6 +865,14 @@ const WebcamMonitor = ({
         )}
       </div>
 
+      {showCalibration && (
+        <CalibrationWizard
+          faceMeshData={faceMeshData}
+          onComplete={handleCalibrationComplete}
+          onSkip={() => setShowCalibration(false)}
+        />
+      )}
+
       {isProcessing && (
         <div className="info-footer">
           <div className="info-item">
@@ -575,6 +891,24 @@ const WebcamMonitor = ({
             <span className="info-label">Blinks:</span>
             <span className="info-value">{getBlinkRate()} bpm</span>
           </div>
+          {detectors.faceMesh && (
+            <div className="info-item">
+              <span className="info-label">Mood:</span>
+              <span className="info-value capitalize">{expression.state}</span>
+            </div>
+          )}
+          {audio.isActive && (
+            <div className="info-item">
+              <span className="info-label">Noise:</span>
+              <span className="info-value">{audio.level}%</span>
+            </div>
+          )}
+          {isAbsent && (
+            <div className="info-item">
+              <span className="info-label">Status:</span>
+              <span className="info-value">Away</span>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -0,0 +1,133 @@
+import React, { useState } from 'react';
+import { MessageSquare, MapPin, Clock, CheckCircle, Send, RefreshCw } from 'lucide-react';
+import useSharedAnnotations from '../../hooks/useSharedAnnotations';
+import { getUnresolvedQuestions } from '../../utils/sharedAnnotations';
+import AnnotationPanel from '../student/AnnotationPanel';
+
+const TEACHER_VIEWER = { role: 'teacher' };
+
+const formatWaiting = (createdAt) => {
+  const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+};
+
+/**
+ * Shared annotations for a room: the unresolved-questions queue next to every
+ * annotation students shared with the teacher or the class
+ *
+ * @param {Object} room - Room being monitored
+ */
+const AnnotationQueue = ({ room }) => {
+  const { annotations, loading, update, reply, endorse, reload } = useSharedAnnotations(room._id, {
+    viewer: TEACHER_VIEWER
+  });
+  const [answers, setAnswers] = useState({});
+
+  const questions = getUnresolvedQuestions(annotations);
+
+  const sendAnswer = async (annotationId) => {
+    const content = (answers[annotationId] || '').trim();
+    if (!content) return;
+    const saved = await reply(annotationId, content);
+    if (!saved) {
+      alert('Failed to send answer. Please try again.');
+      return;
+    }
+    // The teacher's own answer is the endorsed one; the reply just added is the last
+    const answer = (saved.replies || [])[(saved.replies || []).length - 1];
+    if (answer) await endorse(annotationId, answer._id);
+    setAnswers(prev => ({ ...prev, [annotationId]: '' }));
+  };
+
+  const handleEndorse = async (annotationId, replyId) => {
+    if (!await endorse(annotationId, replyId)) alert('Failed to endorse answer. Please try again.');
+  };
+
+  const handleResolve = async (annotationId) => {
+    if (!await update(annotationId, { is_resolved: true })) alert('Failed to resolve question. Please try again.');
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Unresolved questions */}
+      <div className="lg:col-span-2 bg-white rounded-xl shadow-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800 flex items-center">
+            <MessageSquare className="h-5 w-5 mr-2 text-blue-600" />
+            Unresolved questions ({questions.length})
+          </h3>
+          <button
+            onClick={reload}
+            disabled={loading}
+            className="flex items-center text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+          >
+            <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+            Refresh
+          </button>
+        </div>
+
+        {questions.length === 0 ? (
+          <div className="text-center py-12">
+            <CheckCircle className="h-16 w-16 text-green-300 mx-auto mb-3" />
+            <p className="text-gray-600">{loading ? 'Loading questions...' : 'No open questions - all caught up'}</p>
+          </div>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {questions.map(question => (
+              <div key={question._id} className="py-4">
+                <div className="flex items-center gap-3 text-xs text-gray-500 mb-1">
+                  <span className="font-medium text-gray-700">{question.author_name || 'Student'}</span>
+                  <span className="flex items-center"><MapPin className="h-3 w-3 mr-1" />Page {question.page_number}</span>
+                  <span className="flex items-center"><Clock className="h-3 w-3 mr-1" />Waiting {formatWaiting(question.created_at)}</span>
+                  {(question.replies || []).length > 0 && (
+                    <span>{question.replies.length} {question.replies.length === 1 ? 'reply' : 'replies'}</span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-900 mb-2 whitespace-pre-line">{question.content}</p>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    value={answers[question._id] || ''}
+                    onChange={(e) => setAnswers(prev => ({ ...prev, [question._id]: e.target.value }))}
+                    onKeyDown={(e) => e.key === 'Enter' && sendAnswer(question._id)}
+                    placeholder="Answer - it will be marked as the endorsed answer"
+                    className="flex-1 px-3 py-2 border-2 border-gray-200 rounded-xl text-sm focus:border-indigo-500 focus:outline-none transition-colors"
+                  />
+                  <button
+                    onClick={() => sendAnswer(question._id)}
+                    className="inline-flex items-center px-3 py-2 bg-indigo-600 text-white rounded-xl text-sm hover:bg-indigo-700 transition"
+                  >
+                    <Send className="h-4 w-4 mr-1" /> Answer
+                  </button>
+                  <button
+                    onClick={() => handleResolve(question._id)}
+                    className="inline-flex items-center px-3 py-2 border border-gray-300 rounded-xl text-sm text-gray-700 hover:bg-gray-50 transition"
+                    title="Close without answering"
+                  >
+                    <CheckCircle className="h-4 w-4 mr-1" /> Resolve
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Everything shared with the teacher or the class */}
+      <div className="bg-white rounded-xl shadow-lg overflow-hidden h-[70vh]">
+        <AnnotationPanel
+          annotations={annotations}
+          viewer={TEACHER_VIEWER}
+          onAnnotationResolve={handleResolve}
+          onAnnotationReply={reply}
+          onReplyEndorse={handleEndorse}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default AnnotationQueue;
@@ -5,11 +5,17 @@ import React, { useState, useEffect } from 'react';
 import { 
   ArrowLeft, Download, Eye, Smartphone, Clock, 
   BookOpen, Highlighter, FileText, TrendingUp, Activity, Target,
-  CheckCircle, Zap, Scroll, CheckSquare
+  CheckCircle, Zap, Scroll, CheckSquare, ShieldAlert, Hand
 } from 'lucide-react';
 import { Line, Doughnut } from 'react-chartjs-2';
 import { Chart as ChartJS, CategoryScale, LinearScale, PointElement, LineElement, BarElement, ArcElement, Title, Tooltip, Legend } from 'chart.js';
 import { sessionsAPI } from '../../services/api';
+import { EmotionChart } from '../shared/Charts';
+import { buildEmotionTimeline, summarizeEmotionTimeline } from '../../utils/expressionClassifier';
+import { isProctoredRoom, buildIncidentReport, INCIDENT_TYPES } from '../../utils/proctoring';
+import { getSessionEngagementScore } from '../../utils/engagementScoring';
+import { getRoomEngagementWeights } from '../../utils/monitoringPolicy';
+import { buildNudgeLog, NUDGE_RESPONSES } from '../../utils/nudges';
 
 ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, BarElement, ArcElement, Title, Tooltip, Legend);
 
@@ -46,6 +52,8 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
       const pdfMetrics = calculatePDFMetrics(allSessions);
       const keywords = extractKeywords(allSessions);
       const sessionHistory = processSessionHistory(allSessions);
+      const incidentReport = buildIncidentReport(allSessions.flatMap(s => s.interactions || []));
+      const nudgeLog = buildNudgeLog(allSessions.flatMap(s => s.interactions || []));
 
       setReportData({
         hasData: true,
@@ -54,6 +62,8 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
         pdfMetrics,
         keywords,
         sessionHistory,
+        incidentReport,
+        nudgeLog,
         sessions: allSessions
       });
 
@@ -65,6 +75,9 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
     }
   };
 
+  // Same engine and room weights the student saw
+  const getSessionEngagement = (session) => getSessionEngagementScore(session, getRoomEngagementWeights(room));
+
   const calculateWebcamMetrics = (sessions) => {
     let totalBlinks = 0;
     let totalPhoneDetections = 0;
@@ -73,6 +86,8 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
     let totalPostureScore = 0;
     let postureCount = 0;
     let attentionScores = [];
+    let emotionMinutes = [];
+    let latestEmotionTimeline = null;
 
     sessions.forEach(session => {
       const metrics = session.metrics || {};
@@ -86,12 +101,21 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
         postureCount++;
       }
 
-      if (session.engagement_score) {
+      const engagementScore = getSessionEngagement(session);
+      if (engagementScore) {
         attentionScores.push({
           date: new Date(session.start_time).toLocaleDateString(),
-          score: session.engagement_score
+          score: engagementScore
         });
       }
+
+      const timeline = buildEmotionTimeline(session.interactions || [], session.start_time);
+      if (timeline.length > 0) {
+        emotionMinutes = emotionMinutes.concat(timeline);
+        if (!latestEmotionTimeline || new Date(session.start_time) > new Date(latestEmotionTimeline.startTime)) {
+          latestEmotionTimeline = { startTime: session.start_time, timeline };
+        }
+      }
     });
 
     return {
@@ -102,6 +126,8 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
       totalPresentTime: Math.round(totalPresentTime / 60),
       avgPostureScore: postureCount > 0 ? Math.round(totalPostureScore / postureCount) : 0,
       attentionScores: attentionScores.slice(-10),
+      emotionSummary: summarizeEmotionTimeline(emotionMinutes),
+      latestEmotionTimeline,
       presenceRate: totalPresentTime + totalAbsentTime > 0 
         ? Math.round((totalPresentTime / (totalPresentTime + totalAbsentTime)) * 100) 
         : 0
@@ -206,7 +232,7 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
         endTime: session.end_time ? new Date(session.end_time).toLocaleTimeString() : 'Active',
         duration: `${hours}h ${minutes}m`,
         durationMinutes: Math.round(duration / 60),
-        engagement: session.engagement_score || 0,
+        engagement: getSessionEngagement(session),
         highlights: (session.interactions || []).filter(i => i.type === 'highlight' || i.type === 'highlighter').length,
         status: session.is_active ? 'Active' : 'Completed'
       };
@@ -225,13 +251,35 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
     csv += `Total Sessions,${reportData.totalSessions}\n`;
     csv += `Total Blinks,${reportData.webcamMetrics.totalBlinks}\n`;
     csv += `Phone Detections,${reportData.webcamMetrics.totalPhoneDetections}\n`;
-    csv += `Presence Rate,${reportData.webcamMetrics.presenceRate}%\n\n`;
+    csv += `Presence Rate,${reportData.webcamMetrics.presenceRate}%\n`;
+    Object.entries(reportData.webcamMetrics.emotionSummary).forEach(([state, share]) => {
+      csv += `Time ${state},${share}%\n`;
+    });
+    csv += '\n';
 
     csv += 'PDF INTERACTION METRICS\n';
     csv += `Pages Visited,${reportData.pdfMetrics.pagesVisited}\n`;
     csv += `Highlights Made,${reportData.pdfMetrics.highlightsMade}\n`;
     csv += `Annotations Created,${reportData.pdfMetrics.annotationsCreated}\n\n`;
 
+    if (reportData.incidentReport.total > 0) {
+      csv += 'PROCTORING INCIDENTS\n';
+      csv += 'Started,Ended,Incident,Severity,Duration (s)\n';
+      reportData.incidentReport.incidents.forEach(incident => {
+        csv += `${new Date(incident.startedAt).toLocaleString()},${incident.endedAt ? new Date(incident.endedAt).toLocaleString() : ''},${incident.label},${incident.severity},${Math.round(incident.durationMs / 1000)}\n`;
+      });
+      csv += '\n';
+    }
+
+    if (reportData.nudgeLog.total > 0) {
+      csv += 'TEACHER NUDGES\n';
+      csv += 'Sent,Message,Response,Responded\n';
+      reportData.nudgeLog.nudges.forEach(nudge => {
+        csv += `${new Date(nudge.sentAt).toLocaleString()},"${nudge.message.replace(/"/g, '""')}",${nudge.response || 'none'},${nudge.respondedAt ? new Date(nudge.respondedAt).toLocaleString() : ''}\n`;
+      });
+      csv += '\n';
+    }
+
     csv += 'SESSION HISTORY\n';
     csv += 'Date,Start Time,End Time,Duration,Engagement,Highlights,Status\n';
     reportData.sessionHistory.forEach(s => {
@@ -276,7 +324,8 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
     );
   }
 
-  const { webcamMetrics, pdfMetrics, keywords, sessionHistory } = reportData;
+  const { webcamMetrics, pdfMetrics, keywords, sessionHistory, incidentReport, nudgeLog } = reportData;
+  const showIncidents = isProctoredRoom(room) || incidentReport.total > 0;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-purple-50 to-pink-50 p-8">
@@ -338,7 +387,9 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
               { id: 'webcam', label: 'Webcam Metrics', icon: Eye },
               { id: 'pdf', label: 'PDF Interaction', icon: BookOpen },
               { id: 'keywords', label: 'Keywords', icon: Highlighter },
-              { id: 'sessions', label: 'Session History', icon: Clock }
+              { id: 'sessions', label: 'Session History', icon: Clock },
+              ...(showIncidents ? [{ id: 'incidents', label: `Incidents (${incidentReport.total})`, icon: ShieldAlert }] : []),
+              ...(nudgeLog.total > 0 ? [{ id: 'nudges', label: `Nudges (${nudgeLog.total})`, icon: Hand }] : [])
             ].map(tab => (
               <button
                 key={tab.id}
@@ -428,6 +479,27 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
                     </div>
                   </div>
                 </div>
+
+                {webcamMetrics.latestEmotionTimeline && (
+                  <div className="bg-white rounded-xl border border-gray-200 p-6">
+                    <div className="flex items-center justify-between mb-4">
+                      <h3 className="text-lg font-bold text-gray-800">Focus & Mood Timeline</h3>
+                      <p className="text-sm text-gray-500">
+                        Latest session • {new Date(webcamMetrics.latestEmotionTimeline.startTime).toLocaleDateString()}
+                      </p>
+                    </div>
+                    <EmotionChart data={webcamMetrics.latestEmotionTimeline.timeline} />
+                    <div className="mt-4 grid grid-cols-5 gap-2 text-center">
+                      {Object.entries(webcamMetrics.emotionSummary).map(([state, share]) => (
+                        <div key={state} className="bg-gray-50 rounded-lg p-2">
+                          <p className="text-xs text-gray-500 capitalize">{state}</p>
+                          <p className="text-lg font-bold text-gray-800">{share}%</p>
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-xs text-gray-400 mt-2 text-center">Share of tracked minutes across all sessions</p>
+                  </div>
+                )}
               </div>
             )}
 
@@ -563,6 +635,132 @@ const ComprehensiveStudentReport = ({ student, room, onBack }) => {
                 </div>
               </div>
             )}
+
+            {/* Teacher Nudges Tab */}
+            {activeTab === 'nudges' && (
+              <div className="space-y-6">
+                <h2 className="text-2xl font-bold text-gray-800 mb-6">Teacher Nudges</h2>
+
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                  <div className="bg-indigo-50 rounded-xl p-4">
+                    <p className="text-xs text-gray-600">Sent</p>
+                    <p className="text-3xl font-bold text-indigo-900">{nudgeLog.total}</p>
+                  </div>
+                  <div className="bg-green-50 rounded-xl p-4">
+                    <p className="text-xs text-gray-600">Seen</p>
+                    <p className="text-3xl font-bold text-green-900">{nudgeLog.acknowledged}</p>
+                  </div>
+                  <div className="bg-gray-50 rounded-xl p-4">
+                    <p className="text-xs text-gray-600">Dismissed</p>
+                    <p className="text-3xl font-bold text-gray-900">{nudgeLog.dismissed}</p>
+                  </div>
+                  <div className="bg-yellow-50 rounded-xl p-4">
+                    <p className="text-xs text-gray-600">No response</p>
+                    <p className="text-3xl font-bold text-yellow-900">{nudgeLog.unanswered}</p>
+                  </div>
+                </div>
+
+                <div className="space-y-3">
+                  {nudgeLog.nudges.map(nudge => (
+                    <div key={nudge.id} className="bg-gray-50 rounded-xl p-4 flex items-start justify-between gap-4">
+                      <div>
+                        <p className="font-semibold text-gray-800">{nudge.message}</p>
+                        <p className="text-sm text-gray-500 mt-1">{new Date(nudge.sentAt).toLocaleString()}</p>
+                      </div>
+                      <div className="text-right text-sm flex-shrink-0">
+                        <p className={`font-semibold ${NUDGE_RESPONSES[nudge.response]?.className || 'text-yellow-700'}`}>
+                          {NUDGE_RESPONSES[nudge.response]?.label || 'No response'}
+                        </p>
+                        {nudge.respondedAt && (
+                          <p className="text-gray-500">
+                            after {Math.max(0, Math.round((new Date(nudge.respondedAt) - new Date(nudge.sentAt)) / 1000))}s
+                          </p>
+                        )}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {/* Proctoring Incidents Tab */}
+            {activeTab === 'incidents' && (
+              <div className="space-y-6">
+                <h2 className="text-2xl font-bold text-gray-800 mb-6">Proctoring Incident Report</h2>
+
+                <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+                  {Object.entries(INCIDENT_TYPES).map(([type, info]) => (
+                    <div
+                      key={type}
+                      className={`rounded-xl p-4 ${info.severity === 'high' ? 'bg-red-50' : 'bg-yellow-50'}`}
+                    >
+                      <p className="text-xs text-gray-600">{info.label}</p>
+                      <p className={`text-3xl font-bold ${info.severity === 'high' ? 'text-red-900' : 'text-yellow-900'}`}>
+                        {incidentReport.byType[type] || 0}
+                      </p>
+                    </div>
+                  ))}
+                </div>
+
+                <p className="text-sm text-gray-600">
+                  {incidentReport.highSeverity} high-severity incident{incidentReport.highSeverity === 1 ? '' : 's'} •
+                  {' '}{incidentReport.totalAwaySeconds}s away from camera or exam tab in total
+                </p>
+
+                {incidentReport.total === 0 ? (
+                  <div className="text-center py-12 text-gray-500">
+                    <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-3" />
+                    No incidents recorded for {student.name}.
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    {incidentReport.incidents.map((incident, idx) => (
+                      <div
+                        key={incident.id || idx}
+                        className={`flex items-start gap-4 p-4 rounded-xl border-l-4 bg-gray-50 ${
+                          incident.severity === 'high' ? 'border-red-500' : 'border-yellow-500'
+                        }`}
+                      >
+                        {incident.snapshot ? (
+                          <a href={incident.snapshot} target="_blank" rel="noopener noreferrer">
+                            <img
+                              src={incident.snapshot}
+                              alt={`${incident.label} snapshot`}
+                              className="w-40 rounded-lg shadow"
+                            />
+                          </a>
+                        ) : (
+                          <div className="w-40 h-24 rounded-lg bg-gray-200 flex items-center justify-center text-xs text-gray-500">
+                            No snapshot
+                          </div>
+                        )}
+                        <div className="flex-1">
+                          <div className="flex items-center justify-between">
+                            <p className="font-semibold text-gray-800">{incident.label}</p>
+                            <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
+                              incident.severity === 'high' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                            }`}>
+                              {incident.severity}
+                            </span>
+                          </div>
+                          <p className="text-sm text-gray-600 mt-1">
+                            {new Date(incident.startedAt).toLocaleString()}
+                            {incident.endedAt && ` → ${new Date(incident.endedAt).toLocaleTimeString()}`}
+                            {' '}({Math.round(incident.durationMs / 1000)}s)
+                          </p>
+                          {incident.details.faceCount > 1 && (
+                            <p className="text-sm text-gray-500 mt-1">{incident.details.faceCount} faces in view</p>
+                          )}
+                          {incident.details.confidence && (
+                            <p className="text-sm text-gray-500 mt-1">Detector confidence: {Math.round(incident.details.confidence * 100)}%</p>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -0,0 +1,369 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Document, Page, pdfjs } from 'react-pdf';
+import {
+  X, Clock, Users, AlertTriangle, Highlighter, MessageSquare, RefreshCw, FileText, Repeat, Activity, Search
+} from 'lucide-react';
+import { sessionsAPI, questionsAPI } from '../../services/api';
+import { PageHeatMap } from '../shared/Charts';
+import {
+  DENSITY_ROWS,
+  DENSITY_COLUMNS,
+  buildPageAnalysis,
+  findStuckPages,
+  rankPages,
+  buildHighlightDensity,
+  buildSearchTerms
+} from '../../utils/documentAnalysis';
+
+pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
+
+const formatMinutes = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+};
+
+// One ranked list ("Most revisited", ...) - clicking a row opens the page
+const RankedPages = ({ title, icon: Icon, pages, field, unit, onSelect }) => (
+  <div className="bg-white rounded-xl shadow-lg p-6">
+    <h4 className="text-sm font-semibold text-gray-700 mb-3 flex items-center">
+      <Icon className="h-4 w-4 mr-2 text-indigo-500" />
+      {title}
+    </h4>
+    {pages.length === 0 ? (
+      <p className="text-sm text-gray-400">Nothing yet</p>
+    ) : (
+      <div className="space-y-1">
+        {pages.map(page => (
+          <button
+            key={page.page}
+            onClick={() => onSelect(page.page)}
+            className="w-full flex items-center justify-between px-2 py-1.5 rounded-lg text-sm hover:bg-gray-50"
+          >
+            <span className="text-gray-800">Page {page.page}</span>
+            <span className="text-gray-500">{page[field]} {unit}</span>
+          </button>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+// The room PDF page with where highlights cluster drawn on top
+const PageDetailModal = ({ room, page, onClose }) => {
+  const { grid, max } = buildHighlightDensity(page.highlights);
+
+  const pdfFile = useMemo(() => ({
+    url: `${process.env.REACT_APP_API_URL}/rooms/${room._id}/pdf`,
+    httpHeaders: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+  }), [room._id]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl max-w-5xl w-full max-h-[90vh] shadow-2xl flex flex-col">
+        <div className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white p-6 rounded-t-2xl flex items-center justify-between">
+          <div>
+            <h2 className="text-xl font-bold">Page {page.page}</h2>
+            <p className="text-purple-100 text-sm mt-1">
+              {page.readers} readers • {formatMinutes(page.avgTimePerReader)} each on average
+            </p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white hover:bg-opacity-20 rounded-lg transition-all">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-6 flex flex-col lg:flex-row gap-6">
+          <div className="relative self-start bg-gray-100 shadow">
+            <Document
+              file={pdfFile}
+              loading={<div className="p-24 text-gray-500">Loading page...</div>}
+              error={<div className="p-24 text-gray-500">The room PDF could not be loaded.</div>}
+            >
+              <Page pageNumber={page.page} width={520} renderTextLayer={false} renderAnnotationLayer={false} />
+            </Document>
+
+            {max > 0 && (
+              <div
+                className="absolute inset-0 grid pointer-events-none"
+                style={{
+                  gridTemplateRows: `repeat(${DENSITY_ROWS}, 1fr)`,
+                  gridTemplateColumns: `repeat(${DENSITY_COLUMNS}, 1fr)`
+                }}
+              >
+                {grid.flatMap((row, rowIndex) => row.map((count, columnIndex) => (
+                  <div
+                    key={`${rowIndex}-${columnIndex}`}
+                    style={{ backgroundColor: count > 0 ? `rgba(239, 68, 68, ${0.1 + (count / max) * 0.5})` : 'transparent' }}
+                  />
+                )))}
+              </div>
+            )}
+          </div>
+
+          <div className="flex-1 space-y-4 text-sm">
+            <div className="grid grid-cols-2 gap-3">
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Attention</p>
+                <p className="text-lg font-bold text-gray-900">{page.attention !== null ? `${page.attention}%` : '—'}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Revisits</p>
+                <p className="text-lg font-bold text-gray-900">{page.revisits}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Highlights</p>
+                <p className="text-lg font-bold text-gray-900">{page.highlightCount}</p>
+              </div>
+              <div className="bg-gray-50 rounded-lg p-3">
+                <p className="text-gray-500">Questions</p>
+                <p className="text-lg font-bold text-gray-900">{page.questions}</p>
+              </div>
+            </div>
+
+            {page.highlightCount > 0 ? (
+              <div>
+                <p className="text-xs font-semibold text-gray-500 uppercase mb-2">Highlighted passages</p>
+                <div className="space-y-2 max-h-72 overflow-y-auto">
+                  {page.highlights.filter(h => h.text).slice(0, 20).map((highlight, index) => (
+                    <p key={index} className="bg-yellow-50 border-l-4 border-yellow-400 rounded px-3 py-2 text-gray-700">
+                      {highlight.text}
+                    </p>
+                  ))}
+                </div>
+              </div>
+            ) : (
+              <p className="text-gray-400">No highlights on this page yet</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Room-level analysis of the room PDF across every student's sessions
+ *
+ * @param {Object} room - Room being monitored
+ */
+const DocumentAnalysis = ({ room }) => {
+  const [sessions, setSessions] = useState([]);
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedPage, setSelectedPage] = useState(null);
+
+  useEffect(() => {
+    fetchSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [room._id]);
+
+  const fetchSessions = async () => {
+    setLoading(true);
+    try {
+      const [response, questionsResponse] = await Promise.all([
+        sessionsAPI.getRecent(),
+        questionsAPI.getByRoom(room._id).catch(error => {
+          console.error('❌ Error fetching questions for document analysis:', error);
+          return { data: [] };
+        })
+      ]);
+      const roomQuestions = questionsResponse.data;
+      setQuestions(Array.isArray(roomQuestions) ? roomQuestions : (roomQuestions?.questions || []));
+      setSessions((response.data || []).filter(s => {
+        const roomIdStr = s.room_id?._id?.toString() || s.room_id?.toString();
+        return roomIdStr === room._id?.toString();
+      }));
+    } catch (error) {
+      console.error('❌ Error fetching sessions for document analysis:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const analysis = useMemo(() => buildPageAnalysis(sessions, questions), [sessions, questions]);
+  const stuckPages = findStuckPages(analysis);
+  const searchTerms = useMemo(() => buildSearchTerms(sessions), [sessions]);
+  const maxTime = Math.max(1, ...analysis.pages.map(page => page.avgTimePerReader));
+  const attentionDrops = analysis.pages
+    .filter(page => page.attention !== null && analysis.avgAttention !== null && page.attention < analysis.avgAttention)
+    .map(page => ({ ...page, attentionDrop: analysis.avgAttention - page.attention }));
+  const selected = analysis.pages.find(page => page.page === selectedPage);
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-12 text-center text-gray-500">
+        <RefreshCw className="h-8 w-8 animate-spin mx-auto mb-3" />
+        Analysing reading activity...
+      </div>
+    );
+  }
+
+  if (analysis.pages.length === 0) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-12 text-center">
+        <FileText className="h-16 w-16 text-gray-300 mx-auto mb-3" />
+        <p className="text-gray-600">No reading activity in this room yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {selected && <PageDetailModal room={room} page={selected} onClose={() => setSelectedPage(null)} />}
+
+      {/* Summary */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-blue-500">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-600">Readers</h3>
+            <Users className="h-8 w-8 text-blue-500" />
+          </div>
+          <p className="text-3xl font-bold text-gray-900">{analysis.readers}</p>
+        </div>
+        <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-green-500">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-600">Total Reading Time</h3>
+            <Clock className="h-8 w-8 text-green-500" />
+          </div>
+          <p className="text-3xl font-bold text-gray-900">{Math.round(analysis.totalTime / 60)}m</p>
+        </div>
+        <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-purple-500">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-600">Typical Page</h3>
+            <FileText className="h-8 w-8 text-purple-500" />
+          </div>
+          <p className="text-3xl font-bold text-gray-900">{formatMinutes(analysis.medianTime)}</p>
+        </div>
+        <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-red-500">
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-sm font-medium text-gray-600">Sticking Points</h3>
+            <AlertTriangle className="h-8 w-8 text-red-500" />
+          </div>
+          <p className="text-3xl font-bold text-gray-900">{stuckPages.length}</p>
+        </div>
+      </div>
+
+      {/* Page strip */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-xl font-bold text-gray-800">Time per page</h3>
+          <span className="text-sm text-gray-500">Average per reader • click a page to open it</span>
+        </div>
+        <div className="flex flex-wrap gap-1 mb-6">
+          {analysis.pages.map(page => (
+            <button
+              key={page.page}
+              onClick={() => setSelectedPage(page.page)}
+              title={`Page ${page.page}: ${formatMinutes(page.avgTimePerReader)} per reader`}
+              className={`w-10 h-10 rounded text-xs font-semibold border hover:ring-2 hover:ring-indigo-400 ${
+                stuckPages.some(stuck => stuck.page === page.page) ? 'border-red-500' : 'border-transparent'
+              }`}
+              style={{
+                backgroundColor: `rgba(239, 68, 68, ${0.08 + (page.avgTimePerReader / maxTime) * 0.8})`,
+                color: page.avgTimePerReader / maxTime > 0.5 ? 'white' : '#374151'
+              }}
+            >
+              {page.page}
+            </button>
+          ))}
+        </div>
+        <PageHeatMap
+          data={analysis.pages.map(page => ({ page: page.page, timeSpent: page.avgTimePerReader }))}
+          height={Math.min(400, 60 + analysis.pages.length * 18)}
+        />
+      </div>
+
+      {/* Where students get stuck */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-4">Where students get stuck</h3>
+        {stuckPages.length === 0 ? (
+          <p className="text-gray-500">No page stands out - reading time and attention are even across the document.</p>
+        ) : (
+          <div className="divide-y divide-gray-100">
+            {stuckPages.slice(0, 8).map(stuck => (
+              <button
+                key={stuck.page}
+                onClick={() => setSelectedPage(stuck.page)}
+                className="w-full py-3 flex items-start gap-4 text-left hover:bg-gray-50"
+              >
+                <AlertTriangle className="h-5 w-5 mt-0.5 text-red-500 flex-shrink-0" />
+                <div>
+                  <p className="text-sm font-medium text-gray-900">Page {stuck.page}</p>
+                  <p className="text-xs text-gray-500 mt-0.5">{stuck.reasons.join(' • ')}</p>
+                </div>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <RankedPages
+          title="Attention drops"
+          icon={Activity}
+          pages={rankPages(attentionDrops, 'attentionDrop')}
+          field="attentionDrop"
+          unit="pts below avg"
+          onSelect={setSelectedPage}
+        />
+        <RankedPages
+          title="Most highlighted"
+          icon={Highlighter}
+          pages={rankPages(analysis.pages, 'highlightCount')}
+          field="highlightCount"
+          unit="highlights"
+          onSelect={setSelectedPage}
+        />
+        <RankedPages
+          title="Most questions"
+          icon={MessageSquare}
+          pages={rankPages(analysis.pages, 'questions')}
+          field="questions"
+          unit="questions"
+          onSelect={setSelectedPage}
+        />
+        <RankedPages
+          title="Most revisited"
+          icon={Repeat}
+          pages={rankPages(analysis.pages, 'revisits')}
+          field="revisits"
+          unit="revisits"
+          onSelect={setSelectedPage}
+        />
+      </div>
+
+      {/* What students searched for */}
+      <div className="bg-white rounded-xl shadow-lg p-6">
+        <h3 className="text-xl font-bold text-gray-800 mb-4 flex items-center">
+          <Search className="h-5 w-5 mr-2 text-indigo-600" />
+          What students searched for
+        </h3>
+        {searchTerms.length === 0 ? (
+          <p className="text-gray-500">No searches in this document yet.</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {searchTerms.slice(0, 30).map(term => (
+              <span
+                key={term.term}
+                title={`${term.searches} searches by ${term.students} ${term.students === 1 ? 'student' : 'students'}${
+                  term.resultCount === 0 ? ' - not found in the PDF' : ''}`}
+                className={`px-3 py-1 rounded-full text-sm ${
+                  term.resultCount === 0 ? 'bg-red-50 text-red-700 border border-red-200' : 'bg-indigo-50 text-indigo-700'
+                }`}
+              >
+                {term.term}
+                <span className="ml-1 text-xs opacity-70">×{term.searches}</span>
+              </span>
+            ))}
+          </div>
+        )}
+        {searchTerms.some(term => term.resultCount === 0) && (
+          <p className="text-xs text-gray-500 mt-3">Red terms don't appear in the PDF - students may expect material that isn't there.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DocumentAnalysis;
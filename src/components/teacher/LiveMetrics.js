@@ -3,10 +3,44 @@
 
 import React, { useState, useEffect } from 'react';
 import { 
-  ArrowLeft, Users, Activity, Eye, AlertTriangle, RefreshCw, FileText
+  ArrowLeft, Users, Activity, Eye, AlertTriangle, RefreshCw, FileText, Wifi, WifiOff, Check, LayoutGrid, List, Hand, Presentation
 } from 'lucide-react';
 import { sessionsAPI, roomsAPI } from '../../services/api';
+import useRoomMonitor from '../../hooks/useRoomMonitor';
+import { getSocket, SOCKET_EVENTS } from '../../services/socket';
+import useAlerts from '../../hooks/useAlerts';
+import { getSessionEngagementScore } from '../../utils/engagementScoring';
+import { getRoomEngagementWeights } from '../../utils/monitoringPolicy';
+import { buildNudgeLog } from '../../utils/nudges';
+import { enqueueInteraction } from '../../services/interactionQueue';
+import useInteractionQueue from '../../hooks/useInteractionQueue';
+import { appendTimelinePoint, COMPACT_WALL_THRESHOLD } from '../../utils/studentWall';
 import ComprehensiveStudentReport from './ComprehensiveStudentReport';
+import StudentWall from './StudentWall';
+import NudgeModal from './NudgeModal';
+import PresenterView from './PresenterView';
+import { SeverityBadge, AlertNoteEditor } from '../shared/Notifications';
+
+// Polling is only a fallback while the live socket channel is down
+const POLL_INTERVAL_MS = 30000;
+
+// Acknowledged alerts stay listed (greyed out) up to this many alerts in total
+const ALERT_LIST_SIZE = 10;
+
+const toIdString = (value) => value?._id?.toString() || value?.toString();
+
+// Apply a change to one student and keep the "Active Now" count in sync
+const updateStudent = (prevMetrics, studentId, updater) => {
+  const id = toIdString(studentId);
+  if (!prevMetrics.students.some(s => s.id === id)) return prevMetrics;
+
+  const students = prevMetrics.students.map(s => (s.id === id ? updater(s) : s));
+  return {
+    ...prevMetrics,
+    students,
+    activeStudents: students.filter(s => s.status === 'Active').length
+  };
+};
 
 const LiveMetrics = ({ room, onBack }) => {
   const [activeView, setActiveView] = useState('overview');
@@ -14,17 +48,128 @@ const LiveMetrics = ({ room, onBack }) => {
     activeStudents: 0,
     avgEngagement: 0,
     totalHighlights: 0,
-    alerts: 0,
     students: []
   });
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [studentView, setStudentView] = useState('wall');
+  const [wallSort, setWallSort] = useState('attention');
+  const [compactWall, setCompactWall] = useState(null); // null = automatic by room size
+  const [nudges, setNudges] = useState([]); // Sent to this room's recent sessions, newest first
+  const [nudgeStudent, setNudgeStudent] = useState(null);
+  // The teacher's client only queues nudge logs, so anything dropped is one of them
+  const { dropped: droppedNudgeLogs } = useInteractionQueue();
+
+  // Alerts are raised by the dashboard's rules engine (useAlertEngine)
+  const { alerts, openCount, acknowledge, annotate, acknowledgeAll } = useAlerts(room._id);
+  const openAlertsByStudent = alerts
+    .filter(alert => !alert.acknowledged)
+    .reduce((counts, alert) => ({ ...counts, [alert.studentId]: (counts[alert.studentId] || 0) + 1 }), {});
+  const listedAlerts = [
+    ...alerts.filter(alert => !alert.acknowledged),
+    ...alerts.filter(alert => alert.acknowledged)
+  ].slice(0, ALERT_LIST_SIZE);
+
+  const isCompactWall = compactWall ?? metrics.students.length >= COMPACT_WALL_THRESHOLD;
+
+  const handleLiveMetric = ({ studentId, sessionId, data = {}, timestamp }) => {
+    setMetrics(prev => updateStudent(prev, studentId, student => ({
+      ...student,
+      status: 'Active',
+      sessionId: sessionId || student.sessionId,
+      currentEngagement: data.engagementScore ?? student.currentEngagement,
+      timeline: appendTimelinePoint(student.timeline, data, timestamp ? new Date(timestamp).getTime() : Date.now()),
+      live: {
+        ...student.live,
+        ...data,
+        updatedAt: timestamp || new Date().toISOString()
+      }
+    })));
+  };
+
+  const handleSessionStarted = ({ studentId, sessionId, startTime }) => {
+    setMetrics(prev => updateStudent(prev, studentId, student => ({
+      ...student,
+      status: 'Active',
+      sessionId,
+      currentEngagement: 0,
+      totalSessions: student.totalSessions + 1,
+      lastActive: startTime || new Date().toISOString(),
+      live: null,
+      timeline: []
+    })));
+  };
+
+  const handleSessionEnded = ({ studentId }) => {
+    setMetrics(prev => updateStudent(prev, studentId, student => ({
+      ...student,
+      status: 'Inactive',
+      currentEngagement: 0,
+      live: null,
+      timeline: []
+    })));
+  };
+
+  const handleNudgeResponse = ({ nudgeId, response, respondedAt }) => {
+    setNudges(prev => prev.map(nudge =>
+      nudge.id === nudgeId ? { ...nudge, response, respondedAt: respondedAt || new Date().toISOString() } : nudge
+    ));
+  };
+
+  // Sent by each student's viewer on page changes and follow/break-away while presenting
+  const handleFollowStatus = ({ studentId, sessionId, page, following }) => {
+    setMetrics(prev => {
+      const id = studentId || prev.students.find(s => s.sessionId && s.sessionId.toString() === sessionId?.toString())?.id;
+      return updateStudent(prev, id, student => ({
+        ...student,
+        live: {
+          ...student.live,
+          currentPage: page ?? student.live?.currentPage,
+          following: !!following
+        }
+      }));
+    });
+  };
+
+  const handleSendNudge = (student, nudge) => {
+    getSocket().emit(SOCKET_EVENTS.SEND_NUDGE, {
+      roomId: room._id,
+      studentId: student.id,
+      sessionId: student.sessionId,
+      nudge
+    });
+    console.log(`👋 Nudge sent to ${student.name}:`, nudge.message);
+
+    // Logged on sending, so the report also lists nudges the student never received
+    if (student.sessionId) {
+      enqueueInteraction(student.sessionId, 'teacher_nudge', {
+        nudgeId: nudge.id,
+        message: nudge.message,
+        presetId: nudge.presetId || null,
+        page: nudge.page || null,
+        teacherName: nudge.teacherName || null,
+        sentAt: nudge.sentAt
+      }).catch(err => console.error('Failed to queue nudge:', err));
+    }
+    setNudges(prev => [{ ...nudge, studentId: student.id, response: null, respondedAt: null }, ...prev]);
+  };
+
+  const { isConnected } = useRoomMonitor(room._id, {
+    onMetric: handleLiveMetric,
+    onSessionStarted: handleSessionStarted,
+    onSessionEnded: handleSessionEnded,
+    onNudgeResponse: handleNudgeResponse,
+    onFollowStatus: handleFollowStatus
+  });
 
+  // Full fetch on mount and whenever the connection state flips (resync after
+  // a reconnect); keep polling only while the socket is disconnected
   useEffect(() => {
     fetchMetrics();
-    const interval = setInterval(fetchMetrics, 30000);
+    if (isConnected) return;
+    const interval = setInterval(fetchMetrics, POLL_INTERVAL_MS);
     return () => clearInterval(interval);
-  }, [room._id]);
+  }, [room._id, isConnected]);
 
   const fetchMetrics = async () => {
     setRefreshing(true);
@@ -54,8 +199,11 @@ const LiveMetrics = ({ room, onBack }) => {
         })
       ).size;
       
+      const weights = getRoomEngagementWeights(roomData);
+      const sessionEngagement = (s) => getSessionEngagementScore(s, weights);
+
       const avgEngagement = roomSessions.length > 0 
-        ? roomSessions.reduce((sum, s) => sum + (s.engagement_score || 0), 0) / roomSessions.length 
+        ? roomSessions.reduce((sum, s) => sum + sessionEngagement(s), 0) / roomSessions.length 
         : 0;
       
       const students = (roomData.allowed_students || []).map(student => {
@@ -78,12 +226,15 @@ const LiveMetrics = ({ room, onBack }) => {
           id: studentId,
           name: studentName,
           email: studentEmail,
+          sessionId: activeSession?._id || null,
+          live: null,
+          timeline: [],
           status: activeSession ? 'Active' : 'Inactive',
-          currentEngagement: activeSession ? (activeSession.engagement_score || 0) : 0,
+          currentEngagement: activeSession ? sessionEngagement(activeSession) : 0,
           totalSessions: studentSessions.length,
           totalHours: totalDuration / 3600,
           avgEngagement: studentSessions.length > 0 
-            ? studentSessions.reduce((sum, s) => sum + (s.engagement_score || 0), 0) / studentSessions.length 
+            ? studentSessions.reduce((sum, s) => sum + sessionEngagement(s), 0) / studentSessions.length 
             : 0,
           lastActive: studentSessions.length > 0 
             ? studentSessions[studentSessions.length - 1].start_time 
@@ -91,15 +242,32 @@ const LiveMetrics = ({ room, onBack }) => {
         };
       });
 
-      setMetrics({
+      // Nudges logged on the sessions; responses that arrived live since are kept
+      const loggedNudges = roomSessions.flatMap(s => buildNudgeLog(s.interactions || []).nudges
+        .map(nudge => ({ ...nudge, studentId: toIdString(s.student_id) })));
+      setNudges(prev => {
+        const byId = new Map(loggedNudges.map(nudge => [nudge.id, nudge]));
+        prev.forEach(nudge => {
+          const logged = byId.get(nudge.id);
+          byId.set(nudge.id, logged && !nudge.response ? { ...nudge, ...logged } : nudge);
+        });
+        return Array.from(byId.values()).sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+      });
+
+      setMetrics(prev => ({
         activeStudents,
         avgEngagement: Math.round(avgEngagement),
         totalHighlights: roomSessions.reduce((sum, s) => 
           sum + (s.interactions?.filter(i => i.type === 'highlight').length || 0), 0
         ),
-        alerts: 0,
-        students
-      });
+        // Keep the latest live snapshot for students whose session is still running
+        students: students.map(student => {
+          const previous = prev.students.find(p => p.id === student.id);
+          return previous?.live && student.status === 'Active'
+            ? { ...student, live: previous.live, timeline: previous.timeline, currentEngagement: previous.currentEngagement }
+            : student;
+        })
+      }));
     } catch (error) {
       console.error('❌ Error fetching metrics:', error);
     } finally {
@@ -127,9 +295,28 @@ const LiveMetrics = ({ room, onBack }) => {
     );
   }
 
+  if (activeView === 'presenter') {
+    return (
+      <PresenterView
+        room={room}
+        students={metrics.students}
+        isConnected={isConnected}
+        onClose={() => setActiveView('overview')}
+      />
+    );
+  }
+
   // Main Overview
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-50 to-indigo-100 p-8">
+      {nudgeStudent && (
+        <NudgeModal
+          student={nudgeStudent}
+          nudges={nudges.filter(nudge => nudge.studentId === nudgeStudent.id)}
+          onSend={(nudge) => handleSendNudge(nudgeStudent, nudge)}
+          onClose={() => setNudgeStudent(null)}
+        />
+      )}
       <div className="max-w-7xl mx-auto">
         {/* Header */}
         <div className="flex items-center justify-between mb-8">
@@ -139,17 +326,42 @@ const LiveMetrics = ({ room, onBack }) => {
           <div className="text-center">
             <h1 className="text-3xl font-bold text-gray-800">{room.title}</h1>
             <p className="text-gray-600">Live Monitoring Dashboard</p>
+            <span className={`inline-flex items-center mt-1 px-2 py-0.5 rounded-full text-xs font-semibold ${
+              isConnected ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+            }`}>
+              {isConnected ? <Wifi className="h-3 w-3 mr-1" /> : <WifiOff className="h-3 w-3 mr-1" />}
+              {isConnected ? 'Live' : `Offline - refreshing every ${POLL_INTERVAL_MS / 1000}s`}
+            </span>
+          </div>
+          <div className="flex items-center gap-3">
+            {(room.pdf_path || room.has_pdf) && (
+              <button
+                onClick={() => setActiveView('presenter')}
+                className="flex items-center px-4 py-2 bg-purple-600 hover:bg-purple-700 text-white rounded-lg shadow transition"
+                title="Present the room PDF - students in follow mode stay on your page"
+              >
+                <Presentation className="h-5 w-5 mr-2" />
+                Present
+              </button>
+            )}
+            <button 
+              onClick={fetchMetrics} 
+              disabled={refreshing} 
+              className="flex items-center px-4 py-2 bg-white hover:bg-gray-50 rounded-lg shadow transition disabled:opacity-50"
+            >
+              <RefreshCw className={`h-5 w-5 mr-2 ${refreshing ? 'animate-spin' : ''}`} /> 
+              Refresh
+            </button>
           </div>
-          <button 
-            onClick={fetchMetrics} 
-            disabled={refreshing} 
-            className="flex items-center px-4 py-2 bg-white hover:bg-gray-50 rounded-lg shadow transition disabled:opacity-50"
-          >
-            <RefreshCw className={`h-5 w-5 mr-2 ${refreshing ? 'animate-spin' : ''}`} /> 
-            Refresh
-          </button>
         </div>
 
+        {droppedNudgeLogs > 0 && (
+          <div className="flex items-center mb-6 px-4 py-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+            <AlertTriangle className="h-4 w-4 mr-2 flex-shrink-0" />
+            The server refused {droppedNudgeLogs} nudge {droppedNudgeLogs === 1 ? 'log' : 'logs'}, so {droppedNudgeLogs === 1 ? 'it' : 'they'} won't appear in the students' reports.
+          </div>
+        )}
+
         {/* Stats Cards */}
         <div className="grid grid-cols-1 md:grid-cols-4 gap-6 mb-8">
           <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-blue-500">
@@ -178,22 +390,120 @@ const LiveMetrics = ({ room, onBack }) => {
 
           <div className="bg-white rounded-xl shadow-lg p-6 border-l-4 border-red-500">
             <div className="flex items-center justify-between mb-2">
-              <h3 className="text-sm font-medium text-gray-600">Alerts</h3>
+              <h3 className="text-sm font-medium text-gray-600">Open Alerts</h3>
               <AlertTriangle className="h-8 w-8 text-red-500" />
             </div>
-            <p className="text-3xl font-bold text-gray-900">{metrics.alerts}</p>
+            <p className="text-3xl font-bold text-gray-900">{openCount}</p>
           </div>
         </div>
 
-        {/* Students Table */}
+        {/* Alerts */}
+        {listedAlerts.length > 0 && (
+          <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-xl font-bold text-gray-800">Alerts</h3>
+              {openCount > 0 && (
+                <button
+                  onClick={acknowledgeAll}
+                  className="text-sm text-blue-600 hover:text-blue-700 font-medium"
+                >
+                  Acknowledge all
+                </button>
+              )}
+            </div>
+            <div className="divide-y divide-gray-100">
+              {listedAlerts.map(alert => (
+                <div key={alert.id} className={`py-3 flex items-start gap-4 ${alert.acknowledged ? 'opacity-60' : ''}`}>
+                  <AlertTriangle className={`h-5 w-5 mt-0.5 flex-shrink-0 ${alert.acknowledged ? 'text-gray-400' : 'text-red-500'}`} />
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <span className="text-sm font-medium text-gray-900">{alert.message}</span>
+                      <SeverityBadge severity={alert.severity} />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-0.5">
+                      {new Date(alert.raisedAt).toLocaleTimeString()}
+                      {alert.occurrences > 1 && ` • ${alert.occurrences} times, last at ${new Date(alert.lastSeenAt).toLocaleTimeString()}`}
+                      {alert.acknowledged && ` • Acknowledged ${new Date(alert.acknowledgedAt).toLocaleTimeString()}`}
+                    </p>
+                    <AlertNoteEditor note={alert.note} onSave={(note) => annotate(alert.id, note)} />
+                  </div>
+                  {!alert.acknowledged && (
+                    <button
+                      onClick={() => acknowledge(alert.id)}
+                      className="inline-flex items-center px-3 py-1.5 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 transition flex-shrink-0"
+                    >
+                      <Check className="h-4 w-4 mr-1" />
+                      Acknowledge
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Students: live wall or table */}
         <div className="bg-white rounded-xl shadow-lg p-6">
-          <h3 className="text-xl font-bold text-gray-800 mb-4">Students</h3>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h3 className="text-xl font-bold text-gray-800">Students</h3>
+            <div className="flex items-center gap-3 text-sm">
+              {studentView === 'wall' && (
+                <>
+                  <label className="flex items-center gap-2 text-gray-600">
+                    Sort
+                    <select
+                      value={wallSort}
+                      onChange={(e) => setWallSort(e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-lg focus:border-indigo-500 focus:outline-none"
+                    >
+                      <option value="attention">Needs attention</option>
+                      <option value="engagement">Lowest engagement</option>
+                      <option value="name">Name</option>
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-2 text-gray-600 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={isCompactWall}
+                      onChange={(e) => setCompactWall(e.target.checked)}
+                      className="w-4 h-4"
+                    />
+                    Compact
+                  </label>
+                </>
+              )}
+              <div className="flex rounded-lg border border-gray-300 overflow-hidden">
+                <button
+                  onClick={() => setStudentView('wall')}
+                  className={`px-3 py-1.5 flex items-center ${studentView === 'wall' ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                >
+                  <LayoutGrid className="h-4 w-4 mr-1" /> Wall
+                </button>
+                <button
+                  onClick={() => setStudentView('table')}
+                  className={`px-3 py-1.5 flex items-center ${studentView === 'table' ? 'bg-indigo-600 text-white' : 'bg-white text-gray-600 hover:bg-gray-50'}`}
+                >
+                  <List className="h-4 w-4 mr-1" /> Table
+                </button>
+              </div>
+            </div>
+          </div>
           
           {metrics.students.length === 0 ? (
             <div className="text-center py-12">
               <Users className="h-20 w-20 text-gray-300 mx-auto mb-4" />
               <p className="text-gray-600">No students in this room yet</p>
             </div>
+          ) : studentView === 'wall' ? (
+            <StudentWall
+              students={metrics.students}
+              alerts={alerts}
+              nudges={nudges}
+              onNudgeStudent={isConnected ? setNudgeStudent : null}
+              sortBy={wallSort}
+              compact={isCompactWall}
+              onSelectStudent={handleViewReport}
+            />
           ) : (
             <div className="overflow-x-auto">
               <table className="w-full">
@@ -201,6 +511,7 @@ const LiveMetrics = ({ room, onBack }) => {
                   <tr>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Student</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Live</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sessions</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total Hours</th>
                     <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Avg Engagement</th>
@@ -230,6 +541,29 @@ const LiveMetrics = ({ room, onBack }) => {
                           {student.status}
                         </span>
                       </td>
+                      <td className="px-6 py-4 text-sm">
+                        {student.status === 'Active' ? (
+                          <div>
+                            <span className="font-medium text-gray-900">{Math.round(student.currentEngagement)}%</span>
+                            {student.live && (
+                              <div className="text-xs text-gray-500">
+                                {student.live.faceDetected === false
+                                  ? 'Away'
+                                  : student.live.lookingAtScreen ? 'Focused' : 'Looking away'}
+                                {student.live.hasPhone && <span className="text-red-600 font-semibold"> • Phone</span>}
+                              </div>
+                            )}
+                            {openAlertsByStudent[student.id] > 0 && (
+                              <div className="inline-flex items-center text-xs text-red-600 font-semibold">
+                                <AlertTriangle className="h-3 w-3 mr-1" />
+                                {openAlertsByStudent[student.id]} open alert{openAlertsByStudent[student.id] > 1 ? 's' : ''}
+                              </div>
+                            )}
+                          </div>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
                       <td className="px-6 py-4 text-sm text-gray-900">
                         {student.totalSessions}
                       </td>
@@ -250,7 +584,16 @@ const LiveMetrics = ({ room, onBack }) => {
                           </div>
                         </div>
                       </td>
-                      <td className="px-6 py-4 text-center">
+                      <td className="px-6 py-4 text-center whitespace-nowrap">
+                        {student.status === 'Active' && student.sessionId && isConnected && (
+                          <button
+                            onClick={() => setNudgeStudent(student)}
+                            className="inline-flex items-center px-3 py-2 mr-2 border border-gray-300 text-gray-700 text-sm font-medium rounded-lg hover:bg-gray-50 transition"
+                          >
+                            <Hand className="h-4 w-4 mr-1" />
+                            Nudge
+                          </button>
+                        )}
                         <button
                           onClick={() => handleViewReport(student)}
                           className="inline-flex items-center px-4 py-2 bg-gradient-to-r from-purple-600 to-indigo-600 hover:from-purple-700 hover:to-indigo-700 text-white text-sm font-medium rounded-lg transition-all shadow-sm"
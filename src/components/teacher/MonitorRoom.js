@@ -2,9 +2,12 @@
 import React, { useState } from 'react';
 import LiveMetrics from './LiveMetrics';
 import HistoricalReport from './HistoricalReport';
+import DocumentAnalysis from './DocumentAnalysis';
+import AnnotationQueue from './AnnotationQueue';
+import QuestionQueue from './QuestionQueue';
 
 const MonitorRoom = ({ room, onBack }) => {
-  const [activeTab, setActiveTab] = useState('live'); // 'live' or 'history'
+  const [activeTab, setActiveTab] = useState('live'); // 'live', 'history', 'document', 'questions' or 'annotations'
 
   return (
     <div className="min-h-screen bg-gray-50 p-6">
@@ -31,11 +34,32 @@ const MonitorRoom = ({ room, onBack }) => {
         >
           Historical Report
         </button>
+        <button
+          className={`px-4 py-2 rounded ${activeTab==='document'?'bg-purple-600 text-white':'bg-gray-200'}`}
+          onClick={() => setActiveTab('document')}
+        >
+          Document Analysis
+        </button>
+        <button
+          className={`px-4 py-2 rounded ${activeTab==='questions'?'bg-purple-600 text-white':'bg-gray-200'}`}
+          onClick={() => setActiveTab('questions')}
+        >
+          Q&A
+        </button>
+        <button
+          className={`px-4 py-2 rounded ${activeTab==='annotations'?'bg-purple-600 text-white':'bg-gray-200'}`}
+          onClick={() => setActiveTab('annotations')}
+        >
+          Annotations
+        </button>
       </div>
 
       {/* Tab Content */}
       {activeTab === 'live' && <LiveMetrics room={room} onBack={onBack} />}
       {activeTab === 'history' && <HistoricalReport room={room} />}
+      {activeTab === 'document' && <DocumentAnalysis room={room} />}
+      {activeTab === 'questions' && <QuestionQueue room={room} />}
+      {activeTab === 'annotations' && <AnnotationQueue room={room} />}
     </div>
   );
 };
@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { SlidersHorizontal, ChevronDown, ChevronUp, Bell, ScanFace, Gauge } from 'lucide-react';
+import { ENGAGEMENT_FACTORS } from '../../utils/engagementScoring';
+import {
+  MONITORING_DETECTORS,
+  MONITORING_PRESETS,
+  ALERT_RULE_TYPES,
+  ALERT_SEVERITIES,
+  normalizeMonitoringPolicy,
+  describeAlertRule
+} from '../../utils/monitoringPolicy';
+
+const THRESHOLD_FIELDS = [
+  { key: 'minBlinkRate', label: 'Low blink rate (per min)', min: 0 },
+  { key: 'maxBlinkRate', label: 'High blink rate (per min)', min: 1 },
+  { key: 'minPostureScore', label: 'Poor posture below (0-100)', min: 0, max: 100 },
+  { key: 'absenceSeconds', label: 'Absent after (seconds)', min: 5 }
+];
+
+// Editable numbers per alert rule, beyond enabled/severity
+const RULE_FIELDS = {
+  count: { label: 'Times', min: 1 },
+  threshold: { label: 'Below %', min: 0, max: 100 },
+  minutes: { label: 'Minutes', min: 1 }
+};
+
+const parseNumber = (value) => {
+  const number = parseFloat(value);
+  return isNaN(number) ? '' : number;
+};
+
+const MonitoringPolicyEditor = ({ policy, onChange }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  const update = (section, key, value) => {
+    onChange({ ...policy, [section]: { ...policy[section], [key]: value } });
+  };
+
+  const updateRule = (type, key, value) => {
+    onChange({
+      ...policy,
+      alertRules: policy.alertRules.map(rule => (rule.type === type ? { ...rule, [key]: value } : rule))
+    });
+  };
+
+  const applyPreset = (presetKey) => {
+    onChange(normalizeMonitoringPolicy(MONITORING_PRESETS[presetKey].policy));
+  };
+
+  const totalWeight = Object.values(policy.weights).reduce((sum, weight) => sum + (weight || 0), 0);
+  const enabledDetectors = Object.keys(MONITORING_DETECTORS).filter(key => policy.detectors[key]);
+  const enabledRules = policy.alertRules.filter(rule => rule.enabled);
+
+  return (
+    <div className="space-y-3">
+      <label className="flex items-center gap-2 text-lg font-semibold text-gray-800">
+        <SlidersHorizontal className="w-5 h-5 text-indigo-600" />
+        Monitoring Policy
+      </label>
+
+      <div className="rounded-xl border-2 border-gray-200">
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="w-full flex items-center justify-between p-4 text-left"
+        >
+          <div className="text-sm text-gray-600">
+            <div>
+              <span className="font-semibold text-gray-800">Detectors: </span>
+              {enabledDetectors.map(key => MONITORING_DETECTORS[key].label).join(', ') || 'Face detection only'}
+            </div>
+            <div>
+              <span className="font-semibold text-gray-800">Alerts: </span>
+              {enabledRules.length > 0 ? `${enabledRules.length} rules` : 'Off'}
+            </div>
+          </div>
+          {expanded ? <ChevronUp className="w-5 h-5 text-gray-500" /> : <ChevronDown className="w-5 h-5 text-gray-500" />}
+        </button>
+
+        {expanded && (
+          <div className="px-4 pb-4 space-y-6 border-t border-gray-200 pt-4">
+            {/* Presets */}
+            <div className="flex flex-wrap gap-2">
+              <span className="text-sm text-gray-600 self-center mr-1">Start from:</span>
+              {Object.entries(MONITORING_PRESETS).map(([key, preset]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => applyPreset(key)}
+                  className="px-3 py-1.5 text-sm border-2 border-gray-200 rounded-lg hover:border-indigo-400 hover:bg-indigo-50 transition-colors"
+                >
+                  {preset.label}
+                </button>
+              ))}
+            </div>
+
+            {/* Detectors */}
+            <div className="space-y-2">
+              <h4 className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                <ScanFace className="w-4 h-4" /> Detectors
+              </h4>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {Object.entries(MONITORING_DETECTORS).map(([key, detector]) => (
+                  <label key={key} className="flex items-start gap-3 p-3 rounded-lg border border-gray-200 cursor-pointer hover:bg-gray-50">
+                    <input
+                      type="checkbox"
+                      checked={policy.detectors[key]}
+                      onChange={(e) => update('detectors', key, e.target.checked)}
+                      className="mt-1 w-4 h-4"
+                    />
+                    <div>
+                      <div className="text-sm font-medium text-gray-800">{detector.label}</div>
+                      <div className="text-xs text-gray-500">{detector.description}</div>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {/* Engagement weights */}
+            <div className="space-y-2">
+              <h4 className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                <Gauge className="w-4 h-4" /> Engagement score weights
+              </h4>
+              {Object.entries(ENGAGEMENT_FACTORS).map(([key, factor]) => (
+                <div key={key} className="grid grid-cols-12 items-center gap-3 text-sm">
+                  <span className="col-span-4 text-gray-700" title={factor.description}>{factor.label}</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    step="5"
+                    value={Math.round((policy.weights[key] || 0) * 100)}
+                    onChange={(e) => update('weights', key, parseInt(e.target.value) / 100)}
+                    className="col-span-6"
+                  />
+                  <span className="col-span-2 text-right text-gray-500">
+                    {totalWeight > 0 ? Math.round(((policy.weights[key] || 0) / totalWeight) * 100) : 0}%
+                  </span>
+                </div>
+              ))}
+              <p className="text-xs text-gray-500">
+                Percentages are each factor's share of the score. Factors whose detector is off are left out.
+              </p>
+            </div>
+
+            {/* Thresholds */}
+            <div className="space-y-2">
+              <h4 className="text-sm font-semibold text-gray-700">Thresholds</h4>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {THRESHOLD_FIELDS.map(field => (
+                  <div key={field.key}>
+                    <label className="block text-xs font-medium text-gray-600 mb-1">{field.label}</label>
+                    <input
+                      type="number"
+                      min={field.min}
+                      max={field.max}
+                      value={policy.thresholds[field.key]}
+                      onChange={(e) => update('thresholds', field.key, parseNumber(e.target.value))}
+                      className="w-full px-3 py-2 border-2 border-gray-200 rounded-lg focus:border-indigo-500 focus:outline-none transition-colors"
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Alert rules */}
+            <div className="space-y-2">
+              <h4 className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                <Bell className="w-4 h-4" /> Alert rules
+              </h4>
+              {policy.alertRules.map(rule => {
+                const definition = ALERT_RULE_TYPES[rule.type];
+                const detectorOff = definition.detector && !policy.detectors[definition.detector];
+
+                return (
+                  <div key={rule.type} className={`p-3 rounded-lg border border-gray-200 space-y-2 ${detectorOff ? 'opacity-50' : ''}`}>
+                    <label className="flex items-center gap-3 cursor-pointer">
+                      <input
+                        type="checkbox"
+                        checked={rule.enabled && !detectorOff}
+                        disabled={detectorOff}
+                        onChange={(e) => updateRule(rule.type, 'enabled', e.target.checked)}
+                        className="w-4 h-4"
+                      />
+                      <span className="text-sm font-medium text-gray-800">{definition.label}</span>
+                      <span className="text-xs text-gray-500">
+                        {detectorOff ? `needs ${MONITORING_DETECTORS[definition.detector].label}` : describeAlertRule(rule)}
+                      </span>
+                    </label>
+
+                    {rule.enabled && !detectorOff && (
+                      <div className="flex flex-wrap items-end gap-3 pl-7">
+                        {Object.entries(RULE_FIELDS)
+                          .filter(([key]) => rule[key] !== undefined)
+                          .map(([key, field]) => (
+                            <div key={key}>
+                              <label className="block text-xs text-gray-500 mb-1">{field.label}</label>
+                              <input
+                                type="number"
+                                min={field.min}
+                                max={field.max}
+                                value={rule[key]}
+                                onChange={(e) => updateRule(rule.type, key, parseNumber(e.target.value))}
+                                className="w-20 px-2 py-1 border-2 border-gray-200 rounded-lg text-sm focus:border-indigo-500 focus:outline-none"
+                              />
+                            </div>
+                          ))}
+                        <div>
+                          <label className="block text-xs text-gray-500 mb-1">Severity</label>
+                          <select
+                            value={rule.severity}
+                            onChange={(e) => updateRule(rule.type, 'severity', e.target.value)}
+                            className="px-2 py-1 border-2 border-gray-200 rounded-lg text-sm focus:border-indigo-500 focus:outline-none capitalize"
+                          >
+                            {ALERT_SEVERITIES.map(severity => (
+                              <option key={severity} value={severity}>{severity}</option>
+                            ))}
+                          </select>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MonitoringPolicyEditor;
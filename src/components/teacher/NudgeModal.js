@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { X, Send, Hand } from 'lucide-react';
+import { NUDGE_PRESETS, NUDGE_RESPONSES, createNudge } from '../../utils/nudges';
+
+const NudgeModal = ({ student, nudges = [], onSend, onClose }) => {
+  const [presetId, setPresetId] = useState(null);
+  const [message, setMessage] = useState('');
+  const [page, setPage] = useState(student.live?.currentPage ? student.live.currentPage + 1 : '');
+  const [error, setError] = useState('');
+
+  const preset = NUDGE_PRESETS.find(p => p.id === presetId);
+
+  const selectPreset = (nextPreset) => {
+    setPresetId(nextPreset.id);
+    setMessage(nextPreset.message);
+    setError('');
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    if (preset?.needsPage && !(parseInt(page) >= 1)) {
+      setError('Please enter the page to move to');
+      return;
+    }
+
+    const nudge = createNudge({
+      message,
+      presetId: preset && message === preset.message ? preset.id : null,
+      page: preset?.needsPage ? parseInt(page) : null
+    });
+    if (!nudge) {
+      setError('Please choose or write a message');
+      return;
+    }
+
+    onSend(nudge);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl max-w-md w-full shadow-2xl">
+        {/* Header */}
+        <div className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white p-6 rounded-t-2xl">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <div className="bg-white bg-opacity-20 p-2 rounded-lg">
+                <Hand className="w-6 h-6" />
+              </div>
+              <div>
+                <h2 className="text-xl font-bold">Nudge {student.name}</h2>
+                <p className="text-purple-100 text-sm mt-1">Shown on top of their PDF until they respond</p>
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white hover:bg-opacity-20 rounded-lg transition-all"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+        </div>
+
+        {/* Body */}
+        <form onSubmit={handleSubmit} className="p-6 space-y-4">
+          {error && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-red-800 text-sm flex items-start gap-2">
+              <span className="text-red-500 mt-0.5">⚠</span>
+              <span>{error}</span>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            {NUDGE_PRESETS.map(p => (
+              <button
+                key={p.id}
+                type="button"
+                onClick={() => selectPreset(p)}
+                className={`px-3 py-1.5 text-sm rounded-full border-2 transition-colors ${
+                  presetId === p.id
+                    ? 'border-indigo-500 bg-indigo-50 text-indigo-700'
+                    : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {p.message.replace('{page}', 'N')}
+              </button>
+            ))}
+          </div>
+
+          {preset?.needsPage && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Page</label>
+              <input
+                type="number"
+                min={1}
+                value={page}
+                onChange={(e) => {
+                  setPage(e.target.value);
+                  setError('');
+                }}
+                className="w-24 px-3 py-2 border-2 border-gray-200 rounded-xl focus:border-indigo-500 focus:outline-none transition-colors"
+              />
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Message</label>
+            <textarea
+              value={message}
+              onChange={(e) => {
+                setMessage(e.target.value);
+                setError('');
+              }}
+              placeholder="Write your own message..."
+              rows={3}
+              maxLength={200}
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-indigo-500 focus:outline-none transition-colors resize-none"
+            />
+          </div>
+
+          {nudges.length > 0 && (
+            <div className="bg-gray-50 rounded-lg p-3 space-y-1">
+              <p className="text-xs font-semibold text-gray-500 uppercase">Earlier this session</p>
+              {nudges.slice(0, 3).map(nudge => (
+                <p key={nudge.id} className="text-sm text-gray-700 flex justify-between gap-2">
+                  <span className="truncate">{nudge.message}</span>
+                  <span className={`flex-shrink-0 ${NUDGE_RESPONSES[nudge.response]?.className || 'text-gray-400'}`}>
+                    {NUDGE_RESPONSES[nudge.response]?.label || 'Sent'}
+                  </span>
+                </p>
+              ))}
+            </div>
+          )}
+
+          {/* Action Buttons */}
+          <div className="flex gap-3 pt-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="flex-1 px-4 py-3 border-2 border-gray-300 text-gray-700 rounded-xl font-semibold hover:bg-gray-50 transition-all"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="flex-1 flex items-center justify-center gap-2 px-4 py-3 bg-gradient-to-r from-purple-600 to-indigo-600 text-white rounded-xl font-semibold hover:from-purple-700 hover:to-indigo-700 transition-all"
+            >
+              <Send className="w-4 h-4" />
+              Send Nudge
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default NudgeModal;
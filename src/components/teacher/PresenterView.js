@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { Document, Page, pdfjs } from 'react-pdf';
+import {
+  ArrowLeft,
+  ChevronLeft,
+  ChevronRight,
+  ZoomIn,
+  ZoomOut,
+  Crosshair,
+  Presentation,
+  Users,
+  Wifi,
+  WifiOff
+} from 'lucide-react';
+import 'react-pdf/dist/esm/Page/AnnotationLayer.css';
+import 'react-pdf/dist/esm/Page/TextLayer.css';
+
+import { getSocket, SOCKET_EVENTS } from '../../services/socket';
+import {
+  PRESENTER_HEARTBEAT_MS,
+  POINTER_THROTTLE_MS,
+  FOLLOW_STATUS,
+  createPresenterState,
+  toPointerPosition,
+  getFollowStatus,
+  summarizeFollowers
+} from '../../utils/presenterSync';
+
+pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
+
+/**
+ * Teacher's presenter view of the room PDF
+ * Students in follow mode mirror its page and zoom and see the laser pointer.
+ *
+ * @param {Object} room - Room with an uploaded PDF
+ * @param {Array<Object>} students - LiveMetrics students (with `live`)
+ * @param {boolean} isConnected - Whether the room channel is live
+ * @param {Function} onClose - Stops presenting
+ */
+const PresenterView = ({ room, students = [], isConnected, onClose }) => {
+  const [numPages, setNumPages] = useState(null);
+  const [pageNumber, setPageNumber] = useState(1);
+  const [scale, setScale] = useState(1.2);
+  const [laserOn, setLaserOn] = useState(false);
+  const [pointer, setPointer] = useState(null);
+  const [pdfError, setPdfError] = useState('');
+
+  const pageRef = useRef(null);
+  const lastPointerSentRef = useRef(0);
+
+  // Stable object - react-pdf reloads the document whenever `file` changes
+  const pdfFile = useMemo(() => ({
+    url: `${process.env.REACT_APP_API_URL}/rooms/${room._id}/pdf`,
+    httpHeaders: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+  }), [room._id]);
+
+  // Broadcast on every page/zoom change, and periodically for late joiners
+  useEffect(() => {
+    const socket = getSocket();
+    const broadcast = () => {
+      socket.emit(SOCKET_EVENTS.PRESENTER_STATE, createPresenterState({
+        roomId: room._id,
+        page: pageNumber,
+        scale
+      }));
+    };
+
+    broadcast();
+    const interval = setInterval(broadcast, PRESENTER_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, [room._id, pageNumber, scale]);
+
+  // Release followers when the teacher stops presenting
+  useEffect(() => {
+    const socket = getSocket();
+    return () => {
+      socket.emit(SOCKET_EVENTS.PRESENTER_STATE, createPresenterState({
+        roomId: room._id,
+        page: null,
+        scale: null,
+        active: false
+      }));
+    };
+  }, [room._id]);
+
+  const sendPointer = (position, force = false) => {
+    const now = Date.now();
+    if (!force && now - lastPointerSentRef.current < POINTER_THROTTLE_MS) return;
+    lastPointerSentRef.current = now;
+
+    getSocket().emit(SOCKET_EVENTS.PRESENTER_POINTER, {
+      roomId: room._id,
+      page: pageNumber,
+      ...(position || { x: null, y: null })
+    });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!laserOn) return;
+    const position = toPointerPosition(e, pageRef.current);
+    setPointer(position);
+    sendPointer(position);
+  };
+
+  const hidePointer = () => {
+    setPointer(null);
+    sendPointer(null, true);
+  };
+
+  const toggleLaser = () => {
+    if (laserOn) hidePointer();
+    setLaserOn(!laserOn);
+  };
+
+  const changePage = (offset) => {
+    if (laserOn) hidePointer();
+    setPageNumber(prev => Math.max(1, Math.min(prev + offset, numPages || prev)));
+  };
+
+  const changeZoom = (delta) => {
+    setScale(prev => Math.max(0.5, Math.min(prev + delta, 2.5)));
+  };
+
+  const summary = summarizeFollowers(students, pageNumber);
+  const activeStudents = students
+    .filter(student => student.status === 'Active')
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return (
+    <div className="h-screen bg-gray-900 flex flex-col">
+      {/* Top Toolbar */}
+      <div className="bg-gray-800 text-white p-4 flex items-center justify-between shadow-lg">
+        <div className="flex items-center space-x-4">
+          <button onClick={onClose} className="flex items-center text-gray-300 hover:text-white transition">
+            <ArrowLeft className="h-5 w-5 mr-2" /> Stop presenting
+          </button>
+          <h3 className="text-lg font-semibold flex items-center">
+            <Presentation className="h-5 w-5 mr-2 text-purple-300" />
+            {room.title}
+          </h3>
+        </div>
+        <div className="flex items-center space-x-4 text-sm">
+          <span className={`flex items-center ${isConnected ? 'text-green-300' : 'text-yellow-300'}`}>
+            {isConnected ? <Wifi className="h-4 w-4 mr-1" /> : <WifiOff className="h-4 w-4 mr-1" />}
+            {isConnected ? 'Broadcasting' : 'Reconnecting...'}
+          </span>
+          <span className="flex items-center text-gray-300">
+            <Users className="h-4 w-4 mr-1" />
+            {summary.following} of {summary.total} following
+          </span>
+        </div>
+      </div>
+
+      <div className="flex-1 flex overflow-hidden">
+        {/* PDF */}
+        <div className="flex-1 overflow-auto bg-gray-800 p-8">
+          <div className="max-w-5xl mx-auto">
+            {pdfError ? (
+              <div className="text-center text-white py-24">{pdfError}</div>
+            ) : (
+              <div
+                ref={pageRef}
+                className={`relative bg-white shadow-2xl ${laserOn ? 'cursor-none' : ''}`}
+                onMouseMove={handlePointerMove}
+                onMouseLeave={() => laserOn && hidePointer()}
+              >
+                <Document
+                  file={pdfFile}
+                  onLoadSuccess={({ numPages }) => setNumPages(numPages)}
+                  onLoadError={(error) => {
+                    console.error('PDF load error:', error);
+                    setPdfError('Failed to load the room PDF.');
+                  }}
+                  loading={<div className="text-center text-gray-500 py-24">Loading PDF...</div>}
+                >
+                  <Page pageNumber={pageNumber} scale={scale} renderTextLayer={false} renderAnnotationLayer={false} />
+                </Document>
+
+                {laserOn && pointer && (
+                  <div
+                    className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full bg-red-500 shadow-[0_0_12px_4px_rgba(239,68,68,0.6)] pointer-events-none"
+                    style={{ left: `${pointer.x}%`, top: `${pointer.y}%` }}
+                  />
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Who is where */}
+        <div className="w-72 bg-white overflow-y-auto p-4">
+          <h4 className="text-sm font-semibold text-gray-800 mb-3">Students</h4>
+          <div className="grid grid-cols-3 gap-2 mb-4 text-center">
+            <div className="bg-green-50 rounded-lg p-2">
+              <p className="text-lg font-bold text-green-700">{summary.following}</p>
+              <p className="text-[10px] text-green-700">Following</p>
+            </div>
+            <div className="bg-blue-50 rounded-lg p-2">
+              <p className="text-lg font-bold text-blue-700">{summary.onPage}</p>
+              <p className="text-[10px] text-blue-700">On page</p>
+            </div>
+            <div className="bg-yellow-50 rounded-lg p-2">
+              <p className="text-lg font-bold text-yellow-700">{summary.elsewhere}</p>
+              <p className="text-[10px] text-yellow-700">Elsewhere</p>
+            </div>
+          </div>
+
+          {activeStudents.length === 0 ? (
+            <p className="text-sm text-gray-500">No students are studying right now</p>
+          ) : (
+            <div className="divide-y divide-gray-100">
+              {activeStudents.map(student => {
+                const status = FOLLOW_STATUS[getFollowStatus(student, pageNumber)];
+                return (
+                  <div key={student.id} className="py-2 flex items-center justify-between text-sm">
+                    <span className="text-gray-900 truncate mr-2">{student.name}</span>
+                    <span className="flex items-center gap-2 flex-shrink-0">
+                      <span className="text-xs text-gray-500">
+                        {student.live?.currentPage ? `p. ${student.live.currentPage}` : '—'}
+                      </span>
+                      <span className={`px-2 py-0.5 rounded-full text-[10px] font-semibold ${status.className}`}>
+                        {status.label}
+                      </span>
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Bottom Controls */}
+      <div className="bg-gray-800 text-white p-4 flex items-center justify-between shadow-lg">
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={() => changeZoom(-0.1)}
+            disabled={scale <= 0.5}
+            className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <ZoomOut className="h-5 w-5" />
+          </button>
+          <span className="text-sm font-medium px-3">{Math.round(scale * 100)}%</span>
+          <button
+            onClick={() => changeZoom(0.1)}
+            disabled={scale >= 2.5}
+            className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <ZoomIn className="h-5 w-5" />
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={() => changePage(-1)}
+            disabled={pageNumber <= 1}
+            className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <ChevronLeft className="h-5 w-5" />
+          </button>
+          <span className="text-gray-300">
+            Page {pageNumber} / {numPages || '...'}
+          </span>
+          <button
+            onClick={() => changePage(1)}
+            disabled={pageNumber >= (numPages || 1)}
+            className="p-2 bg-gray-700 hover:bg-gray-600 rounded-lg disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            <ChevronRight className="h-5 w-5" />
+          </button>
+        </div>
+
+        <button
+          onClick={toggleLaser}
+          className={`flex items-center px-4 py-2 rounded-lg transition-colors ${
+            laserOn ? 'bg-red-600 hover:bg-red-700' : 'bg-gray-700 hover:bg-gray-600'
+          }`}
+        >
+          <Crosshair className="h-5 w-5 mr-2" />
+          Laser {laserOn ? 'on' : 'off'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PresenterView;
@@ -0,0 +1,190 @@
+import React, { useState, useMemo } from 'react';
+import { Document, Page, pdfjs } from 'react-pdf';
+import { HelpCircle, MapPin, Clock, CheckCircle, Send, RefreshCw, ArrowBigUp, Locate, Trash2, X } from 'lucide-react';
+import useRoomQuestions from '../../hooks/useRoomQuestions';
+import { getAskerLabel } from '../../utils/roomQuestions';
+
+pdfjs.GlobalWorkerOptions.workerSrc = `//cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjs.version}/pdf.worker.min.js`;
+
+const formatWaiting = (createdAt) => {
+  const minutes = Math.floor((Date.now() - new Date(createdAt).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  return hours < 24 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+};
+
+// The question's page with the selected text outlined
+const QuestionAnchorModal = ({ room, question, onClose }) => {
+  const pdfFile = useMemo(() => ({
+    url: `${process.env.REACT_APP_API_URL}/rooms/${room._id}/pdf`,
+    httpHeaders: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
+  }), [room._id]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl max-w-3xl w-full max-h-[90vh] shadow-2xl flex flex-col">
+        <div className="bg-gradient-to-r from-purple-600 to-indigo-600 text-white p-6 rounded-t-2xl flex items-center justify-between">
+          <div className="min-w-0">
+            <h2 className="text-xl font-bold">Page {question.page}</h2>
+            <p className="text-purple-100 text-sm mt-1 truncate">{question.question}</p>
+          </div>
+          <button onClick={onClose} className="p-2 hover:bg-white hover:bg-opacity-20 rounded-lg transition-all">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-auto p-6 flex justify-center">
+          <div className="relative self-start bg-gray-100 shadow">
+            <Document
+              file={pdfFile}
+              loading={<div className="p-24 text-gray-500">Loading page...</div>}
+              error={<div className="p-24 text-gray-500">The room PDF could not be loaded.</div>}
+            >
+              <Page pageNumber={question.page} width={620} renderTextLayer={false} renderAnnotationLayer={false} />
+            </Document>
+
+            <div className="absolute inset-0 pointer-events-none">
+              {(question.rects || []).map((rect, idx) => (
+                <div
+                  key={idx}
+                  className="absolute bg-blue-400 bg-opacity-30 border-b-2 border-blue-600"
+                  style={{
+                    left: `${rect.left}%`,
+                    top: `${rect.top}%`,
+                    width: `${rect.width}%`,
+                    height: `${rect.height}%`
+                  }}
+                />
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Student Q&A for a room, ranked by upvotes with open questions first
+ *
+ * @param {Object} room - Room being monitored
+ */
+const QuestionQueue = ({ room }) => {
+  const { questions, loading, answer, remove, reload } = useRoomQuestions(room._id, { isTeacher: true });
+  const [answers, setAnswers] = useState({});
+  const [anchorQuestion, setAnchorQuestion] = useState(null);
+
+  const openCount = questions.filter(question => !question.answer).length;
+
+  const sendAnswer = async (questionId) => {
+    const text = (answers[questionId] || '').trim();
+    if (!text) return;
+    if (!await answer(questionId, text)) {
+      alert('Failed to send answer. Please try again.');
+      return;
+    }
+    setAnswers(prev => ({ ...prev, [questionId]: '' }));
+  };
+
+  const handleDelete = async (questionId) => {
+    if (!window.confirm('Delete this question for everyone?')) return;
+    if (!await remove(questionId)) alert('Failed to delete question. Please try again.');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6">
+      {anchorQuestion && (
+        <QuestionAnchorModal room={room} question={anchorQuestion} onClose={() => setAnchorQuestion(null)} />
+      )}
+
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center">
+          <HelpCircle className="h-5 w-5 mr-2 text-blue-600" />
+          Student questions ({openCount} open)
+        </h3>
+        <button
+          onClick={reload}
+          disabled={loading}
+          className="flex items-center text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+        >
+          <RefreshCw className={`h-4 w-4 mr-1 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {questions.length === 0 ? (
+        <div className="text-center py-12">
+          <CheckCircle className="h-16 w-16 text-green-300 mx-auto mb-3" />
+          <p className="text-gray-600">{loading ? 'Loading questions...' : 'No questions asked yet'}</p>
+        </div>
+      ) : (
+        <div className="divide-y divide-gray-100">
+          {questions.map(question => (
+            <div key={question._id} className={`py-4 flex gap-4 ${question.answer ? 'opacity-70' : ''}`}>
+              <div className="flex flex-col items-center text-sm font-bold text-blue-600 w-10 flex-shrink-0">
+                <ArrowBigUp className="h-6 w-6" />
+                {question.upvotes || 0}
+              </div>
+
+              <div className="flex-1 min-w-0">
+                <div className="flex items-center flex-wrap gap-3 text-xs text-gray-500 mb-1">
+                  <span className="font-medium text-gray-700">{getAskerLabel(question)}</span>
+                  <span className="flex items-center"><MapPin className="h-3 w-3 mr-1" />Page {question.page}</span>
+                  <span className="flex items-center"><Clock className="h-3 w-3 mr-1" />{formatWaiting(question.created_at)} ago</span>
+                  <button
+                    onClick={() => setAnchorQuestion(question)}
+                    className="flex items-center text-indigo-600 hover:text-indigo-700"
+                  >
+                    <Locate className="h-3 w-3 mr-1" />
+                    Show in PDF
+                  </button>
+                </div>
+                {question.text && (
+                  <p className="text-xs text-gray-500 italic border-l-2 border-blue-300 pl-2 mb-1 line-clamp-2">
+                    “{question.text}”
+                  </p>
+                )}
+                <p className="text-sm text-gray-900 mb-2 whitespace-pre-line">{question.question}</p>
+
+                {question.answer ? (
+                  <p className="text-sm text-green-800 bg-green-50 rounded-lg p-2 flex items-start">
+                    <CheckCircle className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                    {question.answer}
+                  </p>
+                ) : (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={answers[question._id] || ''}
+                      onChange={(e) => setAnswers(prev => ({ ...prev, [question._id]: e.target.value }))}
+                      onKeyDown={(e) => e.key === 'Enter' && sendAnswer(question._id)}
+                      placeholder="Answer - the asker is notified"
+                      className="flex-1 px-3 py-2 border-2 border-gray-200 rounded-xl text-sm focus:border-indigo-500 focus:outline-none transition-colors"
+                    />
+                    <button
+                      onClick={() => sendAnswer(question._id)}
+                      className="inline-flex items-center px-3 py-2 bg-indigo-600 text-white rounded-xl text-sm hover:bg-indigo-700 transition"
+                    >
+                      <Send className="h-4 w-4 mr-1" /> Answer
+                    </button>
+                  </div>
+                )}
+              </div>
+
+              <button
+                onClick={() => handleDelete(question._id)}
+                className="self-start p-1 hover:bg-red-50 rounded transition-colors"
+                title="Delete question"
+              >
+                <Trash2 className="h-4 w-4 text-red-600" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuestionQueue;
@@ -1,6 +1,10 @@
 import React, { useState } from 'react';
-import { X, BookOpen, Clock, FileText, Plus, Sparkles, Calendar, Edit } from 'lucide-react';
+import { X, BookOpen, Clock, FileText, Plus, Sparkles, Calendar, Edit, ShieldAlert, ShieldCheck } from 'lucide-react';
 import { roomsAPI } from '../../services/api'; 
+import { isProctoredRoom, getProctoringConfig, INCIDENT_TYPES } from '../../utils/proctoring';
+import { isPrivacyModeRoom } from '../../utils/privacyMode';
+import { getRoomMonitoringPolicy, normalizeMonitoringPolicy, validateMonitoringPolicy } from '../../utils/monitoringPolicy';
+import MonitoringPolicyEditor from './MonitoringPolicyEditor';
 
 const RoomCreation = ({ onClose, onRoomCreated, editRoom = null }) => {
   const isEditMode = !!editRoom;
@@ -12,6 +16,11 @@ const RoomCreation = ({ onClose, onRoomCreated, editRoom = null }) => {
     description: editRoom.description || '',
     startDate: editRoom.startDate || new Date().toISOString().split('T')[0],
     endDate: editRoom.endDate || new Date().toISOString().split('T')[0],
+    proctored: isProctoredRoom(editRoom),
+    absence_threshold_seconds: getProctoringConfig(editRoom).absenceSeconds,
+    proctoring_snapshots: getProctoringConfig(editRoom).captureSnapshots,
+    privacy_mode: isPrivacyModeRoom(editRoom),
+    monitoring_policy: getRoomMonitoringPolicy(editRoom),
   } : {
     subject: '',
     title: '',
@@ -19,6 +28,11 @@ const RoomCreation = ({ onClose, onRoomCreated, editRoom = null }) => {
     description: '',
     startDate: new Date().toISOString().split('T')[0],
     endDate: new Date().toISOString().split('T')[0],
+    proctored: false,
+    absence_threshold_seconds: 10,
+    proctoring_snapshots: true,
+    privacy_mode: false,
+    monitoring_policy: normalizeMonitoringPolicy(),
   });
   
   const [attachedFile, setAttachedFile] = useState(null); 
@@ -98,6 +112,17 @@ const RoomCreation = ({ onClose, onRoomCreated, editRoom = null }) => {
         setError('End Date cannot be before Start Date.');
         return;
     }
+
+    if (formData.proctored && (!formData.absence_threshold_seconds || formData.absence_threshold_seconds < 3)) {
+        setError('Please specify an absence threshold of at least 3 seconds.');
+        return;
+    }
+
+    const policyError = validateMonitoringPolicy(formData.monitoring_policy);
+    if (policyError) {
+        setError(policyError);
+        return;
+    }
     
     setLoading(true);
     setError('');
@@ -113,7 +138,9 @@ const RoomCreation = ({ onClose, onRoomCreated, editRoom = null }) => {
         const data = new FormData();
         
         Object.keys(formData).forEach(key => {
-          const value = key === 'expected_duration' ? String(formData[key]) : formData[key];
+          let value = formData[key];
+          if (key === 'expected_duration') value = String(value);
+          else if (key === 'monitoring_policy') value = JSON.stringify(value);
           data.append(key, value);
         });
         
@@ -390,6 +417,87 @@ const RoomCreation = ({ onClose, onRoomCreated, editRoom = null }) => {
             </div>
           )}
 
+          {/* Exam Proctoring */}
+          <div className="space-y-3">
+            <label className="flex items-center gap-2 text-lg font-semibold text-gray-800">
+              <ShieldAlert className="w-5 h-5 text-red-600" />
+              Exam Proctoring
+            </label>
+            <label className="flex items-start gap-3 p-4 rounded-xl border-2 border-gray-200 cursor-pointer hover:border-gray-300 transition-colors">
+              <input
+                type="checkbox"
+                checked={formData.proctored}
+                onChange={(e) => handleChange('proctored', e.target.checked)}
+                className="mt-1 w-4 h-4"
+              />
+              <div>
+                <div className="font-semibold text-gray-800">Proctored mode</div>
+                <div className="text-sm text-gray-500">
+                  For timed assessments. Logs an incident per student for: {Object.values(INCIDENT_TYPES).map(t => t.label.toLowerCase()).join(', ')}.
+                </div>
+              </div>
+            </label>
+
+            {formData.proctored && (
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Flag absence after (seconds)</label>
+                  <input
+                    type="number"
+                    min="3"
+                    value={formData.absence_threshold_seconds}
+                    onChange={(e) => {
+                      const value = parseInt(e.target.value);
+                      handleChange('absence_threshold_seconds', isNaN(value) ? '' : value);
+                    }}
+                    className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-red-500 focus:outline-none transition-colors"
+                  />
+                </div>
+                <label className="flex items-center gap-3 sm:mt-6">
+                  <input
+                    type="checkbox"
+                    checked={formData.proctoring_snapshots && !formData.privacy_mode}
+                    disabled={formData.privacy_mode}
+                    onChange={(e) => handleChange('proctoring_snapshots', e.target.checked)}
+                    className="w-4 h-4"
+                  />
+                  <span className="text-sm text-gray-700">
+                    Attach a camera snapshot to each incident{formData.privacy_mode && ' (off in privacy mode)'}
+                  </span>
+                </label>
+              </div>
+            )}
+          </div>
+
+          {/* Privacy Mode */}
+          <div className="space-y-3">
+            <label className="flex items-center gap-2 text-lg font-semibold text-gray-800">
+              <ShieldCheck className="w-5 h-5 text-green-600" />
+              Student Privacy
+            </label>
+            <label className="flex items-start gap-3 p-4 rounded-xl border-2 border-gray-200 cursor-pointer hover:border-gray-300 transition-colors">
+              <input
+                type="checkbox"
+                checked={formData.privacy_mode}
+                onChange={(e) => handleChange('privacy_mode', e.target.checked)}
+                className="mt-1 w-4 h-4"
+              />
+              <div>
+                <div className="font-semibold text-gray-800">Privacy mode</div>
+                <div className="text-sm text-gray-500">
+                  Metrics are averaged on the student's device into 5-minute windows. No second-by-second data,
+                  detected object names or camera snapshots are uploaded. Students can see exactly what is sent.
+                </div>
+              </div>
+            </label>
+          </div>
+
+          {/* Monitoring Policy */}
+          <MonitoringPolicyEditor
+            policy={formData.monitoring_policy}
+            onChange={(policy) => handleChange('monitoring_policy', policy)}
+          />
+
           {/* Description */}
           <div className="space-y-3">
             <label className="flex items-center gap-2 text-lg font-semibold text-gray-800">
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, BookOpen, Clock, Users, Hand } from 'lucide-react';
+import { SeverityBadge } from '../shared/Notifications';
+import { NUDGE_RESPONSES } from '../../utils/nudges';
+import {
+  TIMELINE_WINDOW_MS,
+  LIVE_STATUS,
+  getLiveStatus,
+  getAttentionPriority
+} from '../../utils/studentWall';
+
+const SERIES = [
+  { key: 'engagement', label: 'Engagement', color: '#6366f1' },
+  { key: 'attention', label: 'Attention', color: '#10b981' },
+  { key: 'posture', label: 'Posture', color: '#f59e0b' }
+];
+
+// Re-render often enough for "time on page" and the sparkline window to move
+const CLOCK_TICK_MS = 5000;
+
+const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return minutes > 0 ? `${minutes}m ${seconds.toString().padStart(2, '0')}s` : `${seconds}s`;
+};
+
+const formatAgo = (timestamp, now) => {
+  const minutes = Math.floor((now - new Date(timestamp).getTime()) / 60000);
+  return minutes < 1 ? 'just now' : `${minutes}m ago`;
+};
+
+// 0-100 series over a fixed 10-minute window ending now, so gaps stay visible
+const Sparkline = ({ timeline, series, now, height }) => {
+  const start = now - TIMELINE_WINDOW_MS;
+  const toPoints = (key) => timeline
+    .filter(point => point[key] !== null)
+    .map(point => `${((point.t - start) / TIMELINE_WINDOW_MS) * 100},${100 - point[key]}`)
+    .join(' ');
+
+  return (
+    <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full" style={{ height }}>
+      <line x1="0" y1="50" x2="100" y2="50" stroke="#e5e7eb" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+      {series.map(({ key, color }) => (
+        <polyline
+          key={key}
+          points={toPoints(key)}
+          fill="none"
+          stroke={color}
+          strokeWidth="1.5"
+          vectorEffect="non-scaling-stroke"
+        />
+      ))}
+    </svg>
+  );
+};
+
+const StudentTile = ({ student, status, lastAlert, openAlertCount, lastNudge, compact, now, onSelect, onNudge }) => {
+  const live = student.live || {};
+  const timeline = student.timeline || [];
+  const statusInfo = LIVE_STATUS[status];
+
+  if (compact) {
+    return (
+      <button
+        onClick={() => onSelect(student)}
+        title={`${student.name} - ${statusInfo.label}`}
+        className={`text-left bg-white rounded-lg border p-2 hover:shadow transition ${
+          openAlertCount > 0 ? 'border-red-400' : 'border-gray-200'
+        }`}
+      >
+        <div className="flex items-center justify-between text-xs">
+          <span className="font-medium text-gray-900 truncate">{student.name}</span>
+          <span className="font-semibold text-gray-700 ml-1">{Math.round(student.currentEngagement)}%</span>
+        </div>
+        <Sparkline timeline={timeline} series={SERIES.slice(0, 1)} now={now} height={20} />
+        <div className="flex items-center justify-between mt-1">
+          <span className={`px-1.5 rounded text-[10px] font-semibold ${statusInfo.className}`}>{statusInfo.label}</span>
+          {openAlertCount > 0 && (
+            <span className="inline-flex items-center text-[10px] text-red-600 font-semibold">
+              <AlertTriangle className="h-3 w-3 mr-0.5" />{openAlertCount}
+            </span>
+          )}
+        </div>
+      </button>
+    );
+  }
+
+  return (
+    <div
+      onClick={() => onSelect(student)}
+      className={`text-left bg-white rounded-xl border-2 p-4 hover:shadow-md transition cursor-pointer ${
+        openAlertCount > 0 ? 'border-red-300' : 'border-gray-100'
+      }`}
+    >
+      <div className="flex items-center justify-between mb-2">
+        <div className="flex items-center min-w-0">
+          <div className="h-8 w-8 bg-gradient-to-br from-purple-400 to-indigo-500 rounded-full flex items-center justify-center text-white text-sm font-semibold mr-2 flex-shrink-0">
+            {student.name.charAt(0)}
+          </div>
+          <span className="text-sm font-medium text-gray-900 truncate">{student.name}</span>
+        </div>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold flex-shrink-0 ${statusInfo.className}`}>
+          {statusInfo.label}
+        </span>
+      </div>
+
+      <div className="flex items-baseline justify-between mb-1">
+        <span className="text-2xl font-bold text-gray-900">{Math.round(student.currentEngagement)}%</span>
+        <div className="flex gap-2 text-[10px] text-gray-500">
+          {SERIES.map(({ key, label, color }) => (
+            <span key={key} className="inline-flex items-center">
+              <span className="inline-block w-2 h-2 rounded-full mr-1" style={{ backgroundColor: color }}></span>
+              {label}
+            </span>
+          ))}
+        </div>
+      </div>
+      <Sparkline timeline={timeline} series={SERIES} now={now} height={48} />
+
+      <div className="grid grid-cols-2 gap-2 mt-3 text-xs text-gray-600">
+        <span className="inline-flex items-center">
+          <BookOpen className="h-3 w-3 mr-1" />
+          {live.currentPage ? `Page ${live.currentPage}` : 'Page —'}
+        </span>
+        <span className="inline-flex items-center">
+          <Clock className="h-3 w-3 mr-1" />
+          {live.pageStartedAt ? formatDuration(now - live.pageStartedAt) : '—'}
+        </span>
+      </div>
+
+      <div className="mt-2 pt-2 border-t border-gray-100 text-xs min-h-[1.5rem]">
+        {lastAlert ? (
+          <div className={`flex items-center gap-2 ${lastAlert.acknowledged ? 'text-gray-400' : 'text-gray-700'}`}>
+            <SeverityBadge severity={lastAlert.severity} />
+            <span className="truncate">{lastAlert.message.replace(`${student.name}: `, '')}</span>
+            <span className="ml-auto flex-shrink-0">{formatAgo(lastAlert.lastSeenAt, now)}</span>
+          </div>
+        ) : (
+          <span className="text-gray-400">No alerts</span>
+        )}
+      </div>
+
+      {(onNudge || lastNudge) && (
+        <div className="flex items-center justify-between gap-2 mt-2 text-xs">
+          {lastNudge ? (
+            <span className="truncate text-gray-500" title={lastNudge.message}>
+              <Hand className="inline h-3 w-3 mr-1" />
+              {formatAgo(lastNudge.sentAt, now)} •{' '}
+              <span className={NUDGE_RESPONSES[lastNudge.response]?.className || 'text-gray-400'}>
+                {NUDGE_RESPONSES[lastNudge.response]?.label || 'Not seen yet'}
+              </span>
+            </span>
+          ) : <span />}
+          {onNudge && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                onNudge(student);
+              }}
+              className="inline-flex items-center px-2 py-1 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 flex-shrink-0"
+            >
+              <Hand className="h-3 w-3 mr-1" /> Nudge
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Monitoring wall of active students
+ *
+ * @param {Array<Object>} students - LiveMetrics students (with `live` and `timeline`)
+ * @param {Array<Object>} alerts - The room's alerts, newest first
+ * @param {Array<Object>} nudges - Nudges sent this visit, newest first
+ * @param {string} sortBy - 'attention' | 'name' | 'engagement'
+ * @param {Function|null} onNudgeStudent - Opens the nudge composer; null while nudges can't be delivered
+ */
+const StudentWall = ({
+  students,
+  alerts = [],
+  nudges = [],
+  sortBy = 'attention',
+  compact = false,
+  onSelectStudent,
+  onNudgeStudent = null
+}) => {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const activeStudents = students.filter(student => student.status === 'Active');
+
+  if (activeStudents.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <Users className="h-16 w-16 text-gray-300 mx-auto mb-3" />
+        <p className="text-gray-600">No students are studying right now</p>
+      </div>
+    );
+  }
+
+  const tiles = activeStudents.map(student => {
+    const studentAlerts = alerts.filter(alert => alert.studentId === student.id);
+    const openAlerts = studentAlerts.filter(alert => !alert.acknowledged);
+    return {
+      student,
+      status: getLiveStatus(student, now),
+      lastAlert: studentAlerts[0] || null,
+      lastNudge: nudges.find(nudge => nudge.studentId === student.id) || null,
+      openAlertCount: openAlerts.length,
+      priority: getAttentionPriority(student, openAlerts, now)
+    };
+  });
+
+  tiles.sort((a, b) => {
+    if (sortBy === 'name') return a.student.name.localeCompare(b.student.name);
+    if (sortBy === 'engagement') return a.student.currentEngagement - b.student.currentEngagement;
+    return b.priority - a.priority;
+  });
+
+  return (
+    <div className={compact
+      ? 'grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 lg:grid-cols-8 gap-2'
+      : 'grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-4'}
+    >
+      {tiles.map(tile => (
+        <StudentTile
+          key={tile.student.id}
+          {...tile}
+          compact={compact}
+          now={now}
+          onSelect={onSelectStudent}
+          onNudge={tile.student.sessionId ? onNudgeStudent : null}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default StudentWall;
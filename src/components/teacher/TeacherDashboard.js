@@ -4,12 +4,16 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { authAPI, roomsAPI } from '../../services/api'; 
-import { Users, Plus, UserPlus, Upload, Edit, Trash2, Monitor, LogOut, BookOpen, Clock, Settings, Bell } from 'lucide-react';
+import { Users, Plus, UserPlus, Upload, Edit, Trash2, Monitor, LogOut, BookOpen, Clock, Settings } from 'lucide-react';
 import RoomCreation from './RoomCreation';
-import LiveMetrics from './LiveMetrics';
+import MonitorRoom from './MonitorRoom';
 import AddStudentModal from './AddStudentModal';
 import UploadPDFModal from './UploadPDFModal';
 import DeleteConfirmModal from './DeleteConfirmModal';
+import Notifications from '../shared/Notifications';
+import useAlertEngine from '../../hooks/useAlertEngine';
+import useAlerts from '../../hooks/useAlerts';
+import { setAlertOwner, clearAlerts } from '../../services/alertStore';
 
 const TeacherDashboard = () => {
   const navigate = useNavigate();
@@ -26,6 +30,10 @@ const TeacherDashboard = () => {
   const [showEditModal, setShowEditModal] = useState(false);
   const [activeRoom, setActiveRoom] = useState(null);
 
+  // Student alerts are evaluated for every room while the dashboard is open
+  useAlertEngine(rooms);
+  const { alerts, acknowledge, annotate, acknowledgeAll } = useAlerts();
+
   useEffect(() => {
     fetchUserData();
     fetchRooms();
@@ -35,6 +43,7 @@ const TeacherDashboard = () => {
     try {
       const response = await authAPI.getCurrentUser();
       setUser(response.data);
+      setAlertOwner(response.data?._id);
     } catch (error) {
       console.error('Error fetching user:', error);
       navigate('/login');
@@ -65,6 +74,7 @@ const TeacherDashboard = () => {
     } finally {
       localStorage.removeItem('token'); 
       localStorage.removeItem('refreshToken');
+      clearAlerts();
       navigate('/login'); 
     }
   };
@@ -150,7 +160,7 @@ const TeacherDashboard = () => {
   }
 
   if (selectedRoom) {
-    return <LiveMetrics room={selectedRoom} onBack={onBack} />;
+    return <MonitorRoom room={selectedRoom} onBack={onBack} />;
   }
 
   return (
@@ -172,10 +182,22 @@ const TeacherDashboard = () => {
           {/* Right Section: User Profile + Actions */}
           <div className="flex items-center space-x-4">
             {/* Notifications */}
-            <button className="p-2 hover:bg-gray-100 rounded-full transition-colors relative">
-              <Bell className="h-5 w-5 text-gray-600" />
-              <span className="absolute top-1 right-1 h-2 w-2 bg-red-500 rounded-full"></span>
-            </button>
+            <Notifications
+              notifications={alerts.map(alert => ({
+                _id: alert.id,
+                type: alert.type,
+                severity: alert.severity,
+                message: alert.occurrences > 1 ? `${alert.message} (${alert.occurrences}×)` : alert.message,
+                timestamp: alert.lastSeenAt,
+                roomTitle: alert.roomTitle,
+                note: alert.note,
+                read: alert.acknowledged
+              }))}
+              onMarkAsRead={acknowledge}
+              onAnnotate={annotate}
+              onClearAll={acknowledgeAll}
+              clearAllLabel="Acknowledge All"
+            />
 
             {/* Settings */}
             <button className="p-2 hover:bg-gray-100 rounded-full transition-colors">
@@ -0,0 +1,136 @@
+/**
+ * FILE PATH: frontend/src/hooks/useAlertEngine.js
+ *
+ * Custom React hook that runs the alert rules for a teacher's rooms
+ * Listens to every room's monitoring channel, feeds student metrics through
+ * one AlertRulesEngine per room and puts raised alerts - plus any the server
+ * sends - into the alert store
+ */
+
+import { useEffect, useRef } from 'react';
+import { getSocket, joinRoomMonitor, leaveRoomMonitor, SOCKET_EVENTS } from '../services/socket';
+import { raiseAlert } from '../services/alertStore';
+import { AlertRulesEngine } from '../utils/alertRules';
+import { getRoomMonitoringPolicy } from '../utils/monitoringPolicy';
+
+const toIdString = (value) => value?._id?.toString() || value?.toString();
+
+const getStudentName = (room, studentId, payload) => {
+  const student = (room.allowed_students || []).find(s => toIdString(s) === studentId);
+  return student?.name || payload?.studentName || 'A student';
+};
+
+/**
+ * Custom Hook: useAlertEngine
+ *
+ * @param {Array<Object>} rooms - The teacher's rooms (with their monitoring policies)
+ */
+const useAlertEngine = (rooms = []) => {
+  const enginesRef = useRef(new Map()); // roomId -> { engine, room }
+
+  // Keep each room's engine on its latest policy without losing student state
+  useEffect(() => {
+    const engines = enginesRef.current;
+    const currentIds = new Set();
+
+    rooms.forEach(room => {
+      const roomId = toIdString(room._id);
+      if (!roomId) return;
+      currentIds.add(roomId);
+
+      const policy = getRoomMonitoringPolicy(room);
+      const entry = engines.get(roomId);
+      if (entry) {
+        entry.engine.setPolicy(policy);
+        entry.room = room;
+      } else {
+        engines.set(roomId, { engine: new AlertRulesEngine(policy), room });
+      }
+    });
+
+    engines.forEach((entry, roomId) => {
+      if (!currentIds.has(roomId)) engines.delete(roomId);
+    });
+  }, [rooms]);
+
+  const roomIds = rooms.map(room => toIdString(room._id)).filter(Boolean).join(',');
+
+  useEffect(() => {
+    if (!roomIds) return;
+
+    const socket = getSocket();
+    const ids = roomIds.split(',');
+
+    // Payloads without a roomId are matched to a room by student
+    const findEntry = (payload) => {
+      const engines = enginesRef.current;
+      if (payload?.roomId) return engines.get(toIdString(payload.roomId));
+      const studentId = toIdString(payload?.studentId);
+      return Array.from(engines.values()).find(({ room }) =>
+        (room.allowed_students || []).some(s => toIdString(s) === studentId)
+      );
+    };
+
+    const handleMetric = (payload) => {
+      const entry = findEntry(payload);
+      if (!entry || !payload.data) return;
+
+      const studentId = toIdString(payload.studentId);
+      const timestamp = payload.timestamp ? new Date(payload.timestamp).getTime() : Date.now();
+      const studentName = getStudentName(entry.room, studentId, payload);
+
+      entry.engine.update(studentId, payload.data, timestamp).forEach(alert => {
+        console.warn(`🔔 Alert for ${studentName}: ${alert.label}`);
+        raiseAlert({
+          type: alert.type,
+          severity: alert.severity,
+          roomId: toIdString(entry.room._id),
+          roomTitle: entry.room.title,
+          studentId,
+          studentName,
+          sessionId: payload.sessionId || null,
+          message: `${studentName}: ${alert.description}`,
+          raisedAt: alert.raisedAt
+        });
+      });
+    };
+
+    const handleSessionEnded = (payload) => {
+      const entry = findEntry(payload);
+      if (entry) entry.engine.reset(toIdString(payload.studentId));
+    };
+
+    const handleServerAlert = (payload) => {
+      const entry = findEntry(payload);
+      if (!entry) return;
+
+      const studentId = toIdString(payload.studentId);
+      const studentName = getStudentName(entry.room, studentId, payload);
+      raiseAlert({
+        type: payload.type || 'alert',
+        severity: payload.severity || 'medium',
+        roomId: toIdString(entry.room._id),
+        roomTitle: entry.room.title,
+        studentId,
+        studentName,
+        sessionId: payload.sessionId || null,
+        message: payload.message || `${studentName}: needs attention`,
+        raisedAt: payload.timestamp || new Date().toISOString()
+      });
+    };
+
+    socket.on(SOCKET_EVENTS.STUDENT_METRIC, handleMetric);
+    socket.on(SOCKET_EVENTS.SESSION_ENDED, handleSessionEnded);
+    socket.on(SOCKET_EVENTS.STUDENT_ALERT, handleServerAlert);
+    ids.forEach(joinRoomMonitor);
+
+    return () => {
+      ids.forEach(leaveRoomMonitor);
+      socket.off(SOCKET_EVENTS.STUDENT_METRIC, handleMetric);
+      socket.off(SOCKET_EVENTS.SESSION_ENDED, handleSessionEnded);
+      socket.off(SOCKET_EVENTS.STUDENT_ALERT, handleServerAlert);
+    };
+  }, [roomIds]);
+};
+
+export default useAlertEngine;
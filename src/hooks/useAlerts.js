@@ -0,0 +1,41 @@
+/**
+ * FILE PATH: frontend/src/hooks/useAlerts.js
+ *
+ * Custom React hook exposing the teacher's student alerts
+ * Lets the notification bell and LiveMetrics list, acknowledge and annotate alerts
+ */
+
+import { useState, useEffect } from 'react';
+import {
+  subscribeToAlerts,
+  getAlerts,
+  acknowledgeAlert,
+  annotateAlert,
+  acknowledgeAll
+} from '../services/alertStore';
+
+/**
+ * Custom Hook: useAlerts
+ *
+ * @param {string} [roomId] - Only return alerts for this room
+ * @returns {Object} { alerts, openCount, acknowledge, annotate, acknowledgeAll }
+ */
+const useAlerts = (roomId = null) => {
+  const [allAlerts, setAllAlerts] = useState(getAlerts);
+
+  useEffect(() => subscribeToAlerts(setAllAlerts), []);
+
+  const alerts = roomId
+    ? allAlerts.filter(alert => alert.roomId === roomId.toString())
+    : allAlerts;
+
+  return {
+    alerts,
+    openCount: alerts.filter(alert => !alert.acknowledged).length,
+    acknowledge: acknowledgeAlert,
+    annotate: annotateAlert,
+    acknowledgeAll: () => acknowledgeAll(roomId ? roomId.toString() : null)
+  };
+};
+
+export default useAlerts;
@@ -7,6 +7,7 @@
 
 import { useState, useEffect, useRef, useCallback } from 'react';
 import metricsCalculator from '../utils/metricsCalculator';
+import { scoreEngagement, sampleFactors, DEFAULT_ENGAGEMENT_WEIGHTS } from '../utils/engagementScoring';
 import axios from 'axios';
 
 /**
@@ -19,7 +20,8 @@ const DEFAULT_CONFIG = {
   saveInterval: 30000, // Save every 30 seconds
   trackPageViews: true,
   trackInteractions: true,
-  enableLocalStorage: true
+  enableLocalStorage: true,
+  engagementWeights: DEFAULT_ENGAGEMENT_WEIGHTS // Room weights, see utils/engagementScoring
 };
 
 /**
@@ -337,11 +339,12 @@ const useAnalytics = (config = {}) => {
 
     const duration = Date.now() - sessionStartRef.current;
     const sessionAnalytics = metricsCalculator.generateSessionAnalytics();
+    const engagement = scoreEngagement(sampleFactors(metricsHistoryRef.current), options.engagementWeights);
 
     setAnalytics(prev => ({
       ...prev,
       duration,
-      engagementScore: sessionAnalytics.averages.engagement,
+      engagementScore: engagement.score,
       attentionRate: sessionAnalytics.focus.focusRate,
       blinkRate: metricsHistoryRef.current.length > 0 
         ? metricsCalculator.calculateAverage(metricsHistoryRef.current, 'blinkRate')
@@ -351,13 +354,14 @@ const useAnalytics = (config = {}) => {
       pageViews: pageViewsRef.current,
       interactions: interactionsRef.current
     }));
-  }, [isActive]);
+  }, [isActive, options.engagementWeights]);
 
   /**
    * Calculate final analytics at session end
    */
   const calculateFinalAnalytics = useCallback(() => {
     const sessionAnalytics = metricsCalculator.generateSessionAnalytics();
+    const engagement = scoreEngagement(sampleFactors(metricsHistoryRef.current), options.engagementWeights);
 
     return {
       session: {
@@ -366,7 +370,8 @@ const useAnalytics = (config = {}) => {
         endTime: new Date().toISOString()
       },
       engagement: {
-        averageScore: sessionAnalytics.averages.engagement,
+        averageScore: engagement.score,
+        breakdown: engagement.breakdown,
         trend: sessionAnalytics.performance.trend,
         bestPeriod: sessionAnalytics.performance.bestPeriod,
         worstPeriod: sessionAnalytics.performance.worstPeriod
@@ -405,7 +410,7 @@ const useAnalytics = (config = {}) => {
         alerts: analytics.alerts.length
       }
     };
-  }, [analytics]);
+  }, [analytics, options.engagementWeights]);
 
   /**
    * Group interactions by type
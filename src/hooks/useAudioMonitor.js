@@ -0,0 +1,67 @@
+/**
+ * FILE PATH: frontend/src/hooks/useAudioMonitor.js
+ *
+ * Microphone level monitoring for rooms whose monitoring policy enables audio
+ * Only the level (0-100) and a coarse speech/noise/silence label are exposed;
+ * sound is never recorded or uploaded.
+ */
+
+import { useState, useEffect } from 'react';
+import AudioAnalyzer from '../utils/audioAnalyzer';
+
+const SAMPLE_INTERVAL_MS = 1000;
+
+const IDLE_STATE = { level: 0, type: 'silence', isActive: false, error: null };
+
+/**
+ * Custom Hook: useAudioMonitor
+ *
+ * @param {Object} options - { enabled }
+ * @returns {Object} { level, type, isActive, error }
+ */
+const useAudioMonitor = ({ enabled = false } = {}) => {
+  const [audio, setAudio] = useState(IDLE_STATE);
+
+  useEffect(() => {
+    if (!enabled) {
+      setAudio(IDLE_STATE);
+      return;
+    }
+
+    let cancelled = false;
+    let sampleInterval = null;
+    const analyzer = new AudioAnalyzer();
+
+    analyzer.initialize().then(result => {
+      if (cancelled) {
+        analyzer.stop();
+        return;
+      }
+      if (!result.success) {
+        console.warn('🎤 Audio monitoring unavailable:', result.error);
+        setAudio({ ...IDLE_STATE, error: result.error });
+        return;
+      }
+
+      console.log('🎤 Audio level monitoring started');
+      sampleInterval = setInterval(() => {
+        setAudio({
+          level: Math.round(analyzer.getCurrentLevel()),
+          type: analyzer.detectAudioType(),
+          isActive: true,
+          error: null
+        });
+      }, SAMPLE_INTERVAL_MS);
+    });
+
+    return () => {
+      cancelled = true;
+      clearInterval(sampleInterval);
+      analyzer.stop();
+    };
+  }, [enabled]);
+
+  return audio;
+};
+
+export default useAudioMonitor;
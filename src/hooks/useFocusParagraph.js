@@ -0,0 +1,174 @@
+/**
+ * FILE PATH: frontend/src/hooks/useFocusParagraph.js
+ *
+ * Custom React hook for focus mode's current paragraph
+ * Follows the paragraph in the middle of the viewer as the student scrolls,
+ * and lets them pick one by clicking or step through them with the keyboard.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { buildParagraphs, findParagraphAt } from '../utils/focusParagraphs';
+
+// After stepping with the keyboard, scroll events from bringing the paragraph into view are ignored this long
+const KEYBOARD_SCROLL_MS = 800;
+
+/**
+ * Custom Hook: useFocusParagraph
+ *
+ * @param {Object} pdf - pdf.js document proxy from react-pdf's `onLoadSuccess`
+ * @param {boolean} enabled - Focus mode is on
+ * @param {number} page - The viewer's current page
+ * @param {Function} onPageChange - Called with a page when stepping moves to another page
+ * @param {Object} containerRef - Ref to the scrolling element holding the rendered pages
+ * @returns {Object} { paragraphs, focus, focusAtPoint, next, previous, paragraphRef }
+ *   `paragraphs` is { [page]: boxes } for the pages read so far, `focus` is { page, index };
+ *   `paragraphRef` goes on the focused paragraph's element, which must be keyed by
+ *   page and index, so stepping can scroll it into view
+ */
+const useFocusParagraph = ({ pdf, enabled, page, onPageChange, containerRef }) => {
+  const [paragraphs, setParagraphs] = useState({});
+  const [focus, setFocus] = useState(null);
+
+  const paragraphsRef = useRef({});
+  const scrollRequestedRef = useRef(false);
+  const ignoreScrollUntilRef = useRef(0);
+
+  useEffect(() => {
+    paragraphsRef.current = {};
+    setParagraphs({});
+    setFocus(null);
+  }, [pdf]);
+
+  const loadParagraphs = useCallback(async (pageNumber) => {
+    if (paragraphsRef.current[pageNumber]) return paragraphsRef.current[pageNumber];
+    let boxes = [];
+    try {
+      const pdfPage = await pdf.getPage(pageNumber);
+      boxes = buildParagraphs(await pdfPage.getTextContent(), pdfPage.view);
+    } catch (error) {
+      console.error(`❌ Could not find paragraphs on page ${pageNumber}:`, error);
+    }
+    paragraphsRef.current = { ...paragraphsRef.current, [pageNumber]: boxes };
+    setParagraphs(paragraphsRef.current);
+    return boxes;
+  }, [pdf]);
+
+  const focusAt = useCallback(async (pageNumber, y, x = null) => {
+    const boxes = await loadParagraphs(pageNumber);
+    const index = findParagraphAt(boxes, y, x);
+    setFocus(index >= 0 ? { page: pageNumber, index } : null);
+  }, [loadParagraphs]);
+
+  // The paragraph on the line through the middle of the viewer
+  const focusAtReadingLine = useCallback(() => {
+    const container = containerRef.current;
+    if (!container || !pdf) return;
+    const lineY = container.getBoundingClientRect().top + container.clientHeight / 2;
+
+    let closest = null;
+    let closestDistance = Infinity;
+    container.querySelectorAll('.react-pdf__Page').forEach(element => {
+      const rect = element.getBoundingClientRect();
+      const distance = lineY < rect.top ? rect.top - lineY : Math.max(0, lineY - rect.bottom);
+      if (distance < closestDistance) {
+        closest = { element, rect };
+        closestDistance = distance;
+      }
+    });
+    if (!closest || !closest.rect.height) return;
+
+    const pageNumber = Number(closest.element.dataset.pageNumber);
+    focusAt(pageNumber, ((lineY - closest.rect.top) / closest.rect.height) * 100);
+  }, [containerRef, pdf, focusAt]);
+
+  /**
+   * Focus the paragraph under a click on a page
+   */
+  const focusAtPoint = useCallback((event) => {
+    const pageElement = event.target.closest?.('.react-pdf__Page');
+    if (!pageElement) return;
+    const rect = pageElement.getBoundingClientRect();
+    focusAt(
+      Number(pageElement.dataset.pageNumber),
+      ((event.clientY - rect.top) / rect.height) * 100,
+      ((event.clientX - rect.left) / rect.width) * 100
+    );
+  }, [focusAt]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    focusAtReadingLine();
+
+    const container = containerRef.current;
+    if (!container) return;
+    let frame = null;
+    const handleScroll = () => {
+      if (Date.now() < ignoreScrollUntilRef.current) return;
+      cancelAnimationFrame(frame);
+      frame = requestAnimationFrame(focusAtReadingLine);
+    };
+    container.addEventListener('scroll', handleScroll, { passive: true });
+    return () => {
+      container.removeEventListener('scroll', handleScroll);
+      cancelAnimationFrame(frame);
+    };
+  }, [enabled, containerRef, focusAtReadingLine]);
+
+  // Turned to a page some other way (buttons, outline, read aloud): start at its first paragraph
+  useEffect(() => {
+    if (!enabled || !pdf) return;
+    let cancelled = false;
+    loadParagraphs(page).then(boxes => {
+      if (cancelled || boxes.length === 0) return;
+      setFocus(prev => (prev?.page === page ? prev : { page, index: 0 }));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [enabled, pdf, page, loadParagraphs]);
+
+  const step = useCallback(async (offset) => {
+    if (!focus || !pdf) return;
+    let target = { page: focus.page, index: focus.index + offset };
+    const boxes = paragraphsRef.current[focus.page] || [];
+
+    // Past the first or last paragraph: continue on the nearest page that has text
+    if (target.index < 0 || target.index >= boxes.length) {
+      let pageNumber = focus.page + offset;
+      let pageBoxes = [];
+      while (pageNumber >= 1 && pageNumber <= pdf.numPages) {
+        pageBoxes = await loadParagraphs(pageNumber);
+        if (pageBoxes.length > 0) break;
+        pageNumber += offset;
+      }
+      if (pageBoxes.length === 0) return;
+      target = { page: pageNumber, index: offset > 0 ? 0 : pageBoxes.length - 1 };
+      onPageChange(pageNumber);
+    }
+
+    scrollRequestedRef.current = true;
+    setFocus(target);
+  }, [focus, pdf, loadParagraphs, onPageChange]);
+
+  const next = useCallback(() => step(1), [step]);
+  const previous = useCallback(() => step(-1), [step]);
+
+  const paragraphRef = useCallback((element) => {
+    if (!element || !scrollRequestedRef.current) return;
+    scrollRequestedRef.current = false;
+    ignoreScrollUntilRef.current = Date.now() + KEYBOARD_SCROLL_MS;
+    // After the viewer's own scroll to a newly turned page, or that would win
+    setTimeout(() => element.scrollIntoView({ block: 'center', behavior: 'smooth' }), 0);
+  }, []);
+
+  return {
+    paragraphs,
+    focus: enabled ? focus : null,
+    focusAtPoint,
+    next,
+    previous,
+    paragraphRef
+  };
+};
+
+export default useFocusParagraph;
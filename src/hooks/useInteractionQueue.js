@@ -0,0 +1,24 @@
+/**
+ * FILE PATH: frontend/src/hooks/useInteractionQueue.js
+ *
+ * Custom React hook exposing the interaction outbox sync state
+ * Lets components show pending/syncing badges and trigger a manual flush
+ */
+
+import { useState, useEffect } from 'react';
+import { subscribeToQueue, getQueueStatus, flushQueue } from '../services/interactionQueue';
+
+/**
+ * Custom Hook: useInteractionQueue
+ *
+ * @returns {Object} { pending, syncing, online, lastSyncedAt, lastError, dropped, flush }
+ */
+const useInteractionQueue = () => {
+  const [status, setStatus] = useState(getQueueStatus);
+
+  useEffect(() => subscribeToQueue(setStatus), []);
+
+  return { ...status, flush: flushQueue };
+};
+
+export default useInteractionQueue;
@@ -5,10 +5,18 @@
  * Combines webcam with ML models for real-time face/pose detection and analysis
  * 
  * ✅ FIXED: All infinite loop issues resolved
+ * Inference runs in a Web Worker when supported, with a main-thread fallback
+ * Recorded detector streams (utils/landmarkReplay) can stand in for the camera via `replay`
  */
 
 import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import mlModels from '../utils/mlModels';
+import { InferenceWorkerClient, isWorkerInferenceSupported } from '../utils/inferenceWorkerClient';
+import { InferenceScheduler, isBatteryLow } from '../utils/inferenceScheduler';
+import { DrowsinessDetector } from '../utils/drowsinessDetector';
+import { ExpressionClassifier } from '../utils/expressionClassifier';
+import { MetricsPipeline } from '../utils/metricsPipeline';
+import { LandmarkRecorder, playRecording } from '../utils/landmarkReplay';
 import useWebcam from './useWebcam';
 
 /**
@@ -21,13 +29,36 @@ const DEFAULT_OPTIONS = {
   enableObjectDetection: false,
   processingInterval: 100,
   autoStart: false,
-  minConfidence: 0.5
+  minConfidence: 0.5,
+  useWorker: true,
+  performanceBudget: 'balanced', // 'low' | 'balanced' | 'high' or ms of inference per frame
+  replay: null,      // Recording to play instead of running the camera and models
+  replaySpeed: 1,
+  replayLoop: false
+};
+
+const SCHEDULER_STATS_INTERVAL_MS = 1000;
+
+/**
+ * Time a single detector call, recording its latency under `name`
+ */
+const timeDetector = async (name, detect, timings) => {
+  const startTime = performance.now();
+  try {
+    return await detect();
+  } finally {
+    timings[name] = performance.now() - startTime;
+  }
 };
 
 /**
  * Custom Hook: useMediaPipe
  * 
- * @param {Object} options - Configuration options
+ * @param {Object} options - Configuration options (plus optional `calibrationProfile` from utils/calibration
+ *                           `onDrowsinessEvent(event)` for yawn/head_drop/micro_sleep events
+ *                           `onExpressionChange(expression)` when the smoothed expression state changes,
+ *                           `engagementWeights` from utils/engagementScoring,
+ *                           and `replay` - a recording from utils/landmarkReplay to play instead of the camera)
  * @returns {Object} MediaPipe state and control methods
  */
 const useMediaPipe = (options = {}) => {
@@ -39,18 +70,23 @@ const useMediaPipe = (options = {}) => {
     options.enableObjectDetection,
     options.processingInterval,
     options.autoStart,
-    options.minConfidence
+    options.minConfidence,
+    options.useWorker,
+    options.performanceBudget,
+    options.replay,
+    options.replaySpeed,
+    options.replayLoop
   ]);
 
   // ✅ FIX 2: Memoize webcam config
   const webcamConfig = useMemo(() => ({
-    autoStart: config.autoStart,
+    autoStart: config.autoStart && !config.replay,
     video: {
       width: { ideal: 640 },
       height: { ideal: 480 },
       frameRate: { ideal: 30 }
     }
-  }), [config.autoStart]);
+  }), [config.autoStart, config.replay]);
 
   // Webcam hook
   const webcam = useWebcam(webcamConfig);
@@ -61,6 +97,22 @@ const useMediaPipe = (options = {}) => {
   const [loadingProgress, setLoadingProgress] = useState(0);
   const [currentFrame, setCurrentFrame] = useState(null);
   const [error, setError] = useState(null);
+  const [inferenceMode, setInferenceMode] = useState(null); // 'worker' | 'main' | 'replay'
+  const [isRecording, setIsRecording] = useState(false);
+  const [schedulerStats, setSchedulerStats] = useState(null);
+  const [drowsiness, setDrowsiness] = useState({
+    perclos: 0,
+    level: 'low',
+    yawnCount: 0,
+    headDrops: 0,
+    microSleeps: 0
+  });
+  const [expression, setExpression] = useState({
+    state: 'neutral',
+    confidence: 0,
+    scores: null,
+    since: null
+  });
 
   // Detection results
   const [faceData, setFaceData] = useState(null);
@@ -81,17 +133,45 @@ const useMediaPipe = (options = {}) => {
     objectsDetected: [],
     hasPhone: false,
     engagementScore: 0,
+    engagementBreakdown: [],
     timestamp: Date.now()
   });
 
   // Refs
   const processingIntervalRef = useRef(null);
+  const processFrameRef = useRef(null);
+  const isLoopRunningRef = useRef(false);
   const lastProcessTimeRef = useRef(0);
   const frameCountRef = useRef(0);
-  const blinkCountRef = useRef(0);
-  const lastBlinkTimeRef = useRef(0);
-  const attentionHistoryRef = useRef([]);
+  const pipelineRef = useRef(null);
+  if (!pipelineRef.current) {
+    pipelineRef.current = new MetricsPipeline();
+  }
+  const frameTimeRef = useRef(Date.now()); // Time of the latest frame (virtual during replay)
+  const recorderRef = useRef(null);
+  const replayPlayerRef = useRef(null);
   const hasAutoStartedRef = useRef(false);
+  const workerClientRef = useRef(null);
+  const mainThreadModelsRef = useRef(false); // Models loaded by mlModels on this thread, to unload on unmount
+  const schedulerRef = useRef(null);
+  const drowsinessDetectorRef = useRef(null);
+  if (!drowsinessDetectorRef.current) {
+    drowsinessDetectorRef.current = new DrowsinessDetector();
+  }
+  const onDrowsinessEventRef = useRef(options.onDrowsinessEvent);
+  onDrowsinessEventRef.current = options.onDrowsinessEvent;
+  const expressionClassifierRef = useRef(null);
+  if (!expressionClassifierRef.current) {
+    expressionClassifierRef.current = new ExpressionClassifier();
+  }
+  const onExpressionChangeRef = useRef(options.onExpressionChange);
+  onExpressionChangeRef.current = options.onExpressionChange;
+  if (!schedulerRef.current) {
+    schedulerRef.current = new InferenceScheduler({
+      baseInterval: config.processingInterval,
+      budget: config.performanceBudget
+    });
+  }
 
   /**
    * ✅ FIX 3: Load models - stable dependencies
@@ -109,7 +189,33 @@ const useMediaPipe = (options = {}) => {
       };
 
       setLoadingProgress(10);
+
+      if (config.useWorker && isWorkerInferenceSupported()) {
+        try {
+          const client = workerClientRef.current || new InferenceWorkerClient();
+          workerClientRef.current = client;
+          const loaded = await client.init(modelsToLoad);
+
+          // Some GPU delegates aren't available in workers - fall back if nothing loaded
+          if (!loaded.faceDetection && !loaded.faceMesh && !loaded.pose && !loaded.objectDetection) {
+            throw new Error('No models could be loaded in the inference worker');
+          }
+
+          setInferenceMode('worker');
+          setLoadingProgress(100);
+          setModelsLoaded(true);
+          console.log('✅ Models loaded in inference worker');
+          return;
+        } catch (workerError) {
+          console.warn('⚠️ Worker inference unavailable, using main thread:', workerError);
+          workerClientRef.current?.terminate();
+          workerClientRef.current = null;
+        }
+      }
+
       await mlModels.loadAllModels(modelsToLoad);
+      mainThreadModelsRef.current = true;
+      setInferenceMode('main');
       setLoadingProgress(100);
       setModelsLoaded(true);
       console.log('✅ All models loaded successfully');
@@ -123,9 +229,17 @@ const useMediaPipe = (options = {}) => {
     config.enableFaceDetection,
     config.enableFaceMesh,
     config.enablePoseEstimation,
-    config.enableObjectDetection
+    config.enableObjectDetection,
+    config.useWorker
   ]);
 
+  /**
+   * Count blinks from a face mesh result (debounced in MetricsPipeline)
+   */
+  const trackBlink = useCallback((result, now) => {
+    pipelineRef.current.trackBlink(result, now);
+  }, []);
+
   /**
    * ✅ FIX 4: Process frame - stable dependencies
    */
@@ -141,52 +255,99 @@ const useMediaPipe = (options = {}) => {
       return;
     }
 
+    // Worker path: drop frames while the previous one is still being inferred
+    const workerClient = workerClientRef.current;
+    if (inferenceMode === 'worker' && workerClient?.isBusy) return;
+
+    frameTimeRef.current = now;
+
+    // Staggered models: only the ones due on this frame run
+    const due = schedulerRef.current.nextFrame({
+      faceDetection: config.enableFaceDetection,
+      faceMesh: config.enableFaceMesh,
+      pose: config.enablePoseEstimation,
+      objectDetection: config.enableObjectDetection
+    });
+
+    if (inferenceMode === 'worker' && workerClient) {
+      try {
+        frameCountRef.current++;
+        const result = await workerClient.detect(videoElement, performance.now(), due);
+        schedulerRef.current.recordTimings(result.timings || {});
+
+        // `undefined` means the detector is disabled - leave its state untouched
+        if (result.faceData !== undefined) setFaceData(result.faceData);
+        if (result.faceMeshData !== undefined) {
+          setFaceMeshData(result.faceMeshData);
+          trackBlink(result.faceMeshData, now);
+        }
+        if (result.poseData !== undefined) setPoseData(result.poseData);
+        if (result.objectData !== undefined) setObjectData(result.objectData);
+        recorderRef.current?.record(result, now);
+
+        lastProcessTimeRef.current = now;
+      } catch (err) {
+        console.warn('Worker frame processing error:', err);
+      }
+      return;
+    }
+
     try {
       frameCountRef.current++;
       const timestamp = performance.now();
+      const timings = {};
+      const frameResults = {};
 
       const detectionPromises = [];
 
-      if (config.enableFaceDetection) {
+      if (due.faceDetection) {
         detectionPromises.push(
-          mlModels.detectFaces(videoElement, timestamp)
-            .then(result => setFaceData(result))
+          timeDetector('faceDetection', () => mlModels.detectFaces(videoElement, timestamp), timings)
+            .then(result => {
+              frameResults.faceData = result;
+              setFaceData(result);
+            })
             .catch(err => console.warn('Face detection error:', err))
         );
       }
 
-      if (config.enableFaceMesh) {
+      if (due.faceMesh) {
         detectionPromises.push(
-          mlModels.getFacialLandmarks(videoElement, timestamp)
+          timeDetector('faceMesh', () => mlModels.getFacialLandmarks(videoElement, timestamp), timings)
             .then(result => {
+              frameResults.faceMeshData = result;
               setFaceMeshData(result);
-              
-              if (result?.isBlink && now - lastBlinkTimeRef.current > 200) {
-                blinkCountRef.current++;
-                lastBlinkTimeRef.current = now;
-              }
+              trackBlink(result, now);
             })
             .catch(err => console.warn('Face mesh error:', err))
         );
       }
 
-      if (config.enablePoseEstimation) {
+      if (due.pose) {
         detectionPromises.push(
-          mlModels.detectPose(videoElement, timestamp)
-            .then(result => setPoseData(result))
+          timeDetector('pose', () => mlModels.detectPose(videoElement, timestamp), timings)
+            .then(result => {
+              frameResults.poseData = result;
+              setPoseData(result);
+            })
             .catch(err => console.warn('Pose detection error:', err))
         );
       }
 
-      if (config.enableObjectDetection) {
+      if (due.objectDetection) {
         detectionPromises.push(
-          mlModels.detectObjects(videoElement)
-            .then(result => setObjectData(result))
+          timeDetector('objectDetection', () => mlModels.detectObjects(videoElement), timings)
+            .then(result => {
+              frameResults.objectData = result;
+              setObjectData(result);
+            })
             .catch(err => console.warn('Object detection error:', err))
         );
       }
 
       await Promise.allSettled(detectionPromises);
+      schedulerRef.current.recordTimings(timings);
+      recorderRef.current?.record(frameResults, now);
       lastProcessTimeRef.current = now;
 
     } catch (err) {
@@ -196,33 +357,134 @@ const useMediaPipe = (options = {}) => {
     webcam.isActive,
     webcam.videoRef,
     modelsLoaded,
+    inferenceMode,
+    trackBlink,
     config.enableFaceDetection,
     config.enableFaceMesh,
     config.enablePoseEstimation,
     config.enableObjectDetection
   ]);
 
+  // The processing loop always calls the latest processFrame
+  processFrameRef.current = processFrame;
+
   /**
-   * Get blink rate (blinks per minute)
+   * Apply the student's calibration profile wherever inference runs
    */
-  const getBlinkRate = useCallback(() => {
-    const elapsedMinutes = (Date.now() - (webcam.isActive ? Date.now() - 60000 : 0)) / 60000;
-    return Math.round(blinkCountRef.current / Math.max(elapsedMinutes, 0.1));
-  }, [webcam.isActive]);
+  useEffect(() => {
+    mlModels.setCalibrationProfile(options.calibrationProfile);
+    workerClientRef.current?.setCalibration(options.calibrationProfile || null);
+    drowsinessDetectorRef.current.setOpenEar(options.calibrationProfile?.earOpen);
+  }, [options.calibrationProfile, inferenceMode]);
+
+  // Room engagement weights
+  useEffect(() => {
+    pipelineRef.current.setWeights(options.engagementWeights);
+  }, [options.engagementWeights]);
 
   /**
-   * Get attention percentage (last 60 seconds)
+   * Drowsiness: feed each new face mesh result, forward typed events,
+   * and only re-render when the summary actually moves
    */
-  const getAttentionRate = useCallback(() => {
-    if (attentionHistoryRef.current.length === 0) return 0;
+  useEffect(() => {
+    if (!isProcessing) return;
 
-    const attentiveCount = attentionHistoryRef.current.filter(
-      item => item.attentive
-    ).length;
+    const detector = drowsinessDetectorRef.current;
+    const events = detector.update(faceMeshData, frameTimeRef.current);
+    events.forEach(event => {
+      console.log(`😴 Drowsiness event: ${event.type}`);
+      if (onDrowsinessEventRef.current) onDrowsinessEventRef.current(event);
+    });
+
+    const next = detector.getState();
+    setDrowsiness(prev => (
+      events.length > 0 || prev.level !== next.level || Math.abs(prev.perclos - next.perclos) >= 0.01
+        ? next
+        : prev
+    ));
+  }, [faceMeshData, isProcessing]);
+
+  /**
+   * Expression state: classify blendshapes, report state changes,
+   * and only re-render on a new state or a noticeable confidence shift
+   */
+  useEffect(() => {
+    if (!isProcessing) return;
 
-    return Math.round((attentiveCount / attentionHistoryRef.current.length) * 100);
+    const previousState = expressionClassifierRef.current.state;
+    const next = expressionClassifierRef.current.update(faceMeshData, frameTimeRef.current);
+
+    if (next.state !== previousState) {
+      console.log(`🙂 Expression: ${previousState} → ${next.state} (${Math.round(next.confidence * 100)}%)`);
+      if (onExpressionChangeRef.current) onExpressionChangeRef.current(next, previousState);
+    }
+
+    setExpression(prev => (
+      prev.state !== next.state || Math.abs(prev.confidence - next.confidence) >= 0.05 ? next : prev
+    ));
+  }, [faceMeshData, isProcessing]);
+
+  /**
+   * Keep the scheduler in sync with config and throttle when hidden or on low battery
+   */
+  useEffect(() => {
+    schedulerRef.current.baseInterval = config.processingInterval;
+    schedulerRef.current.setBudget(config.performanceBudget);
+  }, [config.processingInterval, config.performanceBudget]);
+
+  useEffect(() => {
+    const scheduler = schedulerRef.current;
+    const handleVisibilityChange = () => scheduler.setHidden(document.hidden);
+    handleVisibilityChange();
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    let battery = null;
+    const handleBatteryChange = () => scheduler.setLowBattery(isBatteryLow(battery));
+    if (navigator.getBattery) {
+      navigator.getBattery().then(manager => {
+        battery = manager;
+        handleBatteryChange();
+        battery.addEventListener('levelchange', handleBatteryChange);
+        battery.addEventListener('chargingchange', handleBatteryChange);
+      }).catch(() => {});
+    }
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+      if (battery) {
+        battery.removeEventListener('levelchange', handleBatteryChange);
+        battery.removeEventListener('chargingchange', handleBatteryChange);
+      }
+    };
   }, []);
 
+  /**
+   * Publish per-model FPS/latency once a second (not every frame, to avoid re-renders)
+   */
+  useEffect(() => {
+    if (!isProcessing) return;
+
+    const statsInterval = setInterval(() => {
+      setSchedulerStats(schedulerRef.current.getStats());
+    }, SCHEDULER_STATS_INTERVAL_MS);
+
+    return () => clearInterval(statsInterval);
+  }, [isProcessing]);
+
+  /**
+   * Get blink rate (blinks per minute)
+   */
+  const getBlinkRate = useCallback(() => (
+    pipelineRef.current.getBlinkRate(frameTimeRef.current)
+  ), []);
+
+  /**
+   * Get attention percentage (last 60 seconds)
+   */
+  const getAttentionRate = useCallback(() => (
+    pipelineRef.current.getAttentionRate()
+  ), []);
+
   /**
    * Get processing FPS
    */
@@ -232,6 +494,43 @@ const useMediaPipe = (options = {}) => {
     return Math.round(frameCountRef.current / elapsed);
   }, []);
 
+  /**
+   * Replay: feed recorded frames into the same state the live loop sets
+   */
+  const startReplay = useCallback(() => {
+    const replayStartedAt = Date.now();
+    setInferenceMode('replay');
+    setModelsLoaded(true);
+    setIsProcessing(true);
+
+    replayPlayerRef.current = playRecording(config.replay, {
+      speed: config.replaySpeed,
+      loop: config.replayLoop,
+      onFrame: (frame, t) => {
+        const now = replayStartedAt + t;
+        frameTimeRef.current = now;
+        frameCountRef.current++;
+
+        if (frame.faceData !== undefined) setFaceData(frame.faceData);
+        if (frame.faceMeshData !== undefined) {
+          setFaceMeshData(frame.faceMeshData);
+          trackBlink(frame.faceMeshData, now);
+        }
+        if (frame.poseData !== undefined) setPoseData(frame.poseData);
+        if (frame.objectData !== undefined) setObjectData(frame.objectData);
+
+        lastProcessTimeRef.current = now;
+      },
+      onEnd: () => {
+        replayPlayerRef.current = null;
+        setIsProcessing(false);
+        console.log('⏹️ Replay finished');
+      }
+    });
+
+    console.log(`▶️ Replaying ${config.replay.frames.length} recorded frames`);
+  }, [config.replay, config.replaySpeed, config.replayLoop, trackBlink]);
+
   /**
    * ✅ FIX 6: Start processing - stable function
    */
@@ -242,6 +541,11 @@ const useMediaPipe = (options = {}) => {
     }
 
     try {
+      if (config.replay) {
+        startReplay();
+        return;
+      }
+
       if (!modelsLoaded) {
         await loadModels();
       }
@@ -252,9 +556,15 @@ const useMediaPipe = (options = {}) => {
 
       setIsProcessing(true);
 
-      processingIntervalRef.current = setInterval(() => {
-        processFrame();
-      }, config.processingInterval);
+      // Self-scheduling loop so the delay can adapt between ticks
+      isLoopRunningRef.current = true;
+      const scheduleNextFrame = () => {
+        processingIntervalRef.current = setTimeout(async () => {
+          await processFrameRef.current();
+          if (isLoopRunningRef.current) scheduleNextFrame();
+        }, schedulerRef.current.getInterval());
+      };
+      scheduleNextFrame();
 
       console.log('▶️ MediaPipe processing started');
 
@@ -263,29 +573,60 @@ const useMediaPipe = (options = {}) => {
       setError({ message: 'Failed to start processing', details: err });
       setIsProcessing(false);
     }
-  }, [isProcessing, modelsLoaded, loadModels, webcam, config.processingInterval, processFrame]);
+  }, [isProcessing, modelsLoaded, loadModels, webcam, config.replay, startReplay]);
 
   /**
    * Stop processing
    */
   const stopProcessing = useCallback(() => {
+    isLoopRunningRef.current = false;
     if (processingIntervalRef.current) {
-      clearInterval(processingIntervalRef.current);
+      clearTimeout(processingIntervalRef.current);
       processingIntervalRef.current = null;
     }
+    if (replayPlayerRef.current) {
+      replayPlayerRef.current.stop();
+      replayPlayerRef.current = null;
+    }
 
     setIsProcessing(false);
     console.log('⏹️ MediaPipe processing stopped');
   }, []);
 
+  /**
+   * Record detector results from this session (see utils/landmarkReplay)
+   */
+  const startRecording = useCallback(({ includeLandmarks = false, meta = {} } = {}) => {
+    recorderRef.current = new LandmarkRecorder({ includeLandmarks });
+    recorderRef.current.start({ processingInterval: config.processingInterval, ...meta });
+    setIsRecording(true);
+    console.log('⏺️ Recording detector results');
+  }, [config.processingInterval]);
+
+  /**
+   * @returns {Object|null} The recording, ready for `replay` or JSON export
+   */
+  const stopRecording = useCallback(() => {
+    const recorder = recorderRef.current;
+    if (!recorder) return null;
+
+    recorderRef.current = null;
+    setIsRecording(false);
+    const recording = recorder.stop();
+    console.log(`⏹️ Recorded ${recording.frames.length} frames`);
+    return recording;
+  }, []);
+
   /**
    * Reset all metrics and counters
    */
   const resetMetrics = useCallback(() => {
     frameCountRef.current = 0;
-    blinkCountRef.current = 0;
-    lastBlinkTimeRef.current = 0;
-    attentionHistoryRef.current = [];
+    pipelineRef.current.reset();
+    drowsinessDetectorRef.current.reset();
+    setDrowsiness(drowsinessDetectorRef.current.getState());
+    expressionClassifierRef.current.reset();
+    setExpression(expressionClassifierRef.current.getState());
     
     setMetrics({
       faceDetected: false,
@@ -299,6 +640,7 @@ const useMediaPipe = (options = {}) => {
       objectsDetected: [],
       hasPhone: false,
       engagementScore: 0,
+      engagementBreakdown: [],
       timestamp: Date.now()
     });
 
@@ -387,53 +729,6 @@ const useMediaPipe = (options = {}) => {
     }
   }, [webcam.videoRef, faceData, faceMeshData, poseData, objectData, metrics]);
 
-  /**
-   * ✅ FIX 8: Calculate metrics using ref to avoid infinite loop
-   * This function is called directly, not through useEffect
-   */
-  const calculateMetricsRef = useRef((faceData, faceMeshData, poseData, objectData) => {
-    const newMetrics = {
-      faceDetected: faceData?.faceDetected || false,
-      faceCount: faceData?.faceCount || 0,
-      lookingAtScreen: faceMeshData?.isLookingAtScreen || false,
-      eyeAspectRatio: faceMeshData?.eyeAspectRatio || 0,
-      blinkDetected: faceMeshData?.isBlink || false,
-      headPose: faceMeshData?.headPose || null,
-      gazeDirection: faceMeshData?.gazeDirection || null,
-      postureScore: poseData?.posture?.score || 0,
-      postureQuality: poseData?.posture?.quality || 'unknown',
-      neckAngle: poseData?.posture?.neckAngle || 0,
-      backAngle: poseData?.posture?.backAngle || 0,
-      shoulderAlignment: poseData?.posture?.shoulderAlignment || 0,
-      objectsDetected: objectData?.objectTypes || [],
-      hasPhone: objectData?.hasPhone || false,
-      hasDistractingObject: objectData?.hasDistractingObject || false,
-      engagementScore: 0,
-      timestamp: Date.now()
-    };
-
-    // Calculate engagement score
-    let engagementScore = 0;
-    if (newMetrics.faceDetected) engagementScore += 40;
-    if (newMetrics.lookingAtScreen) engagementScore += 40;
-    if (newMetrics.postureScore > 70) engagementScore += 20;
-    if (newMetrics.hasPhone) engagementScore -= 30;
-    newMetrics.engagementScore = Math.max(0, Math.min(100, engagementScore));
-
-    // Track attention over time
-    attentionHistoryRef.current.push({
-      timestamp: newMetrics.timestamp,
-      attentive: newMetrics.lookingAtScreen && newMetrics.faceDetected
-    });
-
-    const sixtySecondsAgo = Date.now() - 60000;
-    attentionHistoryRef.current = attentionHistoryRef.current.filter(
-      item => item.timestamp > sixtySecondsAgo
-    );
-
-    return newMetrics;
-  });
-
   /**
    * ✅ FIX 9: Update metrics whenever detection results change
    * Use a ref-based comparison to prevent infinite loops
@@ -441,12 +736,15 @@ const useMediaPipe = (options = {}) => {
   useEffect(() => {
     if (!isProcessing) return;
 
-    const newMetrics = calculateMetricsRef.current(faceData, faceMeshData, poseData, objectData);
+    const newMetrics = pipelineRef.current.calculate(
+      faceData, faceMeshData, poseData, objectData, frameTimeRef.current
+    );
     
     // Only update if metrics actually changed
     setMetrics(prevMetrics => {
       const hasChanged = 
         prevMetrics.faceDetected !== newMetrics.faceDetected ||
+        prevMetrics.faceCount !== newMetrics.faceCount ||
         prevMetrics.lookingAtScreen !== newMetrics.lookingAtScreen ||
         prevMetrics.engagementScore !== newMetrics.engagementScore ||
         prevMetrics.postureScore !== newMetrics.postureScore ||
@@ -468,15 +766,21 @@ const useMediaPipe = (options = {}) => {
 
   /**
    * Cleanup on unmount
+   * Reads refs only, so loading models (or starting a replay) doesn't
+   * tear down what was just set up
    */
   useEffect(() => {
     return () => {
       stopProcessing();
-      if (modelsLoaded) {
+      if (workerClientRef.current) {
+        workerClientRef.current.terminate();
+        workerClientRef.current = null;
+      } else if (mainThreadModelsRef.current) {
         mlModels.unloadModels();
+        mainThreadModelsRef.current = false;
       }
     };
-  }, [stopProcessing, modelsLoaded]);
+  }, [stopProcessing]);
 
   /**
    * Handle webcam errors
@@ -493,6 +797,11 @@ const useMediaPipe = (options = {}) => {
     isProcessing,
     modelsLoaded,
     loadingProgress,
+    inferenceMode,
+    schedulerStats,
+    drowsiness,
+    expression,
+    isRecording,
     error,
     faceData,
     faceMeshData,
@@ -507,6 +816,8 @@ const useMediaPipe = (options = {}) => {
     getBlinkRate,
     getAttentionRate,
     getProcessingFPS,
+    startRecording,
+    stopRecording,
     isReady: modelsLoaded && webcam.isActive && !error
   };
 };
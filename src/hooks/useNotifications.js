@@ -0,0 +1,54 @@
+/**
+ * FILE PATH: frontend/src/hooks/useNotifications.js
+ *
+ * Custom React hook exposing the student's notifications
+ * Listens on the shared socket for answers to the student's room questions
+ * and lets the notification bell and the PDF viewer read and mark them
+ */
+
+import { useState, useEffect } from 'react';
+import { getSocket, SOCKET_EVENTS } from '../services/socket';
+import {
+  subscribeToNotifications,
+  getNotifications,
+  addNotification,
+  markNotificationRead,
+  markAllNotificationsRead
+} from '../services/notificationStore';
+import { buildAnsweredNotification } from '../utils/roomQuestions';
+
+/**
+ * Custom Hook: useNotifications
+ *
+ * @param {Object} options - { listen } - Also subscribe to the socket; one
+ *   component per page should listen (repeats are de-duplicated anyway)
+ * @returns {Object} { notifications, unreadCount, markAsRead, markAllAsRead }
+ */
+const useNotifications = ({ listen = false } = {}) => {
+  const [notifications, setNotifications] = useState(getNotifications);
+
+  useEffect(() => subscribeToNotifications(setNotifications), []);
+
+  useEffect(() => {
+    if (!listen) return;
+
+    const socket = getSocket();
+    const handleAnswered = (payload) => {
+      const question = payload?.question || payload;
+      if (!question?._id) return;
+      addNotification(buildAnsweredNotification(question));
+    };
+
+    socket.on(SOCKET_EVENTS.QUESTION_ANSWERED, handleAnswered);
+    return () => socket.off(SOCKET_EVENTS.QUESTION_ANSWERED, handleAnswered);
+  }, [listen]);
+
+  return {
+    notifications,
+    unreadCount: notifications.filter(n => !n.read).length,
+    markAsRead: markNotificationRead,
+    markAllAsRead: markAllNotificationsRead
+  };
+};
+
+export default useNotifications;
@@ -0,0 +1,131 @@
+/**
+ * FILE PATH: frontend/src/hooks/usePdfSearch.js
+ *
+ * Custom React hook for in-document search
+ * Reads the PDF's text once (on the first search), finds matches, tracks the
+ * current one and renders matches onto react-pdf's text layer
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { extractPageText, findMatches, highlightTextItem } from '../utils/pdfSearch';
+
+/**
+ * Custom Hook: usePdfSearch
+ *
+ * @param {Object} pdf - pdf.js document proxy from react-pdf's `onLoadSuccess`
+ * @returns {Object} { query, options, results, activeIndex, activeResult, searching,
+ *   search, next, previous, goTo, clear, renderTextItem }
+ *   `search` resolves to the results, or null if a newer search or `clear` overtook it;
+ *   `renderTextItem` is for `<Page customTextRenderer>`
+ *   and is undefined while there is nothing to highlight
+ */
+const usePdfSearch = (pdf) => {
+  const [query, setQuery] = useState('');
+  const [options, setOptions] = useState({ matchCase: false, wholeWord: false });
+  const [results, setResults] = useState([]);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [searching, setSearching] = useState(false);
+
+  // page number -> { text, offsets }
+  const pageTextsRef = useRef(new Map());
+  // Bumped by every search, clear and new PDF; slow text extraction mustn't land over newer results
+  const searchIdRef = useRef(0);
+
+  useEffect(() => {
+    searchIdRef.current += 1;
+    pageTextsRef.current = new Map();
+    setSearching(false);
+    setResults([]);
+    setActiveIndex(-1);
+  }, [pdf]);
+
+  const loadPageTexts = useCallback(async () => {
+    const cache = pageTextsRef.current;
+    for (let page = 1; page <= pdf.numPages; page++) {
+      if (cache.has(page)) continue;
+      try {
+        const pdfPage = await pdf.getPage(page);
+        cache.set(page, extractPageText(await pdfPage.getTextContent()));
+      } catch (error) {
+        console.error(`❌ Could not read text of page ${page}:`, error);
+        cache.set(page, { text: '', offsets: [] });
+      }
+    }
+    return Array.from(cache.entries()).map(([page, { text }]) => ({ page, text }));
+  }, [pdf]);
+
+  const search = useCallback(async (nextQuery, nextOptions = options) => {
+    const searchId = ++searchIdRef.current;
+    setQuery(nextQuery);
+    setOptions(nextOptions);
+    if (!pdf || !nextQuery.trim()) {
+      setSearching(false);
+      setResults([]);
+      setActiveIndex(-1);
+      return [];
+    }
+
+    setSearching(true);
+    try {
+      const pageTexts = await loadPageTexts();
+      if (searchId !== searchIdRef.current) return null;
+      const matches = findMatches(pageTexts, nextQuery, nextOptions);
+      setResults(matches);
+      setActiveIndex(matches.length > 0 ? 0 : -1);
+      return matches;
+    } finally {
+      if (searchId === searchIdRef.current) setSearching(false);
+    }
+  }, [pdf, options, loadPageTexts]);
+
+  const goTo = useCallback((index) => {
+    if (results.length === 0) return;
+    setActiveIndex(((index % results.length) + results.length) % results.length);
+  }, [results.length]);
+
+  const next = useCallback(() => goTo(activeIndex + 1), [goTo, activeIndex]);
+  const previous = useCallback(() => goTo(activeIndex - 1), [goTo, activeIndex]);
+
+  const clear = useCallback(() => {
+    searchIdRef.current += 1;
+    setSearching(false);
+    setQuery('');
+    setResults([]);
+    setActiveIndex(-1);
+  }, []);
+
+  const activeResult = activeIndex >= 0 ? results[activeIndex] : null;
+
+  const renderTextItem = useMemo(() => {
+    if (results.length === 0) return undefined;
+
+    const byPage = {};
+    results.forEach(result => {
+      (byPage[result.page] = byPage[result.page] || []).push(result);
+    });
+
+    return ({ pageNumber, itemIndex, str }) => {
+      // The layer uses the result as HTML, so plain items still go through the escaping
+      const itemStart = pageTextsRef.current.get(pageNumber)?.offsets[itemIndex];
+      const matches = itemStart === undefined ? [] : (byPage[pageNumber] || []);
+      return highlightTextItem(str, itemStart || 0, matches, activeResult?.id);
+    };
+  }, [results, activeResult]);
+
+  return {
+    query,
+    options,
+    results,
+    activeIndex,
+    activeResult,
+    searching,
+    search,
+    next,
+    previous,
+    goTo,
+    clear,
+    renderTextItem
+  };
+};
+
+export default usePdfSearch;
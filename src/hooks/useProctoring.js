@@ -0,0 +1,181 @@
+/**
+ * FILE PATH: frontend/src/hooks/useProctoring.js
+ *
+ * Custom React hook for proctored room sessions
+ * Feeds detector output and browser focus/fullscreen state into a
+ * ProctoringMonitor, snapshots the camera when an incident opens, and queues
+ * each incident as a `proctoring_incident` interaction once it closes.
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { ProctoringMonitor, compressSnapshot } from '../utils/proctoring';
+import { coarsenIncident } from '../utils/privacyMode';
+import { enqueueInteraction } from '../services/interactionQueue';
+
+// Students get a moment to go fullscreen before leaving it counts as an incident
+const FULLSCREEN_GRACE_MS = 30000;
+const BROWSER_POLL_MS = 1000;
+// Detector output isn't republished while nothing changes (e.g. the student stays away), so it's polled too
+const DETECTOR_POLL_MS = 1000;
+
+const getBrowserState = () => ({
+  focused: document.visibilityState === 'visible' && document.hasFocus(),
+  fullscreen: !!document.fullscreenElement
+});
+
+/**
+ * Custom Hook: useProctoring
+ *
+ * @param {Object} options - { enabled, sessionId, config, isProcessing, metrics, objectData, takeAnnotatedSnapshot }
+ *   `config.privacyMode` uploads incidents without exact times, details or snapshots
+ * @returns {Object} { incidents, activeIncidents, isFullscreen, requestFullscreen }
+ */
+const useProctoring = ({
+  enabled = false,
+  sessionId,
+  config = {},
+  isProcessing = false,
+  metrics,
+  objectData,
+  takeAnnotatedSnapshot
+}) => {
+  const [incidents, setIncidents] = useState([]);
+  const [activeIncidents, setActiveIncidents] = useState([]);
+  const [isFullscreen, setIsFullscreen] = useState(!!document.fullscreenElement);
+
+  const monitorRef = useRef(null);
+  const snapshotsRef = useRef({});   // incident id -> data URL taken when it opened
+  const startedAtRef = useRef(null);
+  const hasEnteredFullscreenRef = useRef(false);
+  const sessionIdRef = useRef(sessionId);
+  sessionIdRef.current = sessionId;
+  const takeSnapshotRef = useRef(takeAnnotatedSnapshot);
+  takeSnapshotRef.current = takeAnnotatedSnapshot;
+  const detectorRef = useRef({ metrics, objectData });
+  detectorRef.current = { metrics, objectData };
+  const privacyMode = config.privacyMode === true;
+  const captureSnapshots = config.captureSnapshots !== false && !privacyMode;
+
+  const handleResults = useCallback(({ opened, closed }) => {
+    opened.forEach(incident => {
+      console.warn(`🚨 Proctoring incident: ${incident.type}`);
+      if (captureSnapshots && takeSnapshotRef.current) {
+        snapshotsRef.current[incident.id] = compressSnapshot(takeSnapshotRef.current());
+      }
+    });
+
+    closed.forEach(incident => {
+      const snapshot = snapshotsRef.current[incident.id] || null;
+      delete snapshotsRef.current[incident.id];
+
+      if (sessionIdRef.current) {
+        const payload = privacyMode ? coarsenIncident(incident) : {
+          incidentType: incident.type,
+          severity: incident.severity,
+          startedAt: new Date(incident.startedAt).toISOString(),
+          endedAt: new Date(incident.endedAt).toISOString(),
+          durationMs: incident.durationMs,
+          details: incident.details,
+          snapshot
+        };
+        // Queued when the incident closes, so the upload time would give away the exact end
+        const options = privacyMode ? { timestamp: payload.startedMinute } : {};
+        enqueueInteraction(sessionIdRef.current, 'proctoring_incident', payload, options)
+          .catch(err => console.error('Failed to queue proctoring incident:', err));
+      }
+    });
+
+    if (closed.length > 0) {
+      setIncidents(prev => [...prev, ...closed]);
+    }
+    if (opened.length > 0 || closed.length > 0) {
+      const closedIds = new Set(closed.map(incident => incident.id));
+      setActiveIncidents(prev => [...prev.filter(incident => !closedIds.has(incident.id)), ...opened]);
+    }
+  }, [captureSnapshots, privacyMode]);
+
+  // Create the monitor per session; close anything still open when the session ends
+  useEffect(() => {
+    if (!enabled || !sessionId) return;
+
+    monitorRef.current = new ProctoringMonitor({ absenceSeconds: config.absenceSeconds });
+    startedAtRef.current = Date.now();
+    hasEnteredFullscreenRef.current = !!document.fullscreenElement;
+
+    return () => {
+      const monitor = monitorRef.current;
+      monitorRef.current = null;
+      if (monitor) handleResults({ opened: [], closed: monitor.closeAll(Date.now()) });
+      setActiveIncidents([]);
+    };
+  }, [enabled, sessionId, config.absenceSeconds, handleResults]);
+
+  // Detector-based incidents (second face, absence, phone, book)
+  useEffect(() => {
+    if (!enabled || !sessionId || !isProcessing) return;
+
+    const check = () => {
+      if (!monitorRef.current) return;
+      const { metrics: latestMetrics, objectData: latestObjects } = detectorRef.current;
+      handleResults(monitorRef.current.update(latestMetrics, latestObjects, Date.now()));
+    };
+
+    const interval = setInterval(check, DETECTOR_POLL_MS);
+    check();
+    return () => clearInterval(interval);
+  }, [enabled, sessionId, isProcessing, handleResults]);
+
+  // New detector output is checked right away rather than on the next poll
+  useEffect(() => {
+    if (!monitorRef.current || !isProcessing) return;
+    handleResults(monitorRef.current.update(metrics, objectData, Date.now()));
+  }, [metrics, objectData, isProcessing, handleResults]);
+
+  // Browser-based incidents (tab/window blur, fullscreen exit)
+  useEffect(() => {
+    if (!enabled || !sessionId) return;
+
+    const check = () => {
+      if (!monitorRef.current) return;
+      const state = getBrowserState();
+      if (state.fullscreen) hasEnteredFullscreenRef.current = true;
+      setIsFullscreen(state.fullscreen);
+
+      const fullscreenRequired = hasEnteredFullscreenRef.current ||
+        Date.now() - startedAtRef.current >= FULLSCREEN_GRACE_MS;
+      handleResults(monitorRef.current.updateBrowserState({ ...state, fullscreenRequired }, Date.now()));
+    };
+
+    const interval = setInterval(check, BROWSER_POLL_MS);
+    window.addEventListener('blur', check);
+    window.addEventListener('focus', check);
+    document.addEventListener('visibilitychange', check);
+    document.addEventListener('fullscreenchange', check);
+    check();
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('blur', check);
+      window.removeEventListener('focus', check);
+      document.removeEventListener('visibilitychange', check);
+      document.removeEventListener('fullscreenchange', check);
+    };
+  }, [enabled, sessionId, handleResults]);
+
+  const requestFullscreen = useCallback(async () => {
+    try {
+      await document.documentElement.requestFullscreen();
+    } catch (err) {
+      console.error('Fullscreen error:', err);
+    }
+  }, []);
+
+  return {
+    incidents,
+    activeIncidents,
+    isFullscreen,
+    requestFullscreen
+  };
+};
+
+export default useProctoring;
@@ -0,0 +1,305 @@
+/**
+ * FILE PATH: frontend/src/hooks/useReadAloud.js
+ *
+ * Custom React hook for reading the PDF aloud with the Web Speech API
+ * Speaks the current page one sentence at a time, highlights the spoken word
+ * on the text layer, and moves on to the next page when a page is finished.
+ */
+
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { extractPageText, escapeHtml } from '../utils/pdfSearch';
+import { splitSentences, findWordAt, markWords, sortVoices, SPOKEN_WORD_CLASSES } from '../utils/readAloud';
+import { getReaderPreferences, saveReaderPreferences } from '../utils/readerPreferences';
+
+const isSpeechSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance === 'function';
+
+/**
+ * Custom Hook: useReadAloud
+ *
+ * @param {Object} pdf - pdf.js document proxy from react-pdf's `onLoadSuccess`
+ * @param {number} page - The page the reader is on; reading starts here and follows it
+ * @param {Function} onPageEnd - Called with the next page when a page has been read to the end
+ * @param {Object} containerRef - Ref to the element holding the rendered pages
+ * @returns {Object} { supported, status, isPlaying, page, sentence, sentenceCount, notice,
+ *   voices, voiceURI, rate, play, pause, stop, nextSentence, previousSentence,
+ *   setRate, setVoice, renderTextItem, refreshHighlight }
+ *   `renderTextItem` is for `<Page customTextRenderer>` and is undefined while stopped;
+ *   `refreshHighlight` puts the highlight back after a text layer re-renders
+ */
+const useReadAloud = ({ pdf, page, onPageEnd, containerRef }) => {
+  const supported = isSpeechSupported();
+
+  const [status, setStatus] = useState('idle'); // 'idle' | 'playing' | 'paused'
+  const [position, setPosition] = useState({ page: null, sentence: 0, sentenceCount: 0 });
+  const [spoken, setSpoken] = useState(null); // { page, start, end } in the page text
+  const [notice, setNotice] = useState(null);
+  const [voices, setVoices] = useState([]);
+  const [rate, setRateState] = useState(() => getReaderPreferences().readAloudRate);
+  const [voiceURI, setVoiceState] = useState(() => getReaderPreferences().readAloudVoice);
+  const [loadedPageCount, setLoadedPageCount] = useState(0);
+
+  // page number -> { text, offsets, sentences }
+  const pageTextsRef = useRef(new Map());
+  // Bumped for every utterance; events from cancelled utterances carry an old token and are ignored
+  const tokenRef = useRef(0);
+  const positionRef = useRef({ page: null, sentence: 0 });
+  const statusRef = useRef('idle');
+  const settingsRef = useRef({ rate, voiceURI, voices });
+  const onPageEndRef = useRef(onPageEnd);
+  const speakRef = useRef(null);
+  const turnedPagesRef = useRef(new Set()); // Pages playback moved the viewer to, not yet seen by the page effect
+  const highlightedRef = useRef([]);
+
+  statusRef.current = status;
+  settingsRef.current = { rate, voiceURI, voices };
+  onPageEndRef.current = onPageEnd;
+
+  // Voices load asynchronously in most browsers
+  useEffect(() => {
+    if (!supported) return;
+    const synth = window.speechSynthesis;
+    const loadVoices = () => setVoices(sortVoices(synth.getVoices(), navigator.language));
+    loadVoices();
+    synth.addEventListener('voiceschanged', loadVoices);
+    return () => synth.removeEventListener('voiceschanged', loadVoices);
+  }, [supported]);
+
+  // New document: forget its text and stop talking, also on unmount
+  useEffect(() => {
+    pageTextsRef.current = new Map();
+    positionRef.current = { page: null, sentence: 0 };
+    setLoadedPageCount(0);
+    setStatus('idle');
+    setSpoken(null);
+    return () => {
+      tokenRef.current += 1;
+      if (isSpeechSupported()) window.speechSynthesis.cancel();
+    };
+  }, [pdf]);
+
+  const loadPage = useCallback(async (pageNumber) => {
+    const cache = pageTextsRef.current;
+    if (!cache.has(pageNumber)) {
+      try {
+        const pdfPage = await pdf.getPage(pageNumber);
+        const pageText = extractPageText(await pdfPage.getTextContent());
+        cache.set(pageNumber, { ...pageText, sentences: splitSentences(pageText.text) });
+      } catch (error) {
+        console.error(`❌ Could not read text of page ${pageNumber}:`, error);
+        cache.set(pageNumber, { text: '', offsets: [], sentences: [] });
+      }
+      setLoadedPageCount(cache.size);
+    }
+    return cache.get(pageNumber);
+  }, [pdf]);
+
+  const finish = useCallback((pageNumber, message = null) => {
+    positionRef.current = { page: pageNumber, sentence: 0 };
+    setPosition(prev => ({ ...prev, page: pageNumber, sentence: 0 }));
+    setStatus('idle');
+    setSpoken(null);
+    setNotice(message);
+  }, []);
+
+  /**
+   * Speak a sentence and carry on from there until paused
+   * `continuing` is set when playback got here by itself, so pages without
+   * text are skipped rather than stopping with a notice.
+   */
+  const speak = useCallback(async (pageNumber, sentenceIndex, continuing = false) => {
+    const token = ++tokenRef.current;
+    window.speechSynthesis.cancel();
+
+    const entry = await loadPage(pageNumber);
+    if (token !== tokenRef.current) return;
+
+    if (entry.sentences.length === 0 && !continuing) {
+      finish(pageNumber, 'There is no text to read on this page.');
+      return;
+    }
+
+    if (sentenceIndex >= entry.sentences.length) {
+      if (pageNumber >= pdf.numPages) {
+        finish(pageNumber, 'Finished reading the document.');
+        return;
+      }
+      // Recorded before telling the viewer, so the page change isn't taken for the reader jumping pages
+      positionRef.current = { page: pageNumber + 1, sentence: 0 };
+      turnedPagesRef.current.add(pageNumber + 1);
+      onPageEndRef.current?.(pageNumber + 1);
+      speakRef.current(pageNumber + 1, 0, true);
+      return;
+    }
+
+    const sentence = entry.sentences[sentenceIndex];
+    positionRef.current = { page: pageNumber, sentence: sentenceIndex };
+    setPosition({ page: pageNumber, sentence: sentenceIndex, sentenceCount: entry.sentences.length });
+    // The whole sentence stays highlighted for voices that don't report word boundaries
+    setSpoken({ page: pageNumber, start: sentence.start, end: sentence.end });
+
+    const utterance = new window.SpeechSynthesisUtterance(sentence.text);
+    const settings = settingsRef.current;
+    const voice = settings.voices.find(v => v.voiceURI === settings.voiceURI);
+    utterance.rate = settings.rate;
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    }
+
+    utterance.onboundary = (event) => {
+      if (token !== tokenRef.current || (event.name && event.name !== 'word')) return;
+      const word = findWordAt(entry.text, sentence.start + event.charIndex);
+      if (word && word.start < sentence.end) setSpoken({ page: pageNumber, ...word });
+    };
+    utterance.onend = () => {
+      if (token === tokenRef.current) speakRef.current(pageNumber, sentenceIndex + 1, true);
+    };
+    utterance.onerror = (event) => {
+      // Cancelling (pause, skip, new settings) ends the utterance with an error too
+      if (token !== tokenRef.current || event.error === 'interrupted' || event.error === 'canceled') return;
+      console.error('❌ Read aloud failed:', event.error);
+      finish(pageNumber, 'Read aloud stopped: your browser could not speak this text.');
+    };
+
+    window.speechSynthesis.speak(utterance);
+  }, [pdf, loadPage, finish]);
+
+  speakRef.current = speak;
+
+  const play = useCallback(() => {
+    if (!supported || !pdf) return;
+    const current = positionRef.current;
+    setNotice(null);
+    setStatus('playing');
+    speak(page, current.page === page ? current.sentence : 0);
+  }, [supported, pdf, page, speak]);
+
+  // speechSynthesis.pause() is unreliable across browsers (Chrome drops paused
+  // speech after a while), so pausing cancels and resuming restarts the sentence
+  const pause = useCallback(() => {
+    if (!supported) return;
+    tokenRef.current += 1;
+    window.speechSynthesis.cancel();
+    setStatus('paused');
+  }, [supported]);
+
+  const stop = useCallback(() => {
+    if (!supported) return;
+    tokenRef.current += 1;
+    window.speechSynthesis.cancel();
+    positionRef.current = { page: null, sentence: 0 };
+    setStatus('idle');
+    setSpoken(null);
+    setNotice(null);
+  }, [supported]);
+
+  const skipSentence = useCallback((offset) => {
+    const current = positionRef.current;
+    if (current.page === null) return;
+    const target = Math.max(0, current.sentence + offset);
+
+    if (statusRef.current === 'playing') {
+      speak(current.page, target, true);
+      return;
+    }
+
+    const sentences = pageTextsRef.current.get(current.page)?.sentences || [];
+    const sentence = sentences[Math.min(target, sentences.length - 1)];
+    if (!sentence) return;
+    positionRef.current = { page: current.page, sentence: sentences.indexOf(sentence) };
+    setPosition(prev => ({ ...prev, sentence: positionRef.current.sentence }));
+    setSpoken({ page: current.page, start: sentence.start, end: sentence.end });
+  }, [speak]);
+
+  const nextSentence = useCallback(() => skipSentence(1), [skipSentence]);
+  const previousSentence = useCallback(() => skipSentence(-1), [skipSentence]);
+
+  // Rate and voice are fixed once an utterance starts, so the current sentence is restarted
+  const restartSentence = useCallback(() => {
+    const current = positionRef.current;
+    if (statusRef.current === 'playing' && current.page !== null) speak(current.page, current.sentence, true);
+  }, [speak]);
+
+  const setRate = useCallback((nextRate) => {
+    settingsRef.current = { ...settingsRef.current, rate: nextRate };
+    setRateState(nextRate);
+    saveReaderPreferences({ readAloudRate: nextRate });
+    restartSentence();
+  }, [restartSentence]);
+
+  const setVoice = useCallback((nextVoiceURI) => {
+    settingsRef.current = { ...settingsRef.current, voiceURI: nextVoiceURI || null };
+    setVoiceState(nextVoiceURI || null);
+    saveReaderPreferences({ readAloudVoice: nextVoiceURI || null });
+    restartSentence();
+  }, [restartSentence]);
+
+  // The reader went to another page (buttons, outline, scrolling): read from its top
+  useEffect(() => {
+    const current = positionRef.current;
+    const turnedByPlayback = turnedPagesRef.current.has(page);
+    turnedPagesRef.current.clear();
+    if (turnedByPlayback || current.page === null || current.page === page) return;
+    if (statusRef.current === 'playing') {
+      speakRef.current(page, 0);
+    } else {
+      positionRef.current = { page, sentence: 0 };
+      setPosition({ page, sentence: 0, sentenceCount: 0 });
+      setSpoken(null);
+    }
+  }, [page]);
+
+  const refreshHighlight = useCallback(() => {
+    highlightedRef.current.forEach(element => element.classList.remove(...SPOKEN_WORD_CLASSES));
+    highlightedRef.current = [];
+    if (!spoken || !containerRef?.current) return;
+
+    const pageElement = containerRef.current.querySelector(`.react-pdf__Page[data-page-number="${spoken.page}"]`);
+    if (!pageElement) return;
+    highlightedRef.current = Array.from(pageElement.querySelectorAll('[data-read-aloud-offset]')).filter(element => {
+      const offset = Number(element.dataset.readAloudOffset);
+      return offset >= spoken.start && offset < spoken.end;
+    });
+    highlightedRef.current.forEach(element => element.classList.add(...SPOKEN_WORD_CLASSES));
+  }, [spoken, containerRef]);
+
+  useEffect(refreshHighlight, [refreshHighlight]);
+
+  // Changes only when playback starts or stops and when another page's text is
+  // read, so text layers render again to pick up a page's word spans
+  const isActive = status !== 'idle';
+  const renderTextItem = useMemo(() => {
+    if (!isActive) return undefined;
+    return ({ pageNumber, itemIndex, str }) => {
+      // The layer uses the result as HTML, so items without spans are still escaped
+      const itemStart = pageTextsRef.current.get(pageNumber)?.offsets[itemIndex];
+      return itemStart === undefined ? escapeHtml(str) : markWords(str, itemStart);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [isActive, loadedPageCount]);
+
+  return {
+    supported,
+    status,
+    isPlaying: status === 'playing',
+    page: position.page,
+    sentence: position.sentence,
+    sentenceCount: position.sentenceCount,
+    notice,
+    voices,
+    voiceURI,
+    rate,
+    play,
+    pause,
+    stop,
+    nextSentence,
+    previousSentence,
+    setRate,
+    setVoice,
+    renderTextItem,
+    refreshHighlight
+  };
+};
+
+export default useReadAloud;
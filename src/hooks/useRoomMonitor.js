@@ -0,0 +1,81 @@
+/**
+ * FILE PATH: frontend/src/hooks/useRoomMonitor.js
+ *
+ * Custom React hook for the teacher-side real-time room channel
+ * Joins the room's monitoring channel on the shared socket and forwards
+ * per-student metric, session, alert, nudge response and follow status events
+ * to the caller
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { getSocket, joinRoomMonitor, leaveRoomMonitor, SOCKET_EVENTS } from '../services/socket';
+
+/**
+ * Custom Hook: useRoomMonitor
+ *
+ * @param {string} roomId - Room to monitor
+ * @param {Object} handlers - { onMetric, onSessionStarted, onSessionEnded, onAlert, onNudgeResponse, onFollowStatus }
+ * @returns {Object} { isConnected }
+ */
+const useRoomMonitor = (roomId, handlers = {}) => {
+  const [isConnected, setIsConnected] = useState(false);
+
+  // Keep the latest handlers without re-subscribing on every render
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  useEffect(() => {
+    if (!roomId) return;
+
+    const socket = getSocket();
+
+    // Events from other rooms can arrive if the server broadcasts loosely
+    const forRoom = (handlerName) => (payload) => {
+      if (payload?.roomId && payload.roomId.toString() !== roomId.toString()) return;
+      const handler = handlersRef.current[handlerName];
+      if (handler) handler(payload);
+    };
+
+    const handleConnect = () => setIsConnected(true);
+    const handleDisconnect = () => setIsConnected(false);
+
+    const handleMetric = forRoom('onMetric');
+    const handleSessionStarted = forRoom('onSessionStarted');
+    const handleSessionEnded = forRoom('onSessionEnded');
+    const handleAlert = forRoom('onAlert');
+    const handleNudgeResponse = forRoom('onNudgeResponse');
+    const handleFollowStatus = forRoom('onFollowStatus');
+
+    socket.on('connect', handleConnect);
+    socket.on('disconnect', handleDisconnect);
+    socket.on('connect_error', handleDisconnect);
+    socket.on(SOCKET_EVENTS.STUDENT_METRIC, handleMetric);
+    socket.on(SOCKET_EVENTS.SESSION_STARTED, handleSessionStarted);
+    socket.on(SOCKET_EVENTS.SESSION_ENDED, handleSessionEnded);
+    socket.on(SOCKET_EVENTS.STUDENT_ALERT, handleAlert);
+    socket.on(SOCKET_EVENTS.NUDGE_RESPONSE, handleNudgeResponse);
+    socket.on(SOCKET_EVENTS.FOLLOW_STATUS, handleFollowStatus);
+
+    // The socket service rejoins the channel after every reconnect
+    joinRoomMonitor(roomId);
+    if (socket.connected) handleConnect();
+
+    return () => {
+      leaveRoomMonitor(roomId);
+      socket.off('connect', handleConnect);
+      socket.off('disconnect', handleDisconnect);
+      socket.off('connect_error', handleDisconnect);
+      socket.off(SOCKET_EVENTS.STUDENT_METRIC, handleMetric);
+      socket.off(SOCKET_EVENTS.SESSION_STARTED, handleSessionStarted);
+      socket.off(SOCKET_EVENTS.SESSION_ENDED, handleSessionEnded);
+      socket.off(SOCKET_EVENTS.STUDENT_ALERT, handleAlert);
+      socket.off(SOCKET_EVENTS.NUDGE_RESPONSE, handleNudgeResponse);
+      socket.off(SOCKET_EVENTS.FOLLOW_STATUS, handleFollowStatus);
+      setIsConnected(false);
+    };
+  }, [roomId]);
+
+  return { isConnected };
+};
+
+export default useRoomMonitor;
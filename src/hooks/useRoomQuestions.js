@@ -0,0 +1,109 @@
+/**
+ * FILE PATH: frontend/src/hooks/useRoomQuestions.js
+ *
+ * Custom React hook for a room's Q&A
+ * Loads the room's questions, keeps them in sync with the room's socket events
+ * and wraps the question API calls
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { questionsAPI } from '../services/api';
+import { getSocket, joinRoomMonitor, leaveRoomMonitor, SOCKET_EVENTS } from '../services/socket';
+import { applyQuestionEvent, rankQuestions } from '../utils/roomQuestions';
+
+/**
+ * Custom Hook: useRoomQuestions
+ *
+ * @param {string} roomId - Room whose questions to load
+ * @param {Object} options - { socket, isTeacher }
+ *   Students pass their session socket (no live sync until it exists); teachers
+ *   use the shared socket and the room's monitoring channel
+ * @returns {Object} { questions, loading, ask, toggleUpvote, answer, remove, reload }
+ *   `questions` are ranked; mutations resolve to the saved question, or null when the request failed
+ */
+const useRoomQuestions = (roomId, { socket = null, isTeacher = false } = {}) => {
+  const [questions, setQuestions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    if (!roomId) return;
+    setLoading(true);
+    try {
+      const response = await questionsAPI.getByRoom(roomId);
+      setQuestions(Array.isArray(response.data) ? response.data : (response.data?.questions || []));
+    } catch (error) {
+      console.error('❌ Error loading questions:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  useEffect(() => {
+    if (!roomId) return;
+
+    const usesSharedSocket = !socket && isTeacher;
+    const channel = socket || (isTeacher ? getSocket() : null);
+    if (!channel) return;
+
+    // Events from other rooms can arrive if the server broadcasts loosely
+    const forRoom = (type) => (payload) => {
+      if (payload?.roomId && payload.roomId.toString() !== roomId.toString()) return;
+      setQuestions(prev => applyQuestionEvent(prev, type, payload));
+    };
+
+    const handleCreated = forRoom('created');
+    const handleUpdated = forRoom('updated');
+    const handleDeleted = forRoom('deleted');
+
+    channel.on(SOCKET_EVENTS.QUESTION_CREATED, handleCreated);
+    channel.on(SOCKET_EVENTS.QUESTION_UPDATED, handleUpdated);
+    channel.on(SOCKET_EVENTS.QUESTION_DELETED, handleDeleted);
+    if (usesSharedSocket) joinRoomMonitor(roomId);
+
+    return () => {
+      if (usesSharedSocket) leaveRoomMonitor(roomId);
+      channel.off(SOCKET_EVENTS.QUESTION_CREATED, handleCreated);
+      channel.off(SOCKET_EVENTS.QUESTION_UPDATED, handleUpdated);
+      channel.off(SOCKET_EVENTS.QUESTION_DELETED, handleDeleted);
+    };
+  }, [roomId, socket, isTeacher]);
+
+  // Apply the server's copy right away; the broadcast of the same change is a no-op
+  const save = useCallback(async (request, flags = {}) => {
+    try {
+      const response = await request();
+      const question = { ...flags, ...(response.data?.question || response.data) };
+      setQuestions(prev => applyQuestionEvent(prev, 'updated', { question }));
+      return question;
+    } catch (error) {
+      console.error('❌ Error saving question:', error);
+      return null;
+    }
+  }, []);
+
+  const ask = useCallback((data) => save(() => questionsAPI.create(roomId, data), { is_mine: true }), [roomId, save]);
+
+  const toggleUpvote = useCallback((question) =>
+    save(() => questionsAPI.toggleUpvote(question._id), { upvoted_by_me: !question.upvoted_by_me }), [save]);
+
+  const answer = useCallback((questionId, text) => save(() => questionsAPI.answer(questionId, text)), [save]);
+
+  const remove = useCallback(async (questionId) => {
+    try {
+      await questionsAPI.delete(questionId);
+      setQuestions(prev => applyQuestionEvent(prev, 'deleted', { questionId }));
+      return true;
+    } catch (error) {
+      console.error('❌ Error deleting question:', error);
+      return false;
+    }
+  }, []);
+
+  return { questions: rankQuestions(questions), loading, ask, toggleUpvote, answer, remove, reload };
+};
+
+export default useRoomQuestions;
@@ -0,0 +1,115 @@
+/**
+ * FILE PATH: frontend/src/hooks/useSharedAnnotations.js
+ *
+ * Custom React hook for a room's PDF annotations
+ * Loads the annotations the viewer may see, keeps them in sync with the room's
+ * socket events and wraps the annotation API calls
+ */
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { annotationsAPI } from '../services/api';
+import { getSocket, joinRoomMonitor, leaveRoomMonitor, SOCKET_EVENTS } from '../services/socket';
+import { applyAnnotationEvent, isVisibleTo } from '../utils/sharedAnnotations';
+
+/**
+ * Custom Hook: useSharedAnnotations
+ *
+ * @param {string} roomId - Room whose PDF is annotated
+ * @param {Object} options - { viewer: { userId, sessionId, role }, socket }
+ *   Students pass their session socket, which is already in the room (no live
+ *   sync until it exists); teachers use the shared socket and the room's
+ *   monitoring channel
+ * @returns {Object} { annotations, loading, create, update, remove, reply, endorse, reload }
+ *   Mutations resolve to the saved annotation, or null when the request failed
+ */
+const useSharedAnnotations = (roomId, { viewer = {}, socket = null } = {}) => {
+  const [annotations, setAnnotations] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Latest viewer without re-subscribing on every render
+  const viewerRef = useRef(viewer);
+  viewerRef.current = viewer;
+
+  const reload = useCallback(async () => {
+    if (!roomId) return;
+    setLoading(true);
+    try {
+      const response = await annotationsAPI.getByRoom(roomId);
+      const list = Array.isArray(response.data) ? response.data : (response.data?.annotations || []);
+      setAnnotations(list.filter(annotation => isVisibleTo(annotation, viewerRef.current)));
+    } catch (error) {
+      console.error('❌ Error loading annotations:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const isTeacher = viewer.role === 'teacher';
+
+  useEffect(() => {
+    if (!roomId) return;
+
+    const usesSharedSocket = !socket && isTeacher;
+    const channel = socket || (isTeacher ? getSocket() : null);
+    if (!channel) return;
+
+    // Events from other rooms can arrive if the server broadcasts loosely
+    const forRoom = (type) => (payload) => {
+      if (payload?.roomId && payload.roomId.toString() !== roomId.toString()) return;
+      setAnnotations(prev => applyAnnotationEvent(prev, type, payload, viewerRef.current));
+    };
+
+    const handleCreated = forRoom('created');
+    const handleUpdated = forRoom('updated');
+    const handleDeleted = forRoom('deleted');
+
+    channel.on(SOCKET_EVENTS.ANNOTATION_CREATED, handleCreated);
+    channel.on(SOCKET_EVENTS.ANNOTATION_UPDATED, handleUpdated);
+    channel.on(SOCKET_EVENTS.ANNOTATION_DELETED, handleDeleted);
+    if (usesSharedSocket) joinRoomMonitor(roomId);
+
+    return () => {
+      if (usesSharedSocket) leaveRoomMonitor(roomId);
+      channel.off(SOCKET_EVENTS.ANNOTATION_CREATED, handleCreated);
+      channel.off(SOCKET_EVENTS.ANNOTATION_UPDATED, handleUpdated);
+      channel.off(SOCKET_EVENTS.ANNOTATION_DELETED, handleDeleted);
+    };
+  }, [roomId, socket, isTeacher]);
+
+  // Apply the server's copy right away; the broadcast of the same change is a no-op
+  const save = useCallback(async (request) => {
+    try {
+      const response = await request();
+      const annotation = response.data?.annotation || response.data;
+      setAnnotations(prev => applyAnnotationEvent(prev, 'updated', { annotation }, viewerRef.current));
+      return annotation;
+    } catch (error) {
+      console.error('❌ Error saving annotation:', error);
+      return null;
+    }
+  }, []);
+
+  const create = useCallback((data) => save(() => annotationsAPI.create(roomId, data)), [roomId, save]);
+  const update = useCallback((annotationId, data) => save(() => annotationsAPI.update(annotationId, data)), [save]);
+  const reply = useCallback((annotationId, content) => save(() => annotationsAPI.addReply(annotationId, content)), [save]);
+  const endorse = useCallback((annotationId, replyId) => save(() => annotationsAPI.endorseReply(annotationId, replyId)), [save]);
+
+  const remove = useCallback(async (annotationId) => {
+    try {
+      await annotationsAPI.delete(annotationId);
+      setAnnotations(prev => applyAnnotationEvent(prev, 'deleted', { annotationId }));
+      return true;
+    } catch (error) {
+      console.error('❌ Error deleting annotation:', error);
+      return false;
+    }
+  }, []);
+
+  return { annotations, loading, create, update, remove, reply, endorse, reload };
+};
+
+export default useSharedAnnotations;
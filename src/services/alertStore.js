@@ -0,0 +1,147 @@
+/**
+ * FILE PATH: frontend/src/services/alertStore.js
+ * * Teacher-side store for student alerts.
+ * Alerts come from the rules engine (utils/alertRules) and from the server's
+ * `studentAlert` events. While an alert is unacknowledged, repeats for the same
+ * room, student and type are folded into it (`occurrences`) instead of piling
+ * up. Alerts, acknowledgements and notes are kept in localStorage, per
+ * teacher, so they survive a reload.
+ */
+
+const STORAGE_PREFIX = 'studyguardian-alerts';
+const MAX_ALERTS = 200;   // Oldest acknowledged alerts are dropped beyond this
+
+const listeners = new Set();
+let alerts = null;
+let ownerId = null;   // Teacher whose alerts are loaded; alerts stay in memory until it's known
+let sequence = 0;
+
+const storageKey = () => `${STORAGE_PREFIX}:${ownerId}`;
+
+const loadAlerts = () => {
+  if (alerts) return alerts;
+  if (!ownerId) {
+    alerts = [];
+    return alerts;
+  }
+  try {
+    const stored = JSON.parse(localStorage.getItem(storageKey()));
+    alerts = Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('⚠️ Could not read stored alerts:', error);
+    alerts = [];
+  }
+  return alerts;
+};
+
+const setAlerts = (nextAlerts) => {
+  if (nextAlerts.length > MAX_ALERTS) {
+    const acknowledged = nextAlerts.filter(alert => alert.acknowledged);
+    const excess = new Set(acknowledged.slice(MAX_ALERTS - nextAlerts.length).map(alert => alert.id));
+    nextAlerts = nextAlerts.filter(alert => !excess.has(alert.id));
+  }
+
+  alerts = nextAlerts;
+  if (ownerId) {
+    try {
+      localStorage.setItem(storageKey(), JSON.stringify(alerts));
+    } catch (error) {
+      console.warn('⚠️ Could not store alerts:', error);
+    }
+  }
+  listeners.forEach(listener => listener(alerts));
+};
+
+const updateAlert = (alertId, changes) => {
+  setAlerts(loadAlerts().map(alert => (alert.id === alertId ? { ...alert, ...changes } : alert)));
+};
+
+/**
+ * Add an alert, or fold it into the open alert for the same room/student/type.
+ *
+ * @param {Object} alert - { type, severity, roomId, roomTitle, studentId, studentName, sessionId, message, raisedAt }
+ * @returns {Object} The stored alert.
+ */
+export const raiseAlert = (alert) => {
+  const current = loadAlerts();
+  const key = `${alert.roomId}:${alert.studentId}:${alert.type}`;
+  const raisedAt = alert.raisedAt || new Date().toISOString();
+
+  const open = current.find(existing => existing.key === key && !existing.acknowledged);
+  if (open) {
+    const merged = { ...open, lastSeenAt: raisedAt, occurrences: open.occurrences + 1, message: alert.message };
+    setAlerts(current.map(existing => (existing.id === open.id ? merged : existing)));
+    return merged;
+  }
+
+  const stored = {
+    ...alert,
+    id: `${Date.now()}-${sequence++}`,
+    key,
+    raisedAt,
+    lastSeenAt: raisedAt,
+    occurrences: 1,
+    acknowledged: false,
+    acknowledgedAt: null,
+    note: ''
+  };
+  setAlerts([stored, ...current]);
+  return stored;
+};
+
+export const acknowledgeAlert = (alertId) =>
+  updateAlert(alertId, { acknowledged: true, acknowledgedAt: new Date().toISOString() });
+
+export const annotateAlert = (alertId, note) => updateAlert(alertId, { note });
+
+/**
+ * Acknowledge every open alert, optionally for one room only.
+ */
+export const acknowledgeAll = (roomId) => {
+  const acknowledgedAt = new Date().toISOString();
+  setAlerts(loadAlerts().map(alert =>
+    !alert.acknowledged && (!roomId || alert.roomId === roomId)
+      ? { ...alert, acknowledged: true, acknowledgedAt }
+      : alert
+  ));
+};
+
+/**
+ * Subscribes to alert changes (newest first).
+ * @returns {Function} Unsubscribe function.
+ */
+export const subscribeToAlerts = (listener) => {
+  listeners.add(listener);
+  listener(loadAlerts());
+  return () => listeners.delete(listener);
+};
+
+export const getAlerts = () => loadAlerts();
+
+/**
+ * Switch to a teacher's stored alerts. Alerts raised before the teacher was
+ * known are kept and stored with theirs.
+ *
+ * @param {string} teacherId
+ */
+export const setAlertOwner = (teacherId) => {
+  const id = teacherId?.toString();
+  if (!id || id === ownerId) return;
+
+  const unsaved = ownerId ? [] : loadAlerts();
+  ownerId = id;
+  alerts = null;
+  // Alerts used to be stored under one key for every teacher, so there's no telling whose they were
+  localStorage.removeItem(STORAGE_PREFIX);
+  setAlerts([...unsaved, ...loadAlerts()]);
+};
+
+/**
+ * Forget the current teacher's alerts, in memory and in localStorage (on logout).
+ */
+export const clearAlerts = () => {
+  if (ownerId) localStorage.removeItem(storageKey());
+  ownerId = null;
+  alerts = [];
+  listeners.forEach(listener => listener(alerts));
+};
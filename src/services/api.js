@@ -209,4 +209,35 @@ export const highlightsAPI = {
   getByStudent: (studentId) => api.get(`/highlights/student/${studentId}`),
 };
 
+// Room PDF annotations; the server broadcasts every change to the room's socket channel
+export const annotationsAPI = {
+  getByRoom: (roomId) => api.get(`/annotations/room/${roomId}`),
+  create: (roomId, data) => api.post(`/annotations/room/${roomId}`, data, { 
+    headers: { 'Content-Type': 'application/json' } 
+  }),
+  update: (annotationId, data) => api.patch(`/annotations/${annotationId}`, data, { 
+    headers: { 'Content-Type': 'application/json' } 
+  }),
+  delete: (annotationId) => api.delete(`/annotations/${annotationId}`),
+  addReply: (annotationId, content) => api.post(`/annotations/${annotationId}/replies`, { content }, { 
+    headers: { 'Content-Type': 'application/json' } 
+  }),
+  endorseReply: (annotationId, replyId) => api.patch(`/annotations/${annotationId}`, { endorsed_reply_id: replyId }, { 
+    headers: { 'Content-Type': 'application/json' } 
+  }),
+};
+
+// Room Q&A; the server broadcasts changes to the room and tells the asker when a question is answered
+export const questionsAPI = {
+  getByRoom: (roomId) => api.get(`/questions/room/${roomId}`),
+  create: (roomId, data) => api.post(`/questions/room/${roomId}`, data, { 
+    headers: { 'Content-Type': 'application/json' } 
+  }),
+  toggleUpvote: (questionId) => api.post(`/questions/${questionId}/upvote`),
+  answer: (questionId, answer) => api.post(`/questions/${questionId}/answer`, { answer }, { 
+    headers: { 'Content-Type': 'application/json' } 
+  }),
+  delete: (questionId) => api.delete(`/questions/${questionId}`),
+};
+
 export default api;
\ No newline at end of file
@@ -0,0 +1,361 @@
+/**
+ * FILE PATH: frontend/src/services/interactionQueue.js
+ * * Durable outbox for session interactions.
+ * Every interaction is written to IndexedDB first and then flushed in batches
+ * through `interactionsAPI.saveBatch`, so flaky Wi-Fi and page reloads don't
+ * lose highlights or metrics. Each record carries a `client_id` that the
+ * server uses to drop duplicates when a batch is retried.
+ */
+
+import { interactionsAPI } from './api';
+
+const DB_NAME = 'studyguardian-outbox';
+const DB_VERSION = 1;
+const STORE_NAME = 'interactions';
+
+const BATCH_SIZE = 50;
+const FLUSH_DELAY_MS = 2000;          // Small delay so bursts go out as one batch
+const BASE_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000; // Never wait more than 5 minutes between retries
+const MAX_REJECTED_ATTEMPTS = 3;      // Give up on records the server keeps rejecting (4xx)
+const RECENT_LOG_SIZE = 30;           // Outgoing records kept for the data transparency panel
+
+let dbPromise = null;
+const memoryStore = new Map(); // Fallback when IndexedDB is unavailable (private mode, old browsers)
+let flushTimer = null;
+let isFlushing = false;
+let isInitialized = false;
+const listeners = new Set();
+const deliveryListeners = new Set();
+let recentRecords = [];
+
+let queueStatus = {
+  pending: 0,
+  syncing: false,
+  online: typeof navigator === 'undefined' ? true : navigator.onLine,
+  lastSyncedAt: null,
+  lastError: null,
+  dropped: 0,         // Records the server refused for good during this page load
+};
+
+// ==================== INDEXEDDB HELPERS ====================
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    if (typeof indexedDB === 'undefined') {
+      console.warn('⚠️ IndexedDB unavailable, interaction queue will be memory-only.');
+      resolve(null);
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        db.createObjectStore(STORE_NAME, { keyPath: 'client_id' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('⚠️ Could not open IndexedDB, interaction queue will be memory-only:', request.error);
+      resolve(null);
+    };
+  });
+
+  return dbPromise;
+};
+
+const waitForTransaction = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+const putRecords = async (records) => {
+  const db = await openDatabase();
+  if (!db) {
+    records.forEach(record => memoryStore.set(record.client_id, record));
+    return;
+  }
+
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  records.forEach(record => store.put(record));
+  await waitForTransaction(tx);
+  records.forEach(record => memoryStore.delete(record.client_id));
+};
+
+const getAllRecords = async () => {
+  const db = await openDatabase();
+  let records = [];
+
+  if (db) {
+    const tx = db.transaction(STORE_NAME, 'readonly');
+    const request = tx.objectStore(STORE_NAME).getAll();
+    records = await new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result || []);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Records IndexedDB couldn't take are only held in memory, but still need sending
+  const stored = new Set(records.map(r => r.client_id));
+  memoryStore.forEach((record, clientId) => {
+    if (!stored.has(clientId)) records.push(record);
+  });
+
+  // Oldest first so the server receives events in the order they happened
+  return records.sort((a, b) => a.created_at.localeCompare(b.created_at));
+};
+
+const deleteRecords = async (clientIds) => {
+  clientIds.forEach(id => memoryStore.delete(id));
+  const db = await openDatabase();
+  if (!db) return;
+
+  const tx = db.transaction(STORE_NAME, 'readwrite');
+  const store = tx.objectStore(STORE_NAME);
+  clientIds.forEach(id => store.delete(id));
+  await waitForTransaction(tx);
+};
+
+// ==================== STATUS ====================
+
+const setStatus = (changes) => {
+  queueStatus = { ...queueStatus, ...changes };
+  listeners.forEach(listener => listener(queueStatus));
+};
+
+const refreshPendingCount = async () => {
+  try {
+    const records = await getAllRecords();
+    setStatus({ pending: records.length });
+    return records;
+  } catch (error) {
+    console.error('Failed to read interaction queue:', error);
+    return [];
+  }
+};
+
+// ==================== QUEUE LOGIC ====================
+
+const generateClientId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  // Random only: ids are uploaded, so they mustn't carry the time (see privacyMode)
+  return `${Math.random().toString(36).slice(2, 10)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+const getBackoffDelay = (attempts) => {
+  const exponential = BASE_BACKOFF_MS * 2 ** Math.max(0, attempts - 1);
+  const jitter = Math.random() * BASE_BACKOFF_MS;
+  return Math.min(exponential + jitter, MAX_BACKOFF_MS);
+};
+
+// 4xx responses (other than timeouts/rate limits) won't succeed on retry
+const isPermanentFailure = (error) => {
+  const status = error.response?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+};
+
+const toBatchPayload = (record) => ({
+  client_id: record.client_id,
+  type: record.type,
+  data: record.data,
+  timestamp: record.timestamp || record.created_at,
+});
+
+const scheduleFlush = (delay = FLUSH_DELAY_MS) => {
+  if (flushTimer) clearTimeout(flushTimer);
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushQueue();
+  }, delay);
+};
+
+const initialize = () => {
+  if (isInitialized || typeof window === 'undefined') return;
+  isInitialized = true;
+
+  window.addEventListener('online', () => {
+    setStatus({ online: true });
+    flushQueue();
+  });
+  window.addEventListener('offline', () => setStatus({ online: false }));
+
+  // Pick up anything left over from a previous page load
+  refreshPendingCount().then(records => {
+    if (records.length > 0) {
+      console.log(`📦 Found ${records.length} queued interactions from a previous visit.`);
+      scheduleFlush(0);
+    }
+  });
+};
+
+/**
+ * Adds an interaction to the durable outbox and schedules a flush.
+ * * @param {string} sessionId The ID of the current study session.
+ * @param {string} type The interaction type (e.g., 'page_change', 'face_metric').
+ * @param {object} data Interaction payload.
+ * @param {object} [options] `timestamp` (ISO string) to upload instead of the time it was queued,
+ *   e.g. a coarse time in privacy mode; the queue still orders records by when they were queued.
+ * @returns {Promise<object | null>} The queued record (includes `client_id`).
+ */
+export const enqueueInteraction = async (sessionId, type, data = {}, { timestamp = null } = {}) => {
+  if (!sessionId) {
+    console.error('Cannot queue interaction: sessionId is missing.');
+    return null;
+  }
+
+  initialize();
+
+  const record = {
+    client_id: generateClientId(),
+    session_id: sessionId,
+    type,
+    data,
+    created_at: new Date().toISOString(),
+    ...(timestamp ? { timestamp } : {}),
+    attempts: 0,
+    next_attempt_at: 0,
+  };
+
+  recentRecords = [{ ...toBatchPayload(record), session_id: sessionId }, ...recentRecords].slice(0, RECENT_LOG_SIZE);
+
+  try {
+    await putRecords([record]);
+  } catch (error) {
+    // Storage failures shouldn't lose the event for this page load
+    console.error('Failed to persist interaction, keeping it in memory:', error);
+    memoryStore.set(record.client_id, record);
+  }
+
+  await refreshPendingCount();
+  if (!flushTimer && !isFlushing) scheduleFlush();
+
+  return record;
+};
+
+/**
+ * Sends every due record to the server, grouped per session and chunked
+ * into batches. Failed batches are rescheduled with exponential backoff.
+ */
+export const flushQueue = async () => {
+  initialize();
+
+  if (isFlushing) return;
+  if (typeof navigator !== 'undefined' && !navigator.onLine) {
+    setStatus({ online: false });
+    return;
+  }
+
+  isFlushing = true;
+  setStatus({ syncing: true, online: true });
+
+  try {
+    const now = Date.now();
+    const dueRecords = (await getAllRecords()).filter(r => r.next_attempt_at <= now);
+
+    const bySession = dueRecords.reduce((groups, record) => {
+      (groups[record.session_id] = groups[record.session_id] || []).push(record);
+      return groups;
+    }, {});
+
+    sessions: for (const [sessionId, records] of Object.entries(bySession)) {
+      for (let i = 0; i < records.length; i += BATCH_SIZE) {
+        const batch = records.slice(i, i + BATCH_SIZE);
+
+        try {
+          await interactionsAPI.saveBatch(sessionId, batch.map(toBatchPayload));
+          await deleteRecords(batch.map(r => r.client_id));
+          setStatus({ lastSyncedAt: new Date().toISOString(), lastError: null });
+          deliveryListeners.forEach(listener => listener(sessionId, batch));
+          console.log(`[Queue] Synced ${batch.length} interactions for session ${sessionId}.`);
+        } catch (error) {
+          console.error(`Failed to sync ${batch.length} interactions for session ${sessionId}:`, error);
+          setStatus({ lastError: error.message });
+
+          const permanent = isPermanentFailure(error);
+          const dropped = batch.filter(r => permanent && r.attempts + 1 >= MAX_REJECTED_ATTEMPTS);
+          // Records removed while the request was out (removeQueuedInteraction) must stay removed
+          const stillQueued = new Set((await getAllRecords()).map(r => r.client_id));
+          const retried = batch
+            .filter(r => !dropped.includes(r) && stillQueued.has(r.client_id))
+            .map(r => ({
+              ...r,
+              attempts: r.attempts + 1,
+              next_attempt_at: Date.now() + getBackoffDelay(r.attempts + 1),
+            }));
+
+          if (dropped.length > 0) {
+            console.error(`[Queue] Dropping ${dropped.length} interactions rejected by the server.`);
+            await deleteRecords(dropped.map(r => r.client_id));
+            setStatus({ dropped: queueStatus.dropped + dropped.length });
+          }
+          if (retried.length > 0) await putRecords(retried);
+
+          // Network is down - no point hammering the other sessions right now
+          if (!error.response) break sessions;
+        }
+      }
+    }
+  } catch (error) {
+    console.error('Interaction queue flush failed:', error);
+  } finally {
+    isFlushing = false;
+    const remaining = await refreshPendingCount();
+    setStatus({ syncing: false });
+
+    if (remaining.length > 0) {
+      const nextAttempt = Math.min(...remaining.map(r => r.next_attempt_at));
+      scheduleFlush(Math.max(nextAttempt - Date.now(), FLUSH_DELAY_MS));
+    }
+  }
+};
+
+/**
+ * Removes a record that hasn't been sent yet (e.g. a highlight deleted while offline).
+ * @returns {Promise<boolean>} True if the record was still queued.
+ */
+export const removeQueuedInteraction = async (clientId) => {
+  const records = await getAllRecords();
+  if (!records.some(r => r.client_id === clientId)) return false;
+
+  await deleteRecords([clientId]);
+  await refreshPendingCount();
+  return true;
+};
+
+/**
+ * Subscribes to queue status changes ({ pending, syncing, online, lastSyncedAt, lastError, dropped }).
+ * @returns {Function} Unsubscribe function.
+ */
+export const subscribeToQueue = (listener) => {
+  initialize();
+  listeners.add(listener);
+  listener(queueStatus);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Subscribes to records reaching the server, called with (sessionId, records)
+ * for every batch sent, e.g. to swap a `client_id` for the server's id.
+ * @returns {Function} Unsubscribe function.
+ */
+export const subscribeToDeliveries = (listener) => {
+  deliveryListeners.add(listener);
+  return () => deliveryListeners.delete(listener);
+};
+
+export const getQueueStatus = () => queueStatus;
+
+/**
+ * Most recently queued payloads (newest first), exactly as they will be uploaded.
+ * @param {string} [sessionId] Only return records for this session.
+ */
+export const getRecentInteractions = (sessionId) =>
+  sessionId ? recentRecords.filter(r => r.session_id === sessionId) : recentRecords;
@@ -0,0 +1,77 @@
+/**
+ * FILE PATH: frontend/src/services/notificationStore.js
+ * * Student-side store for notifications (e.g. "your question was answered").
+ * Notifications with the same `key` are only stored once, so the same event
+ * arriving on more than one socket shows up a single time. Kept in
+ * localStorage so unread notifications survive a reload.
+ */
+
+const STORAGE_KEY = 'studyguardian-notifications';
+const MAX_NOTIFICATIONS = 100;   // Oldest notifications are dropped beyond this
+
+const listeners = new Set();
+let notifications = null;
+let sequence = 0;
+
+const loadNotifications = () => {
+  if (notifications) return notifications;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    notifications = Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('⚠️ Could not read stored notifications:', error);
+    notifications = [];
+  }
+  return notifications;
+};
+
+const setNotifications = (nextNotifications) => {
+  notifications = nextNotifications.slice(0, MAX_NOTIFICATIONS);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(notifications));
+  } catch (error) {
+    console.warn('⚠️ Could not store notifications:', error);
+  }
+  listeners.forEach(listener => listener(notifications));
+};
+
+/**
+ * Add a notification unless one with the same key already exists.
+ *
+ * @param {Object} notification - { key, type, message, roomId, roomTitle, link }
+ * @returns {Object} The stored notification.
+ */
+export const addNotification = (notification) => {
+  const current = loadNotifications();
+  const existing = notification.key && current.find(n => n.key === notification.key);
+  if (existing) return existing;
+
+  const stored = {
+    ...notification,
+    id: `${Date.now()}-${sequence++}`,
+    timestamp: new Date().toISOString(),
+    read: false
+  };
+  setNotifications([stored, ...current]);
+  return stored;
+};
+
+export const markNotificationRead = (notificationId) => {
+  setNotifications(loadNotifications().map(n => (n.id === notificationId ? { ...n, read: true } : n)));
+};
+
+export const markAllNotificationsRead = () => {
+  setNotifications(loadNotifications().map(n => (n.read ? n : { ...n, read: true })));
+};
+
+/**
+ * Subscribes to notification changes (newest first).
+ * @returns {Function} Unsubscribe function.
+ */
+export const subscribeToNotifications = (listener) => {
+  listeners.add(listener);
+  listener(loadNotifications());
+  return () => listeners.delete(listener);
+};
+
+export const getNotifications = () => loadNotifications();
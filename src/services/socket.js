@@ -8,8 +8,47 @@ import { io } from 'socket.io-client';
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5001';
 
+/**
+ * Event names shared with the server's Socket.IO handlers.
+ */
+export const SOCKET_EVENTS = {
+  // Teacher monitoring channel (one Socket.IO room per study room)
+  JOIN_ROOM_MONITOR: 'joinRoomMonitor',
+  LEAVE_ROOM_MONITOR: 'leaveRoomMonitor',
+  STUDENT_METRIC: 'studentMetric',
+  SESSION_STARTED: 'sessionStarted',
+  SESSION_ENDED: 'sessionEnded',
+  STUDENT_ALERT: 'studentAlert',
+  // Teacher nudges: teacher -> server -> student session, and the response back
+  SEND_NUDGE: 'sendNudge',
+  NUDGE: 'nudge',
+  RESPOND_TO_NUDGE: 'respondToNudge',
+  NUDGE_RESPONSE: 'nudgeResponse',
+  // Presenter mode: teacher -> server -> room students, and each student's follow status back
+  PRESENTER_STATE: 'presenterState',
+  PRESENTER_POINTER: 'presenterPointer',
+  FOLLOW_STATUS: 'followStatus',
+  // Shared annotations: broadcast by the server after each REST change
+  ANNOTATION_CREATED: 'annotationCreated',
+  ANNOTATION_UPDATED: 'annotationUpdated',
+  ANNOTATION_DELETED: 'annotationDeleted',
+  // Room Q&A: changes are broadcast to the room, answers also go to the asker
+  QUESTION_CREATED: 'questionCreated',
+  QUESTION_UPDATED: 'questionUpdated',
+  QUESTION_DELETED: 'questionDeleted',
+  QUESTION_ANSWERED: 'questionAnswered',
+};
+
 let socket = null;
 
+// Monitoring channels this client is in, with how many hooks are using each
+const monitoredRooms = new Map();
+
+const emitJoin = (roomId) => {
+  socket.emit(SOCKET_EVENTS.JOIN_ROOM_MONITOR, { roomId });
+  console.log('📡 Joined live channel for room:', roomId);
+};
+
 export const initializeSocket = () => {
   if (socket) {
     if (socket.disconnected) socket.connect();
@@ -27,7 +66,11 @@ export const initializeSocket = () => {
     transports: ['websocket', 'polling'],
   });
 
-  socket.on('connect', () => console.log('⚡️ Socket connected. ID:', socket.id));
+  socket.on('connect', () => {
+    console.log('⚡️ Socket connected. ID:', socket.id);
+    // (Re)join after every connect - the server forgets rooms on reconnect
+    monitoredRooms.forEach((count, roomId) => emitJoin(roomId));
+  });
   socket.on('disconnect', reason => console.log('🔌 Socket disconnected. Reason:', reason));
   socket.on('connect_error', err => console.error('❌ Socket connection error:', err.message));
   socket.on('auth_error', data => console.error('❌ Socket Authentication Error:', data.message));
@@ -37,6 +80,31 @@ export const initializeSocket = () => {
 
 export const getSocket = () => socket || initializeSocket();
 
+/**
+ * Join a room's monitoring channel. Several components can monitor the same
+ * room; the channel is only left once all of them have called leaveRoomMonitor.
+ */
+export const joinRoomMonitor = (roomId) => {
+  const key = roomId.toString();
+  const count = monitoredRooms.get(key) || 0;
+  monitoredRooms.set(key, count + 1);
+
+  const current = getSocket();
+  if (count === 0 && current.connected) emitJoin(key);
+};
+
+export const leaveRoomMonitor = (roomId) => {
+  const key = roomId.toString();
+  const count = monitoredRooms.get(key) || 0;
+  if (count > 1) {
+    monitoredRooms.set(key, count - 1);
+    return;
+  }
+
+  monitoredRooms.delete(key);
+  if (socket?.connected) socket.emit(SOCKET_EVENTS.LEAVE_ROOM_MONITOR, { roomId: key });
+};
+
 export const disconnectSocket = () => {
   if (socket) {
     socket.disconnect();
@@ -0,0 +1,159 @@
+/**
+ * FILE PATH: frontend/src/utils/__tests__/engagementScoring.test.js
+ *
+ * Checks the engagement engine on hand-built factors and samples: weight
+ * handling, rescaling when factors have no data, privacy-mode summaries and
+ * the credit given for listening to read aloud.
+ */
+
+import {
+  DEFAULT_ENGAGEMENT_WEIGHTS,
+  normalizeEngagementWeights,
+  scoreEngagement,
+  sampleFactors,
+  scoreSessionInteractions
+} from '../engagementScoring';
+
+// Only the named factor counts, so one factor can be checked on its own
+const onlyWeight = (factor) => ({
+  ...Object.fromEntries(Object.keys(DEFAULT_ENGAGEMENT_WEIGHTS).map(key => [key, 0])),
+  [factor]: 1
+});
+
+const faceMetric = (data) => ({ type: 'face_metric', data: { postureScore: 80, hasPhone: false, ...data } });
+
+describe('normalizeEngagementWeights', () => {
+  test('fills missing factors from the defaults', () => {
+    expect(normalizeEngagementWeights()).toEqual(DEFAULT_ENGAGEMENT_WEIGHTS);
+    expect(normalizeEngagementWeights({ activity: 0.5, posture: '0.3' })).toEqual({
+      ...DEFAULT_ENGAGEMENT_WEIGHTS,
+      activity: 0.5,
+      posture: 0.3
+    });
+  });
+
+  test('ignores negative and non-numeric weights', () => {
+    expect(normalizeEngagementWeights({ presence: -1, attention: 'high', focus: null }))
+      .toEqual(DEFAULT_ENGAGEMENT_WEIGHTS);
+  });
+
+  test('falls back to the defaults when every weight is zero', () => {
+    const zeros = Object.fromEntries(Object.keys(DEFAULT_ENGAGEMENT_WEIGHTS).map(key => [key, 0]));
+    expect(normalizeEngagementWeights(zeros)).toEqual(DEFAULT_ENGAGEMENT_WEIGHTS);
+  });
+});
+
+describe('scoreEngagement', () => {
+  test('rescales the weights of factors without data', () => {
+    const { score, breakdown } = scoreEngagement({
+      presence: 100,
+      attention: 50,
+      posture: null,
+      blinkHealth: null,
+      focus: 100,
+      activity: null
+    });
+
+    // (100 × 0.2 + 50 × 0.35 + 100 × 0.2) / 0.75
+    expect(score).toBe(77);
+    expect(breakdown.map(entry => entry.factor)).toEqual(['presence', 'attention', 'focus']);
+    expect(breakdown.map(entry => entry.weight)).toEqual([0.27, 0.47, 0.27]);
+  });
+
+  test('leaves out factors with no weight, even when they have data', () => {
+    const { breakdown } = scoreEngagement({ presence: 100, activity: 0 });
+    expect(breakdown.map(entry => entry.factor)).toEqual(['presence']);
+  });
+
+  test('scores 0 without any usable factor', () => {
+    expect(scoreEngagement({})).toMatchObject({ score: 0, breakdown: [] });
+  });
+});
+
+describe('sampleFactors', () => {
+  test('weights metrics_window summaries by their sample count', () => {
+    const factors = sampleFactors([
+      {
+        windowStart: 0,
+        sampleCount: 30,
+        presenceRate: 100,
+        attentionRate: 60,
+        listeningRate: 20,
+        distractionRate: 10,
+        postureScore: 80,
+        blinkRate: 20
+      },
+      {
+        windowStart: 60000,
+        sampleCount: 10,
+        presenceRate: 50,
+        attentionRate: 20,
+        listeningRate: 0,
+        distractionRate: 50,
+        postureScore: 40,
+        blinkRate: 40
+      }
+    ]);
+
+    expect(factors.presence).toBeCloseTo(87.5);
+    expect(factors.attention).toBeCloseTo(65);   // Listening counts toward attention
+    expect(factors.focus).toBeCloseTo(80);
+    expect(factors.posture).toBeCloseTo(70);
+    expect(factors.blinkHealth).toBe(100);       // Averages to 25 blinks/min
+    expect(factors.activity).toBeNull();
+  });
+
+  test('mixes summaries with face_metric samples', () => {
+    const factors = sampleFactors([
+      { windowStart: 0, sampleCount: 2, presenceRate: 100, attentionRate: 50, distractionRate: 0, postureScore: 90, blinkRate: 20 },
+      { faceDetected: true, lookingAtScreen: true, hasPhone: false, postureScore: 60 }
+    ]);
+
+    expect(factors.presence).toBeCloseTo(100);
+    expect(factors.attention).toBeCloseTo(200 / 3);
+    expect(factors.posture).toBeCloseTo(80);
+    // Only the summary has a blink rate
+    expect(factors.blinkHealth).toBe(100);
+  });
+
+  test('has no factors without samples', () => {
+    expect(sampleFactors([])).toEqual({
+      presence: null,
+      attention: null,
+      posture: null,
+      blinkHealth: null,
+      focus: null,
+      activity: null
+    });
+  });
+});
+
+describe('scoreSessionInteractions', () => {
+  test('counts listening as attention only while a face is in view', () => {
+    const interactions = [
+      faceMetric({ faceDetected: true, lookingAtScreen: false, listening: true }),
+      faceMetric({ faceDetected: true, lookingAtScreen: true }),
+      faceMetric({ faceDetected: false, lookingAtScreen: false, listening: true }),
+      faceMetric({ faceDetected: true, lookingAtScreen: false })
+    ];
+
+    expect(scoreSessionInteractions(interactions, onlyWeight('attention')).score).toBe(50);
+  });
+
+  test('counts each minute of read-aloud listening as a reading action', () => {
+    const interactions = [
+      faceMetric({ faceDetected: true, lookingAtScreen: true }),
+      { type: 'read_aloud', data: { duration: 300 } }
+    ];
+    const activityOnly = onlyWeight('activity');
+
+    // 5 actions in 10 minutes is full marks
+    expect(scoreSessionInteractions(interactions, activityOnly, 600).score).toBe(100);
+    expect(scoreSessionInteractions(interactions, activityOnly, 1200).score).toBe(50);
+    expect(scoreSessionInteractions(interactions.slice(0, 1), activityOnly, 600).score).toBe(0);
+  });
+
+  test('returns null without monitoring samples', () => {
+    expect(scoreSessionInteractions([{ type: 'read_aloud', data: { duration: 300 } }])).toBeNull();
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * FILE PATH: frontend/src/utils/__tests__/metricsReplay.test.js
+ *
+ * Replays recorded detector results through the metrics pipeline, so blink
+ * rate, posture, attention and distraction counting are checked without a camera.
+ * Each fixture lists the numbers it was built to produce in `meta.expected`.
+ */
+
+import focusedSession from '../__fixtures__/focused-session.json';
+import distractedSession from '../__fixtures__/distracted-session.json';
+import { MetricsPipeline } from '../metricsPipeline';
+import { LandmarkRecorder, validateRecording, replayRecording, playRecording } from '../landmarkReplay';
+import { calculateCurrentAnalytics } from '../metricsCalculator';
+
+const FIXTURES = [
+  ['focused-session', focusedSession],
+  ['distracted-session', distractedSession]
+];
+
+// Shape StudentPDFViewer keeps for the live analytics panel
+const toHistory = (metrics, blinkRate) =>
+  metrics.map(frameMetrics => ({
+    timestamp: frameMetrics.timestamp,
+    data: { ...frameMetrics, blinkRate }
+  }));
+
+describe('replayRecording', () => {
+  test.each(FIXTURES)('%s produces the expected metrics', (name, recording) => {
+    const { expected } = recording.meta;
+    const result = replayRecording(recording);
+
+    expect(result.metrics).toHaveLength(recording.frames.length);
+    expect(result.blinkRate).toBe(expected.blinkRate);
+    expect(result.attentionRate).toBe(expected.attentionRate);
+    expect(result.averagePostureScore).toBe(expected.averagePostureScore);
+    expect(result.distractionCount).toBe(expected.distractionCount);
+  });
+
+  test('is deterministic', () => {
+    expect(replayRecording(distractedSession)).toEqual(replayRecording(distractedSession));
+  });
+
+  test('keeps the last result for detectors that skipped a frame', () => {
+    const { metrics } = replayRecording(distractedSession);
+
+    // Pose runs on even frames only; odd frames reuse the previous score
+    expect(metrics[1].postureScore).toBe(metrics[0].postureScore);
+    // Objects run every 4th frame; the phone stays in view until the next object result
+    expect(metrics[21].hasPhone).toBe(true);
+    expect(metrics[23].hasPhone).toBe(true);
+    expect(metrics[27].hasPhone).toBe(true);
+    expect(metrics[28].hasPhone).toBe(false);
+  });
+
+  test('scores engagement per frame', () => {
+    const { metrics } = replayRecording(distractedSession);
+
+    // Blink rate hasn't settled yet in the first 30s, so it is left out of the score
+    expect(metrics[0].engagementScore).toBe(97);     // Face, looking, good posture
+    expect(metrics[20].engagementScore).toBe(31);    // Face only, poor posture, phone out
+    expect(metrics[32].engagementScore).toBe(53);    // Face only, phone put away
+    expect(metrics[0].engagementBreakdown.map(item => item.factor))
+      .toEqual(['presence', 'attention', 'posture', 'focus']);
+    expect(metrics[100].engagementBreakdown.map(item => item.factor)).toContain('blinkHealth');
+  });
+
+  test('reports the blink rate over the last minute only', () => {
+    // Two minutes of the same session: the rate must stay per-minute, not accumulate
+    const secondMinute = focusedSession.frames.map(frame => ({ ...frame, t: frame.t + 60000 }));
+    const twoMinutes = { ...focusedSession, frames: [...focusedSession.frames, ...secondMinute] };
+
+    expect(replayRecording(twoMinutes).blinkRate).toBe(focusedSession.meta.expected.blinkRate);
+  });
+
+  test('extrapolates the blink rate early in a session', () => {
+    const pipeline = new MetricsPipeline();
+    const firstTenSeconds = {
+      ...focusedSession,
+      frames: focusedSession.frames.filter(frame => frame.t <= 10500)
+    };
+
+    // 3 blinks in 10 seconds
+    expect(replayRecording(firstTenSeconds, { pipeline }).blinkRate).toBe(18);
+  });
+
+  test('calls onFrame with the metrics for every frame', () => {
+    const blinks = [];
+    const onFrame = jest.fn((frameMetrics, state, frame) => {
+      expect(state.faceMeshData).toBe(frame.faceMeshData);
+      if (frameMetrics.blinkDetected) blinks.push(frame.t);
+    });
+    replayRecording(focusedSession, { onFrame });
+
+    expect(onFrame).toHaveBeenCalledTimes(focusedSession.frames.length);
+    expect(blinks.slice(0, 3)).toEqual([2000, 6000, 10000]);
+  });
+});
+
+describe('metricsCalculator on replayed metrics', () => {
+  test.each(FIXTURES)('%s aggregates to the same attention and distractions', (name, recording) => {
+    const { expected } = recording.meta;
+    const { metrics, blinkRate } = replayRecording(recording);
+    const analytics = calculateCurrentAnalytics(toHistory(metrics, blinkRate), Date.now());
+
+    expect(analytics.attentionRate).toBe(expected.attentionRate);
+    expect(analytics.distractionCount).toBe(expected.distractionCount);
+    expect(analytics.blinkRate).toBe(expected.blinkRate);
+  });
+});
+
+describe('LandmarkRecorder', () => {
+  test('round-trips through replay', () => {
+    const recorder = new LandmarkRecorder();
+    recorder.start({ source: 'test' }, 1000);
+    focusedSession.frames.forEach(({ t, ...results }) => recorder.record(results, 1000 + t));
+    const recording = recorder.stop();
+
+    expect(recording.meta).toEqual({ source: 'test' });
+    expect(recording.frames).toEqual(focusedSession.frames);
+    expect(replayRecording(recording).blinkRate).toBe(focusedSession.meta.expected.blinkRate);
+  });
+
+  test('drops landmarks unless asked to keep them', () => {
+    const landmarks = [{ x: 0.5, y: 0.5, z: 0 }];
+    const results = { faceMeshData: { isBlink: false, landmarks }, poseData: { posture: { score: 80 }, landmarks } };
+
+    const compact = new LandmarkRecorder();
+    compact.start({}, 0);
+    compact.record(results, 100);
+    expect(compact.stop().frames[0]).toEqual({
+      t: 100,
+      faceMeshData: { isBlink: false },
+      poseData: { posture: { score: 80 } }
+    });
+
+    const full = new LandmarkRecorder({ includeLandmarks: true });
+    full.start({}, 0);
+    full.record(results, 100);
+    expect(full.stop().frames[0].faceMeshData.landmarks).toBe(landmarks);
+  });
+
+  test('ignores frames while stopped', () => {
+    const recorder = new LandmarkRecorder();
+    recorder.record({ faceData: { faceDetected: true } }, 0);
+    recorder.start({}, 0);
+
+    expect(recorder.stop().frames).toHaveLength(0);
+  });
+});
+
+describe('validateRecording', () => {
+  test('accepts the fixtures', () => {
+    FIXTURES.forEach(([, recording]) => expect(() => validateRecording(recording)).not.toThrow());
+  });
+
+  test('rejects unknown versions and out-of-order frames', () => {
+    expect(() => validateRecording(null)).toThrow('Recording must be an object');
+    expect(() => validateRecording({ ...focusedSession, version: 2 })).toThrow('Unsupported recording version');
+    expect(() => validateRecording({ version: 1 })).toThrow('Recording has no frames');
+    expect(() => validateRecording({ version: 1, frames: [{ t: 10 }, { t: 5 }] })).toThrow('Frame 1');
+  });
+});
+
+describe('playRecording', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('plays frames at the recorded pace', () => {
+    const onFrame = jest.fn();
+    const onEnd = jest.fn();
+    playRecording(focusedSession, { speed: 2, onFrame, onEnd });
+
+    jest.advanceTimersByTime(0);                // First frame is due immediately
+    expect(onFrame).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(250);              // 500ms of recording at 2x
+    expect(onFrame).toHaveBeenCalledTimes(2);
+
+    jest.runAllTimers();
+    expect(onFrame).toHaveBeenCalledTimes(focusedSession.frames.length);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps time moving forward when looping and stops on request', () => {
+    const times = [];
+    const player = playRecording(focusedSession, { loop: true, onFrame: (frame, t) => times.push(t) });
+
+    jest.advanceTimersByTime(61000);
+    player.stop();
+    const played = times.length;
+    jest.advanceTimersByTime(10000);
+
+    expect(played).toBeGreaterThan(focusedSession.frames.length);
+    expect(times).toHaveLength(played);
+    times.slice(1).forEach((t, index) => expect(t).toBeGreaterThan(times[index]));
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * FILE PATH: frontend/src/utils/alertRules.js
+ *
+ * Teacher alert rules engine
+ * Evaluates the live metrics students stream to the room channel against the
+ * room's alert rules (see utils/monitoringPolicy), e.g. "absent for more than
+ * 2 min" or "phone detected 3 times in 10 min". A rule fires once per episode:
+ * it can only fire again for the same student after its condition has cleared.
+ */
+
+import { ALERT_RULE_TYPES, getActiveAlertRules, describeAlertRule, normalizeMonitoringPolicy } from './monitoringPolicy';
+import { getDrowsinessLevel } from './drowsinessDetector';
+
+// Uploaded samples carry PERCLOS; live UI metrics may carry the level directly
+const isDrowsy = (data) => {
+  if (data.drowsinessLevel !== undefined) return data.drowsinessLevel === 'high';
+  return typeof data.perclos === 'number' ? getDrowsinessLevel(data.perclos) === 'high' : undefined;
+};
+
+/**
+ * Bring a live `face_metric` payload or a privacy-mode `metrics_window`
+ * summary into one shape. Fields a sample can't tell us about are undefined,
+ * which leaves the matching rule's state untouched.
+ */
+export const toAlertSample = (data = {}) => {
+  if (data.windowStart !== undefined) {
+    return {
+      present: data.presenceRate > 0,
+      phoneSeen: data.distractionRate > 0,
+      engagementScore: data.engagementScore,
+      drowsy: isDrowsy(data),
+      postureScore: data.postureScore || undefined
+    };
+  }
+
+  const present = data.faceDetected ?? (data.absent === undefined ? undefined : !data.absent);
+  return {
+    present,
+    phoneSeen: data.hasPhone,
+    engagementScore: data.engagementScore,
+    drowsy: isDrowsy(data),
+    // Pose is meaningless while the student is away
+    postureScore: present === false ? undefined : data.postureScore || undefined
+  };
+};
+
+/**
+ * Alert Rules Engine Class
+ * One instance per room; student state is kept per student id
+ */
+export class AlertRulesEngine {
+  constructor(policy) {
+    this.setPolicy(policy);
+    this.students = new Map();
+  }
+
+  setPolicy(policy) {
+    this.policy = normalizeMonitoringPolicy(policy);
+    this.rules = getActiveAlertRules(this.policy);
+  }
+
+  /**
+   * Forget one student (session ended) or everyone
+   */
+  reset(studentId) {
+    if (studentId === undefined) {
+      this.students.clear();
+    } else {
+      this.students.delete(studentId);
+    }
+  }
+
+  getStudentState(studentId) {
+    if (!this.students.has(studentId)) {
+      this.students.set(studentId, {
+        conditions: {},    // rule type -> { since, fired }
+        phoneEvents: [],   // Timestamps a phone came into view
+        phoneInView: false
+      });
+    }
+    return this.students.get(studentId);
+  }
+
+  /**
+   * Advance a condition that must hold for `rule.minutes`
+   *
+   * @returns {boolean} True if the rule fires on this update
+   */
+  updateSustained(state, rule, active, timestamp) {
+    if (active === undefined) return false;
+
+    const condition = state.conditions[rule.type] || (state.conditions[rule.type] = { since: null, fired: false });
+    if (!active) {
+      condition.since = null;
+      condition.fired = false;
+      return false;
+    }
+
+    if (condition.since === null) condition.since = timestamp;
+    if (!condition.fired && timestamp - condition.since >= rule.minutes * 60000) {
+      condition.fired = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Count phone sightings (not frames) inside the rule's window
+   */
+  updateCounted(state, rule, phoneSeen, timestamp) {
+    if (phoneSeen === undefined) return false;
+
+    if (phoneSeen && !state.phoneInView) state.phoneEvents.push(timestamp);
+    state.phoneInView = phoneSeen;
+
+    const windowStart = timestamp - rule.minutes * 60000;
+    state.phoneEvents = state.phoneEvents.filter(time => time > windowStart);
+
+    const condition = state.conditions[rule.type] || (state.conditions[rule.type] = { since: null, fired: false });
+    if (state.phoneEvents.length < rule.count) {
+      condition.fired = false;
+      return false;
+    }
+    if (!condition.fired) {
+      condition.fired = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Feed one metrics payload for a student
+   *
+   * @param {string} studentId
+   * @param {Object} data - `face_metric` or `metrics_window` payload
+   * @param {number} timestamp - ms
+   * @returns {Array<Object>} Alerts raised by this update: [{ type, severity, studentId, label, description, raisedAt }]
+   */
+  update(studentId, data, timestamp = Date.now()) {
+    const state = this.getStudentState(studentId);
+    const sample = toAlertSample(data);
+    const { minPostureScore } = this.policy.thresholds;
+
+    return this.rules
+      .filter(rule => {
+        switch (rule.type) {
+          case 'absence':
+            return this.updateSustained(state, rule,
+              sample.present === undefined ? undefined : !sample.present, timestamp);
+          case 'distraction':
+            return this.updateCounted(state, rule, sample.phoneSeen, timestamp);
+          case 'low_engagement':
+            return this.updateSustained(state, rule,
+              typeof sample.engagementScore === 'number' ? sample.engagementScore < rule.threshold : undefined, timestamp);
+          case 'fatigue':
+            return this.updateSustained(state, rule, sample.drowsy, timestamp);
+          case 'poor_posture':
+            return this.updateSustained(state, rule,
+              sample.postureScore === undefined ? undefined : sample.postureScore < minPostureScore, timestamp);
+          default:
+            return false;
+        }
+      })
+      .map(rule => ({
+        type: rule.type,
+        severity: rule.severity,
+        studentId,
+        label: ALERT_RULE_TYPES[rule.type].label,
+        description: describeAlertRule(rule),
+        raisedAt: new Date(timestamp).toISOString()
+      }));
+  }
+}
+
+export default AlertRulesEngine;
@@ -1,5 +1,7 @@
 // frontend/src/utils/analyticsProcessor.js
 
+import { scoreEngagement, activityScore, DEFAULT_ENGAGEMENT_WEIGHTS } from './engagementScoring';
+
 /**
  * Process raw session data into structured analytics
  */
@@ -33,8 +35,9 @@ export const processSessionData = (session) => {
 
 /**
  * Calculate engagement metrics from session data
+ * @param {Object} weights - Engagement weights (room's or default), see engagementScoring
  */
-export const calculateEngagementMetrics = (session) => {
+export const calculateEngagementMetrics = (session, weights = DEFAULT_ENGAGEMENT_WEIGHTS) => {
   const metrics = session.webcam_metrics || {};
   
   // Calculate presence percentage
@@ -49,16 +52,17 @@ export const calculateEngagementMetrics = (session) => {
     ? postureData.reduce((sum, p) => sum + p.score, 0) / postureData.length
     : 0;
 
-  // Calculate engagement score (weighted average)
-  const engagementScore = calculateWeightedEngagement({
-    presence: presencePercentage,
-    posture: avgPosture,
-    interactions: session.highlights?.length || 0,
-    duration: session.duration || 0
-  });
+  // Calculate engagement score (shared scoring engine)
+  const engagement = scoreEngagement({
+    presence: presenceData.length > 0 ? presencePercentage : null,
+    posture: postureData.length > 0 ? avgPosture : null,
+    activity: activityScore(session.highlights?.length || 0, (session.duration || 0) / 60)
+  }, weights);
 
   return {
-    overall_score: Math.round(engagementScore),
+    overall_score: engagement.score,
+    breakdown: engagement.breakdown,
+    formula_version: engagement.version,
     presence_percentage: Math.round(presencePercentage),
     average_posture: Math.round(avgPosture),
     distraction_count: metrics.distraction_events?.length || 0,
@@ -67,42 +71,6 @@ export const calculateEngagementMetrics = (session) => {
   };
 };
 
-/**
- * Calculate weighted engagement score
- */
-const calculateWeightedEngagement = ({ presence, posture, interactions, duration }) => {
-  const weights = {
-    presence: 0.30,
-    posture: 0.15,
-    interactions: 0.15,
-    duration: 0.10,
-    consistency: 0.30
-  };
-
-  // Normalize interaction count (0-100 scale)
-  const normalizedInteractions = Math.min((interactions / 20) * 100, 100);
-
-  // Normalize duration (optimal 45-60 min = 100)
-  const durationMinutes = duration / 60;
-  const normalizedDuration = durationMinutes >= 45 && durationMinutes <= 60
-    ? 100
-    : durationMinutes < 45
-      ? (durationMinutes / 45) * 100
-      : Math.max(100 - ((durationMinutes - 60) * 2), 50);
-
-  // Consistency score (based on presence fluctuations)
-  const consistencyScore = presence > 80 && posture > 70 ? 100 : 70;
-
-  const score = 
-    (presence * weights.presence) +
-    (posture * weights.posture) +
-    (normalizedInteractions * weights.interactions) +
-    (normalizedDuration * weights.duration) +
-    (consistencyScore * weights.consistency);
-
-  return Math.round(score);
-};
-
 /**
  * Calculate focused time (present and not distracted)
  */
@@ -3,6 +3,8 @@
  * Handles microphone access, noise detection, and audio level monitoring
  */
 
+import { useState, useEffect } from 'react';
+
 class AudioAnalyzer {
   constructor() {
     this.audioContext = null;
@@ -459,12 +461,12 @@ export const stopAudioAnalyzer = () => {
  * React Hook for audio analysis
  */
 export const useAudioAnalyzer = () => {
-  const [audioLevel, setAudioLevel] = React.useState(0);
-  const [noiseDetected, setNoiseDetected] = React.useState(false);
-  const [audioType, setAudioType] = React.useState('silence');
-  const [analyzer, setAnalyzer] = React.useState(null);
+  const [audioLevel, setAudioLevel] = useState(0);
+  const [noiseDetected, setNoiseDetected] = useState(false);
+  const [audioType, setAudioType] = useState('silence');
+  const [analyzer, setAnalyzer] = useState(null);
 
-  React.useEffect(() => {
+  useEffect(() => {
     let mounted = true;
     let analyzerInstance = null;
 
@@ -0,0 +1,193 @@
+/**
+ * FILE PATH: frontend/src/utils/calibration.js
+ *
+ * Per-student attention calibration
+ * Turns gaze/head-pose/EAR samples recorded by the calibration wizard into a
+ * profile, and evaluates `lookingAtScreen` and blinks relative to that profile
+ * instead of the fixed thresholds in MLModelsManager.
+ *
+ * Profiles are stored per user on this device, since they depend on where
+ * the camera sits relative to the screen.
+ */
+
+const STORAGE_KEY_PREFIX = 'attentionCalibration:';
+export const CALIBRATION_VERSION = 1;
+
+// Fixed thresholds used when no profile exists (mirrors MLModelsManager defaults)
+export const DEFAULT_GAZE_TOLERANCE = 0.3;
+export const DEFAULT_BLINK_EAR_THRESHOLD = 0.2;
+
+/**
+ * Wizard steps. `target` is the dot position in % of the viewport.
+ */
+export const CALIBRATION_STEPS = [
+  { id: 'center', label: 'Look at the dot in the center of the screen', target: { x: 50, y: 50 }, onScreen: true },
+  { id: 'top-left', label: 'Look at the top-left corner', target: { x: 4, y: 6 }, onScreen: true },
+  { id: 'top-right', label: 'Look at the top-right corner', target: { x: 96, y: 6 }, onScreen: true },
+  { id: 'bottom-right', label: 'Look at the bottom-right corner', target: { x: 96, y: 94 }, onScreen: true },
+  { id: 'bottom-left', label: 'Look at the bottom-left corner', target: { x: 4, y: 94 }, onScreen: true },
+  { id: 'away', label: 'Now look away from the screen - at your desk or out the window', target: null, onScreen: false }
+];
+
+// Minimum tolerance so tiny calibration ranges don't make tracking twitchy
+const MIN_GAZE_TOLERANCE = 0.08;
+const MIN_HEAD_TOLERANCE = 3;
+const TOLERANCE_MARGIN = 1.25;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / (values.length || 1);
+
+const stdDev = (values) => {
+  const avg = mean(values);
+  return Math.sqrt(mean(values.map(v => (v - avg) ** 2)));
+};
+
+/**
+ * Extract the fields calibration needs from a face mesh result
+ */
+export const toCalibrationSample = (faceMeshData) => {
+  if (!faceMeshData?.gazeDirection || !faceMeshData?.headPose) return null;
+
+  return {
+    gazeH: faceMeshData.gazeDirection.horizontal,
+    gazeV: faceMeshData.gazeDirection.vertical,
+    yaw: faceMeshData.headPose.yaw,
+    pitch: faceMeshData.headPose.pitch,
+    ear: faceMeshData.eyeAspectRatio
+  };
+};
+
+/**
+ * Pick a tolerance that covers every on-screen sample but stays short of the
+ * nearest "looking away" sample where possible
+ */
+const fitTolerance = (onScreenDeviations, awayDeviations, minimum) => {
+  const covered = Math.max(minimum, Math.max(...onScreenDeviations, 0) * TOLERANCE_MARGIN);
+  if (awayDeviations.length === 0) return covered;
+
+  const nearestAway = Math.min(...awayDeviations);
+  const onScreenMax = Math.max(...onScreenDeviations, 0);
+  // If away samples sit beyond the on-screen range, split the difference
+  return nearestAway > onScreenMax ? Math.min(covered, (onScreenMax + nearestAway) / 2) : covered;
+};
+
+/**
+ * Build a calibration profile from recorded samples
+ *
+ * @param {Object} samplesByStep - { [stepId]: Array<sample> }
+ * @returns {Object} Calibration profile
+ */
+export const buildCalibrationProfile = (samplesByStep) => {
+  const onScreen = CALIBRATION_STEPS
+    .filter(step => step.onScreen)
+    .flatMap(step => samplesByStep[step.id] || []);
+  const away = CALIBRATION_STEPS
+    .filter(step => !step.onScreen)
+    .flatMap(step => samplesByStep[step.id] || []);
+
+  if (onScreen.length === 0) {
+    throw new Error('No face samples were recorded while looking at the screen');
+  }
+
+  // Center on the middle of the on-screen range rather than the mean, since corners are sampled equally
+  const midpoint = (key) => {
+    const values = onScreen.map(s => s[key]);
+    return (Math.min(...values) + Math.max(...values)) / 2;
+  };
+
+  const center = {
+    gazeH: midpoint('gazeH'),
+    gazeV: midpoint('gazeV'),
+    yaw: midpoint('yaw'),
+    pitch: midpoint('pitch')
+  };
+
+  const deviation = (samples, key) => samples.map(s => Math.abs(s[key] - center[key]));
+
+  // Eyes are open while looking at the dots - blinks are well below that distribution
+  const openEars = onScreen.map(s => s.ear).filter(ear => ear > 0);
+  const earOpen = mean(openEars);
+  const blinkEarThreshold = Math.max(0.05, Math.min(earOpen * 0.75, earOpen - 3 * stdDev(openEars)));
+
+  return {
+    version: CALIBRATION_VERSION,
+    createdAt: new Date().toISOString(),
+    sampleCount: onScreen.length + away.length,
+    gazeCenter: { horizontal: center.gazeH, vertical: center.gazeV },
+    gazeTolerance: {
+      horizontal: fitTolerance(deviation(onScreen, 'gazeH'), deviation(away, 'gazeH'), MIN_GAZE_TOLERANCE),
+      vertical: fitTolerance(deviation(onScreen, 'gazeV'), deviation(away, 'gazeV'), MIN_GAZE_TOLERANCE)
+    },
+    headPoseCenter: { yaw: center.yaw, pitch: center.pitch },
+    headPoseTolerance: {
+      yaw: fitTolerance(deviation(onScreen, 'yaw'), deviation(away, 'yaw'), MIN_HEAD_TOLERANCE),
+      pitch: fitTolerance(deviation(onScreen, 'pitch'), deviation(away, 'pitch'), MIN_HEAD_TOLERANCE)
+    },
+    earOpen,
+    blinkEarThreshold
+  };
+};
+
+/**
+ * Decide whether the student is looking at the screen relative to their profile
+ */
+export const isLookingAtScreenCalibrated = (gazeDirection, headPose, profile) => {
+  if (!gazeDirection) return false;
+
+  if (!profile) {
+    return Math.abs(gazeDirection.horizontal) < DEFAULT_GAZE_TOLERANCE &&
+      Math.abs(gazeDirection.vertical) < DEFAULT_GAZE_TOLERANCE;
+  }
+
+  const gazeOk =
+    Math.abs(gazeDirection.horizontal - profile.gazeCenter.horizontal) <= profile.gazeTolerance.horizontal &&
+    Math.abs(gazeDirection.vertical - profile.gazeCenter.vertical) <= profile.gazeTolerance.vertical;
+
+  const headOk = !headPose || (
+    Math.abs(headPose.yaw - profile.headPoseCenter.yaw) <= profile.headPoseTolerance.yaw &&
+    Math.abs(headPose.pitch - profile.headPoseCenter.pitch) <= profile.headPoseTolerance.pitch
+  );
+
+  return gazeOk && headOk;
+};
+
+/**
+ * Blink threshold for the current profile
+ */
+export const getBlinkEarThreshold = (profile) =>
+  profile?.blinkEarThreshold ?? DEFAULT_BLINK_EAR_THRESHOLD;
+
+// ==================== STORAGE ====================
+
+export const loadCalibrationProfile = (userId) => {
+  if (!userId) return null;
+  try {
+    const stored = JSON.parse(localStorage.getItem(`${STORAGE_KEY_PREFIX}${userId}`));
+    return stored?.version === CALIBRATION_VERSION ? stored : null;
+  } catch (error) {
+    console.warn('⚠️ Ignoring unreadable calibration profile:', error);
+    return null;
+  }
+};
+
+export const saveCalibrationProfile = (userId, profile) => {
+  if (!userId) return;
+  localStorage.setItem(`${STORAGE_KEY_PREFIX}${userId}`, JSON.stringify(profile));
+};
+
+export const clearCalibrationProfile = (userId) => {
+  if (!userId) return;
+  localStorage.removeItem(`${STORAGE_KEY_PREFIX}${userId}`);
+};
+
+const calibration = {
+  CALIBRATION_STEPS,
+  toCalibrationSample,
+  buildCalibrationProfile,
+  isLookingAtScreenCalibrated,
+  getBlinkEarThreshold,
+  loadCalibrationProfile,
+  saveCalibrationProfile,
+  clearCalibrationProfile
+};
+
+export default calibration;
@@ -0,0 +1,271 @@
+/**
+ * FILE PATH: frontend/src/utils/documentAnalysis.js
+ *
+ * Room-level analysis of the room PDF across every student's sessions
+ * - Reading time, visits and revisits per page (from `page_change`)
+ * - Attention per page (from `face_metric` samples that carry `currentPage`)
+ * - Highlights per page and where on the page they cluster
+ * - Questions per page (from the room's questions, since anonymous ones aren't
+ *   logged in sessions)
+ * - "Where students get stuck": pages that take much longer than usual or
+ *   where attention drops
+ * - What students searched the document for (from `search`)
+ */
+
+// A page counts as a sticking point when readers spend this many times the median page time on it
+const STUCK_TIME_RATIO = 1.5;
+// ...or when attention on it is this many points below the document average
+const ATTENTION_DROP_POINTS = 10;
+// Pages need this many readers before they are compared, so one slow reader doesn't flag a page
+const MIN_READERS = 2;
+
+// Highlight density grid over the page (rows x columns)
+export const DENSITY_ROWS = 24;
+export const DENSITY_COLUMNS = 12;
+
+const average = (values) => (values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null);
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const toIdString = (value) => value?._id?.toString() || value?.toString();
+
+// Attention proper first; engagement also weighs in blinks and activity, so it's only a fallback
+const toAttention = (data) => {
+  if (typeof data.attentionRate === 'number') return data.attentionRate;
+  if (typeof data.lookingAtScreen === 'boolean') return data.lookingAtScreen ? 100 : 0;
+  if (typeof data.engagementScore === 'number') return data.engagementScore;
+  return null;
+};
+
+const createPage = (page) => ({
+  page,
+  timeSpent: 0,
+  readers: new Set(),
+  visits: 0,
+  revisits: 0,
+  attentionSamples: [],
+  highlights: [],
+  questions: 0
+});
+
+/**
+ * Aggregate every session in the room by page
+ *
+ * @param {Array<Object>} sessions - Room sessions with `interactions`
+ * @param {Array<Object>} questions - Room questions (`questionsAPI.getByRoom`), each with `page`
+ * @returns {Object} { pages, totalTime, medianTime, avgAttention, readers }
+ *   Each page: { page, timeSpent, readers, avgTimePerReader, visits, revisits,
+ *   attention, highlights, highlightCount, questions }
+ */
+export const buildPageAnalysis = (sessions = [], questions = []) => {
+  const pages = {};
+  const allReaders = new Set();
+  const getPage = (page) => {
+    if (!pages[page]) pages[page] = createPage(page);
+    return pages[page];
+  };
+
+  sessions.forEach(session => {
+    const studentId = toIdString(session.student_id) || session._id;
+    const visitsThisSession = {};
+
+    (session.interactions || []).forEach(interaction => {
+      const data = interaction.data || {};
+
+      if (interaction.type === 'page_change' && data.prevPage) {
+        const entry = getPage(data.prevPage);
+        entry.timeSpent += data.duration || 0;
+        entry.visits += 1;
+        if (data.duration > 0) entry.readers.add(studentId);
+        allReaders.add(studentId);
+
+        visitsThisSession[data.prevPage] = (visitsThisSession[data.prevPage] || 0) + 1;
+        if (visitsThisSession[data.prevPage] > 1) entry.revisits += 1;
+      }
+
+      if (interaction.type === 'face_metric' && data.currentPage && !data.absent) {
+        const attention = toAttention(data);
+        if (attention !== null) getPage(data.currentPage).attentionSamples.push(attention);
+      }
+
+      if (interaction.type === 'highlight' && data.page) {
+        getPage(data.page).highlights.push({ text: data.text, rects: data.rects || [] });
+      }
+
+      // Room questions are counted below; `question` interactions would count them twice
+      if (interaction.type === 'annotation' && data.annotationType === 'question' && data.page) {
+        getPage(data.page).questions += 1;
+      }
+    });
+  });
+
+  questions.forEach(question => {
+    if (question.page) getPage(question.page).questions += 1;
+  });
+
+  const pageList = Object.values(pages)
+    .map(entry => {
+      const attention = average(entry.attentionSamples);
+      return {
+        page: Number(entry.page),
+        timeSpent: entry.timeSpent,
+        readers: entry.readers.size,
+        avgTimePerReader: entry.readers.size > 0 ? Math.round(entry.timeSpent / entry.readers.size) : 0,
+        visits: entry.visits,
+        revisits: entry.revisits,
+        attention: attention === null ? null : Math.round(attention),
+        highlights: entry.highlights,
+        highlightCount: entry.highlights.length,
+        questions: entry.questions
+      };
+    })
+    .sort((a, b) => a.page - b.page);
+
+  const attentionSamples = Object.values(pages).flatMap(entry => entry.attentionSamples);
+  const avgAttention = average(attentionSamples);
+
+  return {
+    pages: pageList,
+    totalTime: pageList.reduce((sum, page) => sum + page.timeSpent, 0),
+    medianTime: median(pageList.filter(page => page.readers > 0).map(page => page.avgTimePerReader)),
+    avgAttention: avgAttention === null ? null : Math.round(avgAttention),
+    readers: allReaders.size
+  };
+};
+
+/**
+ * Pages where students get stuck, worst first
+ *
+ * @param {Object} analysis - Result of buildPageAnalysis
+ * @returns {Array<Object>} [{ page, reasons, score }] - `reasons` are plain-language strings
+ */
+export const findStuckPages = ({ pages = [], medianTime = 0, avgAttention = null } = {}) => pages
+  .filter(page => page.readers >= MIN_READERS)
+  .map(page => {
+    const reasons = [];
+    let score = 0;
+
+    const timeRatio = medianTime > 0 ? page.avgTimePerReader / medianTime : 0;
+    if (timeRatio >= STUCK_TIME_RATIO) {
+      reasons.push(`${timeRatio.toFixed(1)}× the usual reading time`);
+      score += timeRatio;
+    }
+
+    const attentionDrop = avgAttention !== null && page.attention !== null ? avgAttention - page.attention : 0;
+    if (attentionDrop >= ATTENTION_DROP_POINTS) {
+      reasons.push(`Attention ${attentionDrop} points below average`);
+      score += attentionDrop / ATTENTION_DROP_POINTS;
+    }
+
+    if (reasons.length > 0 && page.revisits > 0) reasons.push(`Revisited ${page.revisits} times`);
+    if (reasons.length > 0 && page.questions > 0) reasons.push(`${page.questions} questions asked`);
+
+    return { page: page.page, reasons, score };
+  })
+  .filter(entry => entry.score > 0)
+  .sort((a, b) => b.score - a.score);
+
+/**
+ * Pages ranked by one numeric field, highest first, skipping zeros
+ *
+ * @param {Array<Object>} pages - buildPageAnalysis pages
+ * @param {string} field - e.g. 'revisits', 'highlightCount', 'questions'
+ * @param {number} limit
+ */
+export const rankPages = (pages = [], field, limit = 5) => pages
+  .filter(page => page[field] > 0)
+  .sort((a, b) => b[field] - a[field])
+  .slice(0, limit);
+
+/**
+ * Where on a page highlights cluster, as a DENSITY_ROWS x DENSITY_COLUMNS grid
+ * of counts. Highlight rects are stored as percentages of the page.
+ *
+ * @param {Array<Object>} highlights - [{ rects: [{ left, top, width, height }] }]
+ * @returns {Object} { grid, max }
+ */
+export const buildHighlightDensity = (highlights = []) => {
+  const grid = Array.from({ length: DENSITY_ROWS }, () => new Array(DENSITY_COLUMNS).fill(0));
+  const cellHeight = 100 / DENSITY_ROWS;
+  const cellWidth = 100 / DENSITY_COLUMNS;
+
+  highlights.forEach(highlight => {
+    // Count each cell once per highlight, even if several of its lines touch it
+    const touched = new Set();
+    (highlight.rects || []).forEach(rect => {
+      const firstRow = Math.max(0, Math.floor(rect.top / cellHeight));
+      const lastRow = Math.min(DENSITY_ROWS - 1, Math.floor((rect.top + rect.height) / cellHeight));
+      const firstColumn = Math.max(0, Math.floor(rect.left / cellWidth));
+      const lastColumn = Math.min(DENSITY_COLUMNS - 1, Math.floor((rect.left + rect.width) / cellWidth));
+
+      for (let row = firstRow; row <= lastRow; row++) {
+        for (let column = firstColumn; column <= lastColumn; column++) {
+          touched.add(`${row}:${column}`);
+        }
+      }
+    });
+
+    touched.forEach(cell => {
+      const [row, column] = cell.split(':').map(Number);
+      grid[row][column] += 1;
+    });
+  });
+
+  return { grid, max: Math.max(0, ...grid.flat()) };
+};
+
+/**
+ * Terms students searched the document for, most widely searched first.
+ * Terms are compared case-insensitively.
+ *
+ * @param {Array<Object>} sessions - Room sessions with `interactions`
+ * @returns {Array<Object>} [{ term, searches, students, resultCount }]
+ *   `resultCount` is from the latest search; 0 means the PDF never uses the term
+ */
+export const buildSearchTerms = (sessions = []) => {
+  const terms = {};
+
+  sessions.forEach(session => {
+    const studentId = toIdString(session.student_id) || session._id;
+
+    (session.interactions || []).forEach(interaction => {
+      const query = interaction.type === 'search' && interaction.data?.query?.trim();
+      if (!query) return;
+
+      const key = query.toLowerCase();
+      if (!terms[key]) terms[key] = { term: query, searches: 0, students: new Set(), resultCount: null, lastSearchedAt: 0 };
+      const entry = terms[key];
+      entry.searches += 1;
+      entry.students.add(studentId);
+
+      const searchedAt = new Date(interaction.timestamp || 0).getTime();
+      if (searchedAt >= entry.lastSearchedAt) {
+        entry.lastSearchedAt = searchedAt;
+        entry.resultCount = interaction.data.resultCount ?? null;
+      }
+    });
+  });
+
+  return Object.values(terms)
+    .map(({ term, searches, students, resultCount }) => ({ term, searches, students: students.size, resultCount }))
+    .sort((a, b) => b.students - a.students || b.searches - a.searches);
+};
+
+const documentAnalysis = {
+  DENSITY_ROWS,
+  DENSITY_COLUMNS,
+  buildPageAnalysis,
+  findStuckPages,
+  rankPages,
+  buildHighlightDensity,
+  buildSearchTerms
+};
+
+export default documentAnalysis;
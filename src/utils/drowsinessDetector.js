@@ -0,0 +1,186 @@
+/**
+ * FILE PATH: frontend/src/utils/drowsinessDetector.js
+ *
+ * Drowsiness detection from face mesh landmarks and blendshapes
+ * - PERCLOS: share of time the eyes are ≥80% closed over a rolling window
+ * - Micro-sleeps: eyes closed continuously for longer than a blink
+ * - Yawns: sustained `jawOpen` blendshape
+ * - Head drops: fast downward pitch change against a slow baseline
+ */
+
+const PERCLOS_WINDOW_MS = 60000;
+const EYE_CLOSED_BLENDSHAPE = 0.8;  // P80 criterion on eyeBlink blendshapes
+const MICRO_SLEEP_MS = 1000;        // Normal blinks are 100-400ms
+
+const YAWN_JAW_OPEN = 0.6;
+const YAWN_MIN_MS = 1500;           // Talking opens the jaw too, but briefly
+const YAWN_COOLDOWN_MS = 5000;
+
+const PITCH_BASELINE_SMOOTHING = 0.02; // Slow EMA so the baseline ignores the drop itself
+const HEAD_DROP_MIN_DELTA = 4;         // In MLModelsManager.calculateHeadPose pitch units
+const HEAD_DROP_WINDOW_MS = 1000;
+const HEAD_DROP_COOLDOWN_MS = 5000;
+
+// Fallback when blendshapes are missing: EAR below this share of the open-eye EAR counts as closed
+const EAR_CLOSED_RATIO = 0.6;
+const DEFAULT_OPEN_EAR = 0.3;
+
+/**
+ * PERCLOS level thresholds (commonly used in driver-fatigue research)
+ */
+export const getDrowsinessLevel = (perclos) => {
+  if (perclos >= 0.15) return 'high';
+  if (perclos >= 0.08) return 'medium';
+  return 'low';
+};
+
+const getBlendshape = (blendshapes, name) =>
+  blendshapes?.find(shape => shape.categoryName === name)?.score;
+
+/**
+ * Drowsiness Detector Class
+ */
+export class DrowsinessDetector {
+  constructor({ openEar = DEFAULT_OPEN_EAR } = {}) {
+    this.openEar = openEar;
+    this.reset();
+  }
+
+  reset() {
+    this.eyeSamples = [];        // { timestamp, closed }
+    this.eyesClosedSince = null;
+    this.microSleepReported = false;
+    this.jawOpenSince = null;
+    this.lastYawnAt = 0;
+    this.pitchBaseline = null;
+    this.pitchHistory = [];      // { timestamp, pitch }
+    this.lastHeadDropAt = 0;
+    this.counts = { yawnCount: 0, headDrops: 0, microSleeps: 0 };
+  }
+
+  /**
+   * Use the calibrated open-eye EAR for the no-blendshape fallback
+   */
+  setOpenEar(openEar) {
+    this.openEar = openEar || DEFAULT_OPEN_EAR;
+  }
+
+  isEyeClosed(faceMeshData) {
+    const left = getBlendshape(faceMeshData.blendshapes, 'eyeBlinkLeft');
+    const right = getBlendshape(faceMeshData.blendshapes, 'eyeBlinkRight');
+
+    if (left !== undefined && right !== undefined) {
+      return (left + right) / 2 >= EYE_CLOSED_BLENDSHAPE;
+    }
+    return faceMeshData.eyeAspectRatio < this.openEar * EAR_CLOSED_RATIO;
+  }
+
+  /**
+   * Feed one face mesh result
+   *
+   * @param {Object|null} faceMeshData - Result of MLModelsManager.processFaceMeshResults
+   * @param {number} timestamp - ms
+   * @returns {Array<Object>} Events detected on this frame ({ type, ... })
+   */
+  update(faceMeshData, timestamp = Date.now()) {
+    const events = [];
+
+    // No face: stop timing closures/yawns but keep the window so PERCLOS decays naturally
+    if (!faceMeshData) {
+      this.eyesClosedSince = null;
+      this.jawOpenSince = null;
+      this.trimWindow(timestamp);
+      return events;
+    }
+
+    // ----- Eye closure / PERCLOS / micro-sleeps -----
+    const closed = this.isEyeClosed(faceMeshData);
+    this.eyeSamples.push({ timestamp, closed });
+    this.trimWindow(timestamp);
+
+    if (closed) {
+      if (this.eyesClosedSince === null) {
+        this.eyesClosedSince = timestamp;
+        this.microSleepReported = false;
+      } else if (!this.microSleepReported && timestamp - this.eyesClosedSince >= MICRO_SLEEP_MS) {
+        this.microSleepReported = true;
+        this.counts.microSleeps++;
+        events.push({ type: 'micro_sleep', startedAt: this.eyesClosedSince, perclos: this.getPerclos() });
+      }
+    } else {
+      this.eyesClosedSince = null;
+    }
+
+    // ----- Yawns -----
+    const jawOpen = getBlendshape(faceMeshData.blendshapes, 'jawOpen');
+    if (jawOpen !== undefined && jawOpen >= YAWN_JAW_OPEN) {
+      if (this.jawOpenSince === null) this.jawOpenSince = timestamp;
+    } else if (this.jawOpenSince !== null) {
+      const duration = timestamp - this.jawOpenSince;
+      if (duration >= YAWN_MIN_MS && timestamp - this.lastYawnAt >= YAWN_COOLDOWN_MS) {
+        this.lastYawnAt = timestamp;
+        this.counts.yawnCount++;
+        events.push({ type: 'yawn', durationMs: duration });
+      }
+      this.jawOpenSince = null;
+    }
+
+    // ----- Head drops -----
+    const pitch = faceMeshData.headPose?.pitch;
+    if (typeof pitch === 'number') {
+      this.pitchHistory.push({ timestamp, pitch });
+      this.pitchHistory = this.pitchHistory.filter(p => timestamp - p.timestamp <= HEAD_DROP_WINDOW_MS);
+
+      if (this.pitchBaseline === null) {
+        this.pitchBaseline = pitch;
+      }
+
+      // A drop must be fast (within the short window) and below the usual head position
+      const fastDrop = pitch - this.pitchHistory[0].pitch;
+      const belowBaseline = pitch - this.pitchBaseline;
+
+      if (fastDrop >= HEAD_DROP_MIN_DELTA && belowBaseline >= HEAD_DROP_MIN_DELTA &&
+          timestamp - this.lastHeadDropAt >= HEAD_DROP_COOLDOWN_MS) {
+        this.lastHeadDropAt = timestamp;
+        this.counts.headDrops++;
+        events.push({ type: 'head_drop', pitchDelta: Math.round(fastDrop * 10) / 10 });
+      }
+
+      this.pitchBaseline = this.pitchBaseline * (1 - PITCH_BASELINE_SMOOTHING) + pitch * PITCH_BASELINE_SMOOTHING;
+    }
+
+    return events;
+  }
+
+  trimWindow(timestamp) {
+    this.eyeSamples = this.eyeSamples.filter(s => timestamp - s.timestamp <= PERCLOS_WINDOW_MS);
+  }
+
+  /**
+   * Time-weighted share of the window with eyes closed (0-1)
+   */
+  getPerclos() {
+    if (this.eyeSamples.length < 2) return 0;
+
+    let closedMs = 0;
+    for (let i = 1; i < this.eyeSamples.length; i++) {
+      if (this.eyeSamples[i - 1].closed) {
+        closedMs += this.eyeSamples[i].timestamp - this.eyeSamples[i - 1].timestamp;
+      }
+    }
+
+    const totalMs = this.eyeSamples[this.eyeSamples.length - 1].timestamp - this.eyeSamples[0].timestamp;
+    return totalMs > 0 ? closedMs / totalMs : 0;
+  }
+
+  getState() {
+    const perclos = this.getPerclos();
+    return {
+      perclos: Math.round(perclos * 1000) / 1000,
+      level: getDrowsinessLevel(perclos),
+      ...this.counts
+    };
+  }
+}
+
+export default DrowsinessDetector;
@@ -0,0 +1,280 @@
+/**
+ * FILE PATH: frontend/src/utils/engagementScoring.js
+ *
+ * Engagement scoring engine
+ * The single place an engagement number comes from: the live frame score
+ * (MetricsPipeline), the student's panel and session summary, and the
+ * teacher's reports all go through scoreEngagement().
+ *
+ * Formula (version 3)
+ *   Every factor is normalised to 0-100, then
+ *     score = Σ factor × weight / Σ weight   (over factors that have data)
+ *
+ *   presence     Share of time a face is in view
+ *   attention    Share of time looking at the screen, or in view while
+ *                listening to read aloud
+ *   posture      Average posture score
+ *   blinkHealth  100 inside 15-25 blinks/min, falling linearly to 0 at 50 blinks/min away
+ *   focus        Share of time without a phone in view
+ *   activity     Highlights, notes, page turns and minutes of read-aloud
+ *                listening: 5 per 10 minutes = 100
+ *
+ * Factors without data (e.g. no pose result yet, no reading activity on a
+ * live frame) are left out and the remaining weights rescaled, so a missing
+ * detector doesn't drag the score down. Changing any formula or default
+ * weight means adding a new version here, not editing an earlier one.
+ *
+ * Versions
+ *   1  Initial formula
+ *   2  Each minute of read-aloud listening counts as one reading action, so
+ *      a student listening along isn't scored as inactive
+ *   3  Samples taken while listening to read aloud count as attentive when a
+ *      face is in view, since activity has no weight by default and
+ *      listeners often look away from the screen
+ */
+
+export const ENGAGEMENT_FORMULA_VERSION = 3;
+
+export const ENGAGEMENT_FACTORS = {
+  presence: { label: 'Presence', description: 'Share of time a face is in view' },
+  attention: { label: 'Attention', description: 'Share of time looking at the screen or listening to read aloud' },
+  posture: { label: 'Posture', description: 'Average posture score' },
+  blinkHealth: { label: 'Blink rate', description: 'How close the blink rate is to 15-25 per minute' },
+  focus: { label: 'Phone-free', description: 'Share of time without a phone in view' },
+  activity: { label: 'Reading activity', description: 'Highlights, notes, page turns and read-aloud listening' }
+};
+
+export const DEFAULT_ENGAGEMENT_WEIGHTS = {
+  presence: 0.2,
+  attention: 0.35,
+  posture: 0.15,
+  blinkHealth: 0.1,
+  focus: 0.2,
+  activity: 0
+};
+
+// Ideal blink rate range in BPM
+const IDEAL_BLINK_RATE_MIN = 15;
+const IDEAL_BLINK_RATE_MAX = 25;
+const MAX_BLINK_DISTANCE = 50;
+
+const ACTIVITY_PER_TEN_MINUTES = 5;
+
+const READING_ACTIVITY_TYPES = ['highlight', 'highlighter', 'annotation', 'note', 'page_change', 'page_turn'];
+// `read_aloud` interactions carry the seconds listened; each minute counts as one action
+const LISTENING_ACTIVITY_TYPE = 'read_aloud';
+
+const clamp = (value) => Math.max(0, Math.min(100, value));
+const share = (count, total) => (total > 0 ? (count / total) * 100 : null);
+
+/**
+ * Merge partial weights over the defaults, dropping anything that isn't a non-negative number
+ */
+export const normalizeEngagementWeights = (weights = {}) => {
+  const merged = { ...DEFAULT_ENGAGEMENT_WEIGHTS };
+  Object.keys(DEFAULT_ENGAGEMENT_WEIGHTS).forEach(factor => {
+    const value = parseFloat(weights?.[factor]);
+    if (Number.isFinite(value) && value >= 0) merged[factor] = value;
+  });
+
+  const total = Object.values(merged).reduce((sum, weight) => sum + weight, 0);
+  return total > 0 ? merged : { ...DEFAULT_ENGAGEMENT_WEIGHTS };
+};
+
+/**
+ * Blink rate (BPM) → 0-100 compliance with the ideal range
+ */
+export const blinkRateScore = (blinkRate) => {
+  if (blinkRate >= IDEAL_BLINK_RATE_MIN && blinkRate <= IDEAL_BLINK_RATE_MAX) {
+    return 100;
+  }
+
+  const distanceToIdeal = Math.min(
+    Math.abs(blinkRate - IDEAL_BLINK_RATE_MIN),
+    Math.abs(blinkRate - IDEAL_BLINK_RATE_MAX)
+  );
+  return clamp(100 * (1 - distanceToIdeal / MAX_BLINK_DISTANCE));
+};
+
+/**
+ * Reading actions over a span of time → 0-100
+ */
+export const activityScore = (actionCount, minutes) => {
+  if (!minutes || minutes <= 0) return null;
+  return clamp((actionCount / minutes) * 10 / ACTIVITY_PER_TEN_MINUTES * 100);
+};
+
+/**
+ * Score a set of factors
+ *
+ * @param {Object} factors - { presence, attention, posture, blinkHealth, focus, activity } in 0-100, null when unknown
+ * @param {Object} weights - Partial weights, merged over DEFAULT_ENGAGEMENT_WEIGHTS
+ * @returns {Object} { score, version, breakdown: [{ factor, label, value, weight, contribution }] }
+ */
+export const scoreEngagement = (factors = {}, weights = DEFAULT_ENGAGEMENT_WEIGHTS) => {
+  const normalized = normalizeEngagementWeights(weights);
+
+  const available = Object.keys(ENGAGEMENT_FACTORS).filter(factor =>
+    normalized[factor] > 0 && typeof factors[factor] === 'number' && Number.isFinite(factors[factor])
+  );
+  const totalWeight = available.reduce((sum, factor) => sum + normalized[factor], 0);
+
+  if (totalWeight === 0) {
+    return { score: 0, version: ENGAGEMENT_FORMULA_VERSION, breakdown: [] };
+  }
+
+  const breakdown = available.map(factor => {
+    const value = clamp(factors[factor]);
+    const weight = normalized[factor] / totalWeight;
+    return {
+      factor,
+      label: ENGAGEMENT_FACTORS[factor].label,
+      value: Math.round(value),
+      weight: Math.round(weight * 100) / 100,
+      contribution: Math.round(value * weight * 10) / 10
+    };
+  });
+
+  const score = available.reduce((sum, factor) => sum + clamp(factors[factor]) * normalized[factor], 0) / totalWeight;
+
+  return {
+    score: Math.round(score),
+    version: ENGAGEMENT_FORMULA_VERSION,
+    breakdown
+  };
+};
+
+/**
+ * Factors for a single frame of live metrics
+ *
+ * @param {Object} metrics - Frame metrics (faceDetected, lookingAtScreen, postureScore, hasPhone)
+ * @param {Object} extra - { hasPose, blinkRate } - blinkRate is left out until it has settled
+ */
+export const frameFactors = (metrics, { hasPose = true, blinkRate = null } = {}) => ({
+  presence: metrics.faceDetected ? 100 : 0,
+  attention: metrics.faceDetected && metrics.lookingAtScreen ? 100 : 0,
+  posture: hasPose ? metrics.postureScore || 0 : null,
+  blinkHealth: blinkRate === null ? null : blinkRateScore(blinkRate),
+  focus: metrics.hasPhone ? 0 : 100,
+  activity: null
+});
+
+/**
+ * Factors for a run of uploaded samples: `face_metric` payloads and/or
+ * privacy-mode `metrics_window` summaries (weighted by their sample count)
+ *
+ * @param {Array<Object>} samples - Interaction `data` objects
+ */
+export const sampleFactors = (samples = []) => {
+  let total = 0;
+  let present = 0;
+  let looking = 0;
+  let phone = 0;
+  let postureSum = 0;
+  let blinkSum = 0;
+  let blinkSamples = 0;
+
+  samples.forEach(sample => {
+    if (!sample) return;
+
+    if (sample.windowStart !== undefined) {
+      const count = sample.sampleCount || 1;
+      total += count;
+      present += (sample.presenceRate || 0) / 100 * count;
+      looking += ((sample.attentionRate || 0) + (sample.listeningRate || 0)) / 100 * count;
+      phone += (sample.distractionRate || 0) / 100 * count;
+      postureSum += (sample.postureScore || 0) * count;
+      blinkSum += (sample.blinkRate || 0) * count;
+      blinkSamples += count;
+      return;
+    }
+
+    total++;
+    // Older payloads have no faceDetected; looking at the screen implies presence
+    const isPresent = sample.faceDetected ?? sample.lookingAtScreen;
+    if (isPresent) present++;
+    if (sample.lookingAtScreen || (isPresent && sample.listening)) looking++;
+    if (sample.hasPhone) phone++;
+    postureSum += sample.postureScore || 0;
+    if (typeof sample.blinkRate === 'number') {
+      blinkSum += sample.blinkRate;
+      blinkSamples++;
+    }
+  });
+
+  return {
+    presence: share(present, total),
+    attention: share(looking, total),
+    posture: total > 0 ? postureSum / total : null,
+    blinkHealth: blinkSamples > 0 ? blinkRateScore(blinkSum / blinkSamples) : null,
+    focus: total > 0 ? 100 - share(phone, total) : null,
+    activity: null
+  };
+};
+
+/**
+ * Score a whole session from its interactions
+ *
+ * @param {Array<Object>} interactions - Session interactions
+ * @param {Object} weights - Room weights
+ * @param {number} durationSeconds - Session length, for the reading activity rate
+ * @returns {Object|null} scoreEngagement() result, or null without any monitoring samples
+ */
+export const scoreSessionInteractions = (interactions = [], weights = DEFAULT_ENGAGEMENT_WEIGHTS, durationSeconds = null) => {
+  const samples = interactions
+    .filter(interaction => interaction.type === 'face_metric' || interaction.type === 'metrics_window')
+    .map(interaction => interaction.data);
+
+  if (samples.length === 0) return null;
+
+  const listenedSeconds = interactions
+    .filter(interaction => interaction.type === LISTENING_ACTIVITY_TYPE)
+    .reduce((sum, interaction) => sum + (interaction.data?.duration || 0), 0);
+  const readingActions = interactions.filter(interaction => READING_ACTIVITY_TYPES.includes(interaction.type)).length
+    + listenedSeconds / 60;
+  const factors = {
+    ...sampleFactors(samples),
+    activity: activityScore(readingActions, durationSeconds ? durationSeconds / 60 : null)
+  };
+
+  return scoreEngagement(factors, weights);
+};
+
+/**
+ * Engagement for a stored session: scored from its interactions, or the
+ * backend's stored score for sessions without monitoring data
+ */
+export const getSessionEngagementScore = (session, weights = DEFAULT_ENGAGEMENT_WEIGHTS) => {
+  const engagement = scoreSessionInteractions(session.interactions || [], weights, session.duration_seconds);
+  return engagement ? engagement.score : session.engagement_score || 0;
+};
+
+/**
+ * Average engagement over stored sessions, each scored with its own weights
+ *
+ * @param {Array<Object>} sessions - Sessions with their interactions
+ * @param {Function} getWeights - session → weights (e.g. monitoringPolicy.getSessionEngagementWeights)
+ * @returns {number|null} null without sessions
+ */
+export const averageSessionEngagement = (sessions = [], getWeights = () => DEFAULT_ENGAGEMENT_WEIGHTS) => {
+  if (sessions.length === 0) return null;
+  const total = sessions.reduce((sum, session) => sum + getSessionEngagementScore(session, getWeights(session)), 0);
+  return Math.round(total / sessions.length);
+};
+
+const engagementScoring = {
+  ENGAGEMENT_FORMULA_VERSION,
+  ENGAGEMENT_FACTORS,
+  DEFAULT_ENGAGEMENT_WEIGHTS,
+  normalizeEngagementWeights,
+  blinkRateScore,
+  activityScore,
+  scoreEngagement,
+  frameFactors,
+  sampleFactors,
+  scoreSessionInteractions,
+  getSessionEngagementScore,
+  averageSessionEngagement
+};
+
+export default engagementScoring;
@@ -0,0 +1,215 @@
+/**
+ * FILE PATH: frontend/src/utils/expressionClassifier.js
+ *
+ * Lightweight facial-expression state classifier
+ * Maps face landmarker blendshapes to the study states shown by
+ * Charts.EmotionChart: focused, confused, happy, neutral, tired.
+ * Scores are smoothed over time and a state only changes once another one
+ * clearly wins, so single-frame twitches don't show up in the timeline.
+ */
+
+export const EXPRESSION_STATES = ['focused', 'confused', 'happy', 'neutral', 'tired'];
+
+const SCORE_SMOOTHING = 0.15;   // EMA weight of the newest frame (~1s to settle at 10 FPS)
+const SWITCH_MARGIN = 0.08;     // Smoothed score lead required to change state
+const MIN_CONFIDENCE = 0.3;     // Below this the state falls back to neutral
+const NEUTRAL_BASELINE = 0.25;  // Neutral wins when nothing else is expressed
+const TIMELINE_BUCKET_MS = 60000;
+
+const getBlendshape = (blendshapes, name) =>
+  blendshapes?.find(shape => shape.categoryName === name)?.score || 0;
+
+const pair = (blendshapes, base) =>
+  (getBlendshape(blendshapes, `${base}Left`) + getBlendshape(blendshapes, `${base}Right`)) / 2;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Raw (unsmoothed) per-state evidence for one face mesh result
+ *
+ * @param {Object} faceMeshData - Result of MLModelsManager.processFaceMeshResults
+ * @returns {Object|null} { focused, confused, happy, neutral, tired } in 0-1, or null without blendshapes
+ */
+export const scoreExpression = (faceMeshData) => {
+  const blendshapes = faceMeshData?.blendshapes;
+  if (!blendshapes || blendshapes.length === 0) return null;
+
+  const browFurrow = pair(blendshapes, 'browDown');
+  const smile = pair(blendshapes, 'mouthSmile');
+  const squint = pair(blendshapes, 'eyeSquint');
+  const blink = pair(blendshapes, 'eyeBlink');
+  const jawOpen = getBlendshape(blendshapes, 'jawOpen');
+  const browInnerUp = getBlendshape(blendshapes, 'browInnerUp');
+
+  // Drooping (half-closed) eyes and wide-open jaw read as tired; full blinks are ignored
+  const droop = blink >= 0.8 ? 0 : clamp01((blink - 0.3) / 0.4);
+
+  const happy = clamp01(smile * 1.4);
+  const confused = clamp01(browFurrow * 1.2 + browInnerUp * 0.4 - smile * 0.5);
+  const tired = clamp01(droop * 0.8 + jawOpen * 0.6);
+
+  // Focus: looking at the screen with a calm face, slight squint helps
+  const activity = Math.max(happy, confused, tired);
+  const focused = faceMeshData.isLookingAtScreen
+    ? clamp01(0.45 + squint * 0.4 - activity * 0.6)
+    : 0;
+
+  const neutral = clamp01(NEUTRAL_BASELINE + (1 - activity) * 0.15);
+
+  return { focused, confused, happy, neutral, tired };
+};
+
+/**
+ * Expression Classifier Class
+ */
+export class ExpressionClassifier {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.scores = null;
+    this.state = 'neutral';
+    this.since = null;
+  }
+
+  /**
+   * Feed one face mesh result
+   *
+   * @param {Object|null} faceMeshData - Result of MLModelsManager.processFaceMeshResults
+   * @param {number} timestamp - ms
+   * @returns {Object} Current classification ({ state, confidence, scores, since })
+   */
+  update(faceMeshData, timestamp = Date.now()) {
+    const raw = scoreExpression(faceMeshData);
+
+    // No face or no blendshapes: hold the last state, it decays once a face returns
+    if (!raw) return this.getState();
+
+    if (!this.scores) {
+      this.scores = raw;
+    } else {
+      EXPRESSION_STATES.forEach(state => {
+        this.scores[state] = this.scores[state] * (1 - SCORE_SMOOTHING) + raw[state] * SCORE_SMOOTHING;
+      });
+    }
+
+    const [leader, leaderScore] = Object.entries(this.scores).sort(([, a], [, b]) => b - a)[0];
+    const candidate = this.getConfidence(leaderScore) >= MIN_CONFIDENCE ? leader : 'neutral';
+
+    if (candidate !== this.state && this.scores[candidate] - this.scores[this.state] >= SWITCH_MARGIN) {
+      this.state = candidate;
+      this.since = timestamp;
+    }
+    if (this.since === null) this.since = timestamp;
+
+    return this.getState();
+  }
+
+  /**
+   * Share of the total smoothed evidence held by a score (0-1)
+   */
+  getConfidence(score) {
+    const total = EXPRESSION_STATES.reduce((sum, state) => sum + this.scores[state], 0);
+    return total > 0 ? score / total : 0;
+  }
+
+  getState() {
+    if (!this.scores) {
+      return { state: this.state, confidence: 0, scores: null, since: this.since };
+    }
+
+    const scores = {};
+    EXPRESSION_STATES.forEach(state => {
+      scores[state] = Math.round(this.getConfidence(this.scores[state]) * 100) / 100;
+    });
+
+    return {
+      state: this.state,
+      confidence: scores[this.state],
+      scores,
+      since: this.since
+    };
+  }
+}
+
+/**
+ * Collapse timestamped expression samples into one dominant state per minute,
+ * the shape Charts.EmotionChart expects
+ *
+ * Samples are interactions of type `face_metric` (with `data.expression`),
+ * `expression_change` (with `data.state`) or privacy-mode `metrics_window`
+ * (with `data.dominantExpression`); confidence weights each sample.
+ *
+ * @param {Array<Object>} interactions - Session interactions
+ * @param {number} startTime - Session start (ms or date string); defaults to the first sample
+ * @returns {Array<Object>} [{ minute, emotion, confidence }]
+ */
+export const buildEmotionTimeline = (interactions = [], startTime = null) => {
+  const samples = interactions
+    .map(interaction => {
+      const data = interaction.data || {};
+      const emotion = interaction.type === 'expression_change' ? data.state
+        : interaction.type === 'metrics_window' ? data.dominantExpression
+        : data.expression;
+      if (!EXPRESSION_STATES.includes(emotion)) return null;
+      return {
+        timestamp: new Date(data.windowStart || interaction.timestamp).getTime(),
+        emotion,
+        confidence: data.expressionConfidence ?? data.confidence ?? 1
+      };
+    })
+    .filter(sample => sample && !Number.isNaN(sample.timestamp))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  if (samples.length === 0) return [];
+
+  const origin = startTime ? new Date(startTime).getTime() : samples[0].timestamp;
+  const buckets = [];
+
+  samples.forEach(sample => {
+    const minute = Math.max(0, Math.floor((sample.timestamp - origin) / TIMELINE_BUCKET_MS));
+    if (!buckets[minute]) buckets[minute] = {};
+    buckets[minute][sample.emotion] = (buckets[minute][sample.emotion] || 0) + sample.confidence;
+  });
+
+  // Minutes without samples (camera off, tab hidden) carry the previous state forward
+  const timeline = [];
+  let previous = null;
+  for (let minute = 0; minute < buckets.length; minute++) {
+    const weights = buckets[minute];
+    if (!weights) {
+      if (previous) timeline.push({ minute, emotion: previous.emotion, confidence: 0 });
+      continue;
+    }
+
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    const [emotion, weight] = Object.entries(weights).sort(([, a], [, b]) => b - a)[0];
+    previous = { minute, emotion, confidence: total > 0 ? Math.round((weight / total) * 100) / 100 : 0 };
+    timeline.push(previous);
+  }
+
+  return timeline;
+};
+
+/**
+ * Share of the timeline spent in each state (0-100)
+ */
+export const summarizeEmotionTimeline = (timeline) => {
+  const summary = {};
+  EXPRESSION_STATES.forEach(state => {
+    const count = timeline.filter(point => point.emotion === state).length;
+    summary[state] = timeline.length > 0 ? Math.round((count / timeline.length) * 100) : 0;
+  });
+  return summary;
+};
+
+const expressionClassifier = {
+  EXPRESSION_STATES,
+  scoreExpression,
+  ExpressionClassifier,
+  buildEmotionTimeline,
+  summarizeEmotionTimeline
+};
+
+export default expressionClassifier;
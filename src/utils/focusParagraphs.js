@@ -0,0 +1,105 @@
+/**
+ * FILE PATH: frontend/src/utils/focusParagraphs.js
+ *
+ * Paragraph boxes for focus mode, which dims a page except for the
+ * paragraph being read. PDFs don't mark paragraphs, so lines are grouped
+ * from the text positions: a new paragraph starts where the gap above a line
+ * is clearly larger than normal line spacing, or where the text jumps back
+ * up the page (the next column).
+ */
+
+// Gap between lines, relative to the text height, that starts a new paragraph
+const PARAGRAPH_GAP_RATIO = 0.6;
+// Lines whose baselines are this close (relative to the text height) are the same line
+const SAME_LINE_RATIO = 0.5;
+// Padding around a paragraph box, in PDF points
+const PARAGRAPH_PADDING = 4;
+
+/**
+ * @param {Object} textContent - Result of pdf.js `page.getTextContent()`
+ * @param {Array<number>} view - The page's `view` box [x0, y0, x1, y1] in PDF points
+ * @returns {Array<Object>} [{ top, left, width, height }] in % of the page, in reading order
+ */
+export const buildParagraphs = (textContent, view) => {
+  const [x0, y0, x1, y1] = view;
+  const pageWidth = x1 - x0;
+  const pageHeight = y1 - y0;
+  if (!pageWidth || !pageHeight) return [];
+
+  const boxes = [];
+  let current = null;
+  let previous = null;
+
+  (textContent?.items || []).forEach(item => {
+    if (typeof item.str !== 'string' || !item.str.trim() || !item.transform) return;
+
+    const [, , , , x, baseline] = item.transform;
+    const height = item.height || Math.abs(item.transform[3]) || 10;
+    const box = { left: x, right: x + (item.width || 0), bottom: baseline, top: baseline + height };
+
+    if (previous) {
+      const sameLine = Math.abs(baseline - previous.baseline) < height * SAME_LINE_RATIO;
+      const gap = previous.baseline - box.top; // PDF y grows upwards
+      const movedUp = baseline > previous.baseline + height;
+      if (!sameLine && (gap > height * PARAGRAPH_GAP_RATIO || movedUp)) current = null;
+    }
+
+    if (current) {
+      current.left = Math.min(current.left, box.left);
+      current.right = Math.max(current.right, box.right);
+      current.bottom = Math.min(current.bottom, box.bottom);
+      current.top = Math.max(current.top, box.top);
+    } else {
+      current = { ...box };
+      boxes.push(current);
+    }
+    previous = { baseline, height };
+  });
+
+  return boxes.map(box => {
+    const left = Math.max(x0, box.left - PARAGRAPH_PADDING);
+    const right = Math.min(x1, box.right + PARAGRAPH_PADDING);
+    const top = Math.min(y1, box.top + PARAGRAPH_PADDING);
+    const bottom = Math.max(y0, box.bottom - PARAGRAPH_PADDING);
+    return {
+      left: ((left - x0) / pageWidth) * 100,
+      top: ((y1 - top) / pageHeight) * 100,
+      width: ((right - left) / pageWidth) * 100,
+      height: ((top - bottom) / pageHeight) * 100
+    };
+  });
+};
+
+// Distance from a point to a span, 0 inside it
+const distanceTo = (value, start, size) => (value < start ? start - value : Math.max(0, value - (start + size)));
+
+/**
+ * Index of the paragraph at a point on the page: the one covering it, or
+ * else the nearest one
+ *
+ * @param {Array<Object>} paragraphs - buildParagraphs result
+ * @param {number} y - % from the top of the page
+ * @param {number|null} x - % from the left; null to go by height alone
+ * @returns {number} -1 when the page has no paragraphs
+ */
+export const findParagraphAt = (paragraphs = [], y, x = null) => {
+  let nearest = -1;
+  let nearestDistance = Infinity;
+  paragraphs.forEach((paragraph, index) => {
+    const dy = distanceTo(y, paragraph.top, paragraph.height);
+    const dx = x === null ? 0 : distanceTo(x, paragraph.left, paragraph.width);
+    const distance = Math.hypot(dx, dy);
+    if (distance < nearestDistance) {
+      nearest = index;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+};
+
+const focusParagraphs = {
+  buildParagraphs,
+  findParagraphAt
+};
+
+export default focusParagraphs;
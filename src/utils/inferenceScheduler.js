@@ -0,0 +1,187 @@
+/**
+ * FILE PATH: frontend/src/utils/inferenceScheduler.js
+ *
+ * Adaptive scheduler for per-frame ML inference
+ * Measures per-model latency, staggers expensive models across frames so the
+ * total stays within a per-frame performance budget, and slows the whole loop
+ * down when the tab is hidden or the battery is low.
+ */
+
+/**
+ * Performance budget presets (ms of inference allowed per processed frame)
+ */
+export const PERFORMANCE_BUDGETS = {
+  low: 25,
+  balanced: 50,
+  high: 100
+};
+
+/**
+ * Preferred run cadence per model (1 = every frame). The scheduler only ever
+ * raises these when over budget and relaxes back toward them when there's headroom.
+ */
+const DEFAULT_STRIDES = {
+  faceMesh: 1,
+  faceDetection: 2,
+  pose: 3,
+  objectDetection: 10
+};
+
+const MAX_STRIDE = 30;
+const LATENCY_SMOOTHING = 0.2;   // EMA weight of the newest sample
+const FPS_WINDOW_MS = 5000;
+const HIDDEN_INTERVAL_MS = 1000; // ~1 FPS while the tab is in the background
+const LOW_BATTERY_LEVEL = 0.2;
+const LOW_BATTERY_FACTOR = 2;    // Half rate on low battery
+
+/**
+ * Whether a BatteryManager reports a low, discharging battery
+ */
+export const isBatteryLow = (battery) =>
+  !!battery && !battery.charging && battery.level <= LOW_BATTERY_LEVEL;
+
+/**
+ * Inference Scheduler Class
+ */
+export class InferenceScheduler {
+  constructor({ baseInterval = 100, budget = 'balanced' } = {}) {
+    this.baseInterval = baseInterval;
+    this.setBudget(budget);
+
+    this.frameIndex = 0;
+    this.isHidden = false;
+    this.isLowBattery = false;
+
+    this.models = {};
+    Object.keys(DEFAULT_STRIDES).forEach(name => {
+      this.models[name] = {
+        stride: DEFAULT_STRIDES[name],
+        latencyMs: null,
+        runTimestamps: []
+      };
+    });
+  }
+
+  /**
+   * Accepts a preset name or a number of milliseconds
+   */
+  setBudget(budget) {
+    this.budgetMs = typeof budget === 'number' ? budget : (PERFORMANCE_BUDGETS[budget] || PERFORMANCE_BUDGETS.balanced);
+  }
+
+  setHidden(isHidden) {
+    this.isHidden = isHidden;
+  }
+
+  setLowBattery(isLowBattery) {
+    this.isLowBattery = isLowBattery;
+  }
+
+  /**
+   * Delay before the next tick
+   */
+  getInterval() {
+    if (this.isHidden) return Math.max(HIDDEN_INTERVAL_MS, this.baseInterval);
+    return this.isLowBattery ? this.baseInterval * LOW_BATTERY_FACTOR : this.baseInterval;
+  }
+
+  /**
+   * Advance one frame and return which of the enabled models should run on it
+   *
+   * @param {Object} enabled - { faceDetection, faceMesh, pose, objectDetection }
+   * @returns {Object} Same keys, true for models due this frame
+   */
+  nextFrame(enabled) {
+    const frame = this.frameIndex++;
+    const due = {};
+
+    Object.keys(this.models).forEach(name => {
+      due[name] = !!enabled[name] && frame % this.models[name].stride === 0;
+    });
+
+    return due;
+  }
+
+  /**
+   * Record how long each model took on the last frame and rebalance strides
+   *
+   * @param {Object} timings - { [modelName]: ms } for models that ran
+   */
+  recordTimings(timings) {
+    const now = Date.now();
+
+    Object.entries(timings).forEach(([name, ms]) => {
+      const model = this.models[name];
+      if (!model || typeof ms !== 'number') return;
+
+      model.latencyMs = model.latencyMs === null
+        ? ms
+        : model.latencyMs * (1 - LATENCY_SMOOTHING) + ms * LATENCY_SMOOTHING;
+
+      model.runTimestamps.push(now);
+      model.runTimestamps = model.runTimestamps.filter(t => now - t <= FPS_WINDOW_MS);
+    });
+
+    this.rebalance();
+  }
+
+  /**
+   * Average inference cost per frame given the current strides
+   */
+  getAverageFrameCost() {
+    return Object.values(this.models).reduce(
+      (total, model) => total + (model.latencyMs || 0) / model.stride,
+      0
+    );
+  }
+
+  rebalance() {
+    const cost = this.getAverageFrameCost();
+
+    if (cost > this.budgetMs) {
+      // Over budget: slow down whichever model costs the most per frame
+      const [, heaviest] = Object.entries(this.models)
+        .filter(([, model]) => model.latencyMs !== null && model.stride < MAX_STRIDE)
+        .sort(([, a], [, b]) => (b.latencyMs / b.stride) - (a.latencyMs / a.stride))[0] || [];
+
+      if (heaviest) heaviest.stride++;
+    } else if (cost < this.budgetMs * 0.7) {
+      // Comfortable headroom: speed the cheapest throttled model back up
+      const [, cheapest] = Object.entries(this.models)
+        .filter(([modelName, model]) => model.stride > DEFAULT_STRIDES[modelName])
+        .sort(([, a], [, b]) => (a.latencyMs || 0) - (b.latencyMs || 0))[0] || [];
+
+      if (cheapest) {
+        const projected = cost - cheapest.latencyMs / cheapest.stride + cheapest.latencyMs / (cheapest.stride - 1);
+        if (projected <= this.budgetMs) cheapest.stride--;
+      }
+    }
+  }
+
+  /**
+   * Effective FPS, latency and cadence per model
+   */
+  getStats() {
+    const now = Date.now();
+    const models = {};
+
+    Object.entries(this.models).forEach(([name, model]) => {
+      const recentRuns = model.runTimestamps.filter(t => now - t <= FPS_WINDOW_MS);
+      models[name] = {
+        fps: Math.round((recentRuns.length / (FPS_WINDOW_MS / 1000)) * 10) / 10,
+        latencyMs: model.latencyMs === null ? null : Math.round(model.latencyMs),
+        stride: model.stride
+      };
+    });
+
+    return {
+      intervalMs: this.getInterval(),
+      budgetMs: this.budgetMs,
+      frameCostMs: Math.round(this.getAverageFrameCost()),
+      throttledBy: this.isHidden ? 'hidden' : this.isLowBattery ? 'battery' : null,
+      models
+    };
+  }
+}
+
+export default InferenceScheduler;
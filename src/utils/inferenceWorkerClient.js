@@ -0,0 +1,101 @@
+/**
+ * FILE PATH: frontend/src/utils/inferenceWorkerClient.js
+ *
+ * Main-thread side of the inference worker protocol
+ * Wraps postMessage/onmessage in promises and handles frame capture
+ */
+
+/**
+ * Whether this browser can run inference in a worker
+ * (needs module workers, ImageBitmap transfer and OffscreenCanvas for WebGL/GPU)
+ */
+export const isWorkerInferenceSupported = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap !== 'undefined';
+
+/**
+ * Inference Worker Client Class
+ */
+export class InferenceWorkerClient {
+  constructor() {
+    this.worker = new Worker(new URL('../workers/inference.worker.js', import.meta.url));
+    this.pending = new Map();
+    this.nextRequestId = 1;
+    this.isCapturing = false;
+
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      console.error('❌ Inference worker crashed:', event.message);
+      this.rejectAll(new Error(event.message || 'Inference worker crashed'));
+    };
+  }
+
+  handleMessage(message) {
+    const request = this.pending.get(message.requestId);
+    if (!request) return;
+    this.pending.delete(message.requestId);
+
+    if (message.type === 'error') {
+      request.reject(new Error(message.message));
+    } else {
+      request.resolve(message);
+    }
+  }
+
+  rejectAll(error) {
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+  }
+
+  request(message, transfer = []) {
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(requestId, { resolve, reject });
+      this.worker.postMessage({ ...message, requestId }, transfer);
+    });
+  }
+
+  /**
+   * Load models inside the worker
+   * @returns {Promise<Object>} getLoadedModels() result from the worker
+   */
+  async init(models) {
+    const { loadedModels } = await this.request({ type: 'init', models });
+    return loadedModels;
+  }
+
+  /**
+   * Capture the current video frame and run the enabled detectors on it
+   * @returns {Promise<Object>} { faceData, faceMeshData, poseData, objectData, inferenceMs }
+   */
+  async detect(videoElement, timestamp, detectors) {
+    this.isCapturing = true;
+    let frame;
+    try {
+      frame = await createImageBitmap(videoElement);
+    } finally {
+      this.isCapturing = false;
+    }
+    return this.request({ type: 'frame', frame, timestamp, detectors }, [frame]);
+  }
+
+  /**
+   * Apply a calibration profile inside the worker (fire-and-forget)
+   */
+  setCalibration(profile) {
+    this.worker.postMessage({ type: 'calibration', profile });
+  }
+
+  get isBusy() {
+    return this.isCapturing || this.pending.size > 0;
+  }
+
+  terminate() {
+    // Terminating frees the worker's models and GPU contexts along with it
+    this.worker.terminate();
+    this.rejectAll(new Error('Inference worker terminated'));
+  }
+}
+
+export default InferenceWorkerClient;
@@ -0,0 +1,226 @@
+/**
+ * FILE PATH: frontend/src/utils/landmarkReplay.js
+ *
+ * Record and replay detector results
+ * A recording is a JSON stream of the face/face mesh/pose/object results the
+ * inference pipeline produced, with frame times relative to the start:
+ *
+ *   {
+ *     version: 1,
+ *     recordedAt: ISO string,
+ *     meta: { ... },
+ *     frames: [{ t: ms, faceData?, faceMeshData?, poseData?, objectData? }]
+ *   }
+ *
+ * A key that is missing from a frame means that detector didn't run on it,
+ * so the previous result stays current (same as the live hook's state).
+ * Replays drive MetricsPipeline with the recorded times, making them
+ * deterministic and usable in headless tests.
+ */
+
+import { MetricsPipeline } from './metricsPipeline';
+
+export const RECORDING_VERSION = 1;
+
+const RESULT_KEYS = ['faceData', 'faceMeshData', 'poseData', 'objectData'];
+
+/**
+ * Drop bulky fields the metrics don't need (478 face landmarks per frame adds up fast)
+ */
+const compactResult = (key, result, includeLandmarks) => {
+  if (!result || includeLandmarks) return result;
+
+  if (key === 'faceMeshData' || key === 'poseData') {
+    const { landmarks, ...rest } = result;
+    return rest;
+  }
+  return result;
+};
+
+/**
+ * Landmark Recorder Class
+ */
+export class LandmarkRecorder {
+  constructor({ includeLandmarks = false } = {}) {
+    this.includeLandmarks = includeLandmarks;
+    this.startedAt = null;
+    this.frames = [];
+    this.meta = {};
+  }
+
+  get isRecording() {
+    return this.startedAt !== null;
+  }
+
+  start(meta = {}, timestamp = Date.now()) {
+    this.startedAt = timestamp;
+    this.frames = [];
+    this.meta = meta;
+  }
+
+  /**
+   * Record the results produced on one frame (omit keys for detectors that didn't run)
+   */
+  record(results, timestamp = Date.now()) {
+    if (!this.isRecording) return;
+
+    const frame = { t: timestamp - this.startedAt };
+    RESULT_KEYS.forEach(key => {
+      if (results[key] !== undefined) {
+        frame[key] = compactResult(key, results[key], this.includeLandmarks);
+      }
+    });
+    this.frames.push(frame);
+  }
+
+  /**
+   * Finish and return the recording
+   */
+  stop() {
+    const recording = {
+      version: RECORDING_VERSION,
+      recordedAt: new Date(this.startedAt ?? Date.now()).toISOString(),
+      meta: this.meta,
+      frames: this.frames
+    };
+    this.startedAt = null;
+    this.frames = [];
+    return recording;
+  }
+}
+
+/**
+ * Throw if a recording can't be replayed
+ */
+export const validateRecording = (recording) => {
+  if (!recording || typeof recording !== 'object') {
+    throw new Error('Recording must be an object');
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    throw new Error(`Unsupported recording version: ${recording.version}`);
+  }
+  if (!Array.isArray(recording.frames)) {
+    throw new Error('Recording has no frames');
+  }
+
+  let previous = -Infinity;
+  recording.frames.forEach((frame, index) => {
+    if (typeof frame.t !== 'number' || frame.t < previous) {
+      throw new Error(`Frame ${index} has a missing or out-of-order timestamp`);
+    }
+    previous = frame.t;
+  });
+
+  return recording;
+};
+
+/**
+ * Replay a recording synchronously through a MetricsPipeline
+ *
+ * @param {Object} recording - See file header
+ * @param {Object} options - { pipeline, onFrame(metrics, state, frame) }
+ * @returns {Object} { metrics, blinkRate, attentionRate, averagePostureScore, distractionCount, durationMs }
+ */
+export const replayRecording = (recording, { pipeline = new MetricsPipeline(), onFrame } = {}) => {
+  validateRecording(recording);
+
+  const state = { faceData: null, faceMeshData: null, poseData: null, objectData: null };
+  const metrics = [];
+  let lastT = 0;
+
+  recording.frames.forEach(frame => {
+    RESULT_KEYS.forEach(key => {
+      if (frame[key] !== undefined) state[key] = frame[key];
+    });
+
+    if (frame.faceMeshData !== undefined) pipeline.trackBlink(frame.faceMeshData, frame.t);
+
+    const frameMetrics = pipeline.calculate(state.faceData, state.faceMeshData, state.poseData, state.objectData, frame.t);
+    metrics.push(frameMetrics);
+    lastT = frame.t;
+
+    if (onFrame) onFrame(frameMetrics, state, frame);
+  });
+
+  return {
+    metrics,
+    blinkRate: pipeline.getBlinkRate(lastT),
+    attentionRate: pipeline.getAttentionRate(),
+    averagePostureScore: pipeline.getAveragePostureScore(),
+    distractionCount: pipeline.getDistractionCount(),
+    durationMs: lastT
+  };
+};
+
+/**
+ * Play a recording back in (scaled) real time
+ *
+ * @param {Object} recording - See file header
+ * @param {Object} options - { speed, loop, onFrame(frame, t), onEnd() }
+ * @returns {Object} { stop() }
+ */
+export const playRecording = (recording, { speed = 1, loop = false, onFrame, onEnd } = {}) => {
+  validateRecording(recording);
+
+  const frames = recording.frames;
+  const duration = frames.length > 0 ? frames[frames.length - 1].t : 0;
+  let index = 0;
+  let offset = 0;   // Added to frame times on each loop so time keeps moving forward
+  let timer = null;
+  let stopped = false;
+
+  const scheduleNext = (previousT) => {
+    if (stopped) return;
+
+    if (index >= frames.length) {
+      if (!loop || frames.length === 0) {
+        if (onEnd) onEnd();
+        return;
+      }
+      index = 0;
+      offset += duration + 1;
+    }
+
+    const frame = frames[index];
+    const delay = Math.max(0, (frame.t + offset - previousT) / speed);
+
+    timer = setTimeout(() => {
+      index++;
+      if (onFrame) onFrame(frame, frame.t + offset);
+      scheduleNext(frame.t + offset);
+    }, delay);
+  };
+
+  scheduleNext(frames[0]?.t || 0);
+
+  return {
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+};
+
+/**
+ * Save a recording as a JSON file
+ */
+export const downloadRecording = (recording, filename = `landmarks_${Date.now()}.json`) => {
+  const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const landmarkReplay = {
+  RECORDING_VERSION,
+  LandmarkRecorder,
+  validateRecording,
+  replayRecording,
+  playRecording,
+  downloadRecording
+};
+
+export default landmarkReplay;
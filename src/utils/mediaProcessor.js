@@ -1,6 +1,7 @@
 // mediaProcessor.js - Utility functions for webcam and media processing
 
 import * as tf from '@tensorflow/tfjs';
+import { scoreEngagement, blinkRateScore, activityScore } from './engagementScoring';
 
 /**
  * Initialize TensorFlow.js
@@ -226,35 +227,25 @@ export const checkForDistractions = (predictions) => {
 };
 
 /**
- * Calculate engagement score based on multiple metrics
+ * Calculate engagement score based on multiple metrics (shared scoring engine)
  */
-export const calculateEngagementScore = (metrics) => {
+export const calculateEngagementScore = (metrics, weights) => {
   const {
     presenceTime = 0,
     totalTime = 1,
     highlightCount = 0,
     pageChanges = 0,
     goodPostureTime = 0,
-    blinkRate = 15
+    blinkRate = 15,
+    durationMinutes = null
   } = metrics;
 
-  // Normalize metrics (0-1 scale)
-  const presenceScore = Math.min(presenceTime / totalTime, 1.0);
-  const activityScore = Math.min((highlightCount * 2 + pageChanges) / 50, 1.0);
-  const postureScore = Math.min(goodPostureTime / totalTime, 1.0);
-  
-  // Blink rate score (optimal 15-20 blinks/min)
-  const blinkScore = blinkRate >= 10 && blinkRate <= 25 ? 1.0 : 0.5;
-
-  // Weighted average
-  const engagementScore = (
-    presenceScore * 0.4 +
-    activityScore * 0.3 +
-    postureScore * 0.2 +
-    blinkScore * 0.1
-  );
-
-  return Math.round(engagementScore * 100);
+  return scoreEngagement({
+    presence: Math.min(presenceTime / totalTime, 1.0) * 100,
+    posture: Math.min(goodPostureTime / totalTime, 1.0) * 100,
+    blinkHealth: blinkRateScore(blinkRate),
+    activity: activityScore(highlightCount + pageChanges, durationMinutes)
+  }, weights).score;
 };
 
 /**
@@ -358,7 +349,8 @@ export const createSessionSummary = (sessionData) => {
     highlightCount: highlights.length,
     pageChanges: totalPages,
     goodPostureTime: goodPostureTime,
-    blinkRate
+    blinkRate,
+    durationMinutes: duration / 60
   });
 
   return {
@@ -4,52 +4,21 @@
  * into derived, aggregate analytics for real-time display, using NAMED EXPORTS.
  */
 
-// Weights for the overall Engagement Score calculation
-const ENGAGEMENT_WEIGHTS = {
-    attentionRate: 0.5,
-    postureScore: 0.3,
-    blinkRateCompliance: 0.2,
-};
-
-// Ideal blink rate range in BPM
-const IDEAL_BLINK_RATE_MIN = 15;
-const IDEAL_BLINK_RATE_MAX = 25;
-
-/**
- * Calculates a score (0-100) based on how compliant the current blink rate is 
- * with the ideal range (15-25 BPM).
- * @param {number} blinkRate Current blink rate in BPM.
- * @returns {number} Compliance score (0 to 100).
- */
-const calculateBlinkCompliance = (blinkRate) => {
-    if (blinkRate >= IDEAL_BLINK_RATE_MIN && blinkRate <= IDEAL_BLINK_RATE_MAX) {
-        return 100;
-    }
-    
-    // Scale compliance penalty based on distance from the ideal range
-    const distanceToIdeal = Math.min(
-        Math.abs(blinkRate - IDEAL_BLINK_RATE_MIN),
-        Math.abs(blinkRate - IDEAL_BLINK_RATE_MAX)
-    );
-    
-    // Max penalty at 50 BPM difference
-    const MAX_DISTANCE = 50; 
-    const penalty = Math.min(distanceToIdeal / MAX_DISTANCE, 1);
-    
-    return Math.max(0, 100 * (1 - penalty));
-};
+import { scoreEngagement, sampleFactors, DEFAULT_ENGAGEMENT_WEIGHTS } from './engagementScoring';
 
 /**
  * Calculates aggregate analytics based on a history of raw metric data.
  * * This function is now correctly exported as a NAMED EXPORT.
  * @param {Array<Object>} metricsHistory Array of raw metric objects ({..., timestamp})
  * @param {number} startTime Timestamp of when the session started
+ * @param {Object} weights Engagement weights (room's or default), see engagementScoring
  * @returns {Object} Calculated aggregate analytics
  */
-export const calculateCurrentAnalytics = (metricsHistory, startTime) => {
+export const calculateCurrentAnalytics = (metricsHistory, startTime, weights = DEFAULT_ENGAGEMENT_WEIGHTS) => {
     if (!metricsHistory || metricsHistory.length === 0) {
         return {
             engagementScore: 0,
+            engagementBreakdown: [],
             attentionRate: 0,
             blinkRate: 0,
             distractionCount: 0,
@@ -59,7 +28,6 @@ export const calculateCurrentAnalytics = (metricsHistory, startTime) => {
 
     const totalMetrics = metricsHistory.length;
     let focusedCount = 0;
-    let postureScoreSum = 0;
     let totalBlinks = 0;
     let distractionCount = 0;
     
@@ -77,9 +45,6 @@ export const calculateCurrentAnalytics = (metricsHistory, startTime) => {
             focusedCount++;
         }
 
-        // Posture (based on postureScore property from backend)
-        postureScoreSum += metric.data.postureScore || 0; 
-        
         // Blink Rate (based on blinkRate property from backend, use a cumulative sum for average)
         totalBlinks += metric.data.blinkRate || 0;
         
@@ -98,24 +63,18 @@ export const calculateCurrentAnalytics = (metricsHistory, startTime) => {
     // 2. Calculate Averages and Rates
     
     const attentionRate = Math.round((focusedCount / totalMetrics) * 100);
-    const avgPostureScore = postureScoreSum / totalMetrics;
     const avgBlinkRateBPM = Math.round(totalBlinks / totalMetrics); 
-    
-    const blinkComplianceScore = calculateBlinkCompliance(avgBlinkRateBPM);
 
-    // 3. Calculate Overall Engagement Score (Composite Score)
-    const engagementScore = Math.round(
-        (attentionRate * ENGAGEMENT_WEIGHTS.attentionRate) +
-        (avgPostureScore * ENGAGEMENT_WEIGHTS.postureScore) +
-        (blinkComplianceScore * ENGAGEMENT_WEIGHTS.blinkRateCompliance)
-    );
+    // 3. Overall Engagement Score (shared scoring engine)
+    const engagement = scoreEngagement(sampleFactors(metricsHistory.map(metric => metric.data)), weights);
     
     // 4. Calculate Duration
     const durationSeconds = Math.round((Date.now() - startTime) / 1000);
 
     // 5. Return Final Analytics
     return {
-        engagementScore: Math.min(100, Math.max(0, engagementScore)),
+        engagementScore: engagement.score,
+        engagementBreakdown: engagement.breakdown,
         attentionRate: attentionRate,
         blinkRate: avgBlinkRateBPM,
         distractionCount: distractionCount,
@@ -0,0 +1,148 @@
+/**
+ * FILE PATH: frontend/src/utils/metricsPipeline.js
+ *
+ * Per-frame metrics pipeline shared by live inference and recorded replays
+ * Turns face/face mesh/pose/object results into the metrics useMediaPipe
+ * exposes (engagement, attention, blink rate, posture, distractions).
+ * Every method takes the frame timestamp explicitly, so a replayed recording
+ * produces exactly the same numbers on every run.
+ */
+
+import { scoreEngagement, frameFactors, DEFAULT_ENGAGEMENT_WEIGHTS } from './engagementScoring';
+
+const WINDOW_MS = 60000;          // Attention and blink rate look at the last minute
+const BLINK_DEBOUNCE_MS = 200;    // One blink spans several frames
+const MIN_BLINK_WINDOW_MINUTES = 0.1;
+const BLINK_SETTLE_MS = 30000;    // Blink rate only counts towards engagement once it means something
+
+/**
+ * Metrics Pipeline Class
+ */
+export class MetricsPipeline {
+  constructor({ weights = DEFAULT_ENGAGEMENT_WEIGHTS } = {}) {
+    this.weights = weights;
+    this.reset();
+  }
+
+  /**
+   * Engagement weights (see utils/engagementScoring), e.g. the room's
+   */
+  setWeights(weights) {
+    this.weights = weights || DEFAULT_ENGAGEMENT_WEIGHTS;
+  }
+
+  reset() {
+    this.startedAt = null;
+    this.blinkTimestamps = [];
+    this.lastBlinkAt = -Infinity;
+    this.attentionHistory = [];   // { timestamp, attentive }
+    this.postureSum = 0;
+    this.postureSamples = 0;
+    this.distractionCount = 0;
+    this.isDistracted = false;
+  }
+
+  markStart(timestamp) {
+    if (this.startedAt === null) this.startedAt = timestamp;
+  }
+
+  /**
+   * Count blinks from a face mesh result (debounced)
+   */
+  trackBlink(faceMeshData, timestamp) {
+    this.markStart(timestamp);
+    if (faceMeshData?.isBlink && timestamp - this.lastBlinkAt > BLINK_DEBOUNCE_MS) {
+      this.blinkTimestamps.push(timestamp);
+      this.lastBlinkAt = timestamp;
+    }
+    this.blinkTimestamps = this.blinkTimestamps.filter(t => timestamp - t <= WINDOW_MS);
+  }
+
+  /**
+   * Calculate metrics for the current detection results
+   *
+   * @returns {Object} Metrics in the shape useMediaPipe exposes as `metrics`
+   */
+  calculate(faceData, faceMeshData, poseData, objectData, timestamp) {
+    this.markStart(timestamp);
+
+    const metrics = {
+      faceDetected: faceData?.faceDetected || false,
+      faceCount: faceData?.faceCount || 0,
+      lookingAtScreen: faceMeshData?.isLookingAtScreen || false,
+      eyeAspectRatio: faceMeshData?.eyeAspectRatio || 0,
+      blinkDetected: faceMeshData?.isBlink || false,
+      headPose: faceMeshData?.headPose || null,
+      gazeDirection: faceMeshData?.gazeDirection || null,
+      postureScore: poseData?.posture?.score || 0,
+      postureQuality: poseData?.posture?.quality || 'unknown',
+      neckAngle: poseData?.posture?.neckAngle || 0,
+      backAngle: poseData?.posture?.backAngle || 0,
+      shoulderAlignment: poseData?.posture?.shoulderAlignment || 0,
+      objectsDetected: objectData?.objectTypes || [],
+      hasPhone: objectData?.hasPhone || false,
+      hasDistractingObject: objectData?.hasDistractingObject || false,
+      engagementScore: 0,
+      engagementBreakdown: [],
+      timestamp
+    };
+
+    const blinkSettled = timestamp - this.startedAt >= BLINK_SETTLE_MS;
+    const engagement = scoreEngagement(frameFactors(metrics, {
+      hasPose: !!poseData?.posture,
+      blinkRate: blinkSettled ? this.getBlinkRate(timestamp) : null
+    }), this.weights);
+    metrics.engagementScore = engagement.score;
+    metrics.engagementBreakdown = engagement.breakdown;
+
+    // Track attention over time
+    this.attentionHistory.push({
+      timestamp,
+      attentive: metrics.lookingAtScreen && metrics.faceDetected
+    });
+    this.attentionHistory = this.attentionHistory.filter(item => item.timestamp > timestamp - WINDOW_MS);
+
+    if (poseData?.posture) {
+      this.postureSum += metrics.postureScore;
+      this.postureSamples++;
+    }
+
+    // A distraction is one continuous stretch with a phone in view
+    if (metrics.hasPhone && !this.isDistracted) this.distractionCount++;
+    this.isDistracted = metrics.hasPhone;
+
+    return metrics;
+  }
+
+  /**
+   * Blinks per minute over the last minute (or since start, if shorter)
+   */
+  getBlinkRate(timestamp) {
+    if (this.startedAt === null) return 0;
+    const recent = this.blinkTimestamps.filter(t => timestamp - t <= WINDOW_MS).length;
+    const windowMinutes = Math.min(timestamp - this.startedAt, WINDOW_MS) / 60000;
+    return Math.round(recent / Math.max(windowMinutes, MIN_BLINK_WINDOW_MINUTES));
+  }
+
+  /**
+   * Attention percentage (last 60 seconds)
+   */
+  getAttentionRate() {
+    if (this.attentionHistory.length === 0) return 0;
+    const attentiveCount = this.attentionHistory.filter(item => item.attentive).length;
+    return Math.round((attentiveCount / this.attentionHistory.length) * 100);
+  }
+
+  /**
+   * Average posture score over every frame with a pose result
+   */
+  getAveragePostureScore() {
+    return this.postureSamples > 0 ? Math.round(this.postureSum / this.postureSamples) : 0;
+  }
+
+  getDistractionCount() {
+    return this.distractionCount;
+  }
+}
+
+export default MetricsPipeline;
@@ -15,6 +15,13 @@ import {
   Results as FaceResults,
   Results as PoseResults
 } from '@mediapipe/tasks-vision';
+import {
+  MODEL_REGISTRY,
+  fetchModelAsset,
+  getVisionFileset,
+  createVerifiedGraphModelHandler
+} from './modelRegistry';
+import { isLookingAtScreenCalibrated, getBlinkEarThreshold } from './calibration';
 
 /**
  * ML Models Manager Class
@@ -37,17 +44,29 @@ class MLModelsManager {
     };
 
     this.loadingPromises = {};
+    this.visionFilesetPromise = null;
+
+    // Per-student gaze/blink calibration (null = fixed default thresholds)
+    this.calibrationProfile = null;
+
+    // Per-model load status reported through getLoadedModels()
+    this.modelStatus = {
+      faceDetection: { state: 'idle' },
+      faceMesh: { state: 'idle' },
+      pose: { state: 'idle' },
+      cocoSsd: { state: 'idle' }
+    };
     
-    // MediaPipe configuration
+    // MediaPipe configuration (model files come from the self-hosted registry)
     this.mediaPipeConfig = {
       faceDetection: {
-        modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_detector/blaze_face_short_range/float16/1/blaze_face_short_range.tflite',
+        modelAssetPath: MODEL_REGISTRY.faceDetection,
         delegate: 'GPU',
         minDetectionConfidence: 0.5,
         minSuppressionThreshold: 0.3
       },
       faceMesh: {
-        modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
+        modelAssetPath: MODEL_REGISTRY.faceMesh,
         delegate: 'GPU',
         numFaces: 1,
         minFaceDetectionConfidence: 0.5,
@@ -57,7 +76,7 @@ class MLModelsManager {
         outputFacialTransformationMatrixes: true
       },
       pose: {
-        modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task',
+        modelAssetPath: MODEL_REGISTRY.pose,
         delegate: 'GPU',
         numPoses: 1,
         minPoseDetectionConfidence: 0.5,
@@ -106,6 +125,28 @@ class MLModelsManager {
     }
   }
 
+  /**
+   * Shared MediaPipe WASM runtime (verified once, reused by every task)
+   */
+  async getVisionFileset() {
+    if (!this.visionFilesetPromise) {
+      this.visionFilesetPromise = getVisionFileset()
+        .then(({ fileset }) => fileset)
+        .catch(error => {
+          this.visionFilesetPromise = null;
+          throw error;
+        });
+    }
+    return this.visionFilesetPromise;
+  }
+
+  /**
+   * Update load status for a single model
+   */
+  setModelStatus(modelName, status) {
+    this.modelStatus[modelName] = { ...status, updatedAt: Date.now() };
+  }
+
   /**
    * Load MediaPipe Face Detection
    */
@@ -122,15 +163,16 @@ class MLModelsManager {
       try {
         console.log('🔧 Loading MediaPipe Face Detection...');
 
-        const { FaceDetector, FilesetResolver } = await import('@mediapipe/tasks-vision');
-        
-        const vision = await FilesetResolver.forVisionTasks(
-          'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-        );
+        const startTime = Date.now();
+        this.setModelStatus('faceDetection', { state: 'loading' });
+
+        const { FaceDetector } = await import('@mediapipe/tasks-vision');
+        const vision = await this.getVisionFileset();
+        const modelAsset = await fetchModelAsset(this.mediaPipeConfig.faceDetection.modelAssetPath);
 
         this.models.faceDetection = await FaceDetector.createFromOptions(vision, {
           baseOptions: {
-            modelAssetPath: this.mediaPipeConfig.faceDetection.modelAssetPath,
+            modelAssetBuffer: new Uint8Array(modelAsset.buffer),
             delegate: this.mediaPipeConfig.faceDetection.delegate
           },
           runningMode: 'VIDEO',
@@ -138,12 +180,19 @@ class MLModelsManager {
         });
 
         this.isInitialized.faceDetection = true;
+        this.setModelStatus('faceDetection', {
+          state: 'loaded',
+          source: modelAsset.source,
+          loadTimeMs: Date.now() - startTime
+        });
         console.log('✅ Face Detection loaded');
         
         return this.models.faceDetection;
       } catch (error) {
         console.error('❌ Failed to load Face Detection:', error);
         this.isInitialized.faceDetection = false;
+        this.setModelStatus('faceDetection', { state: 'error', error: error.message });
+        this.loadingPromises.faceDetection = null; // Allow a retry
         throw error;
       }
     })();
@@ -167,15 +216,16 @@ class MLModelsManager {
       try {
         console.log('🔧 Loading MediaPipe Face Mesh...');
 
-        const { FaceLandmarker, FilesetResolver } = await import('@mediapipe/tasks-vision');
-        
-        const vision = await FilesetResolver.forVisionTasks(
-          'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-        );
+        const startTime = Date.now();
+        this.setModelStatus('faceMesh', { state: 'loading' });
+
+        const { FaceLandmarker } = await import('@mediapipe/tasks-vision');
+        const vision = await this.getVisionFileset();
+        const modelAsset = await fetchModelAsset(this.mediaPipeConfig.faceMesh.modelAssetPath);
 
         this.models.faceMesh = await FaceLandmarker.createFromOptions(vision, {
           baseOptions: {
-            modelAssetPath: this.mediaPipeConfig.faceMesh.modelAssetPath,
+            modelAssetBuffer: new Uint8Array(modelAsset.buffer),
             delegate: this.mediaPipeConfig.faceMesh.delegate
           },
           runningMode: 'VIDEO',
@@ -188,12 +238,19 @@ class MLModelsManager {
         });
 
         this.isInitialized.faceMesh = true;
+        this.setModelStatus('faceMesh', {
+          state: 'loaded',
+          source: modelAsset.source,
+          loadTimeMs: Date.now() - startTime
+        });
         console.log('✅ Face Mesh loaded');
         
         return this.models.faceMesh;
       } catch (error) {
         console.error('❌ Failed to load Face Mesh:', error);
         this.isInitialized.faceMesh = false;
+        this.setModelStatus('faceMesh', { state: 'error', error: error.message });
+        this.loadingPromises.faceMesh = null; // Allow a retry
         throw error;
       }
     })();
@@ -217,15 +274,16 @@ class MLModelsManager {
       try {
         console.log('🔧 Loading MediaPipe Pose Estimation...');
 
-        const { PoseLandmarker, FilesetResolver } = await import('@mediapipe/tasks-vision');
-        
-        const vision = await FilesetResolver.forVisionTasks(
-          'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@latest/wasm'
-        );
+        const startTime = Date.now();
+        this.setModelStatus('pose', { state: 'loading' });
+
+        const { PoseLandmarker } = await import('@mediapipe/tasks-vision');
+        const vision = await this.getVisionFileset();
+        const modelAsset = await fetchModelAsset(this.mediaPipeConfig.pose.modelAssetPath);
 
         this.models.pose = await PoseLandmarker.createFromOptions(vision, {
           baseOptions: {
-            modelAssetPath: this.mediaPipeConfig.pose.modelAssetPath,
+            modelAssetBuffer: new Uint8Array(modelAsset.buffer),
             delegate: this.mediaPipeConfig.pose.delegate
           },
           runningMode: 'VIDEO',
@@ -236,12 +294,19 @@ class MLModelsManager {
         });
 
         this.isInitialized.pose = true;
+        this.setModelStatus('pose', {
+          state: 'loaded',
+          source: modelAsset.source,
+          loadTimeMs: Date.now() - startTime
+        });
         console.log('✅ Pose Estimation loaded');
         
         return this.models.pose;
       } catch (error) {
         console.error('❌ Failed to load Pose Estimation:', error);
         this.isInitialized.pose = false;
+        this.setModelStatus('pose', { state: 'error', error: error.message });
+        this.loadingPromises.pose = null; // Allow a retry
         throw error;
       }
     })();
@@ -264,20 +329,32 @@ class MLModelsManager {
     this.loadingPromises.cocoSsd = (async () => {
       try {
         console.log('🔧 Loading COCO-SSD Object Detection...');
+        const startTime = Date.now();
+        this.setModelStatus('cocoSsd', { state: 'loading' });
         
         await this.initializeTensorFlow();
         
+        // coco-ssd passes modelUrl straight to loadGraphModel, which accepts an IOHandler
+        const modelHandler = createVerifiedGraphModelHandler(MODEL_REGISTRY.cocoSsd);
         this.models.cocoSsd = await cocoSsd.load({
-          base: 'lite_mobilenet_v2' // Faster, lighter model
+          base: 'lite_mobilenet_v2', // Faster, lighter model
+          modelUrl: modelHandler
         });
 
         this.isInitialized.cocoSsd = true;
+        this.setModelStatus('cocoSsd', {
+          state: 'loaded',
+          source: modelHandler.source,
+          loadTimeMs: Date.now() - startTime
+        });
         console.log('✅ Object Detection loaded');
         
         return this.models.cocoSsd;
       } catch (error) {
         console.error('❌ Failed to load Object Detection:', error);
         this.isInitialized.cocoSsd = false;
+        this.setModelStatus('cocoSsd', { state: 'error', error: error.message });
+        this.loadingPromises.cocoSsd = null; // Allow a retry
         throw error;
       }
     })();
@@ -434,8 +511,8 @@ class MLModelsManager {
       eyeAspectRatio: ear,
       headPose,
       gazeDirection,
-      isBlink: ear < 0.2,
-      isLookingAtScreen: Math.abs(gazeDirection.horizontal) < 0.3 && Math.abs(gazeDirection.vertical) < 0.3
+      isBlink: ear < getBlinkEarThreshold(this.calibrationProfile),
+      isLookingAtScreen: isLookingAtScreenCalibrated(gazeDirection, headPose, this.calibrationProfile)
     };
   }
 
@@ -662,6 +739,13 @@ class MLModelsManager {
     return (visibleCount / landmarks.length).toFixed(2);
   }
 
+  /**
+   * Apply a per-student calibration profile (or null to use default thresholds)
+   */
+  setCalibrationProfile(profile) {
+    this.calibrationProfile = profile || null;
+  }
+
   /**
    * Get status of all loaded models
    */
@@ -671,7 +755,13 @@ class MLModelsManager {
       faceMesh: this.isInitialized.faceMesh,
       pose: this.isInitialized.pose,
       objectDetection: this.isInitialized.cocoSsd,
-      tensorflow: this.isInitialized.tensorflow
+      tensorflow: this.isInitialized.tensorflow,
+      status: {
+        faceDetection: this.modelStatus.faceDetection,
+        faceMesh: this.modelStatus.faceMesh,
+        pose: this.modelStatus.pose,
+        objectDetection: this.modelStatus.cocoSsd
+      }
     };
   }
 
@@ -718,6 +808,10 @@ class MLModelsManager {
     Object.keys(this.isInitialized).forEach(key => {
       this.isInitialized[key] = false;
     });
+    Object.keys(this.modelStatus).forEach(key => {
+      this.modelStatus[key] = { state: 'idle' };
+    });
+    this.loadingPromises = {};
 
     console.log('✅ Models unloaded');
   }
@@ -0,0 +1,206 @@
+/**
+ * FILE PATH: frontend/src/utils/modelRegistry.js
+ *
+ * Self-hosted ML model registry
+ * Resolves every model file and the MediaPipe WASM runtime against the app's
+ * own origin (or REACT_APP_MODEL_BASE_URL), verifies them against the SHA-256
+ * hashes in `manifest.json` and keeps verified copies in Cache Storage.
+ *
+ * Populate `public/models` with `npm run models:fetch`.
+ */
+
+import * as tf from '@tensorflow/tfjs';
+
+export const MODEL_BASE_URL = (
+  process.env.REACT_APP_MODEL_BASE_URL || `${process.env.PUBLIC_URL || ''}/models`
+).replace(/\/$/, '');
+
+const CACHE_PREFIX = 'studyguardian-models-';
+
+/**
+ * Model files, relative to MODEL_BASE_URL
+ */
+export const MODEL_REGISTRY = {
+  wasm: {
+    simd: {
+      loader: 'mediapipe/wasm/vision_wasm_internal.js',
+      binary: 'mediapipe/wasm/vision_wasm_internal.wasm'
+    },
+    noSimd: {
+      loader: 'mediapipe/wasm/vision_wasm_nosimd_internal.js',
+      binary: 'mediapipe/wasm/vision_wasm_nosimd_internal.wasm'
+    }
+  },
+  faceDetection: 'mediapipe/blaze_face_short_range.tflite',
+  faceMesh: 'mediapipe/face_landmarker.task',
+  pose: 'mediapipe/pose_landmarker_lite.task',
+  cocoSsd: 'coco-ssd/ssdlite_mobilenet_v2/model.json'
+};
+
+let manifestPromise = null;
+
+/**
+ * Load `manifest.json` ({ version, files: { [path]: sha256 } })
+ */
+export const loadManifest = () => {
+  if (manifestPromise) return manifestPromise;
+
+  manifestPromise = (async () => {
+    const response = await fetch(`${MODEL_BASE_URL}/manifest.json`, { cache: 'no-cache' });
+    if (!response.ok) {
+      throw new Error(`Model manifest not found at ${MODEL_BASE_URL}/manifest.json (HTTP ${response.status})`);
+    }
+
+    const manifest = await response.json();
+    await pruneOldCaches(manifest.version);
+    return manifest;
+  })();
+
+  // Allow a retry after a failed manifest fetch
+  manifestPromise.catch(() => { manifestPromise = null; });
+
+  return manifestPromise;
+};
+
+const getCacheName = (version) => `${CACHE_PREFIX}${version}`;
+
+/**
+ * Drop caches left behind by older manifest versions
+ */
+const pruneOldCaches = async (version) => {
+  if (typeof caches === 'undefined') return;
+
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter(name => name.startsWith(CACHE_PREFIX) && name !== getCacheName(version))
+      .map(name => caches.delete(name))
+  );
+};
+
+/**
+ * Compute hex SHA-256 of a buffer
+ */
+const sha256 = async (buffer) => {
+  const digest = await crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest))
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Fetch a model file, verifying its hash and caching it in Cache Storage
+ *
+ * @param {string} path - Path relative to MODEL_BASE_URL
+ * @returns {Promise<{ buffer: ArrayBuffer, source: 'cache' | 'network' }>}
+ */
+export const fetchModelAsset = async (path) => {
+  const manifest = await loadManifest();
+  const expectedHash = manifest.files?.[path];
+  if (!expectedHash) {
+    throw new Error(`No integrity hash for ${path} in model manifest`);
+  }
+
+  const url = `${MODEL_BASE_URL}/${path}`;
+  const cache = typeof caches !== 'undefined' ? await caches.open(getCacheName(manifest.version)) : null;
+
+  if (cache) {
+    const cached = await cache.match(url);
+    if (cached) {
+      const buffer = await cached.arrayBuffer();
+      // Cache Storage can be edited from devtools - re-verify before trusting it
+      if (await sha256(buffer) === expectedHash) {
+        return { buffer, source: 'cache' };
+      }
+      console.warn(`⚠️ Cached ${path} failed integrity check, refetching`);
+      await cache.delete(url);
+    }
+  }
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url} (HTTP ${response.status})`);
+  }
+
+  const buffer = await response.arrayBuffer();
+  const actualHash = await sha256(buffer);
+  if (actualHash !== expectedHash) {
+    throw new Error(`Integrity check failed for ${path}: expected ${expectedHash}, got ${actualHash}`);
+  }
+
+  if (cache) {
+    await cache.put(url, new Response(buffer, {
+      headers: { 'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream' }
+    }));
+  }
+
+  return { buffer, source: 'network' };
+};
+
+/**
+ * Build the MediaPipe WasmFileset from verified, cached runtime files.
+ * The files are handed to MediaPipe as blob URLs so nothing is fetched twice.
+ */
+export const getVisionFileset = async () => {
+  const { FilesetResolver } = await import('@mediapipe/tasks-vision');
+  const files = (await FilesetResolver.isSimdSupported())
+    ? MODEL_REGISTRY.wasm.simd
+    : MODEL_REGISTRY.wasm.noSimd;
+
+  const [loader, binary] = await Promise.all([
+    fetchModelAsset(files.loader),
+    fetchModelAsset(files.binary)
+  ]);
+
+  return {
+    fileset: {
+      wasmLoaderPath: URL.createObjectURL(new Blob([loader.buffer], { type: 'text/javascript' })),
+      wasmBinaryPath: URL.createObjectURL(new Blob([binary.buffer], { type: 'application/wasm' }))
+    },
+    source: loader.source === 'cache' && binary.source === 'cache' ? 'cache' : 'network'
+  };
+};
+
+/**
+ * tfjs IOHandler that loads a graph model (model.json + weight shards)
+ * through fetchModelAsset, so coco-ssd gets the same integrity/caching
+ */
+export const createVerifiedGraphModelHandler = (modelJsonPath) => {
+  const baseDir = modelJsonPath.substring(0, modelJsonPath.lastIndexOf('/') + 1);
+  const handler = { source: 'cache' };
+
+  handler.load = async () => {
+    const modelJsonAsset = await fetchModelAsset(modelJsonPath);
+    if (modelJsonAsset.source === 'network') handler.source = 'network';
+    const modelJSON = JSON.parse(new TextDecoder().decode(modelJsonAsset.buffer));
+
+    return tf.io.getModelArtifactsForJSON(modelJSON, async (weightsManifest) => {
+      const weightSpecs = [];
+      const shards = [];
+
+      for (const group of weightsManifest) {
+        weightSpecs.push(...group.weights);
+        for (const shardPath of group.paths) {
+          const shard = await fetchModelAsset(`${baseDir}${shardPath}`);
+          if (shard.source === 'network') handler.source = 'network';
+          shards.push(shard.buffer);
+        }
+      }
+
+      return [weightSpecs, tf.io.concatenateArrayBuffers(shards)];
+    });
+  };
+
+  return handler;
+};
+
+const modelRegistry = {
+  MODEL_BASE_URL,
+  MODEL_REGISTRY,
+  loadManifest,
+  fetchModelAsset,
+  getVisionFileset,
+  createVerifiedGraphModelHandler
+};
+
+export default modelRegistry;
@@ -0,0 +1,265 @@
+/**
+ * FILE PATH: frontend/src/utils/monitoringPolicy.js
+ *
+ * Per-room monitoring policy
+ * Set by the teacher in RoomCreation and stored with the room as
+ * `monitoring_policy`; the student's WebcamMonitor applies it on joining:
+ *
+ *   {
+ *     weights:    engagement weights (see utils/engagementScoring)
+ *     thresholds: { minBlinkRate, maxBlinkRate, minPostureScore, absenceSeconds }
+ *     detectors:  { faceMesh, pose, objects, audio }
+ *     alertRules: [{ type, enabled, severity, minutes, count?, threshold? }]
+ *   }
+ *
+ * Rooms without a policy (or with an incomplete one) fall back to the defaults.
+ */
+
+import { DEFAULT_ENGAGEMENT_WEIGHTS, normalizeEngagementWeights } from './engagementScoring';
+
+export const MONITORING_DETECTORS = {
+  faceMesh: { label: 'Face mesh', description: 'Gaze, blinks, drowsiness and mood' },
+  pose: { label: 'Pose', description: 'Posture' },
+  objects: { label: 'Object detection (COCO-SSD)', description: 'Phones, books and other objects' },
+  audio: { label: 'Audio level', description: 'Background noise and talking - level only, never recorded' }
+};
+
+// Engagement factors that can't be measured without a detector
+const DETECTOR_FACTORS = {
+  faceMesh: ['attention', 'blinkHealth'],
+  pose: ['posture'],
+  objects: ['focus']
+};
+
+export const ALERT_SEVERITIES = ['low', 'medium', 'high'];
+
+export const ALERT_RULE_TYPES = {
+  absence: {
+    label: 'Absent',
+    detector: null,
+    defaults: { severity: 'high', minutes: 2 },
+    describe: (rule) => `Away from the camera for more than ${rule.minutes} min`
+  },
+  distraction: {
+    label: 'Phone use',
+    detector: 'objects',
+    defaults: { severity: 'medium', count: 3, minutes: 10 },
+    describe: (rule) => `Phone detected ${rule.count} times in ${rule.minutes} min`
+  },
+  low_engagement: {
+    label: 'Low engagement',
+    detector: null,
+    defaults: { severity: 'medium', threshold: 40, minutes: 5 },
+    describe: (rule) => `Engagement below ${rule.threshold}% for ${rule.minutes} min`
+  },
+  fatigue: {
+    label: 'Fatigue',
+    detector: 'faceMesh',
+    defaults: { severity: 'high', minutes: 2 },
+    describe: (rule) => `High drowsiness for ${rule.minutes} min`
+  },
+  poor_posture: {
+    label: 'Poor posture',
+    detector: 'pose',
+    defaults: { severity: 'low', minutes: 10 },
+    describe: (rule) => `Posture below the threshold for ${rule.minutes} min`
+  }
+};
+
+export const DEFAULT_MONITORING_THRESHOLDS = {
+  minBlinkRate: 10,      // Blinks/min; fewer suggests eye strain
+  maxBlinkRate: 30,      // Blinks/min; more suggests irritation or fatigue
+  minPostureScore: 50,
+  absenceSeconds: 30     // Face missing this long counts as absent
+};
+
+export const DEFAULT_MONITORING_POLICY = {
+  weights: DEFAULT_ENGAGEMENT_WEIGHTS,
+  thresholds: DEFAULT_MONITORING_THRESHOLDS,
+  detectors: { faceMesh: true, pose: true, objects: true, audio: false },
+  alertRules: Object.entries(ALERT_RULE_TYPES).map(([type, definition]) => ({
+    type,
+    enabled: true,
+    ...definition.defaults
+  }))
+};
+
+/**
+ * Starting points for common kinds of room
+ */
+export const MONITORING_PRESETS = {
+  balanced: {
+    label: 'Balanced',
+    policy: DEFAULT_MONITORING_POLICY
+  },
+  creative: {
+    label: 'Creative / practical',
+    policy: {
+      weights: { ...DEFAULT_ENGAGEMENT_WEIGHTS, posture: 0, blinkHealth: 0.05, activity: 0.15 },
+      detectors: { faceMesh: true, pose: false, objects: true, audio: false },
+      alertRules: DEFAULT_MONITORING_POLICY.alertRules.map(rule =>
+        rule.type === 'poor_posture' ? { ...rule, enabled: false } : rule
+      )
+    }
+  },
+  exam: {
+    label: 'Exam prep',
+    policy: {
+      weights: { ...DEFAULT_ENGAGEMENT_WEIGHTS, attention: 0.3, focus: 0.4, posture: 0.05, blinkHealth: 0.05 },
+      thresholds: { ...DEFAULT_MONITORING_THRESHOLDS, absenceSeconds: 15 },
+      detectors: { faceMesh: true, pose: true, objects: true, audio: true },
+      alertRules: DEFAULT_MONITORING_POLICY.alertRules.map(rule =>
+        rule.type === 'distraction' ? { ...rule, severity: 'high', count: 1 } : rule
+      )
+    }
+  }
+};
+
+const toBoolean = (value, fallback) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return fallback;
+};
+
+const toPositiveNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Fill in missing or malformed parts of a policy from the defaults
+ */
+export const normalizeMonitoringPolicy = (policy = {}) => {
+  const thresholds = {};
+  Object.entries(DEFAULT_MONITORING_THRESHOLDS).forEach(([key, fallback]) => {
+    thresholds[key] = toPositiveNumber(policy?.thresholds?.[key], fallback);
+  });
+
+  const detectors = {};
+  Object.entries(DEFAULT_MONITORING_POLICY.detectors).forEach(([key, fallback]) => {
+    detectors[key] = toBoolean(policy?.detectors?.[key], fallback);
+  });
+
+  // One rule per known type, in a stable order
+  const savedRules = Array.isArray(policy?.alertRules) ? policy.alertRules : [];
+  const alertRules = DEFAULT_MONITORING_POLICY.alertRules.map(defaultRule => {
+    const saved = savedRules.find(rule => rule?.type === defaultRule.type) || {};
+    const rule = { type: defaultRule.type, enabled: toBoolean(saved.enabled, defaultRule.enabled) };
+    Object.entries(defaultRule).forEach(([key, fallback]) => {
+      if (key === 'type' || key === 'enabled') return;
+      rule[key] = key === 'severity'
+        ? (ALERT_SEVERITIES.includes(saved.severity) ? saved.severity : fallback)
+        : toPositiveNumber(saved[key], fallback);
+    });
+    return rule;
+  });
+
+  return {
+    weights: normalizeEngagementWeights(policy?.weights || {}),
+    thresholds,
+    detectors,
+    alertRules
+  };
+};
+
+/**
+ * Policy stored with a room (`room.monitoring_policy`, an object or - when
+ * the room came back from a FormData post - a JSON string)
+ */
+export const getRoomMonitoringPolicy = (room) => {
+  let policy = room?.monitoring_policy;
+  if (typeof policy === 'string') {
+    try {
+      policy = JSON.parse(policy);
+    } catch (error) {
+      console.warn('Ignoring unreadable room monitoring policy:', error);
+      policy = null;
+    }
+  }
+  return normalizeMonitoringPolicy(policy || {});
+};
+
+/**
+ * Engagement weights a room scores with: the policy's weights, minus the
+ * factors its disabled detectors can't measure
+ */
+export const getRoomEngagementWeights = (room) => {
+  const { weights, detectors } = getRoomMonitoringPolicy(room);
+  const effective = { ...weights };
+  Object.entries(DETECTOR_FACTORS).forEach(([detector, factors]) => {
+    if (!detectors[detector]) factors.forEach(factor => { effective[factor] = 0; });
+  });
+  return normalizeEngagementWeights(effective);
+};
+
+/**
+ * Engagement weights for a stored session: its room's, found on the session
+ * itself when populated or else in `rooms`; personal sessions use the defaults
+ */
+export const getSessionEngagementWeights = (session, rooms = []) => {
+  const roomId = session?.room_id?._id?.toString() || session?.room_id?.toString();
+  if (!roomId) return getRoomEngagementWeights(null);
+  const room = session.room_id?.monitoring_policy !== undefined
+    ? session.room_id
+    : rooms.find(r => r._id?.toString() === roomId);
+  return getRoomEngagementWeights(room || null);
+};
+
+/**
+ * Alert rules that can fire under a policy (enabled, with their detector on)
+ */
+export const getActiveAlertRules = (policy) =>
+  policy.alertRules.filter(rule => {
+    const detector = ALERT_RULE_TYPES[rule.type]?.detector;
+    return rule.enabled && (!detector || policy.detectors[detector]);
+  });
+
+export const describeAlertRule = (rule) => ALERT_RULE_TYPES[rule.type]?.describe(rule) || rule.type;
+
+/**
+ * @returns {string|null} A message for the first problem found, or null if the policy is usable
+ */
+export const validateMonitoringPolicy = (policy) => {
+  const { weights, thresholds, alertRules } = policy;
+
+  if (Object.values(weights).every(weight => !(weight > 0))) {
+    return 'Give at least one engagement factor a weight above zero.';
+  }
+  if (thresholds.minBlinkRate >= thresholds.maxBlinkRate) {
+    return 'The minimum blink rate must be lower than the maximum.';
+  }
+  if (thresholds.minPostureScore > 100) {
+    return 'The posture threshold must be between 0 and 100.';
+  }
+  if (thresholds.absenceSeconds < 5) {
+    return 'Please specify an absence threshold of at least 5 seconds.';
+  }
+
+  const invalidRule = alertRules.find(rule =>
+    rule.enabled && (!(rule.minutes > 0) || (rule.count !== undefined && !(rule.count >= 1)) ||
+      (rule.threshold !== undefined && rule.threshold > 100))
+  );
+  if (invalidRule) {
+    return `Check the values of the "${ALERT_RULE_TYPES[invalidRule.type].label}" alert rule.`;
+  }
+
+  return null;
+};
+
+const monitoringPolicy = {
+  MONITORING_DETECTORS,
+  ALERT_SEVERITIES,
+  ALERT_RULE_TYPES,
+  DEFAULT_MONITORING_THRESHOLDS,
+  DEFAULT_MONITORING_POLICY,
+  MONITORING_PRESETS,
+  normalizeMonitoringPolicy,
+  getRoomMonitoringPolicy,
+  getRoomEngagementWeights,
+  getSessionEngagementWeights,
+  getActiveAlertRules,
+  describeAlertRule,
+  validateMonitoringPolicy
+};
+
+export default monitoringPolicy;
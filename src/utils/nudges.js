@@ -0,0 +1,95 @@
+/**
+ * FILE PATH: frontend/src/utils/nudges.js
+ *
+ * Teacher-to-student nudges
+ * The teacher sends a short message from LiveMetrics over the room socket; the
+ * student's StudentPDFViewer shows it in a banner and reports back whether it
+ * was acknowledged or dismissed. For the historical report the teacher's client
+ * logs `teacher_nudge` on the student's session when it is sent, and the
+ * student's client logs `nudge_response`. The teacher's log relies on the server
+ * accepting a teacher's writes to their room's sessions; logs it refuses are
+ * counted in the queue's `dropped` status, which LiveMetrics warns about.
+ */
+
+export const NUDGE_PRESETS = [
+  { id: 'check_in', message: 'Are you still with us?' },
+  { id: 'phone', message: 'Please put your phone away.' },
+  { id: 'break', message: 'Take a short break and come back refreshed.' },
+  { id: 'well_done', message: 'Great focus - keep it up!' },
+  { id: 'move_to_page', message: 'Please move to page {page}.', needsPage: true }
+];
+
+export const NUDGE_RESPONSES = {
+  acknowledged: { label: 'Seen', className: 'text-green-600' },
+  dismissed: { label: 'Dismissed', className: 'text-gray-500' }
+};
+
+const MAX_MESSAGE_LENGTH = 200;
+
+let sequence = 0;
+
+/**
+ * Build the nudge payload the teacher sends
+ *
+ * @param {Object} options - { message, presetId, page, teacherName }
+ * @returns {Object|null} { id, message, presetId, page, teacherName, sentAt }, or null for an empty message
+ */
+export const createNudge = ({ message = '', presetId = null, page = null, teacherName = null }) => {
+  const text = message.replace('{page}', page ?? '').trim().slice(0, MAX_MESSAGE_LENGTH);
+  if (!text) return null;
+
+  return {
+    id: `nudge-${Date.now()}-${sequence++}`,
+    message: text,
+    presetId,
+    page: page || null,
+    teacherName,
+    sentAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Nudges a student received, with their response, from session interactions
+ *
+ * @param {Array<Object>} interactions - Session interactions
+ * @returns {Object} { total, acknowledged, dismissed, unanswered, nudges }
+ */
+export const buildNudgeLog = (interactions = []) => {
+  const responses = {};
+  interactions
+    .filter(interaction => interaction.type === 'nudge_response' && interaction.data?.nudgeId)
+    .forEach(interaction => { responses[interaction.data.nudgeId] = interaction.data; });
+
+  const nudges = interactions
+    .filter(interaction => interaction.type === 'teacher_nudge' && interaction.data?.nudgeId)
+    .map(interaction => {
+      const response = responses[interaction.data.nudgeId];
+      return {
+        id: interaction.data.nudgeId,
+        message: interaction.data.message,
+        teacherName: interaction.data.teacherName || null,
+        sentAt: interaction.data.sentAt || interaction.timestamp,
+        page: interaction.data.page || null,
+        response: response?.response || null,
+        respondedAt: response?.respondedAt || null
+      };
+    })
+    .sort((a, b) => new Date(a.sentAt) - new Date(b.sentAt));
+
+  return {
+    total: nudges.length,
+    acknowledged: nudges.filter(nudge => nudge.response === 'acknowledged').length,
+    dismissed: nudges.filter(nudge => nudge.response === 'dismissed').length,
+    unanswered: nudges.filter(nudge => !nudge.response).length,
+    nudges
+  };
+};
+
+const nudgeUtils = {
+  NUDGE_PRESETS,
+  NUDGE_RESPONSES,
+  createNudge,
+  buildNudgeLog
+};
+
+export default nudgeUtils;
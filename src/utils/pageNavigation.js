@@ -0,0 +1,95 @@
+/**
+ * FILE PATH: frontend/src/utils/pageNavigation.js
+ *
+ * Data behind the page navigator sidebar in StudentPDFViewer
+ * - Per-page markers for highlights, shared annotations and bookmarks
+ * - The PDF's outline (table of contents) with every entry resolved to a page
+ */
+
+/**
+ * Count what the student has on each page
+ *
+ * @param {Object} sources - { highlights: [{ page }], annotations: [{ page_number }], bookmarks: [{ page_number }] }
+ * @returns {Object} { [page]: { highlights, annotations, bookmarks } }
+ */
+export const buildPageMarkers = ({ highlights = [], annotations = [], bookmarks = [] } = {}) => {
+  const markers = {};
+  const add = (page, field) => {
+    if (!page) return;
+    if (!markers[page]) markers[page] = { highlights: 0, annotations: 0, bookmarks: 0 };
+    markers[page][field] += 1;
+  };
+
+  highlights.forEach(highlight => add(highlight.page, 'highlights'));
+  annotations.forEach(annotation => add(annotation.page_number, 'annotations'));
+  bookmarks.forEach(bookmark => add(bookmark.page_number, 'bookmarks'));
+
+  return markers;
+};
+
+/**
+ * Page number (1-based) an outline destination points to, or null
+ * Destinations are either named (looked up in the PDF) or explicit arrays
+ * whose first entry is a page reference or a page index.
+ */
+const resolveDestinationPage = async (pdf, dest) => {
+  const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+  if (!Array.isArray(explicit) || explicit[0] === null || explicit[0] === undefined) return null;
+
+  const target = explicit[0];
+  const pageIndex = typeof target === 'object' ? await pdf.getPageIndex(target) : target;
+  return Number.isInteger(pageIndex) ? pageIndex + 1 : null;
+};
+
+/**
+ * The PDF's outline as a tree of { id, title, page, items }
+ * Entries that can't be resolved (e.g. external links) keep `page: null`.
+ *
+ * @param {Object} pdf - pdf.js document proxy
+ * @returns {Promise<Array<Object>>} Empty when the PDF has no outline
+ */
+export const resolveOutline = async (pdf) => {
+  const outline = await pdf.getOutline();
+  if (!outline) return [];
+
+  const resolveItems = (items, prefix) => Promise.all(items.map(async (item, index) => {
+    let page = null;
+    try {
+      page = item.dest ? await resolveDestinationPage(pdf, item.dest) : null;
+    } catch (error) {
+      console.warn(`⚠️ Could not resolve outline entry "${item.title}":`, error);
+    }
+
+    const id = `${prefix}${index}`;
+    return {
+      id,
+      title: item.title,
+      page,
+      items: await resolveItems(item.items || [], `${id}.`)
+    };
+  }));
+
+  return resolveItems(outline, '');
+};
+
+/**
+ * Id of the outline entry the reader is in: the last entry, in reading order,
+ * that starts on or before the current page
+ */
+export const findCurrentOutlineItem = (outline = [], currentPage) => {
+  let current = null;
+  const visit = (items) => items.forEach(item => {
+    if (item.page && item.page <= currentPage && (!current || item.page >= current.page)) current = item;
+    visit(item.items);
+  });
+  visit(outline);
+  return current?.id || null;
+};
+
+const pageNavigation = {
+  buildPageMarkers,
+  resolveOutline,
+  findCurrentOutlineItem
+};
+
+export default pageNavigation;
@@ -5,6 +5,7 @@
  */
 
 import { interactionsAPI } from '../services/api';
+import { enqueueInteraction } from '../services/interactionQueue';
 import { getCurrentTimestamp } from './timeUtils'; // Assuming a time utility exists
 
 // Throttle configuration for high-frequency events (e.g., scroll, zoom)
@@ -47,14 +48,13 @@ export const logInteraction = async (sessionId, type, data = {}) => {
                 page: data.page || 1, // Ensure page number is always logged
             };
             
-            // Call the shared interactions API endpoint
-            await interactionsAPI.saveInteraction(sessionId, type, payload);
+            // Goes through the durable outbox so nothing is lost while offline
+            await enqueueInteraction(sessionId, type, payload);
             
-            console.log(`[Interaction] Logged ${type} for session ${sessionId}.`);
+            console.log(`[Interaction] Queued ${type} for session ${sessionId}.`);
 
         } catch (error) {
             console.error(`Failed to log interaction type ${type}:`, error);
-            // Optionally, implement a local queue for failed logs
         }
     }
 };
@@ -0,0 +1,136 @@
+/**
+ * FILE PATH: frontend/src/utils/pdfSearch.js
+ *
+ * Full-text search over a PDF's pdf.js text content
+ * Each page's text items are joined into one string so matches can span
+ * items; `offsets` keeps where every item starts, which is how matches are
+ * painted back onto the text layer item by item.
+ */
+
+export const MAX_SEARCH_RESULTS = 500;
+const SNIPPET_RADIUS = 40;           // Characters of context on each side of a match
+
+// Letters, digits and underscore in any script count as part of a word
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+export const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Join a page's text content into searchable text
+ *
+ * @param {Object} textContent - Result of pdf.js `page.getTextContent()`
+ * @returns {Object} { text, offsets } - offsets[itemIndex] is where the item starts in `text`
+ */
+export const extractPageText = (textContent) => {
+  let text = '';
+  const offsets = [];
+
+  (textContent?.items || []).forEach((item, itemIndex) => {
+    offsets[itemIndex] = text.length;
+    // Marked-content items carry no text
+    if (typeof item.str !== 'string') return;
+    text += item.str;
+    if (item.hasEOL) text += ' ';
+  });
+
+  return { text, offsets };
+};
+
+/**
+ * @param {string} query
+ * @param {Object} options - { matchCase, wholeWord }
+ * @returns {RegExp|null} Global pattern for the query, or null for an empty query
+ */
+export const buildSearchPattern = (query, { matchCase = false, wholeWord = false } = {}) => {
+  const trimmed = (query || '').trim();
+  if (!trimmed) return null;
+
+  // Any run of whitespace in the query matches any run in the PDF (line breaks become spaces)
+  const body = trimmed.split(/\s+/).map(escapeRegExp).join('\\s+');
+  const source = wholeWord ? `(?<!${WORD_CHAR})${body}(?!${WORD_CHAR})` : body;
+  return new RegExp(source, matchCase ? 'gu' : 'giu');
+};
+
+/**
+ * Find every match across the document, in reading order
+ *
+ * @param {Array<Object>} pageTexts - [{ page, text }]
+ * @param {string} query
+ * @param {Object} options - { matchCase, wholeWord }
+ * @returns {Array<Object>} [{ id, page, start, end, snippet: { before, match, after } }]
+ */
+export const findMatches = (pageTexts = [], query, options = {}) => {
+  const pattern = buildSearchPattern(query, options);
+  if (!pattern) return [];
+
+  const results = [];
+  for (const { page, text } of pageTexts) {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const start = match.index;
+      const end = start + match[0].length;
+      results.push({
+        id: `${page}:${start}`,
+        page,
+        start,
+        end,
+        snippet: {
+          before: (start > SNIPPET_RADIUS ? '…' : '') + text.slice(Math.max(0, start - SNIPPET_RADIUS), start),
+          match: match[0],
+          after: text.slice(end, end + SNIPPET_RADIUS) + (end + SNIPPET_RADIUS < text.length ? '…' : '')
+        }
+      });
+      if (results.length >= MAX_SEARCH_RESULTS) return results;
+    }
+  }
+  return results;
+};
+
+/**
+ * HTML for one text layer item with the matches that overlap it wrapped in
+ * <mark>, for react-pdf's `customTextRenderer`
+ *
+ * @param {string} str - The item's text
+ * @param {number} itemStart - Where the item starts in the page text
+ * @param {Array<Object>} matches - This page's matches
+ * @param {string} activeId - Id of the current match, drawn stronger
+ * @returns {string}
+ */
+export const highlightTextItem = (str, itemStart, matches, activeId) => {
+  const itemEnd = itemStart + str.length;
+  let html = '';
+  let cursor = 0;
+
+  matches.forEach(match => {
+    if (match.end <= itemStart || match.start >= itemEnd) return;
+    const from = Math.max(match.start, itemStart) - itemStart;
+    const to = Math.min(match.end, itemEnd) - itemStart;
+    const className = match.id === activeId
+      ? 'pdf-search-active bg-orange-400 bg-opacity-70 text-transparent rounded-sm'
+      : 'bg-yellow-300 bg-opacity-60 text-transparent rounded-sm';
+
+    html += escapeHtml(str.slice(cursor, from));
+    html += `<mark class="${className}">${escapeHtml(str.slice(from, to))}</mark>`;
+    cursor = to;
+  });
+
+  return html + escapeHtml(str.slice(cursor));
+};
+
+const pdfSearch = {
+  MAX_SEARCH_RESULTS,
+  extractPageText,
+  buildSearchPattern,
+  findMatches,
+  highlightTextItem,
+  escapeHtml
+};
+
+export default pdfSearch;
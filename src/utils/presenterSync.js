@@ -0,0 +1,106 @@
+/**
+ * FILE PATH: frontend/src/utils/presenterSync.js
+ *
+ * "Follow the teacher" presenter mode for room PDFs
+ * The teacher's PresenterView broadcasts page, zoom and a laser-pointer
+ * position over the room socket; students in follow mode mirror it in
+ * StudentPDFViewer and report back which page they are on.
+ */
+
+// The teacher re-sends the full state this often so late joiners catch up
+export const PRESENTER_HEARTBEAT_MS = 5000;
+// No state for this long means the presenter closed the tab or lost connection
+export const PRESENTER_TIMEOUT_MS = 3 * PRESENTER_HEARTBEAT_MS;
+// Laser pointer updates are throttled to roughly 20 per second
+export const POINTER_THROTTLE_MS = 50;
+
+export const FOLLOW_STATUS = {
+  following: { label: 'Following', className: 'bg-green-100 text-green-800' },
+  onPage: { label: 'On your page', className: 'bg-blue-100 text-blue-800' },
+  elsewhere: { label: 'Elsewhere', className: 'bg-yellow-100 text-yellow-800' },
+  unknown: { label: 'Unknown', className: 'bg-gray-100 text-gray-600' }
+};
+
+/**
+ * Presenter state the teacher broadcasts
+ *
+ * @param {Object} options - { roomId, page, scale, presenterName, active }
+ * @returns {Object} { roomId, active, page, scale, presenterName, sentAt }
+ */
+export const createPresenterState = ({ roomId, page, scale, presenterName = null, active = true }) => ({
+  roomId,
+  active,
+  page,
+  scale,
+  presenterName,
+  sentAt: new Date().toISOString()
+});
+
+/**
+ * Pointer position as a percentage of the page element, so it lands on the
+ * same spot whatever zoom or window size the student has
+ *
+ * @param {MouseEvent} event
+ * @param {HTMLElement} element - The rendered page
+ * @returns {Object|null} { x, y } in 0-100, or null when outside the page
+ */
+export const toPointerPosition = (event, element) => {
+  if (!element) return null;
+  const rect = element.getBoundingClientRect();
+  if (rect.width === 0 || rect.height === 0) return null;
+
+  const x = ((event.clientX - rect.left) / rect.width) * 100;
+  const y = ((event.clientY - rect.top) / rect.height) * 100;
+  if (x < 0 || x > 100 || y < 0 || y > 100) return null;
+
+  return { x: Math.round(x * 10) / 10, y: Math.round(y * 10) / 10 };
+};
+
+/**
+ * @param {Object} student - LiveMetrics student (with `live`)
+ * @param {number} presenterPage
+ * @returns {string} Key of FOLLOW_STATUS
+ */
+export const getFollowStatus = (student, presenterPage) => {
+  const live = student.live;
+  if (!live?.currentPage) return 'unknown';
+  if (live.following) return 'following';
+  return live.currentPage === presenterPage ? 'onPage' : 'elsewhere';
+};
+
+/**
+ * Where the active students are relative to the presenter
+ *
+ * @param {Array<Object>} students - LiveMetrics students
+ * @param {number} presenterPage
+ * @returns {Object} { total, following, onPage, elsewhere, unknown, pages } - `pages` maps page -> student count
+ */
+export const summarizeFollowers = (students = [], presenterPage) => {
+  const summary = { total: 0, following: 0, onPage: 0, elsewhere: 0, unknown: 0, pages: {} };
+
+  students
+    .filter(student => student.status === 'Active')
+    .forEach(student => {
+      const status = getFollowStatus(student, presenterPage);
+      summary.total += 1;
+      summary[status] += 1;
+
+      const page = student.live?.currentPage;
+      if (page) summary.pages[page] = (summary.pages[page] || 0) + 1;
+    });
+
+  return summary;
+};
+
+const presenterSync = {
+  PRESENTER_HEARTBEAT_MS,
+  PRESENTER_TIMEOUT_MS,
+  POINTER_THROTTLE_MS,
+  FOLLOW_STATUS,
+  createPresenterState,
+  toPointerPosition,
+  getFollowStatus,
+  summarizeFollowers
+};
+
+export default presenterSync;
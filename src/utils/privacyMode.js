@@ -0,0 +1,184 @@
+/**
+ * FILE PATH: frontend/src/utils/privacyMode.js
+ *
+ * Privacy-preserving monitoring
+ * In privacy mode per-tick metrics never leave the device. They are
+ * aggregated into coarse windows (5 minutes by default) and only the window
+ * averages are uploaded, without object lists, timestamps of individual
+ * events, or camera snapshots.
+ */
+
+import { EXPRESSION_STATES } from './expressionClassifier';
+
+export const PRIVACY_WINDOW_MS = 5 * 60 * 1000;
+
+// Minimum samples before a window is worth uploading (avoids near-raw single-sample windows)
+const MIN_WINDOW_SAMPLES = 5;
+
+/**
+ * Whether a room requires privacy mode
+ */
+export const isPrivacyModeRoom = (room) =>
+  room?.privacy_mode === true || room?.privacy_mode === 'true';
+
+/**
+ * Plain-language description of what each mode shares, for the transparency panel
+ */
+export const DATA_SHARING_POLICY = {
+  standard: {
+    sent: [
+      'Attention, engagement and posture scores every 3 seconds',
+      'Names of objects the camera recognises (e.g. phone, book)',
+      'Yawns, head drops and mood changes with their times',
+      'Highlights, page turns and other reading activity',
+      'Background noise level, if your teacher turned on audio monitoring',
+      'Whether you answered or dismissed messages from your teacher',
+      'Which page you are on while your teacher presents, and whether you follow along',
+      'In proctored rooms: each incident (second person, away from camera, phone or book, leaving the tab or fullscreen) with its start and end time, what was detected and how confidently, and a camera snapshot unless your teacher turned snapshots off'
+    ],
+    local: [
+      'Video from your camera',
+      'Sound from your microphone',
+      'Face and body landmark positions'
+    ]
+  },
+  privacy: {
+    sent: [
+      'Average attention, engagement, posture and presence per 5 minutes',
+      'Share of each 5 minutes spent listening to read aloud while looking away',
+      'How many yawns or head drops happened in each 5 minutes',
+      'Share of each 5 minutes spent in each mood',
+      'Highlights, page turns and other reading activity',
+      'Whether you answered or dismissed messages from your teacher',
+      'Which page you are on while your teacher presents, and whether you follow along',
+      'In proctored rooms: the type of each incident (second person, away from camera, phone or book, leaving the tab or fullscreen), how long it lasted, and the minute it started'
+    ],
+    local: [
+      'Video from your camera and all snapshots',
+      'Sound from your microphone and its level',
+      'Face and body landmark positions',
+      'Second-by-second scores and their timestamps',
+      'Names of objects the camera recognises',
+      'Exact incident times and what the camera detected during them'
+    ]
+  }
+};
+
+/**
+ * Proctoring incident as uploaded in privacy mode: no exact times,
+ * detection details or snapshot
+ *
+ * @param {Object} incident - Closed incident from ProctoringMonitor
+ * @returns {Object} `proctoring_incident` payload
+ */
+export const coarsenIncident = (incident) => ({
+  incidentType: incident.type,
+  severity: incident.severity,
+  startedMinute: new Date(Math.floor(incident.startedAt / 60000) * 60000).toISOString(),
+  durationSeconds: Math.round(incident.durationMs / 1000)
+});
+
+const average = (sum, count) => (count > 0 ? Math.round(sum / count) : 0);
+const share = (count, total) => (total > 0 ? Math.round((count / total) * 100) : 0);
+
+/**
+ * Metrics Window Aggregator Class
+ */
+export class MetricsWindowAggregator {
+  constructor({ windowMs = PRIVACY_WINDOW_MS } = {}) {
+    this.windowMs = windowMs;
+    this.windowStart = null;
+    this.resetWindow();
+  }
+
+  resetWindow() {
+    this.samples = 0;
+    this.sums = { engagementScore: 0, postureScore: 0, blinkRate: 0, perclos: 0 };
+    this.counts = { present: 0, lookingAtScreen: 0, listening: 0, distracted: 0 };
+    this.events = {};
+    this.expressions = {};
+  }
+
+  /**
+   * Add one metrics sample (same fields as the standard `face_metric` payload)
+   */
+  addSample(sample, timestamp = Date.now()) {
+    if (this.windowStart === null) this.windowStart = timestamp;
+
+    this.samples++;
+    this.sums.engagementScore += sample.engagementScore || 0;
+    this.sums.postureScore += sample.postureScore || 0;
+    this.sums.blinkRate += sample.blinkRate || 0;
+    this.sums.perclos += (sample.perclos || 0) * 100;
+    if (sample.faceDetected) this.counts.present++;
+    if (sample.lookingAtScreen) this.counts.lookingAtScreen++;
+    // In view and listening to read aloud, but looking away (see engagementScoring)
+    else if (sample.faceDetected && sample.listening) this.counts.listening++;
+    if (sample.hasPhone) this.counts.distracted++;
+    if (sample.expression) {
+      this.expressions[sample.expression] = (this.expressions[sample.expression] || 0) + 1;
+    }
+  }
+
+  /**
+   * Count an event (yawn, head_drop, micro_sleep) without keeping its time
+   */
+  addEvent(type) {
+    this.events[type] = (this.events[type] || 0) + 1;
+  }
+
+  isWindowComplete(timestamp = Date.now()) {
+    return this.windowStart !== null && timestamp - this.windowStart >= this.windowMs;
+  }
+
+  /**
+   * Close the current window
+   *
+   * @param {number} timestamp - ms
+   * @param {boolean} force - Close even if the window isn't complete (session ending)
+   * @returns {Object|null} Window summary to upload, or null if nothing worth sending
+   */
+  flush(timestamp = Date.now(), force = false) {
+    if (this.windowStart === null) return null;
+    if (!force && !this.isWindowComplete(timestamp)) return null;
+
+    const enoughSamples = this.samples >= MIN_WINDOW_SAMPLES;
+    const expressionShares = {};
+    EXPRESSION_STATES.forEach(state => {
+      expressionShares[state] = share(this.expressions[state] || 0, this.samples);
+    });
+    const [dominantExpression] = Object.entries(this.expressions).sort(([, a], [, b]) => b - a)[0] || [];
+
+    const summary = {
+      // Window bounds are rounded to the minute so they don't reveal exact activity times
+      windowStart: new Date(Math.floor(this.windowStart / 60000) * 60000).toISOString(),
+      windowMinutes: Math.max(1, Math.round((timestamp - this.windowStart) / 60000)),
+      sampleCount: this.samples,
+      engagementScore: average(this.sums.engagementScore, this.samples),
+      postureScore: average(this.sums.postureScore, this.samples),
+      blinkRate: average(this.sums.blinkRate, this.samples),
+      perclos: average(this.sums.perclos, this.samples),
+      presenceRate: share(this.counts.present, this.samples),
+      attentionRate: share(this.counts.lookingAtScreen, this.samples),
+      listeningRate: share(this.counts.listening, this.samples),
+      distractionRate: share(this.counts.distracted, this.samples),
+      events: { ...this.events },
+      expressions: expressionShares,
+      dominantExpression: dominantExpression || null
+    };
+
+    this.windowStart = null;
+    this.resetWindow();
+    return enoughSamples ? summary : null;
+  }
+}
+
+const privacyMode = {
+  PRIVACY_WINDOW_MS,
+  DATA_SHARING_POLICY,
+  isPrivacyModeRoom,
+  coarsenIncident,
+  MetricsWindowAggregator
+};
+
+export default privacyMode;
@@ -0,0 +1,238 @@
+/**
+ * FILE PATH: frontend/src/utils/proctoring.js
+ *
+ * Exam-proctoring incident tracking
+ * Turns per-frame detector output (face count, presence, objects) and browser
+ * state (tab visibility, fullscreen) into timestamped incidents. Each incident
+ * opens once its condition has held long enough and closes when it clears,
+ * so one look at a phone is one incident rather than one per frame.
+ */
+
+export const INCIDENT_TYPES = {
+  multiple_faces: { label: 'Second person in view', severity: 'high' },
+  absence: { label: 'Student away from camera', severity: 'high' },
+  phone_detected: { label: 'Phone detected', severity: 'high' },
+  book_detected: { label: 'Book detected', severity: 'medium' },
+  tab_blur: { label: 'Left the exam tab/window', severity: 'medium' },
+  fullscreen_exit: { label: 'Exited fullscreen', severity: 'medium' }
+};
+
+export const DEFAULT_ABSENCE_SECONDS = 10;
+
+// How long a condition must hold before it counts, so detector flicker is ignored
+const CONFIRM_MS = {
+  multiple_faces: 1500,
+  phone_detected: 1000,
+  book_detected: 2000,
+  tab_blur: 0,
+  fullscreen_exit: 0
+};
+
+// How long a condition must stay clear before the incident closes
+const RELEASE_MS = 1500;
+
+// Incident snapshots are downscaled before they go into the outbox
+const SNAPSHOT_WIDTH = 320;
+const SNAPSHOT_QUALITY = 0.6;
+
+/**
+ * Whether a room runs in proctored mode
+ */
+export const isProctoredRoom = (room) =>
+  room?.proctored === true || room?.proctored === 'true';
+
+/**
+ * Proctoring settings for a room (room creation stores them as flat fields)
+ */
+export const getProctoringConfig = (room) => ({
+  absenceSeconds: Number(room?.absence_threshold_seconds) || DEFAULT_ABSENCE_SECONDS,
+  captureSnapshots: room?.proctoring_snapshots !== false && room?.proctoring_snapshots !== 'false'
+});
+
+/**
+ * Shrink an annotated snapshot (see useMediaPipe.takeAnnotatedSnapshot) to a small JPEG data URL
+ */
+export const compressSnapshot = (snapshot) => {
+  if (!snapshot?.canvas || !snapshot.width) return null;
+
+  const scale = Math.min(1, SNAPSHOT_WIDTH / snapshot.width);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(snapshot.width * scale);
+  canvas.height = Math.round(snapshot.height * scale);
+  canvas.getContext('2d').drawImage(snapshot.canvas, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', SNAPSHOT_QUALITY);
+};
+
+/**
+ * Proctoring Monitor Class
+ */
+export class ProctoringMonitor {
+  constructor({ absenceSeconds = DEFAULT_ABSENCE_SECONDS } = {}) {
+    this.confirmMs = { ...CONFIRM_MS, absence: absenceSeconds * 1000 };
+    this.reset();
+  }
+
+  reset() {
+    this.conditions = {};  // type -> { activeSince, clearSince, incident }
+    this.sequence = 0;
+  }
+
+  /**
+   * Advance one condition
+   *
+   * @returns {Object} { opened, closed } - incidents that opened/closed on this update
+   */
+  updateCondition(type, active, timestamp, details = {}) {
+    const condition = this.conditions[type] || (this.conditions[type] = {
+      activeSince: null,
+      clearSince: null,
+      incident: null
+    });
+    const result = { opened: null, closed: null };
+
+    if (active) {
+      condition.clearSince = null;
+      if (condition.activeSince === null) condition.activeSince = timestamp;
+
+      if (!condition.incident && timestamp - condition.activeSince >= this.confirmMs[type]) {
+        condition.incident = {
+          id: `${type}-${condition.activeSince}-${this.sequence++}`,
+          type,
+          severity: INCIDENT_TYPES[type].severity,
+          startedAt: condition.activeSince,
+          details
+        };
+        result.opened = condition.incident;
+      } else if (condition.incident) {
+        condition.incident.details = { ...condition.incident.details, ...details };
+      }
+    } else if (condition.activeSince !== null) {
+      // Tab and fullscreen state are exact, detector output needs a grace period
+      const releaseMs = this.confirmMs[type] === 0 ? 0 : RELEASE_MS;
+      if (condition.clearSince === null) condition.clearSince = timestamp;
+
+      if (timestamp - condition.clearSince >= releaseMs) {
+        if (condition.incident) {
+          result.closed = this.closeIncident(condition.incident, condition.clearSince);
+        }
+        condition.activeSince = null;
+        condition.clearSince = null;
+        condition.incident = null;
+      }
+    }
+
+    return result;
+  }
+
+  closeIncident(incident, endedAt) {
+    return {
+      ...incident,
+      endedAt,
+      durationMs: Math.max(0, endedAt - incident.startedAt)
+    };
+  }
+
+  /**
+   * Feed one frame of detector output
+   *
+   * @param {Object} metrics - useMediaPipe metrics
+   * @param {Object|null} objectData - Result of MLModelsManager.processObjectDetectionResults
+   * @param {number} timestamp - ms
+   * @returns {Object} { opened: Array, closed: Array }
+   */
+  update(metrics, objectData, timestamp = Date.now()) {
+    const objects = objectData?.objects || [];
+    const findObject = (name) => objects.find(obj => obj.class === name);
+    const phone = findObject('cell phone');
+    const book = findObject('book');
+
+    return this.collect([
+      this.updateCondition('multiple_faces', (metrics?.faceCount || 0) >= 2, timestamp,
+        { faceCount: metrics?.faceCount || 0 }),
+      this.updateCondition('absence', !metrics?.faceDetected, timestamp),
+      this.updateCondition('phone_detected', !!phone, timestamp,
+        phone ? { confidence: Math.round(phone.confidence * 100) / 100 } : {}),
+      this.updateCondition('book_detected', !!book, timestamp,
+        book ? { confidence: Math.round(book.confidence * 100) / 100 } : {})
+    ]);
+  }
+
+  /**
+   * Feed browser state
+   *
+   * @param {Object} state - { focused, fullscreen, fullscreenRequired }
+   */
+  updateBrowserState({ focused, fullscreen, fullscreenRequired }, timestamp = Date.now()) {
+    return this.collect([
+      this.updateCondition('tab_blur', !focused, timestamp),
+      this.updateCondition('fullscreen_exit', fullscreenRequired && !fullscreen, timestamp)
+    ]);
+  }
+
+  /**
+   * Close every open incident (session ending)
+   */
+  closeAll(timestamp = Date.now()) {
+    const closed = Object.values(this.conditions)
+      .filter(condition => condition.incident)
+      .map(condition => this.closeIncident(condition.incident, timestamp));
+    this.reset();
+    return closed;
+  }
+
+  collect(results) {
+    return {
+      opened: results.map(r => r.opened).filter(Boolean),
+      closed: results.map(r => r.closed).filter(Boolean)
+    };
+  }
+}
+
+/**
+ * Build a per-student incident report from session interactions
+ *
+ * @param {Array<Object>} interactions - Session interactions (type `proctoring_incident`)
+ * @returns {Object} { total, byType, highSeverity, totalAwaySeconds, incidents }
+ */
+export const buildIncidentReport = (interactions = []) => {
+  const incidents = interactions
+    .filter(interaction => interaction.type === 'proctoring_incident' && interaction.data?.incidentType)
+    .map(interaction => ({
+      id: interaction._id || interaction.client_id,
+      type: interaction.data.incidentType,
+      label: INCIDENT_TYPES[interaction.data.incidentType]?.label || interaction.data.incidentType,
+      severity: interaction.data.severity || INCIDENT_TYPES[interaction.data.incidentType]?.severity || 'medium',
+      // Privacy mode rooms only upload the minute an incident started and its length in seconds
+      startedAt: interaction.data.startedAt || interaction.data.startedMinute,
+      endedAt: interaction.data.endedAt || null,
+      durationMs: interaction.data.durationMs || (interaction.data.durationSeconds || 0) * 1000,
+      details: interaction.data.details || {},
+      snapshot: interaction.data.snapshot || null
+    }))
+    .sort((a, b) => new Date(a.startedAt) - new Date(b.startedAt));
+
+  const byType = {};
+  Object.keys(INCIDENT_TYPES).forEach(type => { byType[type] = 0; });
+  incidents.forEach(incident => { byType[incident.type] = (byType[incident.type] || 0) + 1; });
+
+  return {
+    total: incidents.length,
+    byType,
+    highSeverity: incidents.filter(incident => incident.severity === 'high').length,
+    totalAwaySeconds: Math.round(incidents
+      .filter(incident => incident.type === 'absence' || incident.type === 'tab_blur')
+      .reduce((sum, incident) => sum + incident.durationMs, 0) / 1000),
+    incidents
+  };
+};
+
+const proctoring = {
+  INCIDENT_TYPES,
+  isProctoredRoom,
+  getProctoringConfig,
+  compressSnapshot,
+  ProctoringMonitor,
+  buildIncidentReport
+};
+
+export default proctoring;
@@ -0,0 +1,123 @@
+/**
+ * FILE PATH: frontend/src/utils/readAloud.js
+ *
+ * Text helpers for reading a PDF page aloud with the Web Speech API
+ * Pages are spoken one sentence per utterance, so playback can skip between
+ * sentences and the highlight can find its place in the page text (built by
+ * pdfSearch's extractPageText) from the utterance's word boundaries.
+ */
+
+import { escapeHtml } from './pdfSearch';
+
+export const READ_ALOUD_RATES = [0.75, 1, 1.25, 1.5, 1.75, 2];
+
+// Classes put on the text layer's words while they are spoken
+export const SPOKEN_WORD_CLASSES = ['bg-sky-300', 'bg-opacity-60', 'rounded-sm'];
+
+// Some engines stop partway through long utterances, so longer sentences are cut at a space
+const MAX_UTTERANCE_CHARS = 250;
+
+// Sentence end: terminal punctuation plus any closing quotes or brackets, then whitespace
+const SENTENCE_END = /[.!?…]+["'”’)\]]*(?=\s|$)/gu;
+const WORD = /[\p{L}\p{N}_'’-]+/gu;
+
+// Splits a run of text that is too long for one utterance at the last space before the limit
+const splitLongRun = (text, start, end, segments) => {
+  let from = start;
+  while (end - from > MAX_UTTERANCE_CHARS) {
+    const space = text.lastIndexOf(' ', from + MAX_UTTERANCE_CHARS);
+    const to = space > from ? space : from + MAX_UTTERANCE_CHARS;
+    segments.push([from, to]);
+    from = to;
+  }
+  segments.push([from, end]);
+};
+
+/**
+ * Break page text into the sentences that are spoken one at a time
+ *
+ * @param {string} text - Page text
+ * @returns {Array<Object>} [{ start, end, text }] - start/end index into `text`, whitespace trimmed
+ */
+export const splitSentences = (text = '') => {
+  const runs = [];
+  let cursor = 0;
+  SENTENCE_END.lastIndex = 0;
+  let match;
+  while ((match = SENTENCE_END.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    splitLongRun(text, cursor, end, runs);
+    cursor = end;
+  }
+  if (cursor < text.length) splitLongRun(text, cursor, text.length, runs);
+
+  return runs
+    .map(([from, to]) => {
+      const raw = text.slice(from, to);
+      const start = from + (raw.length - raw.trimStart().length);
+      const end = to - (raw.length - raw.trimEnd().length);
+      return { start, end, text: text.slice(start, end) };
+    })
+    .filter(sentence => /[\p{L}\p{N}]/u.test(sentence.text));
+};
+
+/**
+ * The word that starts at or after `index`, as reported by an utterance's
+ * `boundary` event
+ *
+ * @returns {Object|null} { start, end } in `text`
+ */
+export const findWordAt = (text = '', index = 0) => {
+  WORD.lastIndex = index;
+  const match = WORD.exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+};
+
+/**
+ * HTML for one text layer item with every word in its own span, tagged with
+ * where it starts in the page text, for react-pdf's `customTextRenderer`.
+ * The spoken word is then highlighted by toggling classes on the spans, so
+ * the text layer isn't rendered again for every word.
+ *
+ * @param {string} str - The item's text
+ * @param {number} itemStart - Where the item starts in the page text
+ * @returns {string}
+ */
+export const markWords = (str, itemStart) => {
+  let html = '';
+  let cursor = 0;
+  WORD.lastIndex = 0;
+  let match;
+  while ((match = WORD.exec(str)) !== null) {
+    html += escapeHtml(str.slice(cursor, match.index));
+    html += `<span data-read-aloud-offset="${itemStart + match.index}">${escapeHtml(match[0])}</span>`;
+    cursor = match.index + match[0].length;
+  }
+  return html + escapeHtml(str.slice(cursor));
+};
+
+/**
+ * Voices worth offering: the page language's voices first, then the rest,
+ * each group sorted by name
+ *
+ * @param {Array<SpeechSynthesisVoice>} voices
+ * @param {string} language - e.g. navigator.language
+ */
+export const sortVoices = (voices = [], language = 'en') => {
+  const prefix = language.split('-')[0].toLowerCase();
+  const matchesLanguage = (voice) => (voice.lang || '').toLowerCase().startsWith(prefix);
+  return [...voices].sort((a, b) =>
+    (matchesLanguage(b) - matchesLanguage(a)) || a.name.localeCompare(b.name)
+  );
+};
+
+const readAloud = {
+  READ_ALOUD_RATES,
+  SPOKEN_WORD_CLASSES,
+  splitSentences,
+  findWordAt,
+  markWords,
+  sortVoices
+};
+
+export default readAloud;
@@ -0,0 +1,58 @@
+/**
+ * FILE PATH: frontend/src/utils/readerPreferences.js
+ *
+ * How the student likes to read, remembered on this device between sessions
+ */
+
+const STORAGE_KEY = 'studyguardian-reader-preferences';
+
+export const VIEW_MODES = {
+  SINGLE: 'single',           // One page at a time
+  CONTINUOUS: 'continuous'    // All pages stacked, scrolled like a normal reader
+};
+
+export const READER_THEMES = {
+  LIGHT: 'light',
+  SEPIA: 'sepia',
+  DARK: 'dark'
+};
+
+export const DEFAULT_READER_PREFERENCES = {
+  viewMode: VIEW_MODES.SINGLE,
+  theme: READER_THEMES.LIGHT,
+  readAloudRate: 1,
+  readAloudVoice: null        // voiceURI; null uses the browser's default voice
+};
+
+export const getReaderPreferences = () => {
+  try {
+    return { ...DEFAULT_READER_PREFERENCES, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch (error) {
+    console.warn('⚠️ Could not read reader preferences:', error);
+    return { ...DEFAULT_READER_PREFERENCES };
+  }
+};
+
+/**
+ * @param {Object} changes - Preferences to update; the rest are kept
+ * @returns {Object} All preferences after the update
+ */
+export const saveReaderPreferences = (changes) => {
+  const preferences = { ...getReaderPreferences(), ...changes };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (error) {
+    console.warn('⚠️ Could not store reader preferences:', error);
+  }
+  return preferences;
+};
+
+const readerPreferences = {
+  VIEW_MODES,
+  READER_THEMES,
+  DEFAULT_READER_PREFERENCES,
+  getReaderPreferences,
+  saveReaderPreferences
+};
+
+export default readerPreferences;
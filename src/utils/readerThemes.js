@@ -0,0 +1,52 @@
+/**
+ * FILE PATH: frontend/src/utils/readerThemes.js
+ *
+ * How each reading theme colours the PDF viewer
+ * Themes recolour only the rendered page canvas (with CSS filters), so the
+ * highlight, search and read-aloud layers drawn over it keep their colours.
+ * On the dark theme those layers are screen-blended instead of multiplied,
+ * so a highlight lightens the dark page rather than disappearing into it.
+ */
+
+import { READER_THEMES } from './readerPreferences';
+
+export const THEME_STYLES = {
+  [READER_THEMES.LIGHT]: {
+    label: 'Light',
+    viewerClassName: 'bg-gray-800',
+    pageClassName: 'bg-white',
+    highlightBlendMode: 'multiply',
+    highlightOpacity: 0.4
+  },
+  [READER_THEMES.SEPIA]: {
+    label: 'Sepia',
+    viewerClassName: 'bg-stone-800',
+    pageClassName: 'bg-[#f4ecd8] [&_canvas]:sepia-[.4] [&_canvas]:brightness-95',
+    highlightBlendMode: 'multiply',
+    highlightOpacity: 0.4
+  },
+  [READER_THEMES.DARK]: {
+    label: 'Dark',
+    viewerClassName: 'bg-gray-950',
+    // Same recolouring as styles/pdf-viewer.css: inverted, with hues turned back so images keep their colours
+    pageClassName: 'bg-[#1a1a1a] [&_canvas]:invert-[.9] [&_canvas]:hue-rotate-180 [&_.textLayer]:mix-blend-screen',
+    highlightBlendMode: 'screen',
+    highlightOpacity: 0.5
+  }
+};
+
+// Order the theme button cycles through
+export const THEME_ORDER = [READER_THEMES.LIGHT, READER_THEMES.SEPIA, READER_THEMES.DARK];
+
+export const getThemeStyles = (theme) => THEME_STYLES[theme] || THEME_STYLES[READER_THEMES.LIGHT];
+
+export const getNextTheme = (theme) => THEME_ORDER[(THEME_ORDER.indexOf(theme) + 1) % THEME_ORDER.length];
+
+const readerThemes = {
+  THEME_STYLES,
+  THEME_ORDER,
+  getThemeStyles,
+  getNextTheme
+};
+
+export default readerThemes;
@@ -0,0 +1,83 @@
+/**
+ * FILE PATH: frontend/src/utils/roomQuestions.js
+ *
+ * Room Q&A anchored to the room PDF
+ * A student selects text in StudentPDFViewer and asks about it, optionally
+ * anonymously; the question keeps the page and selection rects like a
+ * highlight does. Classmates upvote, the teacher answers from MonitorRoom and
+ * the asker is notified. The server broadcasts `questionCreated` /
+ * `questionUpdated` / `questionDeleted` to the room and sends
+ * `questionAnswered` to the asker only.
+ */
+
+export const MAX_QUESTION_LENGTH = 500;
+
+const sameId = (a, b) => a !== undefined && a !== null && b !== undefined && b !== null && a.toString() === b.toString();
+
+/**
+ * Open questions first, most upvoted first, then oldest first
+ */
+export const rankQuestions = (questions = []) => [...questions].sort((a, b) => {
+  if (!!a.answer !== !!b.answer) return a.answer ? 1 : -1;
+  if ((b.upvotes || 0) !== (a.upvotes || 0)) return (b.upvotes || 0) - (a.upvotes || 0);
+  return new Date(a.created_at) - new Date(b.created_at);
+});
+
+/**
+ * @param {Object} question
+ * @returns {string} Who asked, as shown to classmates and the teacher
+ */
+export const getAskerLabel = (question) => {
+  if (question.is_mine) return question.anonymous ? 'You (anonymous)' : 'You';
+  if (question.anonymous) return 'Anonymous';
+  return question.author_name || 'A student';
+};
+
+/**
+ * Merge one socket event into the question list. Per-viewer flags the server
+ * only sends on load (`is_mine`, `upvoted_by_me`) are kept from the local copy.
+ *
+ * @param {Array<Object>} questions
+ * @param {string} type - 'created' | 'updated' | 'deleted'
+ * @param {Object} payload - { question } or { questionId }
+ */
+export const applyQuestionEvent = (questions, type, payload = {}) => {
+  if (type === 'deleted') {
+    return questions.filter(q => !sameId(q._id, payload.questionId));
+  }
+
+  const question = payload.question;
+  if (!question?._id) return questions;
+
+  const existing = questions.find(q => sameId(q._id, question._id));
+  if (!existing) return [...questions, question];
+
+  return questions.map(q => (sameId(q._id, question._id)
+    ? { is_mine: q.is_mine, upvoted_by_me: q.upvoted_by_me, ...question }
+    : q));
+};
+
+/**
+ * Notification for the asker when the teacher answers
+ *
+ * @param {Object} question - The answered question
+ * @param {Object} room - { _id, title }, when known
+ */
+export const buildAnsweredNotification = (question, room = {}) => ({
+  key: `question_answered:${question._id}`,
+  type: 'question_answered',
+  message: `Your question on page ${question.page} was answered: "${question.answer}"`,
+  roomId: (question.room_id || room._id)?.toString() || null,
+  roomTitle: room.title || question.room_title || null,
+  link: { questionId: question._id, page: question.page }
+});
+
+const roomQuestions = {
+  MAX_QUESTION_LENGTH,
+  rankQuestions,
+  getAskerLabel,
+  applyQuestionEvent,
+  buildAnsweredNotification
+};
+
+export default roomQuestions;
@@ -0,0 +1,93 @@
+/**
+ * FILE PATH: frontend/src/utils/sharedAnnotations.js
+ *
+ * Shared annotations on room PDFs
+ * Each annotation is private, shared with the teacher, or shared with the
+ * class. The server broadcasts changes to the room over the socket
+ * (`annotationCreated` / `annotationUpdated` / `annotationDeleted`) with the
+ * full annotation, replies included; the helpers here merge those events into
+ * local state and decide what each viewer may see and do.
+ */
+
+export const ANNOTATION_VISIBILITY = {
+  private: { label: 'Only me', description: 'Only you can see this', className: 'bg-gray-100 text-gray-700' },
+  teacher: { label: 'Teacher', description: 'You and your teacher', className: 'bg-blue-100 text-blue-700' },
+  class: { label: 'Class', description: 'Everyone in this room', className: 'bg-green-100 text-green-700' }
+};
+
+export const DEFAULT_VISIBILITY = 'private';
+
+export const getVisibility = (annotation) =>
+  annotation.visibility || (annotation.is_shared ? 'teacher' : DEFAULT_VISIBILITY);
+
+const sameId = (a, b) => a !== undefined && a !== null && b !== undefined && b !== null && a.toString() === b.toString();
+
+/**
+ * Annotations saved before sharing existed have no author; they only count as
+ * the viewer's own in the session (or for the student) they were made in
+ *
+ * @param {Object} annotation
+ * @param {Object} viewer - { userId, sessionId, role: 'student' | 'teacher' }
+ */
+export const isOwnAnnotation = (annotation, viewer = {}) => {
+  if (annotation.author_id) return sameId(annotation.author_id, viewer.userId);
+  return sameId(annotation.session_id, viewer.sessionId) || sameId(annotation.student_id, viewer.userId);
+};
+
+/**
+ * Whether the viewer should see the annotation. The server already filters;
+ * this keeps live events from leaking anything it broadcast too widely.
+ */
+export const isVisibleTo = (annotation, viewer = {}) => {
+  if (isOwnAnnotation(annotation, viewer)) return true;
+  const visibility = getVisibility(annotation);
+  if (visibility === 'class') return true;
+  return visibility === 'teacher' && viewer.role === 'teacher';
+};
+
+/**
+ * Merge one socket event into the annotation list
+ *
+ * @param {Array<Object>} annotations
+ * @param {string} type - 'created' | 'updated' | 'deleted'
+ * @param {Object} payload - { annotation } or { annotationId }
+ * @param {Object} viewer
+ */
+export const applyAnnotationEvent = (annotations, type, payload = {}, viewer = {}) => {
+  if (type === 'deleted') {
+    return annotations.filter(a => !sameId(a._id, payload.annotationId));
+  }
+
+  const annotation = payload.annotation;
+  if (!annotation?._id) return annotations;
+
+  const others = annotations.filter(a => !sameId(a._id, annotation._id));
+  // An update that narrows visibility removes it for everyone else
+  if (!isVisibleTo(annotation, viewer)) return others;
+
+  return annotations.some(a => sameId(a._id, annotation._id))
+    ? annotations.map(a => (sameId(a._id, annotation._id) ? annotation : a))
+    : [...others, annotation];
+};
+
+export const isEndorsedReply = (annotation, reply) => sameId(annotation.endorsed_reply_id, reply._id);
+
+/**
+ * Shared questions still waiting for an answer, oldest first - the teacher's queue
+ */
+export const getUnresolvedQuestions = (annotations = []) => annotations
+  .filter(a => a.type === 'question' && !a.is_resolved && !a.endorsed_reply_id && getVisibility(a) !== 'private')
+  .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+const sharedAnnotations = {
+  ANNOTATION_VISIBILITY,
+  DEFAULT_VISIBILITY,
+  getVisibility,
+  isOwnAnnotation,
+  isVisibleTo,
+  applyAnnotationEvent,
+  isEndorsedReply,
+  getUnresolvedQuestions
+};
+
+export default sharedAnnotations;
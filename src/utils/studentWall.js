@@ -0,0 +1,102 @@
+/**
+ * FILE PATH: frontend/src/utils/studentWall.js
+ *
+ * Live student wall helpers for LiveMetrics
+ * - Rolling 10-minute timeline of engagement, attention and posture per student
+ * - Live status (away / idle / phone / distracted / listening / focused)
+ * - "Needs attention" priority used to sort the wall
+ */
+
+export const TIMELINE_WINDOW_MS = 10 * 60 * 1000;
+
+// No live update for this long means the student's tab is asleep or closed
+const STALE_MS = 60 * 1000;
+// This long on one page without turning counts as idle reading
+const IDLE_PAGE_MS = 10 * 60 * 1000;
+
+// Rooms with at least this many students start in compact mode
+export const COMPACT_WALL_THRESHOLD = 40;
+
+export const LIVE_STATUS = {
+  away: { label: 'Away', className: 'bg-red-100 text-red-700' },
+  idle: { label: 'Idle', className: 'bg-yellow-100 text-yellow-800' },
+  phone: { label: 'Phone', className: 'bg-red-100 text-red-700' },
+  distracted: { label: 'Looking away', className: 'bg-orange-100 text-orange-700' },
+  listening: { label: 'Listening', className: 'bg-sky-100 text-sky-700' },
+  focused: { label: 'Focused', className: 'bg-green-100 text-green-800' },
+  waiting: { label: 'Connecting', className: 'bg-gray-100 text-gray-600' }
+};
+
+const SEVERITY_WEIGHT = { high: 300, medium: 200, low: 100 };
+
+const STATUS_WEIGHT = { away: 150, phone: 120, idle: 80, distracted: 60, waiting: 0, listening: 0, focused: 0 };
+
+const toScore = (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.round(value) : null);
+
+/**
+ * Add a live metrics payload to a student's timeline and drop points older than the window
+ *
+ * @param {Array<Object>} timeline - [{ t, engagement, attention, posture }]
+ * @param {Object} data - `face_metric` or `metrics_window` payload
+ * @param {number} timestamp - ms
+ */
+export const appendTimelinePoint = (timeline = [], data = {}, timestamp = Date.now()) => {
+  const attention = typeof data.attentionRate === 'number'
+    ? data.attentionRate
+    : data.lookingAtScreen === undefined ? null : (data.lookingAtScreen ? 100 : 0);
+
+  const point = {
+    t: timestamp,
+    engagement: toScore(data.engagementScore),
+    attention: toScore(attention),
+    posture: toScore(data.postureScore)
+  };
+
+  return [...timeline, point].filter(p => p.t > timestamp - TIMELINE_WINDOW_MS);
+};
+
+/**
+ * @param {Object} student - LiveMetrics student with `live` (latest payload)
+ * @param {number} now - ms
+ * @returns {string} Key of LIVE_STATUS
+ */
+export const getLiveStatus = (student, now = Date.now()) => {
+  const live = student.live;
+  if (!live) return 'waiting';
+
+  if (live.absent || live.faceDetected === false) return 'away';
+
+  const updatedAt = live.updatedAt ? new Date(live.updatedAt).getTime() : now;
+  if (now - updatedAt > STALE_MS) return 'idle';
+  // Read aloud: staying on a page and looking away from the screen are expected while listening
+  if (live.listening) return live.hasPhone ? 'phone' : 'listening';
+  if (live.pageStartedAt && now - live.pageStartedAt > IDLE_PAGE_MS) return 'idle';
+
+  if (live.hasPhone) return 'phone';
+  if (live.lookingAtScreen === false) return 'distracted';
+  return 'focused';
+};
+
+/**
+ * Higher means the teacher should look sooner: open alerts first (by
+ * severity), then live status, then low engagement
+ *
+ * @param {Object} student - LiveMetrics student
+ * @param {Array<Object>} openAlerts - The student's unacknowledged alerts
+ */
+export const getAttentionPriority = (student, openAlerts = [], now = Date.now()) => {
+  const alertWeight = openAlerts.reduce((sum, alert) => sum + (SEVERITY_WEIGHT[alert.severity] || 0), 0);
+  const statusWeight = STATUS_WEIGHT[getLiveStatus(student, now)] || 0;
+  return alertWeight + statusWeight + (100 - (student.currentEngagement || 0));
+};
+
+const studentWall = {
+  TIMELINE_WINDOW_MS,
+  COMPACT_WALL_THRESHOLD,
+  LIVE_STATUS,
+  appendTimelinePoint,
+  getLiveStatus,
+  getAttentionPriority
+};
+
+export default studentWall;
@@ -0,0 +1,84 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * FILE PATH: frontend/src/workers/inference.worker.js
+ *
+ * Dedicated worker that runs MediaPipe and coco-ssd inference off the UI thread
+ * Frames arrive as transferred ImageBitmaps; results are returned in the same
+ * shapes MLModelsManager produces on the main thread.
+ *
+ * Protocol (see utils/inferenceWorkerClient.js):
+ *   in  { type: 'init', requestId, models }        -> out { type: 'ready', requestId, loadedModels }
+ *   in  { type: 'frame', requestId, frame, timestamp, detectors }
+ *                                                  -> out { type: 'result', requestId, faceData, faceMeshData, poseData, objectData, timings, inferenceMs }
+ *   in  { type: 'calibration', profile }
+ *   in  { type: 'dispose' }
+ *   any failure                                    -> out { type: 'error', requestId, message }
+ */
+
+import mlModels from '../utils/mlModels';
+
+const runDetector = async (enabled, detect, timings, name) => {
+  if (!enabled) return undefined;
+  const startTime = performance.now();
+  try {
+    return await detect();
+  } catch (error) {
+    console.warn('Worker detection error:', error);
+    return null;
+  } finally {
+    timings[name] = performance.now() - startTime;
+  }
+};
+
+const handleFrame = async ({ requestId, frame, timestamp, detectors }) => {
+  const startTime = performance.now();
+  const timings = {};
+
+  try {
+    // MediaPipe tasks share one graph clock, so run them sequentially on the same frame
+    const faceData = await runDetector(detectors.faceDetection, () => mlModels.detectFaces(frame, timestamp), timings, 'faceDetection');
+    const faceMeshData = await runDetector(detectors.faceMesh, () => mlModels.getFacialLandmarks(frame, timestamp), timings, 'faceMesh');
+    const poseData = await runDetector(detectors.pose, () => mlModels.detectPose(frame, timestamp), timings, 'pose');
+    const objectData = await runDetector(detectors.objectDetection, () => mlModels.detectObjects(frame), timings, 'objectDetection');
+
+    self.postMessage({
+      type: 'result',
+      requestId,
+      faceData,
+      faceMeshData,
+      poseData,
+      objectData,
+      timings,
+      inferenceMs: performance.now() - startTime
+    });
+  } finally {
+    frame.close();
+  }
+};
+
+self.onmessage = async (event) => {
+  const message = event.data;
+
+  try {
+    switch (message.type) {
+      case 'init': {
+        const loadedModels = await mlModels.loadAllModels(message.models);
+        self.postMessage({ type: 'ready', requestId: message.requestId, loadedModels });
+        break;
+      }
+      case 'frame':
+        await handleFrame(message);
+        break;
+      case 'calibration':
+        mlModels.setCalibrationProfile(message.profile);
+        break;
+      case 'dispose':
+        mlModels.unloadModels();
+        break;
+      default:
+        console.warn('Unknown inference worker message:', message.type);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', requestId: message.requestId, message: error.message });
+  }
+};